@@ -28,6 +28,17 @@ function calculateMedian(sorted) {
     : sorted[mid];
 }
 
+/**
+ * Median of split token prices, ignoring rows without split pricing
+ * @param {Array<number|null>} values
+ * @returns {number|null} - Rounded median, or null if no row has a value
+ */
+function calculateSplitMedian(values) {
+  const present = values.filter(v => v !== null && v !== undefined).sort((a, b) => a - b);
+  if (present.length === 0) return null;
+  return parseFloat(calculateMedian(present).toFixed(6));
+}
+
 /**
  * Determine price trend (up/down/stable)
  * @param {number} currentPrice
@@ -76,6 +87,8 @@ function getPrevious24hPrice(serviceId) {
  * aggregateRates("text-generation", "chat")
  * // => {
  * //   price: 0.0025,
+ * //   inputPrice: 0.0015,
+ * //   outputPrice: 0.006,
  * //   currency: "USD",
  * //   unit: "per-token",
  * //   confidence: 0.85,
@@ -93,6 +106,8 @@ export function aggregateRates(category, subcategory = null) {
       SELECT
         r.id,
         r.price,
+        r.input_price,
+        r.output_price,
         r.currency,
         r.unit,
         r.pricing_type,
@@ -126,6 +141,8 @@ export function aggregateRates(category, subcategory = null) {
     // Transform to outlier detection format
     const ratesForDetection = rows.map(row => ({
       price: row.price,
+      inputPrice: row.input_price,
+      outputPrice: row.output_price,
       source: row.provider_name,
       timestamp: new Date(row.created_at).getTime(),
       serviceId: row.service_id
@@ -143,6 +160,10 @@ export function aggregateRates(category, subcategory = null) {
     const sortedPrices = [...prices].sort((a, b) => a - b);
     const medianPrice = calculateMedian(sortedPrices);
 
+    // Step 2b: Median input/output token prices (only rows that carry them)
+    const inputPrice = calculateSplitMedian(filtered.map(r => r.inputPrice));
+    const outputPrice = calculateSplitMedian(filtered.map(r => r.outputPrice));
+
     // Step 3: Calculate confidence score
     const confidence = calculateConfidence(filtered);
 
@@ -165,6 +186,8 @@ export function aggregateRates(category, subcategory = null) {
     // Return aggregated result
     return {
       price: parseFloat(medianPrice.toFixed(6)),
+      inputPrice,
+      outputPrice,
       currency,
       unit,
       confidence: parseFloat(confidence.toFixed(3)),
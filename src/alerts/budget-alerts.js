@@ -0,0 +1,355 @@
+/**
+ * AGORA Budget Alerts
+ * Soft thresholds and projected-overrun warnings on agent budgets
+ *
+ * A budget alert watches the agent's monthly budget (POST /v1/budget) or one
+ * budget limit (see src/router/budget-limits.js, including team/organization
+ * limits). After each billed smart-route request the alerts that cover the
+ * spending agent are checked. A threshold fires when spend reaches that percent
+ * of the limit; a projected overrun fires when spend is on pace to exceed the
+ * limit by the end of the window. Each firing is recorded once per window (the
+ * UNIQUE key in budget_alert_firings) and sent through dispatchNotification().
+ */
+
+import { runQuery, getOne, getAll } from '../db/database.js';
+import { getBudgetStatus } from '../router/budget.js';
+import { evaluateBudgetLimits, getAgentBudgetGroups, getMonthlyPeriod } from '../router/budget-limits.js';
+import { dispatchNotification } from './notifiers.js';
+import logger from '../logger.js';
+
+export const DEFAULT_BUDGET_THRESHOLDS = [50, 80, 100];
+export const MAX_BUDGET_THRESHOLDS = 10;
+
+// Projections need this share of the window behind them (a day-one projection is noise)
+const MIN_PROJECTION_ELAPSED = 0.1;
+
+const NOTIFY_METHODS = ['webhook', 'email', 'websocket'];
+
+/**
+ * Validate a budget alert definition
+ * @param {object} input - { thresholds, projectedOverrun, notifyMethod, webhookUrl, email }
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateBudgetAlert(input = {}) {
+  const { thresholds, projectedOverrun, notifyMethod, webhookUrl, email } = input;
+
+  if (thresholds !== undefined) {
+    if (!Array.isArray(thresholds) || thresholds.length === 0 || thresholds.length > MAX_BUDGET_THRESHOLDS) {
+      return `thresholds must be an array of 1 to ${MAX_BUDGET_THRESHOLDS} percents`;
+    }
+
+    if (!thresholds.every(t => Number.isInteger(t) && t >= 1 && t <= 100)) {
+      return 'thresholds must be integers between 1 and 100 (percent of the limit)';
+    }
+  }
+
+  if (projectedOverrun !== undefined && typeof projectedOverrun !== 'boolean') {
+    return 'projectedOverrun must be a boolean';
+  }
+
+  if (!NOTIFY_METHODS.includes(notifyMethod)) {
+    return `Invalid notifyMethod. Must be one of: ${NOTIFY_METHODS.join(', ')}`;
+  }
+
+  if (notifyMethod === 'webhook' && !webhookUrl) {
+    return 'webhookUrl required for webhook notify method';
+  }
+
+  if (notifyMethod === 'email' && !email) {
+    return 'email required for email notify method';
+  }
+
+  return null;
+}
+
+/**
+ * Format a budget_alerts row for API responses
+ * @param {object} row - budget_alerts row
+ * @returns {object} { id, agentId, limitId, thresholds, projectedOverrun, notifyMethod, webhookUrl, email, status, createdAt }
+ */
+function formatBudgetAlert(row) {
+  return {
+    id: row.id,
+    agentId: row.agent_id,
+    limitId: row.limit_id,
+    thresholds: JSON.parse(row.thresholds),
+    projectedOverrun: row.projected_overrun === 1,
+    notifyMethod: row.notify_method,
+    webhookUrl: row.webhook_url,
+    email: row.email,
+    status: row.status,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Create a budget alert
+ * @param {object} input - { agentId, limitId, thresholds, projectedOverrun, notifyMethod, webhookUrl, email } (validated)
+ * @returns {object} Formatted budget alert
+ */
+export function createBudgetAlert(input) {
+  const {
+    agentId,
+    limitId = null,
+    thresholds = DEFAULT_BUDGET_THRESHOLDS,
+    projectedOverrun = true,
+    notifyMethod,
+    webhookUrl = null,
+    email = null
+  } = input;
+
+  try {
+    const unique = [...new Set(thresholds)].sort((a, b) => a - b);
+
+    const { lastInsertRowid } = runQuery(
+      `INSERT INTO budget_alerts (agent_id, limit_id, thresholds, projected_overrun, notify_method, webhook_url, email)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [agentId, limitId, JSON.stringify(unique), projectedOverrun ? 1 : 0, notifyMethod, webhookUrl, email]
+    );
+
+    logger.info('budget_alert_created', { id: lastInsertRowid, agentId, limitId, thresholds: unique, notifyMethod });
+
+    return formatBudgetAlert(getOne('SELECT * FROM budget_alerts WHERE id = ?', [lastInsertRowid]));
+  } catch (error) {
+    logger.error('create_budget_alert_failed', { error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Get a budget alert row
+ * @param {number} alertId - Budget alert ID
+ * @returns {object|null} budget_alerts row
+ */
+export function getBudgetAlert(alertId) {
+  return getOne('SELECT * FROM budget_alerts WHERE id = ?', [alertId]) || null;
+}
+
+/**
+ * List an agent's budget alerts with their latest firings
+ * @param {number} agentId - Agent ID
+ * @returns {Array<object>} Formatted alerts, each with firings: [{ id, periodKey, kind, threshold, spent, limit, projected, notified, firedAt }]
+ */
+export function listBudgetAlerts(agentId) {
+  const alerts = getAll('SELECT * FROM budget_alerts WHERE agent_id = ? ORDER BY id', [agentId]);
+
+  return alerts.map(row => ({
+    ...formatBudgetAlert(row),
+    firings: getAll(
+      `SELECT id, period_key as periodKey, kind, threshold, spent, limit_usd as "limit", projected,
+              notified, fired_at as firedAt
+       FROM budget_alert_firings WHERE budget_alert_id = ? ORDER BY id DESC LIMIT 20`,
+      [row.id]
+    ).map(firing => ({ ...firing, notified: firing.notified === 1 }))
+  }));
+}
+
+/**
+ * Delete a budget alert and its firing history
+ * @param {number} alertId - Budget alert ID
+ * @returns {boolean} True if an alert was deleted
+ */
+export function deleteBudgetAlert(alertId) {
+  try {
+    runQuery('DELETE FROM budget_alert_firings WHERE budget_alert_id = ?', [alertId]);
+    const { changes } = runQuery('DELETE FROM budget_alerts WHERE id = ?', [alertId]);
+
+    logger.info('budget_alert_deleted', { id: alertId });
+
+    return changes > 0;
+  } catch (error) {
+    logger.error('delete_budget_alert_failed', { error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Mark a firing as delivered (passed to dispatchNotification)
+ * @param {number} firingId - budget_alert_firings ID
+ */
+async function markFiringNotified(firingId) {
+  runQuery('UPDATE budget_alert_firings SET notified = 1 WHERE id = ?', [firingId]);
+}
+
+/**
+ * Spend at the end of a window if the pace so far continues
+ * @param {number} spent - Spend so far
+ * @param {Date} start - Window start
+ * @param {Date} end - Window end
+ * @param {Date} now - Reference time
+ * @returns {number|null} Projected spend, or null too early in the window
+ */
+export function projectSpend(spent, start, end, now) {
+  const elapsed = (now - start) / (end - start);
+
+  if (!(elapsed >= MIN_PROJECTION_ELAPSED)) {
+    return null;
+  }
+
+  return spent / Math.min(1, elapsed);
+}
+
+/**
+ * Record a firing once per window
+ * @returns {number|null} Firing ID, or null if this firing was already recorded
+ */
+function recordFiring(alertId, periodKey, kind, threshold, { spent, limit, projected }) {
+  const { changes, lastInsertRowid } = runQuery(
+    `INSERT OR IGNORE INTO budget_alert_firings (budget_alert_id, period_key, kind, threshold, spent, limit_usd, projected)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [alertId, periodKey, kind, threshold, spent, limit, projected]
+  );
+
+  return changes > 0 ? lastInsertRowid : null;
+}
+
+/**
+ * The watched budget of an alert, in one shape for the monthly budget and limits
+ * @returns {object|null} { periodKey, spent, limit, start, end, budget }, or null when not enforceable now
+ */
+function resolveWatchedBudget(alert, limitsById, now) {
+  if (alert.limit_id === null) {
+    const status = getBudgetStatus(alert.agent_id);
+    const { start, end } = getMonthlyPeriod(now);
+
+    return {
+      periodKey: status.period,
+      spent: status.spent,
+      limit: status.limit,
+      start,
+      end,
+      budget: {
+        limitId: null,
+        owner: { type: 'agent', id: alert.agent_id },
+        period: 'monthly',
+        provider: null,
+        task: null,
+        periodStart: start.toISOString(),
+        periodEnd: end.toISOString()
+      }
+    };
+  }
+
+  const limit = limitsById.get(alert.limit_id);
+  if (!limit || !limit.active) {
+    return null;
+  }
+
+  return {
+    periodKey: limit.periodStart,
+    spent: limit.spent,
+    limit: limit.limit,
+    start: new Date(`${limit.periodStart.replace(' ', 'T')}Z`),
+    end: new Date(`${limit.periodEnd.replace(' ', 'T')}Z`),
+    budget: {
+      limitId: limit.id,
+      owner: limit.owner,
+      period: limit.period,
+      provider: limit.provider,
+      task: limit.task,
+      periodStart: limit.periodStart,
+      periodEnd: limit.periodEnd
+    }
+  };
+}
+
+/**
+ * Check the budget alerts covering an agent's spend and notify new firings
+ * Covers the agent's monthly-budget alerts and alerts on any limit that applies
+ * to the agent (its own, its team's, its organization's). Lower thresholds
+ * crossed in the same check are recorded without a separate notification.
+ * @param {number} agentId - Agent whose spend changed
+ * @param {object} options - { now } (default current time)
+ * @returns {Promise<Array<object>>} Fired: [{ alertId, firingId, kind, threshold, notified }]
+ */
+export async function checkBudgetAlerts(agentId, { now = new Date() } = {}) {
+  try {
+    const groupIds = getAgentBudgetGroups(agentId).map(group => group.id);
+    const groupPlaceholders = groupIds.map(() => '?').join(', ');
+
+    const alerts = getAll(
+      `SELECT a.* FROM budget_alerts a
+       LEFT JOIN budget_limits l ON l.id = a.limit_id
+       WHERE a.status = 'active' AND (
+         (a.limit_id IS NULL AND a.agent_id = ?) OR l.agent_id = ?
+         ${groupIds.length > 0 ? `OR l.group_id IN (${groupPlaceholders})` : ''}
+       )`,
+      [agentId, agentId, ...groupIds]
+    );
+
+    if (alerts.length === 0) {
+      return [];
+    }
+
+    const limitsById = new Map(evaluateBudgetLimits(agentId, { now }).map(limit => [limit.id, limit]));
+    const fired = [];
+
+    for (const alert of alerts) {
+      const watched = resolveWatchedBudget(alert, limitsById, now);
+      if (!watched || watched.limit <= 0) {
+        continue;
+      }
+
+      const { periodKey, spent, limit } = watched;
+      const percentUsed = (spent / limit) * 100;
+      const projected = projectSpend(spent, watched.start, watched.end, now);
+      const notifications = [];
+
+      // Thresholds: record every one crossed, notify the highest new one
+      const newlyCrossed = JSON.parse(alert.thresholds)
+        .filter(threshold => percentUsed >= threshold)
+        .map(threshold => ({ threshold, firingId: recordFiring(alert.id, periodKey, 'threshold', threshold, { spent, limit, projected }) }))
+        .filter(firing => firing.firingId !== null);
+
+      if (newlyCrossed.length > 0) {
+        notifications.push({ kind: 'threshold', ...newlyCrossed[newlyCrossed.length - 1] });
+      }
+
+      // Projected overrun: once per window, only while the limit still has room
+      if (alert.projected_overrun === 1 && spent < limit && projected !== null && projected > limit) {
+        const firingId = recordFiring(alert.id, periodKey, 'projected_overrun', 0, { spent, limit, projected });
+        if (firingId !== null) {
+          notifications.push({ kind: 'projected_overrun', threshold: null, firingId });
+        }
+      }
+
+      for (const { kind, threshold, firingId } of notifications) {
+        const payload = {
+          event: 'budget_alert',
+          alertId: alert.id,
+          agentId: alert.agent_id,
+          kind,
+          threshold,
+          percentUsed: Math.round(percentUsed * 10) / 10,
+          spent,
+          limit,
+          projected,
+          budget: watched.budget,
+          timestamp: now.toISOString()
+        };
+
+        logger.info('budget_alert_fired', { alertId: alert.id, agentId, kind, threshold, periodKey, spent, limit });
+
+        const notified = await dispatchNotification(alert, payload, firingId, markFiringNotified);
+        fired.push({ alertId: alert.id, firingId, kind, threshold, notified });
+      }
+    }
+
+    return fired;
+  } catch (error) {
+    logger.error('check_budget_alerts_failed', { agentId, error: error.message });
+    throw error;
+  }
+}
+
+export default {
+  DEFAULT_BUDGET_THRESHOLDS,
+  MAX_BUDGET_THRESHOLDS,
+  validateBudgetAlert,
+  createBudgetAlert,
+  getBudgetAlert,
+  listBudgetAlerts,
+  deleteBudgetAlert,
+  projectSpend,
+  checkBudgetAlerts
+};
@@ -9,11 +9,12 @@ import { updateAlertTriggerNotified } from './alert-manager.js';
 /**
  * Send webhook notification
  * @param {string} webhookUrl - Target webhook URL
- * @param {object} payload - Alert payload
+ * @param {object} payload - Alert payload (payload.event overrides the default 'price_alert')
  * @param {number} triggerId - Alert trigger ID (to mark as notified)
+ * @param {Function} markNotified - Marks the trigger as notified (default: price alert triggers)
  * @returns {Promise<boolean>} - Success status
  */
-export async function sendWebhook(webhookUrl, payload, triggerId) {
+export async function sendWebhook(webhookUrl, payload, triggerId, markNotified = updateAlertTriggerNotified) {
   try {
     logger.info(`Sending webhook notification to ${webhookUrl}`, {
       event: 'webhook_send_start',
@@ -51,7 +52,7 @@ export async function sendWebhook(webhookUrl, payload, triggerId) {
 
     // Mark as notified (non-blocking, continues on failure)
     try {
-      await updateAlertTriggerNotified(triggerId);
+      await markNotified(triggerId);
     } catch (dbError) {
       logger.warn(`Failed to update notified flag (non-blocking): ${dbError.message}`, {
         event: 'webhook_db_update_failed',
@@ -103,7 +104,7 @@ export async function sendWebhook(webhookUrl, payload, triggerId) {
 
       // Mark as notified (non-blocking)
       try {
-        await updateAlertTriggerNotified(triggerId);
+        await markNotified(triggerId);
       } catch (dbError) {
         logger.warn(`Failed to update notified flag (non-blocking): ${dbError.message}`, {
           event: 'webhook_db_update_failed',
@@ -126,61 +127,14 @@ export async function sendWebhook(webhookUrl, payload, triggerId) {
 }
 
 /**
- * Send email notification
- * @param {string} email - Recipient email address
- * @param {object} payload - Alert payload
- * @param {number} triggerId - Alert trigger ID
- * @returns {Promise<boolean>} - Success status
+ * Price alert email
+ * @param {object} payload - Price alert payload
+ * @returns {object} - { subject, html }
  */
-export async function sendEmail(email, payload, triggerId) {
-  try {
-    logger.info(`Sending email notification to ${email}`, {
-      event: 'email_send_start',
-      triggerId,
-      alertId: payload.alertId,
-      skill: payload.skill,
-      provider: payload.provider
-    });
-
-    // Check if nodemailer is available
-    let nodemailer;
-    try {
-      nodemailer = await import('nodemailer');
-    } catch (importError) {
-      logger.warn('nodemailer not installed, email notification skipped. Install with: npm install nodemailer', {
-        event: 'email_dependency_missing',
-        triggerId
-      });
-      return false;
-    }
-
-    // SMTP config from environment variables
-    const smtpConfig = {
-      host: process.env.SMTP_HOST || 'smtp.gmail.com',
-      port: parseInt(process.env.SMTP_PORT || '587', 10),
-      secure: process.env.SMTP_SECURE === 'true', // true for 465, false for other ports
-      auth: {
-        user: process.env.SMTP_USER,
-        pass: process.env.SMTP_PASS
-      }
-    };
-
-    // Validate SMTP config
-    if (!smtpConfig.auth.user || !smtpConfig.auth.pass) {
-      logger.warn('SMTP credentials not configured. Set SMTP_USER and SMTP_PASS in .env', {
-        event: 'email_config_missing',
-        triggerId
-      });
-      return false;
-    }
-
-    // Create transporter
-    const transporter = nodemailer.default.createTransport(smtpConfig);
+function priceAlertEmail(payload) {
+  const subject = `AGORA Price Alert: ${payload.skill || payload.provider} dropped to $${payload.newPrice.toFixed(4)}`;
 
-    // Email subject and body
-    const subject = `AGORA Price Alert: ${payload.skill || payload.provider} dropped to $${payload.newPrice.toFixed(4)}`;
-
-    const htmlBody = `
+  const html = `
 <!DOCTYPE html>
 <html>
 <head>
@@ -239,6 +193,100 @@ export async function sendEmail(email, payload, triggerId) {
 </html>
     `;
 
+  return { subject, html };
+}
+
+/**
+ * Budget alert email (threshold crossed or projected overrun)
+ * @param {object} payload - Budget alert payload (see src/alerts/budget-alerts.js)
+ * @returns {object} - { subject, html }
+ */
+function budgetAlertEmail(payload) {
+  const { budget } = payload;
+  const scope = [budget.provider, budget.task].filter(Boolean).join(' / ') || 'all spend';
+  const headline = payload.kind === 'projected_overrun'
+    ? `projected to reach $${payload.projected.toFixed(2)} of $${payload.limit.toFixed(2)}`
+    : `${payload.percentUsed}% used ($${payload.spent.toFixed(2)} of $${payload.limit.toFixed(2)})`;
+
+  const subject = `AGORA Budget Alert: ${budget.period} budget ${headline}`;
+
+  const html = `
+<!DOCTYPE html>
+<html>
+<body style="font-family: Arial, sans-serif; background-color: #0a0a0a; color: #e0e0e0; padding: 20px;">
+  <div style="max-width: 600px; margin: 0 auto; background-color: #1a1a1a; border: 1px solid #2a2a2a; border-radius: 8px; padding: 30px;">
+    <div style="color: #ffaa00; font-size: 24px; font-weight: bold; margin-bottom: 20px;">⚠️ AGORA Budget Alert</div>
+    <p>Your ${budget.period} budget (${scope}) is ${headline}.</p>
+    <p style="color: #888;">Window: ${budget.periodStart} – ${budget.periodEnd} (UTC) · Alert #${payload.alertId}</p>
+    <div style="color: #666; font-size: 12px; margin-top: 30px; text-align: center;">
+      This is an automated alert from AGORA (Agent Rate Oracle).
+    </div>
+  </div>
+</body>
+</html>
+    `;
+
+  return { subject, html };
+}
+
+/**
+ * Send email notification
+ * @param {string} email - Recipient email address
+ * @param {object} payload - Alert payload (payload.event 'budget_alert' selects the budget email)
+ * @param {number} triggerId - Alert trigger ID
+ * @param {Function} markNotified - Marks the trigger as notified (default: price alert triggers)
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function sendEmail(email, payload, triggerId, markNotified = updateAlertTriggerNotified) {
+  try {
+    logger.info(`Sending email notification to ${email}`, {
+      event: 'email_send_start',
+      triggerId,
+      alertId: payload.alertId,
+      skill: payload.skill,
+      provider: payload.provider
+    });
+
+    // Check if nodemailer is available
+    let nodemailer;
+    try {
+      nodemailer = await import('nodemailer');
+    } catch (importError) {
+      logger.warn('nodemailer not installed, email notification skipped. Install with: npm install nodemailer', {
+        event: 'email_dependency_missing',
+        triggerId
+      });
+      return false;
+    }
+
+    // SMTP config from environment variables
+    const smtpConfig = {
+      host: process.env.SMTP_HOST || 'smtp.gmail.com',
+      port: parseInt(process.env.SMTP_PORT || '587', 10),
+      secure: process.env.SMTP_SECURE === 'true', // true for 465, false for other ports
+      auth: {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      }
+    };
+
+    // Validate SMTP config
+    if (!smtpConfig.auth.user || !smtpConfig.auth.pass) {
+      logger.warn('SMTP credentials not configured. Set SMTP_USER and SMTP_PASS in .env', {
+        event: 'email_config_missing',
+        triggerId
+      });
+      return false;
+    }
+
+    // Create transporter
+    const transporter = nodemailer.default.createTransport(smtpConfig);
+
+    // Email subject and body
+    const { subject, html: htmlBody } = payload.event === 'budget_alert'
+      ? budgetAlertEmail(payload)
+      : priceAlertEmail(payload);
+
     // Send email
     const info = await transporter.sendMail({
       from: `"AGORA Alert System" <${smtpConfig.auth.user}>`,
@@ -256,7 +304,7 @@ export async function sendEmail(email, payload, triggerId) {
 
     // Mark as notified (non-blocking)
     try {
-      await updateAlertTriggerNotified(triggerId);
+      await markNotified(triggerId);
     } catch (dbError) {
       logger.warn(`Failed to update notified flag (non-blocking): ${dbError.message}`, {
         event: 'email_db_update_failed',
@@ -281,11 +329,12 @@ export async function sendEmail(email, payload, triggerId) {
 /**
  * Send WebSocket notification
  * @param {number} agentId - Agent ID to notify
- * @param {object} payload - Alert payload
+ * @param {object} payload - Alert payload (payload.event overrides the default 'price_alert' message type)
  * @param {number} triggerId - Alert trigger ID
+ * @param {Function} markNotified - Marks the trigger as notified (default: price alert triggers)
  * @returns {Promise<boolean>} - Success status
  */
-export async function sendWebSocketNotification(agentId, payload, triggerId) {
+export async function sendWebSocketNotification(agentId, payload, triggerId, markNotified = updateAlertTriggerNotified) {
   try {
     logger.info(`Sending WebSocket notification to agent ${agentId}`, {
       event: 'websocket_send_start',
@@ -312,7 +361,7 @@ export async function sendWebSocketNotification(agentId, payload, triggerId) {
 
     // Broadcast alert to agent's WebSocket connection
     const sent = await websocketAlerts.broadcastAlert(agentId, {
-      type: 'price_alert',
+      type: payload.event || 'price_alert',
       data: payload
     });
 
@@ -326,7 +375,7 @@ export async function sendWebSocketNotification(agentId, payload, triggerId) {
 
       // Mark as notified (non-blocking)
       try {
-        await updateAlertTriggerNotified(triggerId);
+        await markNotified(triggerId);
       } catch (dbError) {
         logger.warn(`Failed to update notified flag (non-blocking): ${dbError.message}`, {
           event: 'websocket_db_update_failed',
@@ -360,12 +409,14 @@ export async function sendWebSocketNotification(agentId, payload, triggerId) {
 
 /**
  * Dispatch notification based on notify method
- * @param {object} alert - Alert object
+ * @param {object} alert - Alert object ({ id, agent_id, notify_method, webhook_url, email })
  * @param {object} payload - Alert payload
  * @param {number} triggerId - Trigger ID
+ * @param {Function} markNotified - Marks the trigger as notified on success (default: price alert
+ *   triggers; budget alerts pass their own, see src/alerts/budget-alerts.js)
  * @returns {Promise<boolean>} - Success status
  */
-export async function dispatchNotification(alert, payload, triggerId) {
+export async function dispatchNotification(alert, payload, triggerId, markNotified = updateAlertTriggerNotified) {
   const { notify_method, webhook_url, email, agent_id } = alert;
 
   logger.info(`Dispatching notification via ${notify_method}`, {
@@ -388,7 +439,7 @@ export async function dispatchNotification(alert, payload, triggerId) {
           });
           return false;
         }
-        success = await sendWebhook(webhook_url, payload, triggerId);
+        success = await sendWebhook(webhook_url, payload, triggerId, markNotified);
         break;
 
       case 'email':
@@ -400,11 +451,11 @@ export async function dispatchNotification(alert, payload, triggerId) {
           });
           return false;
         }
-        success = await sendEmail(email, payload, triggerId);
+        success = await sendEmail(email, payload, triggerId, markNotified);
         break;
 
       case 'websocket':
-        success = await sendWebSocketNotification(agent_id, payload, triggerId);
+        success = await sendWebSocketNotification(agent_id, payload, triggerId, markNotified);
         break;
 
       default:
@@ -1,5 +1,17 @@
 import { Router } from 'express';
 import { createAgent, listAgents } from '../db/agents.js';
+import { getAgentCacheSettings, setAgentCacheSettings, getCacheStats, MAX_CACHE_TTL_SECONDS } from '../router/cache.js';
+import { getSavingsBaseline, getBaselineRate, setSavingsBaseline } from '../router/savings.js';
+import { getTokenPrices } from '../router/pricing.js';
+import {
+  validateKeyOptions,
+  createAgentKey,
+  listAgentKeys,
+  rotateAgentKey,
+  revokeAgentKey,
+  MAX_ROTATION_OVERLAP_SECONDS
+} from '../db/agent-keys.js';
+import { requireScope } from '../middleware/auth.js';
 import logger from '../logger.js';
 
 const router = Router();
@@ -77,4 +89,366 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * GET /v1/agents/me/cache
+ * Response cache settings and stats for the authenticated agent
+ *
+ * Response:
+ *   - success: boolean
+ *   - data: { enabled, ttlSeconds, entries, hits }
+ */
+router.get('/me/cache', requireScope('route'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        ...getAgentCacheSettings(req.agent.id),
+        ...getCacheStats(req.agent.id)
+      }
+    });
+  } catch (error) {
+    logger.error('get_agent_cache_api_error', { error: error.message });
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /v1/agents/me/cache
+ * Update response cache settings for the authenticated agent
+ *
+ * Body:
+ *   - enabled: boolean (optional) - Cache smart-route responses by default
+ *   - ttlSeconds: number (optional) - Default entry lifetime (1 to 604800)
+ *
+ * Response:
+ *   - success: boolean
+ *   - data: { enabled, ttlSeconds }
+ */
+router.put('/me/cache', requireScope('route'), async (req, res) => {
+  try {
+    const { enabled, ttlSeconds } = req.body;
+
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid field: enabled (boolean)'
+      });
+    }
+
+    if (ttlSeconds !== undefined &&
+        (!Number.isInteger(ttlSeconds) || ttlSeconds < 1 || ttlSeconds > MAX_CACHE_TTL_SECONDS)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid field: ttlSeconds (integer between 1 and ${MAX_CACHE_TTL_SECONDS})`
+      });
+    }
+
+    const settings = setAgentCacheSettings(req.agent.id, { enabled, ttlSeconds });
+
+    res.json({
+      success: true,
+      data: settings
+    });
+  } catch (error) {
+    logger.error('set_agent_cache_api_error', { error: error.message });
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /v1/agents/me/savings-baseline
+ * Savings baseline of the authenticated agent
+ *
+ * Response:
+ *   - success: boolean
+ *   - data: { provider, model, inputPrice, outputPrice } | null
+ *     Prices are the baseline's current rate (USD per 1M tokens); null when it has none
+ */
+router.get('/me/savings-baseline', requireScope('budget:manage'), async (req, res) => {
+  try {
+    const baseline = getSavingsBaseline(req.agent.id);
+    const rate = getBaselineRate(baseline);
+    const prices = rate ? getTokenPrices(rate) : null;
+
+    res.json({
+      success: true,
+      data: baseline && {
+        ...baseline,
+        inputPrice: prices?.input ?? null,
+        outputPrice: prices?.output ?? null
+      }
+    });
+  } catch (error) {
+    logger.error('get_savings_baseline_api_error', { error: error.message });
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /v1/agents/me/savings-baseline
+ * Declare the provider/model the agent would otherwise use; savings are measured against it
+ *
+ * Body:
+ *   - provider: string (required) - Provider name, e.g. 'openai'
+ *   - model: string (required) - Model id with a rate on record, e.g. 'gpt-4o'
+ *   Send { provider: null, model: null } to clear the baseline.
+ *
+ * Each request stores what the baseline would have cost for its tokens at the
+ * baseline's price at the time, so past savings don't change with later rates.
+ *
+ * Response:
+ *   - success: boolean
+ *   - data: { provider, model } | null
+ */
+router.put('/me/savings-baseline', requireScope('budget:manage'), async (req, res) => {
+  try {
+    const { provider, model } = req.body;
+
+    if (provider === null && model === null) {
+      return res.json({
+        success: true,
+        data: setSavingsBaseline(req.agent.id, null)
+      });
+    }
+
+    if (typeof provider !== 'string' || !provider || typeof model !== 'string' || !model) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing or invalid required fields: provider (string), model (string)'
+      });
+    }
+
+    if (!getBaselineRate({ provider, model })) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown model: no rate on record for ${provider}/${model}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: setSavingsBaseline(req.agent.id, { provider, model })
+    });
+  } catch (error) {
+    logger.error('set_savings_baseline_api_error', { error: error.message });
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Whether the authenticated key holds every scope in a list
+ * A key can only hand out (create or rotate into) scopes it has itself.
+ * @param {Object} req - Express request after requireScope
+ * @param {Array<string>} scopes
+ * @returns {boolean}
+ */
+const holdsScopes = (req, scopes) => scopes.every(scope => req.agent.scopes.includes(scope));
+
+/**
+ * GET /v1/agents/me/keys
+ * API keys of the authenticated agent (secrets are never listed)
+ *
+ * Response:
+ *   - success: boolean
+ *   - data: [{ id, name, prefix, scopes, status, expiresAt, lastUsedAt, revokedAt, rotatedFrom, createdAt }]
+ *     status: 'active' | 'expired' | 'revoked'
+ */
+router.get('/me/keys', requireScope('keys:manage'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: listAgentKeys(req.agent.id)
+    });
+  } catch (error) {
+    logger.error('list_agent_keys_api_error', { error: error.message });
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /v1/agents/me/keys
+ * Create an additional API key for the authenticated agent
+ *
+ * Body:
+ *   - name: string (required) - Label, e.g. 'ci' or 'billing-dashboard'
+ *   - scopes: string[] (required) - Any of 'rates:read', 'route', 'alerts:manage', 'budget:manage', 'keys:manage';
+ *       at most the scopes of the key making the call
+ *   - expiresAt: string (optional) - ISO 8601 expiry; omitted = never
+ *
+ * Response (201):
+ *   - success: boolean
+ *   - data: { id, name, prefix, scopes, status, expiresAt, ..., apiKey } - apiKey is only ever returned here
+ */
+router.post('/me/keys', requireScope('keys:manage'), async (req, res) => {
+  try {
+    const { name, scopes, expiresAt } = req.body;
+
+    const validationError = validateKeyOptions({ name, scopes, expiresAt });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    if (!holdsScopes(req, scopes)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Insufficient scope',
+        message: 'A key can only be created with scopes the calling key holds'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: createAgentKey(req.agent.id, { name, scopes, expiresAt })
+    });
+  } catch (error) {
+    logger.error('create_agent_key_api_error', { error: error.message });
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /v1/agents/me/keys/:keyId/rotate
+ * Issue a replacement key with the same name and scopes; the old key keeps
+ * working until the overlap window ends (or its own earlier expiry)
+ *
+ * Body:
+ *   - overlapSeconds: number (optional) - 0 to 604800 (default 86400)
+ *   - expiresAt: string (optional) - ISO 8601 expiry of the new key
+ *
+ * Response (201):
+ *   - success: boolean
+ *   - data: { key: { ..., apiKey }, previous: { ..., expiresAt } }
+ */
+router.post('/me/keys/:keyId/rotate', requireScope('keys:manage'), async (req, res) => {
+  try {
+    const keyId = parseInt(req.params.keyId);
+    const { overlapSeconds, expiresAt } = req.body;
+
+    if (overlapSeconds !== undefined &&
+        (!Number.isInteger(overlapSeconds) || overlapSeconds < 0 || overlapSeconds > MAX_ROTATION_OVERLAP_SECONDS)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid field: overlapSeconds (integer between 0 and ${MAX_ROTATION_OVERLAP_SECONDS})`
+      });
+    }
+
+    const existing = listAgentKeys(req.agent.id).find(key => key.id === keyId);
+
+    if (!existing || existing.status !== 'active') {
+      return res.status(404).json({
+        success: false,
+        error: 'Active key not found'
+      });
+    }
+
+    const validationError = validateKeyOptions({ name: existing.name, scopes: existing.scopes, expiresAt });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    if (!holdsScopes(req, existing.scopes)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Insufficient scope',
+        message: 'A key can only be rotated by a key holding all of its scopes'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: rotateAgentKey(req.agent.id, keyId, { overlapSeconds, expiresAt })
+    });
+  } catch (error) {
+    logger.error('rotate_agent_key_api_error', { error: error.message });
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /v1/agents/me/keys/:keyId
+ * Revoke a key immediately (it stays listed with status 'revoked')
+ * The calling key must hold every scope of the key it revokes (403 otherwise).
+ *
+ * Response:
+ *   - success: boolean
+ *   - data: { id, name, prefix, scopes, status, revokedAt, ... }
+ */
+router.delete('/me/keys/:keyId', requireScope('keys:manage'), async (req, res) => {
+  try {
+    const keyId = parseInt(req.params.keyId);
+    const existing = listAgentKeys(req.agent.id).find(key => key.id === keyId);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Key not found'
+      });
+    }
+
+    if (!holdsScopes(req, existing.scopes)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Insufficient scope',
+        message: 'A key can only be revoked by a key holding all of its scopes'
+      });
+    }
+
+    const revoked = revokeAgentKey(req.agent.id, keyId);
+
+    res.json({
+      success: true,
+      data: revoked
+    });
+  } catch (error) {
+    logger.error('revoke_agent_key_api_error', { error: error.message });
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
 export default router;
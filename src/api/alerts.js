@@ -7,6 +7,7 @@
 
 import express from 'express';
 import logger from '../logger.js';
+import { requireScope } from '../middleware/auth.js';
 import {
   createAlert,
   getAlertsByAgent,
@@ -18,6 +19,9 @@ import {
 
 const router = express.Router();
 
+// Alerts belong to the authenticated agent (req.agent.id)
+router.use(requireScope('alerts:manage'));
+
 /**
  * POST /v1/alerts — Create new price alert
  *
@@ -1,27 +1,348 @@
 import { Router } from 'express';
 import { getAll, getOne } from '../db/database.js';
-import { requireAuth } from '../middleware/auth.js';
+import { requireScope } from '../middleware/auth.js';
+import { percentile } from '../router/latency-stats.js';
+import { TAG_KEY_PATTERN, tagColumn } from '../router/tags.js';
 import logger from '../logger.js';
 
 const router = Router();
 
 // No auth middleware needed - x402 payment handles access control
 
+// Time bucket per granularity (request_log.created_at is UTC; weeks start Monday)
+const GRANULARITY_BUCKETS = {
+  hour: "strftime('%Y-%m-%d %H:00:00', created_at)",
+  day: 'DATE(created_at)',
+  week: "DATE(created_at, 'weekday 0', '-6 days')",
+  month: "strftime('%Y-%m-01', created_at)"
+};
+
+// groupBy dimension → request_log column ('tag:<key>' groups by a cost attribution tag)
+const GROUP_COLUMNS = {
+  provider: 'provider',
+  model: 'model',
+  task: 'category',
+  status: 'status'
+};
+
+const TAG_GROUP_PREFIX = 'tag:';
+
+// Usage export: one record per request_log row, read in pages of EXPORT_PAGE_SIZE
+const EXPORT_FORMATS = {
+  csv: 'text/csv; charset=utf-8',
+  jsonl: 'application/x-ndjson; charset=utf-8'
+};
+
+const EXPORT_COLUMNS = [
+  'id', 'createdAt', 'provider', 'model', 'task', 'status',
+  'tokensIn', 'tokensOut', 'cost', 'latencyMs', 'cacheHit', 'tags'
+];
+
+const EXPORT_PAGE_SIZE = 500;
+
+/**
+ * SQL expression for a groupBy dimension
+ * @param {string} key - Key of GROUP_COLUMNS or 'tag:<key>'
+ * @returns {string}
+ */
+const groupColumn = (key) => {
+  return key.startsWith(TAG_GROUP_PREFIX) ? tagColumn(key.slice(TAG_GROUP_PREFIX.length)) : GROUP_COLUMNS[key];
+};
+
+/**
+ * Format a Date like SQLite's CURRENT_TIMESTAMP (UTC, no 'T')
+ * @param {Date} date
+ * @returns {string}
+ */
+const toSqlTimestamp = (date) => date.toISOString().slice(0, 19).replace('T', ' ');
+
+/**
+ * Percent change from previous to current, or null without a previous value
+ * @param {number} current
+ * @param {number} previous
+ * @returns {number|null} Rounded to 0.1
+ */
+const percentChange = (current, previous) => {
+  return previous ? Math.round(((current - previous) / previous) * 1000) / 10 : null;
+};
+
+/**
+ * Parse `tag` filters: 'key:value', repeatable; every filter must match
+ * @param {string|Array<string>} tag - Query value(s)
+ * @returns {Object} { tags } or { error }
+ */
+const parseTagFilters = (tag) => {
+  const tags = {};
+
+  for (const filter of [].concat(tag ?? [])) {
+    const separator = String(filter).indexOf(':');
+    const key = String(filter).slice(0, separator);
+
+    if (separator < 1 || !TAG_KEY_PATTERN.test(key) || separator === String(filter).length - 1) {
+      return { error: "Invalid tag filter. Must be 'key:value', e.g. tag=project:search" };
+    }
+
+    tags[key] = String(filter).slice(separator + 1);
+  }
+
+  return { tags };
+};
+
+/**
+ * WHERE clause selecting an agent's requests in a window, narrowed by tag filters
+ * @param {number} agentId - Agent ID
+ * @param {Object} window - { start, end }
+ * @param {Object} tags - { key: value } filters
+ * @returns {Object} { where, params }
+ */
+const requestScope = (agentId, { start, end }, tags = {}) => {
+  const tagKeys = Object.keys(tags);
+
+  return {
+    where: ['agent_id = ? AND created_at >= ? AND created_at < ?', ...tagKeys.map(key => `${tagColumn(key)} = ?`)].join(' AND '),
+    params: [agentId, toSqlTimestamp(start), toSqlTimestamp(end), ...tagKeys.map(key => tags[key])]
+  };
+};
+
+/**
+ * Parse the analytics query string
+ * Without from/to the window is the current UTC calendar month and the comparison
+ * window the previous month; otherwise the comparison is the same span right before from.
+ * @param {Object} query - { from, to, granularity, groupBy, tag }
+ * @param {Date} now - Reference time
+ * @returns {Object} { error } or { period, window, previous, granularity, groupBy, tags }
+ *   window/previous: { start: Date, end: Date } (end exclusive)
+ */
+const parseAnalyticsQuery = (query = {}, now = new Date()) => {
+  const { from, to, granularity = 'day', groupBy } = query;
+
+  if (!Object.hasOwn(GRANULARITY_BUCKETS, granularity)) {
+    return { error: `Invalid granularity. Must be one of: ${Object.keys(GRANULARITY_BUCKETS).join(', ')}` };
+  }
+
+  const groupKeys = groupBy ? [...new Set(String(groupBy).split(',').map(key => key.trim()))] : [];
+  const isGroupKey = (key) => Object.hasOwn(GROUP_COLUMNS, key) ||
+    (key.startsWith(TAG_GROUP_PREFIX) && TAG_KEY_PATTERN.test(key.slice(TAG_GROUP_PREFIX.length)));
+
+  if (!groupKeys.every(isGroupKey)) {
+    return { error: `Invalid groupBy. Must be a comma-separated list of: ${Object.keys(GROUP_COLUMNS).join(', ')}, tag:<key>` };
+  }
+
+  const { tags, error: tagError } = parseTagFilters(query.tag);
+  if (tagError) {
+    return { error: tagError };
+  }
+
+  if (from === undefined && to === undefined) {
+    const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+
+    return {
+      period: start.toISOString().slice(0, 7),
+      window: { start, end: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)) },
+      previous: { start: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1)), end: start },
+      granularity,
+      groupBy: groupKeys,
+      tags
+    };
+  }
+
+  if (from === undefined) {
+    return { error: 'Missing required field: from (ISO 8601 date or timestamp) when to is set' };
+  }
+
+  const start = new Date(from);
+  const end = to === undefined ? now : new Date(to);
+
+  if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+    return { error: 'Invalid from/to. Must be ISO 8601 dates or timestamps' };
+  }
+
+  if (end <= start) {
+    return { error: 'to must be after from' };
+  }
+
+  return {
+    period: null,
+    window: { start, end },
+    previous: { start: new Date(start.getTime() - (end - start)), end: start },
+    granularity,
+    groupBy: groupKeys,
+    tags
+  };
+};
+
+/**
+ * Totals and per-request cost percentiles for one window
+ * Percentiles cover successful requests with a known cost.
+ * @param {number} agentId - Agent ID
+ * @param {Object} window - { start, end }
+ * @param {Object} tags - Tag filters
+ * @returns {Object} { from, to, totalSpent, totalRequests, avgCostPerRequest, p50Cost, p95Cost }
+ */
+const summarizeWindow = (agentId, { start, end }, tags) => {
+  const { where, params } = requestScope(agentId, { start, end }, tags);
+
+  const summary = getOne(`
+    SELECT
+      SUM(cost) as totalSpent,
+      COUNT(*) as totalRequests,
+      AVG(cost) as avgCostPerRequest
+    FROM request_log
+    WHERE ${where}
+  `, params);
+
+  const costs = getAll(`
+    SELECT cost FROM request_log
+    WHERE ${where} AND status = 'success' AND cost IS NOT NULL
+    ORDER BY cost ASC
+  `, params).map(row => row.cost);
+
+  return {
+    from: start.toISOString(),
+    to: end.toISOString(),
+    totalSpent: summary?.totalSpent || 0,
+    totalRequests: summary?.totalRequests || 0,
+    avgCostPerRequest: summary?.avgCostPerRequest || 0,
+    p50Cost: percentile(costs, 50),
+    p95Cost: percentile(costs, 95)
+  };
+};
+
+/**
+ * Spend per group (e.g. per provider and model) for one window
+ * @param {number} agentId - Agent ID
+ * @param {Object} window - { start, end }
+ * @param {Array<string>} groupBy - Keys of GROUP_COLUMNS or 'tag:<key>'
+ * @param {Object} tags - Tag filters
+ * @returns {Array<Object>} [{ ...group keys, spent, requests, avgCost, p50Cost, p95Cost }], highest spend first
+ */
+const summarizeGroups = (agentId, { start, end }, groupBy, tags) => {
+  const { where, params } = requestScope(agentId, { start, end }, tags);
+  const columns = groupBy.map(key => `${groupColumn(key)} as "${key}"`).join(', ');
+  const groupKey = (row) => JSON.stringify(groupBy.map(key => row[key]));
+
+  const groups = getAll(`
+    SELECT ${columns}, SUM(cost) as spent, COUNT(*) as requests, AVG(cost) as avgCost
+    FROM request_log
+    WHERE ${where}
+    GROUP BY ${groupBy.map(groupColumn).join(', ')}
+    ORDER BY spent DESC
+  `, params);
+
+  const costsByGroup = new Map();
+  getAll(`
+    SELECT ${columns}, cost FROM request_log
+    WHERE ${where} AND status = 'success' AND cost IS NOT NULL
+    ORDER BY cost ASC
+  `, params).forEach(row => {
+    const key = groupKey(row);
+    costsByGroup.set(key, [...(costsByGroup.get(key) || []), row.cost]);
+  });
+
+  return groups.map(group => {
+    const costs = costsByGroup.get(groupKey(group)) || [];
+
+    return {
+      ...group,
+      spent: group.spent || 0,
+      avgCost: group.avgCost || 0,
+      p50Cost: percentile(costs, 50),
+      p95Cost: percentile(costs, 95)
+    };
+  });
+};
+
+/**
+ * Shape a request_log row for export
+ * @param {Object} row - request_log row
+ * @returns {Object} Keys of EXPORT_COLUMNS; createdAt is ISO 8601 UTC, tags an object or null
+ */
+const toExportRecord = (row) => ({
+  id: row.id,
+  createdAt: `${row.created_at.replace(' ', 'T')}Z`,
+  provider: row.provider,
+  model: row.model,
+  task: row.category,
+  status: row.status,
+  tokensIn: row.tokens_in,
+  tokensOut: row.tokens_out,
+  cost: row.cost,
+  latencyMs: row.latency_ms,
+  cacheHit: row.cache_hit === 1,
+  tags: row.tags ? JSON.parse(row.tags) : null
+});
+
+// Leading characters that make spreadsheets read a cell as a formula
+const CSV_FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Quote a CSV field when needed (RFC 4180); null becomes an empty field, tags a JSON string
+ * Text that a spreadsheet would run as a formula (client-supplied task names,
+ * models, ...) is prefixed with ' so it opens as plain text (CSV injection).
+ * @param {*} value
+ * @returns {string}
+ */
+const toCsvField = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+  if (typeof value === 'string' && CSV_FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Resolve once the response can take more data (or the client went away)
+ * @param {Object} res - Express response
+ * @returns {Promise<void>}
+ */
+const waitForDrain = (res) => new Promise(resolve => {
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+
+  res.on('drain', done);
+  res.on('close', done);
+});
+
 /**
  * GET /v1/analytics/:agentId
  * Get analytics summary for an agent
  *
+ * Query:
+ *   - from: string (optional) - Window start, ISO 8601 (default: start of the current UTC month)
+ *   - to: string (optional) - Window end, exclusive (default: now, or end of the month without from)
+ *   - granularity: string (optional) - 'hour' | 'day' | 'week' | 'month' buckets for series (default 'day')
+ *   - groupBy: string (optional) - Comma-separated 'provider', 'model', 'task', 'status', 'tag:<key>'
+ *       (e.g. 'tag:project'; requests without that tag group under null)
+ *   - tag: string (optional, repeatable) - 'key:value' filter on the request's tags, e.g. tag=env:prod;
+ *       applies to every figure, including the previous window
+ *
  * Response:
  *   - success: boolean
  *   - data: {
- *       period,
+ *       period,                // YYYY-MM for the default month window, null with from/to
+ *       from, to, granularity, groupBy, tags,  // tags: the tag filters applied
  *       totalSpent,
  *       totalRequests,
  *       avgCostPerRequest,
+ *       p50Cost, p95Cost,      // per successful request with a known cost
  *       byProvider: { name: spent },
  *       byTask: { category: spent },
- *       daily: [{ date, spent, requests }]
+ *       daily: [{ date, spent, requests }],
+ *       series: [{ bucket, ...group keys, spent, requests }],
+ *       groups: [{ ...group keys, spent, requests, avgCost, p50Cost, p95Cost, previousSpent, spentChange }] | null,
+ *       previous: { from, to, totalSpent, totalRequests, avgCostPerRequest, p50Cost, p95Cost },
+ *       change: { spent, requests, avgCostPerRequest }  // percent vs previous, null when previous is 0
  *     }
+ *   The previous window is the previous month by default, else the same span right before from.
  */
 router.get('/:agentId', async (req, res) => {
   try {
@@ -34,28 +355,29 @@ router.get('/:agentId', async (req, res) => {
       });
     }
 
-    // Get current period
-    const now = new Date();
-    const period = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+    const query = parseAnalyticsQuery(req.query);
 
-    // Total spent and requests this month
-    const summary = getOne(`
-      SELECT
-        SUM(cost) as totalSpent,
-        COUNT(*) as totalRequests,
-        AVG(cost) as avgCostPerRequest
-      FROM request_log
-      WHERE agent_id = ? AND strftime('%Y-%m', created_at) = ?
-    `, [agentId, period]);
+    if (query.error) {
+      return res.status(400).json({
+        success: false,
+        error: query.error
+      });
+    }
+
+    const { period, window, previous, granularity, groupBy, tags } = query;
+    const { where, params } = requestScope(agentId, window, tags);
+
+    const summary = summarizeWindow(agentId, window, tags);
+    const previousSummary = summarizeWindow(agentId, previous, tags);
 
     // By provider
     const byProvider = {};
     const providerData = getAll(`
       SELECT provider, SUM(cost) as spent
       FROM request_log
-      WHERE agent_id = ? AND strftime('%Y-%m', created_at) = ?
+      WHERE ${where}
       GROUP BY provider
-    `, [agentId, period]);
+    `, params);
 
     providerData.forEach(row => {
       byProvider[row.provider] = row.spent;
@@ -66,9 +388,9 @@ router.get('/:agentId', async (req, res) => {
     const taskData = getAll(`
       SELECT category, SUM(cost) as spent
       FROM request_log
-      WHERE agent_id = ? AND strftime('%Y-%m', created_at) = ?
+      WHERE ${where}
       GROUP BY category
-    `, [agentId, period]);
+    `, params);
 
     taskData.forEach(row => {
       byTask[row.category || 'unknown'] = row.spent;
@@ -81,21 +403,60 @@ router.get('/:agentId', async (req, res) => {
         SUM(cost) as spent,
         COUNT(*) as requests
       FROM request_log
-      WHERE agent_id = ? AND strftime('%Y-%m', created_at) = ?
+      WHERE ${where}
       GROUP BY DATE(created_at)
       ORDER BY date ASC
-    `, [agentId, period]);
+    `, params);
+
+    // Time series at the requested granularity, split by the groupBy dimensions
+    const bucket = GRANULARITY_BUCKETS[granularity];
+    const groupColumns = groupBy.map(groupColumn);
+    const series = getAll(`
+      SELECT
+        ${bucket} as bucket,
+        ${groupBy.map(key => `${groupColumn(key)} as "${key}", `).join('')}SUM(cost) as spent,
+        COUNT(*) as requests
+      FROM request_log
+      WHERE ${where}
+      GROUP BY ${[bucket, ...groupColumns].join(', ')}
+      ORDER BY bucket ASC
+    `, params).map(row => ({ ...row, spent: row.spent || 0 }));
+
+    let groups = null;
+    if (groupBy.length > 0) {
+      const groupKey = (row) => JSON.stringify(groupBy.map(key => row[key]));
+      const previousSpent = new Map(summarizeGroups(agentId, previous, groupBy, tags).map(group => [groupKey(group), group.spent]));
+
+      groups = summarizeGroups(agentId, window, groupBy, tags).map(group => ({
+        ...group,
+        previousSpent: previousSpent.get(groupKey(group)) || 0,
+        spentChange: percentChange(group.spent, previousSpent.get(groupKey(group)) || 0)
+      }));
+    }
+
+    const { from, to, ...totals } = summary;
 
     res.json({
       success: true,
       data: {
         period,
-        totalSpent: summary?.totalSpent || 0,
-        totalRequests: summary?.totalRequests || 0,
-        avgCostPerRequest: summary?.avgCostPerRequest || 0,
+        from,
+        to,
+        granularity,
+        groupBy,
+        tags,
+        ...totals,
         byProvider,
         byTask,
-        daily
+        daily,
+        series,
+        groups,
+        previous: previousSummary,
+        change: {
+          spent: percentChange(summary.totalSpent, previousSummary.totalSpent),
+          requests: percentChange(summary.totalRequests, previousSummary.totalRequests),
+          avgCostPerRequest: percentChange(summary.avgCostPerRequest, previousSummary.avgCostPerRequest)
+        }
       }
     });
   } catch (error) {
@@ -111,11 +472,21 @@ router.get('/:agentId', async (req, res) => {
 
 /**
  * GET /v1/analytics/:agentId/savings
- * Calculate savings vs. most expensive provider
+ * Savings against the agent's declared baseline (PUT /v1/agents/me/savings-baseline)
+ *
+ * Uses what each request_log row stored at the time of the call, so past savings
+ * don't move when rates change. Requests made without a baseline are counted
+ * in requestsWithoutBaseline and left out.
+ *
+ * Query:
+ *   - from, to: string (optional) - Window, as for GET /v1/analytics/:agentId (default: current UTC month)
+ *   - tag: string (optional, repeatable) - 'key:value' tag filter, as for GET /v1/analytics/:agentId
  *
  * Response:
  *   - success: boolean
- *   - data: { totalSavings, savingsPercent, comparedTo }
+ *   - data: { from, to, totalSavings, savingsPercent, comparedTo, baselineCost, actualCost, requests,
+ *       requestsWithoutBaseline, byBaseline: [{ provider, model, requests, baselineCost, actualCost, savings }] }
+ *     totalSavings is negative when the baseline was cheaper
  */
 router.get('/:agentId/savings', async (req, res) => {
   try {
@@ -128,67 +499,65 @@ router.get('/:agentId/savings', async (req, res) => {
       });
     }
 
-    // Get current period
-    const now = new Date();
-    const period = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+    const query = parseAnalyticsQuery({ from: req.query.from, to: req.query.to, tag: req.query.tag });
 
-    // Get all requests this month
-    const requests = getAll(`
-      SELECT provider, category, tokens_in, tokens_out, cost
-      FROM request_log
-      WHERE agent_id = ? AND strftime('%Y-%m', created_at) = ? AND status = 'success'
-    `, [agentId, period]);
-
-    if (requests.length === 0) {
-      return res.json({
-        success: true,
-        data: {
-          totalSavings: 0,
-          savingsPercent: 0,
-          comparedTo: 'No requests yet'
-        }
+    if (query.error) {
+      return res.status(400).json({
+        success: false,
+        error: query.error
       });
     }
 
-    // For each request, find the most expensive provider for that category
-    let totalActualCost = 0;
-    let totalExpensiveCost = 0;
-
-    for (const request of requests) {
-      totalActualCost += request.cost;
-
-      // Find most expensive rate for this category
-      const expensiveRate = getOne(`
-        SELECT MAX(input_price + output_price) as max_price, p.name as provider_name
-        FROM rates r
-        JOIN providers p ON r.provider_id = p.id
-        WHERE r.category = ?
-        GROUP BY p.name
-        ORDER BY max_price DESC
-        LIMIT 1
-      `, [request.category || '']);
-
-      if (expensiveRate) {
-        // Calculate what this request would have cost with most expensive provider
-        const hypotheticalCost = (
-          (request.tokens_in / 1_000_000) * (expensiveRate.max_price / 2) +
-          (request.tokens_out / 1_000_000) * (expensiveRate.max_price / 2)
-        );
-        totalExpensiveCost += hypotheticalCost;
-      } else {
-        totalExpensiveCost += request.cost; // no comparison available
-      }
-    }
+    const { window, tags } = query;
+    const { where, params } = requestScope(agentId, window, tags);
 
-    const totalSavings = totalExpensiveCost - totalActualCost;
-    const savingsPercent = totalExpensiveCost > 0 ? (totalSavings / totalExpensiveCost) * 100 : 0;
+    const byBaseline = getAll(`
+      SELECT
+        baseline_provider as provider,
+        baseline_model as model,
+        COUNT(*) as requests,
+        SUM(baseline_cost) as baselineCost,
+        SUM(cost) as actualCost,
+        SUM(savings) as savings
+      FROM request_log
+      WHERE ${where} AND savings IS NOT NULL
+      GROUP BY baseline_provider, baseline_model
+      ORDER BY requests DESC
+    `, params);
+
+    const withoutBaseline = getOne(`
+      SELECT COUNT(*) as requests
+      FROM request_log
+      WHERE ${where} AND status IN ('success', 'cancelled') AND savings IS NULL
+    `, params);
+
+    const totals = byBaseline.reduce((sum, row) => ({
+      requests: sum.requests + row.requests,
+      baselineCost: sum.baselineCost + row.baselineCost,
+      actualCost: sum.actualCost + row.actualCost,
+      savings: sum.savings + row.savings
+    }), { requests: 0, baselineCost: 0, actualCost: 0, savings: 0 });
+
+    let comparedTo = 'No savings baseline declared (PUT /v1/agents/me/savings-baseline)';
+    if (byBaseline.length === 1) {
+      comparedTo = `${byBaseline[0].provider}/${byBaseline[0].model}`;
+    } else if (byBaseline.length > 1) {
+      comparedTo = 'Declared baselines over the window (see byBaseline)';
+    }
 
     res.json({
       success: true,
       data: {
-        totalSavings: Math.round(totalSavings * 100) / 100,
-        savingsPercent: Math.round(savingsPercent * 10) / 10,
-        comparedTo: 'Most expensive provider for each category'
+        from: window.start.toISOString(),
+        to: window.end.toISOString(),
+        totalSavings: totals.savings,
+        savingsPercent: totals.baselineCost > 0 ? Math.round((totals.savings / totals.baselineCost) * 1000) / 10 : 0,
+        comparedTo,
+        baselineCost: totals.baselineCost,
+        actualCost: totals.actualCost,
+        requests: totals.requests,
+        requestsWithoutBaseline: withoutBaseline?.requests || 0,
+        byBaseline
       }
     });
   } catch (error) {
@@ -202,4 +571,124 @@ router.get('/:agentId/savings', async (req, res) => {
   }
 });
 
+/**
+ * GET /v1/analytics/:agentId/export
+ * Raw usage export, one record per request_log row, oldest first
+ * Requires an API key with the 'budget:manage' scope belonging to :agentId (403 otherwise).
+ *
+ * Query:
+ *   - format: string (optional) - 'csv' (header row, tags as a JSON field) or 'jsonl' (default 'csv')
+ *   - from, to: string (optional) - Window, as for GET /v1/analytics/:agentId (default: current UTC month)
+ *   - tag: string (optional, repeatable) - 'key:value' tag filter, as for GET /v1/analytics/:agentId
+ *
+ * Response: streamed as an attachment. Fields: id, createdAt, provider, model, task, status,
+ *   tokensIn, tokensOut, cost (empty/null when unknown), latencyMs, cacheHit, tags.
+ *   Rows are read EXPORT_PAGE_SIZE at a time and written as the client keeps up, so an
+ *   export never holds the whole window in memory or the database connection between pages.
+ */
+router.get('/:agentId/export', requireScope('budget:manage'), async (req, res) => {
+  try {
+    const agentId = parseInt(req.params.agentId);
+
+    if (isNaN(agentId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid agentId'
+      });
+    }
+
+    if (agentId !== req.agent.id) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: "An API key can only export its own agent's usage"
+      });
+    }
+
+    const format = req.query.format || 'csv';
+
+    if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid format. Must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+      });
+    }
+
+    const query = parseAnalyticsQuery({ from: req.query.from, to: req.query.to, tag: req.query.tag });
+
+    if (query.error) {
+      return res.status(400).json({
+        success: false,
+        error: query.error
+      });
+    }
+
+    const { window, tags } = query;
+    const { where, params } = requestScope(agentId, window, tags);
+    const filename = `usage-${agentId}-${window.start.toISOString().slice(0, 10)}-${window.end.toISOString().slice(0, 10)}.${format}`;
+
+    res.writeHead(200, {
+      'Content-Type': EXPORT_FORMATS[format],
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Cache-Control': 'no-store'
+    });
+
+    if (format === 'csv') {
+      res.write(`${EXPORT_COLUMNS.join(',')}\n`);
+    }
+
+    let lastId = 0;
+    let exported = 0;
+
+    while (!res.destroyed) {
+      const rows = getAll(`
+        SELECT id, created_at, provider, model, category, status, tokens_in, tokens_out, cost, latency_ms, cache_hit, tags
+        FROM request_log
+        WHERE ${where} AND id > ?
+        ORDER BY id ASC
+        LIMIT ?
+      `, [...params, lastId, EXPORT_PAGE_SIZE]);
+
+      if (rows.length === 0) {
+        break;
+      }
+
+      const chunk = rows.map(row => {
+        const record = toExportRecord(row);
+        return format === 'csv'
+          ? EXPORT_COLUMNS.map(column => toCsvField(record[column])).join(',')
+          : JSON.stringify(record);
+      }).join('\n');
+
+      lastId = rows[rows.length - 1].id;
+      exported += rows.length;
+
+      if (!res.write(`${chunk}\n`)) {
+        await waitForDrain(res);
+      }
+
+      if (rows.length < EXPORT_PAGE_SIZE) {
+        break;
+      }
+    }
+
+    logger.info('usage_exported', { agentId, format, rows: exported, aborted: res.destroyed });
+
+    res.end();
+  } catch (error) {
+    logger.error('usage_export_api_error', { error: error.message });
+
+    // Mid-stream the status is already sent: cut the connection so a partial file is not mistaken for a full one
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
 export default router;
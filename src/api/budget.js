@@ -1,13 +1,38 @@
 import { Router } from 'express';
 import { setBudget, getBudgetStatus } from '../router/budget.js';
+import {
+  BUDGET_GROUP_KINDS,
+  validateBudgetLimit,
+  setBudgetLimit,
+  getBudgetLimit,
+  deleteBudgetLimit,
+  createBudgetGroup,
+  getBudgetGroup,
+  setAgentBudgetGroup,
+  getAgentBudgetGroups,
+  checkBudgetGroupMove,
+  getBudgetGroupInvite,
+  createBudgetGroupInvite,
+  listBudgetGroupInvites,
+  respondToBudgetGroupInvite
+} from '../router/budget-limits.js';
+import {
+  validateBudgetAlert,
+  createBudgetAlert,
+  getBudgetAlert,
+  listBudgetAlerts,
+  deleteBudgetAlert
+} from '../alerts/budget-alerts.js';
+import { validateDowngradePolicy, getDowngradePolicy, setDowngradePolicy } from '../router/downgrade.js';
+import { getAgentById } from '../db/agents.js';
 import { getAll } from '../db/database.js';
-import { requireAuth } from '../middleware/auth.js';
+import { requireScope } from '../middleware/auth.js';
 import logger from '../logger.js';
 
 const router = Router();
 
 // Apply auth middleware - budget is a FREE endpoint (no x402 payment)
-router.use(requireAuth);
+router.use(requireScope('budget:manage'));
 
 /**
  * POST /v1/budget
@@ -55,13 +80,642 @@ router.post('/', async (req, res) => {
   }
 });
 
+/**
+ * Load a budget group the authenticated agent owns, or send the 404/403
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {number} groupId - Group ID
+ * @returns {Object|null} budget_groups row, or null when a response was sent
+ */
+const getOwnedGroup = (req, res, groupId) => {
+  const group = Number.isInteger(groupId) ? getBudgetGroup(groupId) : null;
+
+  if (!group) {
+    res.status(404).json({
+      success: false,
+      error: 'Budget group not found'
+    });
+    return null;
+  }
+
+  if (group.owner_agent_id !== req.agent.id) {
+    res.status(403).json({
+      success: false,
+      error: 'Forbidden. You do not own this budget group.'
+    });
+    return null;
+  }
+
+  return group;
+};
+
+/**
+ * POST /v1/budget/limits
+ * Create or update a budget limit for the authenticated agent or a group it owns
+ *
+ * Body:
+ *   - period: string (required) - 'daily' | 'weekly' | 'monthly' | 'custom' (UTC calendar windows; weeks start Monday)
+ *   - limit: number (required) - Spending limit in USD for the period
+ *   - provider: string (optional) - Only count spend on this provider (e.g. 'openai')
+ *   - task: string (optional) - Only count spend on this task category (e.g. 'summarization')
+ *   - startsAt, endsAt: string (custom only) - ISO 8601 window bounds
+ *   - groupId: number (optional) - Set the limit on this budget group instead of the agent
+ *
+ * A limit with the same owner, period, window, provider and task is updated.
+ *
+ * Response:
+ *   - success: boolean
+ *   - data: { id, owner: { type, id }, period, startsAt, endsAt, provider, task, limit }
+ */
+router.post('/limits', async (req, res) => {
+  try {
+    const { period, limit, provider, task, startsAt, endsAt, groupId } = req.body;
+
+    if (!req.agent) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+
+    const validationError = validateBudgetLimit({ period, limit, provider, task, startsAt, endsAt });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    if (groupId !== undefined && !getOwnedGroup(req, res, groupId)) {
+      return;
+    }
+
+    const result = setBudgetLimit({
+      ...(groupId !== undefined ? { groupId } : { agentId: req.agent.id }),
+      period,
+      limit,
+      provider: provider || null,
+      task: task || null,
+      startsAt,
+      endsAt
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error('set_budget_limit_api_error', { error: error.message });
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /v1/budget/limits/:limitId
+ * Delete a limit of the authenticated agent or of a group it owns
+ */
+router.delete('/limits/:limitId', async (req, res) => {
+  try {
+    const limitId = parseInt(req.params.limitId, 10);
+    const limit = isNaN(limitId) ? null : getBudgetLimit(limitId);
+
+    if (!limit) {
+      return res.status(404).json({
+        success: false,
+        error: 'Budget limit not found'
+      });
+    }
+
+    const ownerAgentId = limit.group_id ? getBudgetGroup(limit.group_id)?.owner_agent_id : limit.agent_id;
+
+    if (ownerAgentId !== req.agent?.id) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden. You do not own this budget limit.'
+      });
+    }
+
+    deleteBudgetLimit(limitId);
+
+    res.json({
+      success: true,
+      message: 'Budget limit deleted'
+    });
+  } catch (error) {
+    logger.error('delete_budget_limit_api_error', { error: error.message });
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /v1/budget/groups
+ * Create an organization or team budget group owned by the authenticated agent
+ *
+ * Body:
+ *   - name: string (required)
+ *   - kind: string (optional) - 'organization' | 'team' (default 'team')
+ *   - parentId: number (optional) - Group this one rolls up into (must be owned by the agent)
+ *
+ * Response:
+ *   - success: boolean
+ *   - data: { id, name, kind, parentId, ownerAgentId }
+ */
+router.post('/groups', async (req, res) => {
+  try {
+    const { name, kind = 'team', parentId } = req.body;
+
+    if (!req.agent) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+
+    if (typeof name !== 'string' || name.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing or invalid required field: name (string)'
+      });
+    }
+
+    if (!BUDGET_GROUP_KINDS.includes(kind)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid kind. Must be one of: ${BUDGET_GROUP_KINDS.join(', ')}`
+      });
+    }
+
+    if (parentId !== undefined && !getOwnedGroup(req, res, parentId)) {
+      return;
+    }
+
+    const group = createBudgetGroup({
+      name: name.trim(),
+      kind,
+      parentId: parentId ?? null,
+      ownerAgentId: req.agent.id
+    });
+
+    res.json({
+      success: true,
+      data: group
+    });
+  } catch (error) {
+    logger.error('create_budget_group_api_error', { error: error.message });
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /v1/budget/groups/:groupId/agents
+ * Add an agent to a group the authenticated agent owns (its spend then rolls up
+ * into the group and the group's parents). An agent belongs to one group at a time.
+ * The owner itself joins at once; any other agent is sent an invite and only joins
+ * once it accepts (POST /v1/budget/invites/:inviteId/accept). An agent cannot be
+ * moved out of a group that another agent placed it in (403).
+ *
+ * Body:
+ *   - agentId: number (required)
+ *
+ * Response:
+ *   - 200 data: { agentId, groupId } when the owner added itself
+ *   - 201 data: { id, groupId, groupName, agentId, invitedBy, status: 'pending', createdAt, respondedAt }
+ */
+router.post('/groups/:groupId/agents', async (req, res) => {
+  try {
+    const group = getOwnedGroup(req, res, parseInt(req.params.groupId, 10));
+    if (!group) {
+      return;
+    }
+
+    const { agentId } = req.body;
+    const agent = Number.isInteger(agentId) ? getAgentById(agentId) : null;
+
+    if (!agent) {
+      return res.status(404).json({
+        success: false,
+        error: 'Agent not found'
+      });
+    }
+
+    if (agent.budget_group_id === group.id) {
+      return res.status(409).json({
+        success: false,
+        error: 'Agent is already in this budget group'
+      });
+    }
+
+    if (agentId !== req.agent.id) {
+      const invite = createBudgetGroupInvite(group.id, agentId, req.agent.id);
+
+      return res.status(201).json({
+        success: true,
+        data: invite
+      });
+    }
+
+    const moveError = checkBudgetGroupMove(agentId, group.id);
+    if (moveError) {
+      return res.status(403).json({
+        success: false,
+        error: moveError
+      });
+    }
+
+    setAgentBudgetGroup(agentId, group.id);
+
+    res.json({
+      success: true,
+      data: { agentId, groupId: group.id }
+    });
+  } catch (error) {
+    logger.error('add_budget_group_agent_api_error', { error: error.message });
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /v1/budget/groups/:groupId/agents/:agentId
+ * Remove an agent from a group the authenticated agent owns
+ */
+router.delete('/groups/:groupId/agents/:agentId', async (req, res) => {
+  try {
+    const group = getOwnedGroup(req, res, parseInt(req.params.groupId, 10));
+    if (!group) {
+      return;
+    }
+
+    const agentId = parseInt(req.params.agentId, 10);
+    const agent = isNaN(agentId) ? null : getAgentById(agentId);
+
+    if (!agent || agent.budget_group_id !== group.id) {
+      return res.status(404).json({
+        success: false,
+        error: 'Agent is not in this budget group'
+      });
+    }
+
+    setAgentBudgetGroup(agentId, null);
+
+    res.json({
+      success: true,
+      message: 'Agent removed from budget group'
+    });
+  } catch (error) {
+    logger.error('remove_budget_group_agent_api_error', { error: error.message });
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /v1/budget/invites
+ * Pending budget group invites addressed to the authenticated agent
+ *
+ * Response:
+ *   - success: boolean
+ *   - data: [{ id, groupId, groupName, agentId, invitedBy, status, createdAt, respondedAt }]
+ */
+router.get('/invites', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: listBudgetGroupInvites(req.agent.id)
+    });
+  } catch (error) {
+    logger.error('list_budget_group_invites_api_error', { error: error.message });
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /v1/budget/invites/:inviteId/accept
+ * POST /v1/budget/invites/:inviteId/decline
+ * Answer a pending invite addressed to the authenticated agent; accepting moves
+ * the agent into the group (403 when that would leave a group another agent placed it in)
+ *
+ * Response:
+ *   - success: boolean
+ *   - data: { id, groupId, groupName, agentId, invitedBy, status, createdAt, respondedAt }
+ */
+router.post('/invites/:inviteId/:answer(accept|decline)', async (req, res) => {
+  try {
+    const inviteId = parseInt(req.params.inviteId, 10);
+    const invite = isNaN(inviteId) ? null : getBudgetGroupInvite(inviteId);
+    const accept = req.params.answer === 'accept';
+
+    if (!invite || invite.agent_id !== req.agent.id || invite.status !== 'pending') {
+      return res.status(404).json({
+        success: false,
+        error: 'Pending budget group invite not found'
+      });
+    }
+
+    const moveError = accept ? checkBudgetGroupMove(req.agent.id, invite.group_id) : null;
+    if (moveError) {
+      return res.status(403).json({
+        success: false,
+        error: moveError
+      });
+    }
+
+    res.json({
+      success: true,
+      data: respondToBudgetGroupInvite(inviteId, accept)
+    });
+  } catch (error) {
+    logger.error('respond_budget_group_invite_api_error', { error: error.message });
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /v1/budget/alerts
+ * Notify the authenticated agent as spend approaches a budget
+ *
+ * Body:
+ *   - limitId: number (optional) - Budget limit to watch (own, or a group limit the agent
+ *     owns or belongs to). Omit to watch the monthly budget (POST /v1/budget).
+ *   - thresholds: number[] (optional) - Percents of the limit (default [50, 80, 100])
+ *   - projectedOverrun: boolean (optional) - Warn when spend is on pace to exceed the limit (default true)
+ *   - notifyMethod: string (required) - 'webhook' | 'email' | 'websocket'
+ *   - webhookUrl: string (required for webhook)
+ *   - email: string (required for email)
+ *
+ * Each threshold and the overrun warning fire once per budget window. Payloads have
+ * event: 'budget_alert', kind: 'threshold' | 'projected_overrun'.
+ *
+ * Response:
+ *   - success: boolean
+ *   - data: { id, agentId, limitId, thresholds, projectedOverrun, notifyMethod, webhookUrl, email, status, createdAt }
+ */
+router.post('/alerts', async (req, res) => {
+  try {
+    const { limitId, thresholds, projectedOverrun, notifyMethod, webhookUrl, email } = req.body;
+
+    if (!req.agent) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+
+    const validationError = validateBudgetAlert({ thresholds, projectedOverrun, notifyMethod, webhookUrl, email });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    if (limitId !== undefined) {
+      const limit = Number.isInteger(limitId) ? getBudgetLimit(limitId) : null;
+
+      if (!limit) {
+        return res.status(404).json({
+          success: false,
+          error: 'Budget limit not found'
+        });
+      }
+
+      const visible = limit.group_id
+        ? getBudgetGroup(limit.group_id)?.owner_agent_id === req.agent.id ||
+          getAgentBudgetGroups(req.agent.id).some(group => group.id === limit.group_id)
+        : limit.agent_id === req.agent.id;
+
+      if (!visible) {
+        return res.status(403).json({
+          success: false,
+          error: 'Forbidden. This budget limit does not apply to you.'
+        });
+      }
+    }
+
+    const alert = createBudgetAlert({
+      agentId: req.agent.id,
+      limitId: limitId ?? null,
+      thresholds,
+      projectedOverrun,
+      notifyMethod,
+      webhookUrl,
+      email
+    });
+
+    res.json({
+      success: true,
+      data: alert
+    });
+  } catch (error) {
+    logger.error('create_budget_alert_api_error', { error: error.message });
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /v1/budget/alerts
+ * List the authenticated agent's budget alerts with their latest firings
+ *
+ * Response:
+ *   - success: boolean
+ *   - data: [{ ...alert, firings: [{ id, periodKey, kind, threshold, spent, limit, projected, notified, firedAt }] }]
+ */
+router.get('/alerts', async (req, res) => {
+  try {
+    if (!req.agent) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: listBudgetAlerts(req.agent.id)
+    });
+  } catch (error) {
+    logger.error('list_budget_alerts_api_error', { error: error.message });
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /v1/budget/alerts/:alertId
+ * Delete a budget alert of the authenticated agent
+ */
+router.delete('/alerts/:alertId', async (req, res) => {
+  try {
+    const alertId = parseInt(req.params.alertId, 10);
+    const alert = isNaN(alertId) ? null : getBudgetAlert(alertId);
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        error: 'Budget alert not found'
+      });
+    }
+
+    if (alert.agent_id !== req.agent?.id) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden. You do not own this budget alert.'
+      });
+    }
+
+    deleteBudgetAlert(alertId);
+
+    res.json({
+      success: true,
+      message: 'Budget alert deleted'
+    });
+  } catch (error) {
+    logger.error('delete_budget_alert_api_error', { error: error.message });
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /v1/budget/downgrade-policy
+ * Opt the authenticated agent into degrading smart-route requests as budget runs low
+ *
+ * Body:
+ *   - steps: array (required; [] turns downgrades off) - Ordered, cumulative steps, each with:
+ *     - belowPercent | belowUsd: number - Triggers when the remaining budget (percent of the limit,
+ *       or USD) falls below this level
+ *     - optimize: string (optional) - Strategy to switch to, e.g. 'cost'
+ *     - maxTokens: number (optional) - Cap on output tokens
+ *     - tier: string (optional) - 'economy' | 'standard' | 'premium' - Most expensive model tier allowed
+ *
+ * A request that does not fit the budget at its step escalates to the next steps before failing with 402.
+ *
+ * Response:
+ *   - success: boolean
+ *   - data: { steps } | null
+ */
+router.put('/downgrade-policy', async (req, res) => {
+  try {
+    if (!req.agent) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+
+    const validationError = validateDowngradePolicy(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    res.json({
+      success: true,
+      data: setDowngradePolicy(req.agent.id, req.body)
+    });
+  } catch (error) {
+    logger.error('set_downgrade_policy_api_error', { error: error.message });
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /v1/budget/downgrade-policy
+ * Downgrade policy of the authenticated agent
+ *
+ * Response:
+ *   - success: boolean
+ *   - data: { steps } | null (downgrades off)
+ */
+router.get('/downgrade-policy', async (req, res) => {
+  try {
+    if (!req.agent) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: getDowngradePolicy(req.agent.id)
+    });
+  } catch (error) {
+    logger.error('get_downgrade_policy_api_error', { error: error.message });
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /v1/budget/:agentId
- * Get budget status for an agent
+ * Get budget status for the API key's own agent (403 for any other agent)
  *
  * Response:
  *   - success: boolean
- *   - data: { period, spent, limit, remaining, daysLeft, projectedMonthEnd }
+ *   - data: { period, spent, reserved, limit, remaining, daysLeft, projectedMonthEnd, limits, groups }
+ *     The top-level fields are the monthly budget (POST /v1/budget); reserved is held
+ *     by in-flight requests and already deducted from remaining.
+ *     limits: [{ id, owner: { type: 'agent'|'group', id, name, kind }, period, startsAt, endsAt,
+ *       provider, task, limit, periodStart, periodEnd, active, spent, reserved, remaining }]
+ *     groups: [{ id, name, kind, parentId }] the agent's team, then its organization
  */
 router.get('/:agentId', async (req, res) => {
   try {
@@ -74,6 +728,14 @@ router.get('/:agentId', async (req, res) => {
       });
     }
 
+    if (agentId !== req.agent.id) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: "An API key can only read its own agent's budget"
+      });
+    }
+
     const status = getBudgetStatus(agentId);
 
     res.json({
@@ -93,7 +755,7 @@ router.get('/:agentId', async (req, res) => {
 
 /**
  * GET /v1/budget/:agentId/history
- * Get spending history for last 30 days
+ * Get spending history for last 30 days of the API key's own agent (403 for any other agent)
  *
  * Response:
  *   - success: boolean
@@ -110,6 +772,14 @@ router.get('/:agentId/history', async (req, res) => {
       });
     }
 
+    if (agentId !== req.agent.id) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: "An API key can only read its own agent's spending history"
+      });
+    }
+
     // Query last 30 days of request_log
     const history = getAll(`
       SELECT
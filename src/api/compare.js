@@ -10,10 +10,32 @@
 
 import express from 'express';
 import { getAll, getOne } from '../db/database.js';
+import { resolveAdapterName } from '../router/registry.js';
+import { getLatencyLookup, ROUTING_WINDOW } from '../router/latency-stats.js';
 import logger from '../logger.js';
 
 const router = express.Router();
 
+/**
+ * Round an optional price column for the response (null stays null)
+ * @param {number|null} value
+ * @returns {number|null}
+ */
+const roundPrice = (value) => (value === null || value === undefined ? null : parseFloat(value.toFixed(6)));
+
+/**
+ * Latency stats → compare sla block
+ * @param {Object|null} stats - From getLatencyLookup()
+ * @returns {Object} { uptime, window, latency_p95_ms, error_rate, sample_count }
+ */
+const toSla = (stats) => ({
+  uptime: null,  // TODO: fetch from SLA table when available
+  window: ROUTING_WINDOW,
+  latency_p95_ms: stats?.p95Ms ?? null,
+  error_rate: stats?.errorRate ?? null,
+  sample_count: stats?.sampleCount ?? 0
+});
+
 /**
  * GET /v1/compare
  * Compare prices across multiple providers for a specific category
@@ -35,17 +57,25 @@ const router = express.Router();
  *         ranking: 1,
  *         provider: {id: 1, name: "OpenAI", url: "...", type: "llm"},
  *         price: 7.50,
+ *         inputPrice: 2.50,
+ *         outputPrice: 10.00,
+ *         cachedInputPrice: 1.25,
+ *         batchInputPrice: 1.25,
+ *         batchOutputPrice: 5.00,
  *         currency: "USD",
  *         unit: "per million tokens",
  *         pricingType: "per-token",
  *         confidence: 0.95,
- *         sla: {uptime: null, latency_p95_ms: null}
+ *         sla: {uptime: null, window: "24h", latency_p95_ms: 2140, error_rate: 0.0072, sample_count: 412}
  *       },
  *       ...
  *     ]
  *   },
  *   meta: {...}
  * }
+ *
+ * sla comes from routed requests over the routing window (model stats, else
+ * provider-wide); latency_p95_ms and error_rate stay null without enough samples.
  */
 router.get('/', (req, res) => {
   try {
@@ -74,7 +104,13 @@ router.get('/', (req, res) => {
         s.category,
         s.subcategory,
         s.description,
+        s.model,
         r.price,
+        r.input_price,
+        r.output_price,
+        r.cached_input_price,
+        r.batch_input_price,
+        r.batch_output_price,
         r.currency,
         r.unit,
         r.pricing_type,
@@ -143,6 +179,8 @@ router.get('/', (req, res) => {
     const minPrice = Math.min(...prices);
     const maxPrice = Math.max(...prices);
 
+    const latencyOf = getLatencyLookup();
+
     const comparison = results.map((row, index) => ({
       ranking: index + 1,
       provider: row.provider_name,
@@ -151,7 +189,13 @@ router.get('/', (req, res) => {
       providerType: row.provider_type,
       subcategory: row.subcategory,
       description: row.description,
+      model: row.model,
       price: parseFloat(row.price.toFixed(6)),
+      inputPrice: roundPrice(row.input_price),
+      outputPrice: roundPrice(row.output_price),
+      cachedInputPrice: roundPrice(row.cached_input_price),
+      batchInputPrice: roundPrice(row.batch_input_price),
+      batchOutputPrice: roundPrice(row.batch_output_price),
       currency: row.currency || 'USD',
       unit: row.unit,
       pricingType: row.pricing_type,
@@ -159,10 +203,7 @@ router.get('/', (req, res) => {
       sourceCount: row.source_count,
       relativeCost: parseFloat((row.price / minPrice).toFixed(2)),
       updatedAt: row.rate_updated_at,
-      sla: {
-        uptime: null,  // TODO: fetch from SLA table when available
-        latency_p95_ms: null
-      }
+      sla: toSla(latencyOf(resolveAdapterName(row.provider_name), row.model))
     }));
 
     // Get unique providers
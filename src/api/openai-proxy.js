@@ -0,0 +1,401 @@
+/**
+ * openai-proxy.js — OpenAI Chat Completions compatible endpoint
+ *
+ * Routes:
+ * - POST /v1/openai/chat/completions — OpenAI request/response shape, routed by smartRoute
+ *
+ * Point an OpenAI client at https://<host>/v1/openai with an AGORA agent key
+ * (aro_xxxxx) as its API key. The strategy comes from the `model` field
+ * (`agora/cheapest`, `agora/fastest`, `agora/best`, `agora/balanced`) or the
+ * X-Agora-Optimize header; any other model id is passed to the router as a
+ * model hint. Spend is tracked against the authenticated agent's budget.
+ */
+
+import { Router } from 'express';
+import { randomBytes } from 'crypto';
+import { smartRoute } from '../router/index.js';
+import { validateMessages, validateStop } from '../router/messages.js';
+import { requireScope } from '../middleware/auth.js';
+import logger from '../logger.js';
+
+const router = Router();
+
+// `agora/<alias>` model names → smartRoute optimize strategy
+export const MODEL_ALIASES = {
+  cheapest: 'cost',
+  cost: 'cost',
+  fastest: 'speed',
+  speed: 'speed',
+  best: 'quality',
+  quality: 'quality',
+  balanced: 'balanced',
+  auto: 'balanced'
+};
+
+const VALID_OPTIMIZE = ['cost', 'speed', 'quality', 'balanced'];
+
+const DEFAULT_TASK = 'text-generation';
+
+/**
+ * Resolve optimize strategy and model hint from an OpenAI request
+ * The X-Agora-Optimize header wins over an `agora/` model alias.
+ * @param {string} model - Request `model` field
+ * @param {string} optimizeHeader - X-Agora-Optimize header value
+ * @returns {{ optimize: string|null, modelHint: string|null, error: string|null }}
+ */
+export const resolveRouting = (model, optimizeHeader) => {
+  let optimize = null;
+  let modelHint = null;
+
+  if (typeof model === 'string' && model.startsWith('agora/')) {
+    const alias = model.slice('agora/'.length);
+    optimize = MODEL_ALIASES[alias] || null;
+
+    if (!optimize) {
+      return {
+        optimize: null,
+        modelHint: null,
+        error: `Unknown model alias '${model}'. Use one of: ${Object.keys(MODEL_ALIASES).map(a => `agora/${a}`).join(', ')}`
+      };
+    }
+  } else if (typeof model === 'string' && model) {
+    modelHint = model;
+  }
+
+  if (optimizeHeader) {
+    if (!VALID_OPTIMIZE.includes(optimizeHeader)) {
+      return {
+        optimize: null,
+        modelHint: null,
+        error: `Invalid X-Agora-Optimize header. Must be one of: ${VALID_OPTIMIZE.join(', ')}`
+      };
+    }
+    optimize = optimizeHeader;
+  }
+
+  return { optimize: optimize || 'cost', modelHint, error: null };
+};
+
+/**
+ * Convert OpenAI chat messages to router messages
+ * `developer` turns are treated as system prompts and content-part arrays
+ * are flattened to their text parts.
+ * @param {Array<Object>} messages - OpenAI messages
+ * @returns {Array<Object>} [{ role, content }]
+ */
+export const fromOpenAIMessages = (messages) => {
+  return messages.map(message => {
+    const role = message?.role === 'developer' ? 'system' : message?.role;
+    const content = Array.isArray(message?.content)
+      ? message.content.filter(part => part?.type === 'text').map(part => part.text).join('\n')
+      : message?.content;
+
+    return { role, content };
+  });
+};
+
+/**
+ * Parse the X-Agora-Cache header into a smartRoute cache option
+ * @param {string|undefined} value - 'true', 'false' or a TTL in seconds
+ * @returns {boolean|Object|undefined}
+ */
+const parseCacheHeader = (value) => {
+  if (value === 'true') {
+    return true;
+  }
+
+  if (value === 'false') {
+    return false;
+  }
+
+  const ttl = parseInt(value, 10);
+  return ttl > 0 ? { ttl } : undefined;
+};
+
+/**
+ * Build an OpenAI-style error body
+ * @param {string} message - Error message
+ * @param {string} type - OpenAI error type
+ * @param {string|null} code - Optional error code
+ * @returns {Object} { error: { message, type, param, code } }
+ */
+const openAIError = (message, type, code = null) => ({
+  error: { message, type, param: null, code }
+});
+
+// OpenAI error type and code for each status the auth middleware sends
+const AUTH_ERRORS = {
+  401: { type: 'invalid_request_error', code: 'invalid_api_key' },
+  403: { type: 'invalid_request_error', code: 'insufficient_permissions' },
+  500: { type: 'api_error', code: null }
+};
+
+/**
+ * requireScope('route') with its 401/403 (and 500) errors in the OpenAI error shape,
+ * which OpenAI SDKs read instead of the { success, error, message } body
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+const requireRouteScope = (req, res, next) => {
+  const json = res.json.bind(res);
+
+  res.json = (body) => {
+    const authError = AUTH_ERRORS[res.statusCode];
+    if (!authError) {
+      return json(body);
+    }
+
+    const message = body.message ? `${body.error}. ${body.message}` : body.error;
+    return json(openAIError(message, authError.type, authError.code));
+  };
+
+  return requireScope('route')(req, res, (error) => {
+    res.json = json;
+    next(error);
+  });
+};
+
+// OpenAI clients send their API key as a Bearer token, which requireAuth already accepts
+router.use(requireRouteScope);
+
+/**
+ * Build the OpenAI chat.completion response for a smartRoute result
+ * @param {Object} result - smartRoute result
+ * @param {Object} meta - { id, created, maxTokens, optimize }
+ * @returns {Object} OpenAI chat.completion object with an `agora` routing summary
+ */
+export const toChatCompletion = (result, { id, created, maxTokens, optimize }) => {
+  const promptTokens = result.tokens?.input || 0;
+  const completionTokens = result.tokens?.output || 0;
+
+  return {
+    id,
+    object: 'chat.completion',
+    created,
+    model: result.model,
+    choices: [
+      {
+        index: 0,
+        message: { role: 'assistant', content: result.response },
+        finish_reason: completionTokens >= maxTokens ? 'length' : 'stop'
+      }
+    ],
+    usage: {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens
+    },
+    agora: {
+      requestId: result.requestId,
+      provider: result.provider,
+      optimize,
+      cost: result.cost,
+      costStatus: result.costStatus,
+      savings: result.savings,
+      latency: result.latency,
+      attempts: result.attempts,
+      cacheHit: result.cache?.hit === true
+    }
+  };
+};
+
+/**
+ * Write an OpenAI chat.completion.chunk event
+ * @param {Object} res - Express response
+ * @param {Object} chunk - Chunk payload
+ */
+const writeChunk = (res, chunk) => {
+  res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+};
+
+/**
+ * POST /v1/openai/chat/completions
+ * OpenAI Chat Completions compatible smart routing
+ *
+ * Headers:
+ *   - Authorization: Bearer aro_xxxxx (required) - AGORA agent key
+ *   - X-Agora-Optimize: 'cost' | 'speed' | 'quality' | 'balanced' (optional, overrides model alias)
+ *   - X-Agora-Task: task category (optional, default 'text-generation')
+ *   - X-Agora-Cache: 'true' | 'false' | TTL in seconds (optional, default: agent cache setting)
+ *
+ * Body (OpenAI shape):
+ *   - model: string (required) - 'agora/cheapest' | 'agora/fastest' | 'agora/best' | 'agora/balanced' | model id hint
+ *   - messages: array (required) - [{ role: 'system'|'developer'|'user'|'assistant', content }]
+ *   - max_tokens | max_completion_tokens: number (optional)
+ *   - temperature: number (optional), stop: string | string[] (optional)
+ *   - stream: boolean (optional), stream_options: { include_usage } (optional)
+ *
+ * Response: OpenAI chat.completion (or chat.completion.chunk stream ending in `data: [DONE]`),
+ * plus an `agora` object { provider, optimize, cost, costStatus, savings, latency, attempts, cacheHit }.
+ * Errors use the OpenAI shape { error: { message, type, param, code } }.
+ */
+router.post('/chat/completions', async (req, res) => {
+  try {
+    const {
+      model,
+      messages,
+      max_tokens: maxTokensField,
+      max_completion_tokens: maxCompletionTokens,
+      temperature,
+      stop,
+      stream,
+      stream_options: streamOptions
+    } = req.body;
+
+    const { optimize, modelHint, error: routingError } = resolveRouting(model, req.get('X-Agora-Optimize'));
+
+    if (routingError) {
+      return res.status(400).json(openAIError(routingError, 'invalid_request_error', 'model_not_found'));
+    }
+
+    const routerMessages = Array.isArray(messages) ? fromOpenAIMessages(messages) : messages;
+    const messagesError = validateMessages(routerMessages);
+
+    if (messagesError) {
+      return res.status(400).json(openAIError(messagesError, 'invalid_request_error'));
+    }
+
+    if (temperature !== undefined && temperature !== null &&
+        (typeof temperature !== 'number' || temperature < 0 || temperature > 2)) {
+      return res.status(400).json(openAIError('temperature must be a number between 0 and 2', 'invalid_request_error'));
+    }
+
+    if (stop !== undefined && stop !== null) {
+      const stopError = validateStop(stop);
+      if (stopError) {
+        return res.status(400).json(openAIError(stopError, 'invalid_request_error'));
+      }
+    }
+
+    const maxTokens = maxCompletionTokens || maxTokensField || undefined;
+    if (maxTokens !== undefined && (!Number.isInteger(maxTokens) || maxTokens <= 0)) {
+      return res.status(400).json(openAIError('max_tokens must be a positive integer', 'invalid_request_error'));
+    }
+
+    const adapterMap = req.app.locals.adapterMap;
+
+    if (!adapterMap || Object.keys(adapterMap).length === 0) {
+      return res.status(503).json(openAIError('No provider API keys configured', 'service_unavailable'));
+    }
+
+    const id = `chatcmpl-agora-${randomBytes(12).toString('hex')}`;
+    const created = Math.floor(Date.now() / 1000);
+
+    const routeRequest = {
+      messages: routerMessages,
+      task: req.get('X-Agora-Task') || DEFAULT_TASK,
+      optimize,
+      constraints: maxTokens ? { maxTokens } : {},
+      temperature: temperature ?? undefined,
+      stop: stop ?? undefined,
+      model: modelHint,
+      agentId: req.agent.id,
+      cache: parseCacheHeader(req.get('X-Agora-Cache'))
+    };
+
+    logger.info('openai_proxy_request', { agentId: req.agent.id, model, optimize, stream: stream === true });
+
+    if (stream !== true) {
+      const result = await smartRoute(routeRequest, adapterMap);
+      return res.json(toChatCompletion(result, { id, created, maxTokens: maxTokens || Infinity, optimize }));
+    }
+
+    // Streaming: headers are deferred until the first token so routing errors stay plain JSON
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        controller.abort();
+      }
+    });
+
+    const openStream = (streamModel) => {
+      if (res.headersSent) {
+        return;
+      }
+
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+
+      writeChunk(res, {
+        id,
+        object: 'chat.completion.chunk',
+        created,
+        model: streamModel,
+        choices: [{ index: 0, delta: { role: 'assistant', content: '' }, finish_reason: null }]
+      });
+    };
+
+    try {
+      const result = await smartRoute(
+        {
+          ...routeRequest,
+          signal: controller.signal,
+          onToken: (text, meta) => {
+            openStream(meta.model);
+            writeChunk(res, {
+              id,
+              object: 'chat.completion.chunk',
+              created,
+              model: meta.model,
+              choices: [{ index: 0, delta: { content: text }, finish_reason: null }]
+            });
+          }
+        },
+        adapterMap
+      );
+
+      const completion = toChatCompletion(result, { id, created, maxTokens: maxTokens || Infinity, optimize });
+
+      openStream(result.model);
+      writeChunk(res, {
+        id,
+        object: 'chat.completion.chunk',
+        created,
+        model: result.model,
+        choices: [{ index: 0, delta: {}, finish_reason: completion.choices[0].finish_reason }],
+        agora: completion.agora
+      });
+
+      if (streamOptions?.include_usage) {
+        writeChunk(res, {
+          id,
+          object: 'chat.completion.chunk',
+          created,
+          model: result.model,
+          choices: [],
+          usage: completion.usage
+        });
+      }
+
+      res.write('data: [DONE]\n\n');
+      return res.end();
+    } catch (error) {
+      if (!res.headersSent) {
+        throw error;
+      }
+
+      writeChunk(res, openAIError(error.message || 'Stream failed', 'api_error'));
+      res.write('data: [DONE]\n\n');
+      return res.end();
+    }
+  } catch (error) {
+    if (error.code === 402) {
+      return res.status(402).json(openAIError(error.message, 'insufficient_quota', 'budget_exceeded'));
+    }
+
+    if (error.code === 503) {
+      return res.status(503).json(openAIError(error.message, 'service_unavailable'));
+    }
+
+    logger.error('openai_proxy_error', { error: error.message });
+
+    res.status(500).json(openAIError(error.message || 'Internal server error', 'api_error'));
+  }
+});
+
+export default router;
@@ -9,11 +9,15 @@
  * - Sorting by price (asc/desc)
  * - Filtering by category
  * - Provider detail with service list
- * - Current pricing for each service
+ * - Current pricing and capability metadata for each service
+ * - Measured latency/error-rate SLA from routed requests (see router/latency-stats.js)
  */
 
 import express from 'express';
 import { getAll, getOne } from '../db/database.js';
+import { toCapabilities } from '../router/capabilities.js';
+import { resolveAdapterName } from '../router/registry.js';
+import { getLatencyStats, ROUTING_WINDOW } from '../router/latency-stats.js';
 import logger from '../logger.js';
 
 const router = express.Router();
@@ -137,7 +141,11 @@ router.get('/', (req, res) => {
  *       url: "https://openai.com",
  *       type: "llm",
  *       serviceCount: 4,
- *       avgPrice: 3.75
+ *       avgPrice: 3.75,
+ *       sla: [
+ *         { window: "24h", model: null, sampleCount: 412, errorCount: 3, errorRate: 0.0072,
+ *           p50Ms: 820, p95Ms: 2140, p99Ms: 3900, avgMs: 1010, computedAt: "2026-02-24 00:30:00" }
+ *       ]
  *     },
  *     services: [
  *       {
@@ -145,6 +153,9 @@ router.get('/', (req, res) => {
  *         category: "text-generation",
  *         subcategory: "general",
  *         description: "GPT-4o",
+ *         model: "gpt-4o",
+ *         capabilities: { contextWindow: 128000, maxOutputTokens: 16384, tools: true, jsonMode: true, vision: true, regions: ["us", "eu"] },
+ *         sla: { window: "24h", model: "gpt-4o", sampleCount: 120, ... } | null,
  *         price: 7.50,
  *         currency: "USD",
  *         unit: "per million tokens",
@@ -160,6 +171,9 @@ router.get('/', (req, res) => {
  *     serviceCount: 4
  *   }
  * }
+ *
+ * provider.sla holds provider-wide stats for every configured window; each
+ * service's sla is its model's stats over the routing window (null until routed).
  */
 router.get('/:id', (req, res) => {
   try {
@@ -187,6 +201,13 @@ router.get('/:id', (req, res) => {
         s.category,
         s.subcategory,
         s.description,
+        s.model,
+        s.context_window,
+        s.max_output_tokens,
+        s.supports_tools,
+        s.supports_json_mode,
+        s.supports_vision,
+        s.regions,
         r.price,
         r.currency,
         r.unit,
@@ -223,6 +244,15 @@ router.get('/:id', (req, res) => {
       ? parseFloat((prices.reduce((sum, p) => sum + p, 0) / prices.length).toFixed(4))
       : null;
 
+    // Measured latency and error rates, keyed by the adapter name request_log uses
+    const adapter = resolveAdapterName(provider.name);
+    const sla = getLatencyStats(adapter, { model: '' });
+    const modelSla = new Map(
+      getLatencyStats(adapter, { window: ROUTING_WINDOW })
+        .filter(stats => stats.model !== null)
+        .map(stats => [stats.model, stats])
+    );
+
     res.json({
       success: true,
       data: {
@@ -232,13 +262,17 @@ router.get('/:id', (req, res) => {
           url: provider.url,
           type: provider.type,
           serviceCount: services.length,
-          avgPrice
+          avgPrice,
+          sla
         },
         services: services.map(s => ({
           id: s.id,
           category: s.category,
           subcategory: s.subcategory,
           description: s.description,
+          model: s.model,
+          capabilities: toCapabilities(s),
+          sla: modelSla.get(s.model) || null,
           price: s.price,
           currency: s.currency || 'USD',
           unit: s.unit,
@@ -0,0 +1,165 @@
+import { Router } from 'express';
+import {
+  validateQualityScore,
+  importQualityScores,
+  listQualityScores,
+  recordFeedback
+} from '../router/quality.js';
+import { requireScope, requireOperator } from '../middleware/auth.js';
+import logger from '../logger.js';
+
+const router = Router();
+
+/**
+ * GET /v1/quality
+ * Model quality registry used by optimize: 'quality' and 'balanced'
+ *
+ * Query params:
+ *   - category: string (optional) - Task category, e.g. 'text-generation'
+ *   - model: string (optional) - Model id
+ *
+ * Response:
+ *   - success: boolean
+ *   - data: [{ model, category, benchmark, score, feedbackRatings, source, updatedAt }]
+ *     score is the benchmark blended with agent feedback ratings (0-100)
+ */
+router.get('/', (req, res) => {
+  try {
+    const { category, model } = req.query;
+    const scores = listQualityScores({ category, model });
+
+    res.json({
+      success: true,
+      data: scores,
+      meta: {
+        timestamp: new Date().toISOString(),
+        count: scores.length
+      }
+    });
+  } catch (error) {
+    logger.error('quality_api_error', { endpoint: 'GET /v1/quality', error: error.message });
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /v1/quality
+ * Insert or update benchmark scores (same shape as data/model-quality.json)
+ * The registry is global, so this needs the operator key (X-Operator-Key), not an agent key
+ *
+ * Body:
+ *   - scores: array (required) - [{ model, category, score (0-100), source }]
+ *
+ * Response:
+ *   - success: boolean
+ *   - data: { updated }
+ */
+router.put('/', requireOperator, (req, res) => {
+  try {
+    const { scores } = req.body;
+
+    if (!Array.isArray(scores) || scores.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing or invalid required field: scores (non-empty array)'
+      });
+    }
+
+    for (const [index, entry] of scores.entries()) {
+      const scoreError = validateQualityScore(entry);
+      if (scoreError) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid field: scores[${index}].${scoreError}`
+        });
+      }
+    }
+
+    const updated = importQualityScores(scores, 'operator');
+
+    logger.info('quality_scores_updated', { updated });
+
+    res.json({
+      success: true,
+      data: { updated }
+    });
+  } catch (error) {
+    logger.error('quality_api_error', { endpoint: 'PUT /v1/quality', error: error.message });
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /v1/quality/feedback
+ * Rate a routed request (requestId from the smart-route response)
+ *
+ * Body:
+ *   - requestId: number (required) - request_log id returned by /v1/smart-route
+ *   - rating: number (required) - 1 (poor) to 5 (excellent)
+ *   - comment: string (optional)
+ *
+ * Response:
+ *   - success: boolean
+ *   - data: { requestId, provider, model, category, rating, comment }
+ */
+router.post('/feedback', requireScope('route'), (req, res) => {
+  try {
+    const { requestId, rating, comment } = req.body;
+
+    if (!Number.isInteger(requestId) || requestId <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing or invalid required field: requestId (positive integer)'
+      });
+    }
+
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing or invalid required field: rating (integer 1-5)'
+      });
+    }
+
+    if (comment !== undefined && typeof comment !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid field: comment (string)'
+      });
+    }
+
+    const feedback = recordFeedback({ agentId: req.agent.id, requestId, rating, comment });
+
+    res.status(201).json({
+      success: true,
+      data: feedback
+    });
+  } catch (error) {
+    if (error.code === 404 || error.code === 409) {
+      return res.status(error.code).json({
+        success: false,
+        error: error.message,
+        details: error.details
+      });
+    }
+
+    logger.error('quality_api_error', { endpoint: 'POST /v1/quality/feedback', error: error.message });
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+export default router;
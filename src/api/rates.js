@@ -35,6 +35,8 @@ router.get('/', (req, res) => {
       category: data.category,
       subcategory: data.subcategory,
       price: data.price,
+      inputPrice: data.inputPrice,
+      outputPrice: data.outputPrice,
       currency: data.currency,
       unit: data.unit,
       confidence: data.confidence,
@@ -181,7 +183,13 @@ router.get('/:category/:subcategory', (req, res) => {
         p.name as provider,
         p.url as providerUrl,
         s.description as service,
+        s.model,
         r.price,
+        r.input_price as inputPrice,
+        r.output_price as outputPrice,
+        r.cached_input_price as cachedInputPrice,
+        r.batch_input_price as batchInputPrice,
+        r.batch_output_price as batchOutputPrice,
         r.currency,
         r.unit,
         r.pricing_type as pricingType,
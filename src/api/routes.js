@@ -6,10 +6,13 @@
  * - /v1/providers — Provider listings and details
  * - /v1/stats — System statistics and analytics
  * - /v1/compare — Price comparison across providers
- * - /v1/smart-route — Smart routing endpoint (NEW)
+ * - /v1/smart-route — Smart routing endpoint (NEW), /v1/smart-route/health for circuit breakers
+ * - /v1/openai — OpenAI Chat Completions compatible proxy over the smart router
+ * - /v1/quality — Model quality registry and per-request feedback ratings
  * - /v1/budget — Budget management endpoints (NEW)
  * - /v1/analytics — Analytics endpoints (NEW)
- * - /v1/agents — Agent registration endpoint (NEW)
+ * - /v1/agents — Agent registration endpoint (NEW), /v1/agents/me/cache response cache settings,
+ *   /v1/agents/me/keys API keys (scopes, expiry, rotation, revocation)
  * - /v1/agent-services — Agent service comparison (NEW - ROADMAP v3)
  * - /v1/alerts — Price alerts management (NEW - ROADMAP v3 Phase 2)
  * - /v1/forecast — ML-based price forecasting (NEW - ROADMAP v3 Phase 3)
@@ -21,13 +24,15 @@ import providersRouter from './providers.js';
 import statsRouter from './stats.js';
 import compareRouter from './compare.js';
 import smartRouteRouter from './smart-route.js';
+import openaiProxyRouter from './openai-proxy.js';
+import qualityRouter from './quality.js';
 import budgetRouter from './budget.js';
 import analyticsRouter from './analytics.js';
 import agentsRouter from './agents.js';
 import agentServicesRouter from './agent-services.js';
 import alertsRouter from './alerts.js';
 import forecastRouter from './forecast.js';
-import { requireAuth } from '../middleware/auth.js';
+import { optionalAuth } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -50,13 +55,16 @@ router.use((req, res, next) => {
 });
 
 // Mount API routers (existing)
-router.use('/rates', ratesRouter);
-router.use('/providers', providersRouter);
+// Public (x402); an API key, when sent, needs the 'rates:read' scope
+router.use('/rates', optionalAuth('rates:read'), ratesRouter);
+router.use('/providers', optionalAuth('rates:read'), providersRouter);
 router.use('/stats', statsRouter);
-router.use('/compare', compareRouter);
+router.use('/compare', optionalAuth('rates:read'), compareRouter);
 
 // Mount new Smart Router API routers
 router.use('/smart-route', smartRouteRouter);
+router.use('/openai', openaiProxyRouter);
+router.use('/quality', qualityRouter);
 router.use('/budget', budgetRouter);
 router.use('/analytics', analyticsRouter);
 router.use('/agents', agentsRouter);
@@ -65,7 +73,7 @@ router.use('/agents', agentsRouter);
 router.use('/agent-services', agentServicesRouter);
 
 // Mount Price Alerts API (ROADMAP v3 Phase 2)
-// Note: Uses x402 payment for access (no additional auth needed)
+// Note: Requires an API key with the 'alerts:manage' scope
 router.use('/alerts', alertsRouter);
 
 // Mount Forecast API (ROADMAP v3 Phase 3)
@@ -1,76 +1,322 @@
 import { Router } from 'express';
-import { smartRoute } from '../router/index.js';
-import { requireAuth } from '../middleware/auth.js';
+import { smartRoute, explainRoute } from '../router/index.js';
+import { runBatch, MAX_BATCH_SIZE, DEFAULT_BATCH_CONCURRENCY, MAX_BATCH_CONCURRENCY } from '../router/batch.js';
+import { validateMessages, validateStop } from '../router/messages.js';
+import { validateCapabilityConstraints } from '../router/capabilities.js';
+import { validateWeights } from '../router/decision.js';
+import { validateHedgeOption } from '../router/hedge.js';
+import { validateTags } from '../router/tags.js';
+import { MODEL_TIERS } from '../router/pricing.js';
+import { getProviderHealth, FAILURE_THRESHOLD, OPEN_COOLDOWN_MS } from '../router/health.js';
+import { getProviderEnvKeys } from '../router/config.js';
+import { optionalAuth } from '../middleware/auth.js';
 import logger from '../logger.js';
 
 const router = Router();
 
-// No auth middleware needed - x402 payment handles access control
+// Auth is optional - x402 payment handles access control.
+// An API key with the 'route' scope makes the request act for (and bill) the key's agent.
+
+/**
+ * Write a single server-sent event
+ * @param {Object} res - Express response
+ * @param {string} event - Event name
+ * @param {Object} data - JSON payload
+ */
+const writeEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Send SSE headers if they haven't been sent yet
+ * Headers are deferred until the first token so that budget and routing
+ * errors can still be returned as regular JSON responses.
+ * @param {Object} res - Express response
+ */
+const openEventStream = (res) => {
+  if (res.headersSent) {
+    return;
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+};
+
+/**
+ * Validate a smart-route request body (shared by POST / and POST /explain)
+ * @param {Object} body - Request body
+ * @returns {string|null} Error message for a 400 response, or null when valid
+ */
+const validateRouteBody = (body = {}) => {
+  const { prompt, messages, task, optimize, weights, constraints, temperature, stop, model, cache, hedge, tags } = body;
+
+  if (messages !== undefined) {
+    const messagesError = validateMessages(messages);
+    if (messagesError) {
+      return `Invalid field: ${messagesError}`;
+    }
+  } else if (!prompt || typeof prompt !== 'string') {
+    return 'Missing or invalid required field: prompt (string) or messages (array)';
+  }
+
+  if (!task || typeof task !== 'string') {
+    return 'Missing or invalid required field: task (string)';
+  }
+
+  // Validate optimize enum
+  const validOptimize = ['cost', 'speed', 'quality', 'balanced'];
+  if (optimize && !validOptimize.includes(optimize)) {
+    return `Invalid optimize value. Must be one of: ${validOptimize.join(', ')}`;
+  }
+
+  if (weights !== undefined) {
+    const weightsError = validateWeights(weights);
+    if (weightsError) {
+      return `Invalid field: ${weightsError}`;
+    }
+
+    if (optimize && optimize !== 'balanced') {
+      return "weights only apply to optimize: 'balanced'";
+    }
+  }
+
+  if (hedge !== undefined) {
+    const hedgeError = validateHedgeOption(hedge);
+    if (hedgeError) {
+      return `Invalid field: ${hedgeError}`;
+    }
+
+    if (hedge !== false && optimize !== 'speed') {
+      return "hedge only applies to optimize: 'speed'";
+    }
+  }
+
+  if (temperature !== undefined && (typeof temperature !== 'number' || temperature < 0 || temperature > 2)) {
+    return 'Invalid temperature. Must be a number between 0 and 2';
+  }
+
+  if (stop !== undefined) {
+    const stopError = validateStop(stop);
+    if (stopError) {
+      return `Invalid field: ${stopError}`;
+    }
+  }
+
+  if (constraints !== undefined && constraints !== null && (typeof constraints !== 'object' || Array.isArray(constraints))) {
+    return 'Invalid constraints. Must be an object';
+  }
+
+  if (constraints?.tier !== undefined && !Object.hasOwn(MODEL_TIERS, constraints.tier)) {
+    return `Invalid constraints.tier. Must be one of: ${Object.keys(MODEL_TIERS).join(', ')}`;
+  }
+
+  const capabilityError = validateCapabilityConstraints(constraints || {});
+  if (capabilityError) {
+    return `Invalid field: ${capabilityError}`;
+  }
+
+  const modelHints = model === undefined ? [] : [].concat(model);
+  if (modelHints.some(m => typeof m !== 'string' || !m)) {
+    return 'Invalid model. Must be a model id string or an array of them';
+  }
+
+  if (cache !== undefined && typeof cache !== 'boolean' &&
+      !(cache && typeof cache === 'object' && Number.isInteger(cache.ttl) && cache.ttl > 0)) {
+    return 'Invalid cache. Must be a boolean or { ttl: positive integer seconds }';
+  }
+
+  if (tags !== undefined && tags !== null) {
+    const tagsError = validateTags(tags);
+    if (tagsError) {
+      return `Invalid field: ${tagsError}`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * The agent a request acts for: always the API key's agent
+ * A body agentId must name that agent (403 otherwise); without a key it is refused
+ * (401), since nothing proves the caller is that agent.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {number|null|undefined} Agent ID, null for anonymous requests, undefined when a response was sent
+ */
+const resolveAgentId = (req, res) => {
+  const { agentId } = req.body;
+
+  if (agentId === undefined || agentId === null) {
+    return req.agent?.id ?? null;
+  }
+
+  if (!req.agent) {
+    res.status(401).json({
+      success: false,
+      error: 'API key required',
+      message: 'agentId can only be set with an API key of that agent'
+    });
+    return undefined;
+  }
+
+  // SDK clients may send the ID as a string ('123')
+  if (Number(agentId) !== req.agent.id) {
+    res.status(403).json({
+      success: false,
+      error: 'Forbidden',
+      message: "agentId does not match the API key's agent"
+    });
+    return undefined;
+  }
+
+  return req.agent.id;
+};
+
+/**
+ * Build the smartRoute() request from a validated body
+ * Only known fields are copied, so clients cannot set internal options.
+ * @param {Object} body - Request body (or batch item)
+ * @param {number|null} agentId - Agent to bill
+ * @returns {Object} Smart-route request
+ */
+const toRouteRequest = (body, agentId) => {
+  const { prompt, messages, task, optimize, weights, constraints, temperature, stop, model, cache, hedge, tags } = body;
+  const modelHints = model === undefined ? [] : [].concat(model);
+
+  return {
+    prompt,
+    messages,
+    task,
+    temperature,
+    stop,
+    model: modelHints.length > 0 ? modelHints : null,
+    cache,
+    optimize: optimize || (weights ? 'balanced' : 'cost'),
+    weights: weights || null,
+    hedge: hedge || false,
+    constraints: constraints || {},
+    tags: tags || null,
+    agentId
+  };
+};
 
 /**
  * POST /v1/smart-route
  * Smart routing endpoint
  *
  * Body:
- *   - prompt: string (required) - Input prompt
+ *   - prompt: string (required unless messages is set) - Input prompt
+ *   - messages: array (optional) - Chat turns [{ role: 'system'|'user'|'assistant', content }], replaces prompt
  *   - task: string (required) - Task category (e.g., 'chat', 'text-generation')
- *   - optimize: string (optional) - 'cost', 'speed', 'quality', 'balanced' (default: 'cost')
- *   - constraints: object (optional) - { maxCost, minConfidence, maxTokens }
- *   - agentId: number (optional) - Agent ID for budget tracking
+ *   - optimize: string (optional) - 'cost', 'speed', 'quality', 'balanced' (default: 'cost', or 'balanced' when weights are set)
+ *   - weights: object (optional) - Balanced scoring weights { cost, latency, quality }, e.g. { cost: 0.7, quality: 0.3 }
+ *       Omitted components weigh 0; weights are normalized to sum to 1. Default { cost: 0.4, latency: 0.3, quality: 0.3 }
+ *   - constraints: object (optional) - { maxCost, minConfidence, maxTokens, minContextWindow, tools, jsonMode, vision, region, tier }
+ *     tier: 'economy' | 'standard' | 'premium' - only models up to that output price (see MODEL_TIERS)
+ *       maxCost is the max estimated dollars for this request (prompt tokens + maxTokens output)
+ *       minContextWindow (tokens), tools/jsonMode/vision (true = required) and region (e.g. 'eu' or ['eu', 'us'])
+ *       exclude models that cannot handle the request; the prompt must also fit the model's context window
+ *   - temperature: number (optional) - Sampling temperature, 0-2
+ *   - stop: string | string[] (optional) - Up to 4 stop sequences
+ *   - model: string | string[] (optional) - Model hint(s), e.g. 'gpt-4o'; ranked first when available
+ *   - agentId: number (optional) - Must be the API key's agent (403 otherwise, 401 without a key); budget,
+ *       cache and settings always come from the key's agent
+ *   - cache: boolean | { ttl: seconds } (optional) - Exact-match response cache; omitted → agent setting
+ *   - stream: boolean (optional) - Stream the completion as server-sent events
+ *   - hedge: boolean | { delayMs } (optional, optimize: 'speed' only) - Fire the next-ranked provider if the
+ *       current one has not answered within delayMs (default: its p95 latency); the first success wins and
+ *       the other calls are aborted. Aborted calls are billed at their prompt cost.
+ *   - tags: object (optional) - Cost attribution tags, e.g. { project: 'search', env: 'prod' }; up to 10
+ *       string values, stored with the request_log rows and usable as analytics filters and groupBy keys
  *
  * Response:
  *   - success: boolean
- *   - data: { provider, model, cost, latency, tokens, response, alternatives, savings }
+ *   - data: { requestId, provider, model, cost, costStatus, latency, tokens, response, alternatives, savings, savingsBaseline, cache }
+ *     alternatives[].scoreBreakdown = { cost, latency, quality: { value, normalized, weight, contribution } }
+ *     costStatus is 'unknown_model' (and cost null) when the served model has no rate on record,
+ *     'cached' (cost 0) when served from the response cache; cache = { enabled, hit, expiresAt, ... }
+ *     Hedged requests add hedge = { delayMs, calls, cost, cancelled: [{ provider, model, cost, latency }] }
+ *
+ * Streaming response (stream: true), Content-Type: text/event-stream:
+ *   - event: token  data: { text, provider, model }   (one per text delta)
+ *   - event: done   data: same object as `data` above, sent after request_log is written
+ *   - event: error  data: { error, provider }          (provider failed after the first token)
+ *   Errors before the first token (validation, budget, no providers) are plain JSON responses.
  */
-router.post('/', async (req, res) => {
+router.post('/', optionalAuth('route'), async (req, res) => {
   try {
-    const { prompt, task, optimize, constraints, agentId } = req.body;
-
-    // Validation
-    if (!prompt || typeof prompt !== 'string') {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing or invalid required field: prompt (string)'
-      });
-    }
+    const { stream } = req.body;
 
-    if (!task || typeof task !== 'string') {
+    const validationError = validateRouteBody(req.body);
+    if (validationError) {
       return res.status(400).json({
         success: false,
-        error: 'Missing or invalid required field: task (string)'
+        error: validationError
       });
     }
 
-    // Validate optimize enum
-    const validOptimize = ['cost', 'speed', 'quality', 'balanced'];
-    if (optimize && !validOptimize.includes(optimize)) {
-      return res.status(400).json({
-        success: false,
-        error: `Invalid optimize value. Must be one of: ${validOptimize.join(', ')}`
-      });
+    const agentId = resolveAgentId(req, res);
+    if (agentId === undefined) {
+      return;
     }
 
     // Get adapterMap from app locals (set by server initialization)
     const adapterMap = req.app.locals.adapterMap;
 
-    if (!adapterMap || adapterMap.size === 0) {
+    if (!adapterMap || Object.keys(adapterMap).length === 0) {
       return res.status(503).json({
         success: false,
-        error: 'No provider API keys configured. Set OPENAI_API_KEY, ANTHROPIC_API_KEY, or DEEPSEEK_API_KEY in .env'
+        error: `No provider API keys configured. Set one of ${getProviderEnvKeys()} in .env`
+      });
+    }
+
+    const routeRequest = toRouteRequest(req.body, agentId);
+
+    if (stream === true) {
+      // Abort the upstream provider call if the client goes away mid-stream
+      const controller = new AbortController();
+      res.on('close', () => {
+        if (!res.writableEnded) {
+          controller.abort();
+        }
       });
+
+      try {
+        const result = await smartRoute(
+          {
+            ...routeRequest,
+            signal: controller.signal,
+            onToken: (text, meta) => {
+              openEventStream(res);
+              writeEvent(res, 'token', { text, ...meta });
+            }
+          },
+          adapterMap
+        );
+
+        openEventStream(res);
+        writeEvent(res, 'done', result);
+        return res.end();
+      } catch (error) {
+        // Nothing streamed yet: fall through to the regular JSON error handling
+        if (!res.headersSent) {
+          throw error;
+        }
+
+        writeEvent(res, 'error', {
+          error: error.message || 'Stream failed',
+          provider: error.failedProviders?.[error.failedProviders.length - 1]?.name || null
+        });
+        return res.end();
+      }
     }
 
     // Call smart route
-    const result = await smartRoute(
-      {
-        prompt,
-        task,
-        optimize: optimize || 'cost',
-        constraints: constraints || {},
-        agentId: agentId || req.agent?.id || null
-      },
-      adapterMap
-    );
+    const result = await smartRoute(routeRequest, adapterMap);
 
     res.json({
       success: true,
@@ -105,4 +351,202 @@ router.post('/', async (req, res) => {
   }
 });
 
+/**
+ * POST /v1/smart-route/explain
+ * Dry run: same ranking and budget check as POST /v1/smart-route, without calling a provider
+ *
+ * Body: same fields as POST /v1/smart-route (stream and cache are ignored)
+ *   agentId is ignored: the budget check is for the API key's agent and is left out for anonymous callers
+ *
+ * Response:
+ *   - success: boolean
+ *   - data: { outcome, task, optimize, weights, estimatedTokens, selected, candidates, filteredOut, budget, hedge }
+ *     outcome: 'would_route' | 'budget_exceeded' (POST /v1/smart-route would return 402) | 'no_providers' (503)
+ *     selected: the candidate POST /v1/smart-route would call first (null unless outcome is 'would_route')
+ *     candidates: [{ rank, provider, adapter, model, estimatedCost, inputPrice, outputPrice, confidence,
+ *       quality, latencyP95, errorRate, score, scoreBreakdown, capabilities }]
+ *     filteredOut: [{ provider, adapter, model, reason, detail, estimatedCost }], reason one of
+ *       'cost_cap', 'confidence', 'capability', 'missing_api_key', 'circuit_open', 'budget'
+ *     budget (with an API key, null otherwise): { limit, spent, remaining, estimatedCost, allowed, projectedSpent, projectedRemaining }
+ */
+router.post('/explain', optionalAuth('route'), (req, res) => {
+  try {
+    const validationError = validateRouteBody(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const data = explainRoute(
+      toRouteRequest(req.body, req.agent?.id ?? null),
+      req.app.locals.adapterMap
+    );
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    if (error.code === 503) {
+      return res.status(503).json({
+        success: false,
+        error: error.message,
+        details: error.details
+      });
+    }
+
+    logger.error('smart_route_explain_api_error', { error: error.message });
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Validate one batch item: a smart-route body without streaming
+ * @param {Object} item - Batch item
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateBatchItem = (item) => {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    return 'Invalid item. Must be a smart-route request object';
+  }
+
+  if (item.stream) {
+    return 'stream is not supported in batch requests';
+  }
+
+  return validateRouteBody(item);
+};
+
+/**
+ * POST /v1/smart-route/batch
+ * Route many prompts in one call
+ *
+ * Body:
+ *   - requests: array (required) - Up to MAX_BATCH_SIZE (500) smart-route bodies (same fields as POST /v1/smart-route, no stream)
+ *   - agentId: number (optional) - Must be the API key's agent (403 otherwise, 401 without a key); the key's
+ *       agent is billed for every item (item agentIds are ignored)
+ *   - concurrency: number (optional) - Items routed at once, 1-20 (default 5)
+ *
+ * The estimated cost of each item is reserved against the agent's budget before the
+ * batch starts, in order; items the remaining budget cannot cover fail with 402.
+ *
+ * Response:
+ *   - success: boolean (true even when some items failed)
+ *   - data: {
+ *       results: [{ index, success: true, data } | { index, success: false, code, error, details }],
+ *       summary: { total, succeeded, failed, totalCost, totalSavings, reserved, concurrency, durationMs,
+ *         byProvider: { [provider]: { requests, cost } } }
+ *     }
+ *     results[].data is the POST /v1/smart-route response for that item; code is its HTTP status (400, 402, 503, 500)
+ */
+router.post('/batch', optionalAuth('route'), async (req, res) => {
+  try {
+    const { requests, concurrency = DEFAULT_BATCH_CONCURRENCY } = req.body;
+
+    if (!Array.isArray(requests) || requests.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing or invalid required field: requests (non-empty array)'
+      });
+    }
+
+    if (requests.length > MAX_BATCH_SIZE) {
+      return res.status(400).json({
+        success: false,
+        error: `Too many requests in batch. Maximum is ${MAX_BATCH_SIZE}`
+      });
+    }
+
+    if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > MAX_BATCH_CONCURRENCY) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid concurrency. Must be an integer between 1 and ${MAX_BATCH_CONCURRENCY}`
+      });
+    }
+
+    const adapterMap = req.app.locals.adapterMap;
+
+    if (!adapterMap || Object.keys(adapterMap).length === 0) {
+      return res.status(503).json({
+        success: false,
+        error: `No provider API keys configured. Set one of ${getProviderEnvKeys()} in .env`
+      });
+    }
+
+    const billedAgentId = resolveAgentId(req, res);
+    if (billedAgentId === undefined) {
+      return;
+    }
+
+    const errors = requests.map(validateBatchItem);
+
+    const data = await runBatch(
+      requests.map((item, index) => (errors[index] ? item : toRouteRequest(item, billedAgentId))),
+      adapterMap,
+      { agentId: billedAgentId, concurrency, validate: (request, index) => errors[index] }
+    );
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    logger.error('smart_route_batch_api_error', { error: error.message });
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /v1/smart-route/health
+ * Circuit breaker state and health stats per router provider
+ *
+ * Response:
+ *   - success: boolean
+ *   - data: [{ provider, configured, state ('closed'|'open'|'half_open'), consecutiveFailures,
+ *       totalSuccesses, totalFailures, totalTimeouts, errorRate, lastError,
+ *       lastSuccessAt, lastFailureAt, openedAt, retryAt }]
+ *   - meta: { failureThreshold, cooldownMs, openCount }
+ */
+router.get('/health', (req, res) => {
+  try {
+    const configured = Object.keys(req.app.locals.adapterMap || {});
+
+    const data = getProviderHealth(configured).map(health => ({
+      ...health,
+      configured: configured.includes(health.provider)
+    }));
+
+    res.json({
+      success: true,
+      data,
+      meta: {
+        failureThreshold: FAILURE_THRESHOLD,
+        cooldownMs: OPEN_COOLDOWN_MS,
+        openCount: data.filter(h => h.state === 'open').length,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    logger.error('smart_route_health_error', { error: error.message });
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
 export default router;
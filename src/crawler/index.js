@@ -92,7 +92,7 @@ export async function crawlAll() {
 /**
  * Insert rates from a provider into the database
  * @param {string} providerName - Name of the provider
- * @param {Array} rates - Array of rate objects
+ * @param {Array} rates - Array of rate objects ({ price, inputPrice?, outputPrice?, cachedInputPrice?, batchInputPrice?, batchOutputPrice?, ... })
  * @returns {Promise<number>} - Number of rates inserted
  */
 async function insertRates(providerName, rates) {
@@ -112,30 +112,41 @@ async function insertRates(providerName, rates) {
         continue;
       }
 
-      // Find or create service
-      let service = await getOne(
-        'SELECT id FROM services WHERE provider_id = ? AND category = ? AND subcategory = ?',
-        [provider.id, rate.category, rate.subcategory || '']
-      );
+      // Find or create service (keyed by model when the crawler knows it)
+      let service = rate.model
+        ? await getOne(
+          'SELECT id FROM services WHERE provider_id = ? AND model = ?',
+          [provider.id, rate.model]
+        )
+        : await getOne(
+          'SELECT id FROM services WHERE provider_id = ? AND category = ? AND subcategory = ?',
+          [provider.id, rate.category, rate.subcategory || '']
+        );
 
       if (!service) {
         // Create service
         const serviceResult = await runQuery(
-          `INSERT INTO services (provider_id, category, subcategory, description)
-           VALUES (?, ?, ?, ?)`,
-          [provider.id, rate.category, rate.subcategory || '', rate.model || '']
+          `INSERT INTO services (provider_id, category, subcategory, description, model)
+           VALUES (?, ?, ?, ?, ?)`,
+          [provider.id, rate.category, rate.subcategory || '', rate.description || rate.model || '', rate.model || null]
         );
         service = { id: serviceResult.lastInsertRowid };
       }
 
+      // Split token prices (null for services without input/output pricing)
+      const inputPrice = rate.inputPrice ?? null;
+      const outputPrice = rate.outputPrice ?? null;
+
       // Check if rate already exists (avoid duplicates)
       const existingRate = await getOne(
         `SELECT id FROM rates
          WHERE service_id = ?
          AND price = ?
+         AND input_price IS ?
+         AND output_price IS ?
          AND unit = ?
          AND created_at > datetime('now', '-5 minutes')`,
-        [service.id, rate.price, rate.unit]
+        [service.id, rate.price, inputPrice, outputPrice, rate.unit]
       );
 
       if (existingRate) {
@@ -145,11 +156,20 @@ async function insertRates(providerName, rates) {
 
       // Insert new rate
       await runQuery(
-        `INSERT INTO rates (service_id, price, currency, unit, pricing_type, confidence, source_count, created_at)
-         VALUES (?, ?, ?, ?, ?, ?, ?, datetime('now'))`,
+        `INSERT INTO rates (
+           service_id, price, input_price, output_price,
+           cached_input_price, batch_input_price, batch_output_price,
+           currency, unit, pricing_type, confidence, source_count, created_at
+         )
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))`,
         [
           service.id,
           rate.price,
+          inputPrice,
+          outputPrice,
+          rate.cachedInputPrice ?? null,
+          rate.batchInputPrice ?? null,
+          rate.batchOutputPrice ?? null,
           rate.currency || 'USD',
           rate.unit || 'per-token',
           rate.pricingType || 'per-token',
@@ -160,9 +180,9 @@ async function insertRates(providerName, rates) {
 
       // Insert into rate_history
       await runQuery(
-        `INSERT INTO rate_history (service_id, price, currency, unit, recorded_at)
-         VALUES (?, ?, ?, ?, datetime('now'))`,
-        [service.id, rate.price, rate.currency || 'USD', rate.unit || 'per-token']
+        `INSERT INTO rate_history (service_id, price, currency, unit, input_price, output_price, recorded_at)
+         VALUES (?, ?, ?, ?, ?, ?, datetime('now'))`,
+        [service.id, rate.price, rate.currency || 'USD', rate.unit || 'per-token', inputPrice, outputPrice]
       );
 
       insertedCount++;
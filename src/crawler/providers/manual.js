@@ -1,6 +1,7 @@
 import { readFileSync } from 'fs';
 import { join } from 'path';
 import { getDb, runQuery, getOne, transaction } from '../../db/database.js';
+import { toCapabilityColumns } from '../../router/capabilities.js';
 import logger from '../../logger.js';
 
 /**
@@ -50,26 +51,41 @@ export const seedFromManualData = () => {
 
         // Process each service for this provider
         for (const service of provider.services) {
-          // Check if service exists (by provider_id, category, subcategory, description)
+          // Check if service exists (by model id, or provider_id, category, subcategory, description)
           const existingService = getOne(
-            'SELECT id FROM services WHERE provider_id = ? AND category = ? AND subcategory = ? AND description = ?',
-            [providerId, service.category, service.subcategory || '', service.description || '']
+            `SELECT id FROM services
+             WHERE provider_id = ?
+               AND (model = ? OR (category = ? AND subcategory = ? AND description = ?))`,
+            [providerId, service.model || null, service.category, service.subcategory || '', service.description || '']
           );
 
           let serviceId;
+          const capabilityColumns = toCapabilityColumns(service.capabilities);
 
           if (existingService) {
-            // Update existing service
+            // Update existing service (capability metadata is only overwritten when provided)
             runQuery(
-              'UPDATE services SET updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-              [existingService.id]
+              `UPDATE services SET
+                 model = COALESCE(?, model),
+                 context_window = COALESCE(?, context_window),
+                 max_output_tokens = COALESCE(?, max_output_tokens),
+                 supports_tools = COALESCE(?, supports_tools),
+                 supports_json_mode = COALESCE(?, supports_json_mode),
+                 supports_vision = COALESCE(?, supports_vision),
+                 regions = COALESCE(?, regions),
+                 updated_at = CURRENT_TIMESTAMP
+               WHERE id = ?`,
+              [service.model || null, ...capabilityColumns, existingService.id]
             );
             serviceId = existingService.id;
           } else {
             // Insert new service
             const serviceResult = runQuery(
-              'INSERT INTO services (provider_id, category, subcategory, description) VALUES (?, ?, ?, ?)',
-              [providerId, service.category, service.subcategory || '', service.description || '']
+              `INSERT INTO services (
+                 provider_id, category, subcategory, description, model,
+                 context_window, max_output_tokens, supports_tools, supports_json_mode, supports_vision, regions
+               ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+              [providerId, service.category, service.subcategory || '', service.description || '', service.model || null, ...capabilityColumns]
             );
             serviceId = serviceResult.lastInsertRowid;
             servicesInserted++;
@@ -94,6 +110,15 @@ export const seedFromManualData = () => {
             continue;
           }
 
+          // Split token prices (null when the service isn't token-priced)
+          const splitPrices = [
+            pricing.inputPrice ?? null,
+            pricing.outputPrice ?? null,
+            pricing.cachedInputPrice ?? null,
+            pricing.batchInputPrice ?? null,
+            pricing.batchOutputPrice ?? null
+          ];
+
           // Check if rate exists for this service
           const existingRate = getOne(
             'SELECT id FROM rates WHERE service_id = ?',
@@ -103,14 +128,19 @@ export const seedFromManualData = () => {
           if (existingRate) {
             // Update existing rate
             runQuery(
-              'UPDATE rates SET price = ?, currency = ?, unit = ?, pricing_type = ?, confidence = 1.0, source_count = 1 WHERE id = ?',
-              [price, pricing.currency || 'USD', unit, pricingType, existingRate.id]
+              `UPDATE rates SET price = ?, input_price = ?, output_price = ?, cached_input_price = ?,
+                 batch_input_price = ?, batch_output_price = ?, currency = ?, unit = ?, pricing_type = ?,
+                 confidence = 1.0, source_count = 1
+               WHERE id = ?`,
+              [price, ...splitPrices, pricing.currency || 'USD', unit, pricingType, existingRate.id]
             );
           } else {
             // Insert new rate
             runQuery(
-              'INSERT INTO rates (service_id, price, currency, unit, pricing_type, confidence, source_count) VALUES (?, ?, ?, ?, ?, 1.0, 1)',
-              [serviceId, price, pricing.currency || 'USD', unit, pricingType]
+              `INSERT INTO rates (service_id, price, input_price, output_price, cached_input_price,
+                 batch_input_price, batch_output_price, currency, unit, pricing_type, confidence, source_count)
+               VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1.0, 1)`,
+              [serviceId, price, ...splitPrices, pricing.currency || 'USD', unit, pricingType]
             );
             ratesInserted++;
           }
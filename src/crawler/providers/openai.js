@@ -21,6 +21,9 @@ const FALLBACK_MODELS = [
     subcategory: 'general',
     inputPrice: 2.50,
     outputPrice: 10.00,
+    cachedInputPrice: 1.25,
+    batchInputPrice: 1.25,
+    batchOutputPrice: 5.00,
     unit: '1M tokens',
     description: 'GPT-4o - flagship multimodal model'
   },
@@ -30,6 +33,9 @@ const FALLBACK_MODELS = [
     subcategory: 'general',
     inputPrice: 0.15,
     outputPrice: 0.60,
+    cachedInputPrice: 0.075,
+    batchInputPrice: 0.075,
+    batchOutputPrice: 0.30,
     unit: '1M tokens',
     description: 'GPT-4o-mini - fast and efficient'
   },
@@ -39,6 +45,9 @@ const FALLBACK_MODELS = [
     subcategory: 'reasoning',
     inputPrice: 15.00,
     outputPrice: 60.00,
+    cachedInputPrice: 7.50,
+    batchInputPrice: 7.50,
+    batchOutputPrice: 30.00,
     unit: '1M tokens',
     description: 'o1 - advanced reasoning model'
   },
@@ -48,6 +57,9 @@ const FALLBACK_MODELS = [
     subcategory: 'reasoning',
     inputPrice: 3.00,
     outputPrice: 12.00,
+    cachedInputPrice: 1.50,
+    batchInputPrice: 1.50,
+    batchOutputPrice: 6.00,
     unit: '1M tokens',
     description: 'o1-mini - efficient reasoning'
   }
@@ -99,28 +111,28 @@ export async function seedOpenAI() {
     let ratesAdded = 0;
 
     for (const model of models) {
-      // Check if service exists
+      // Check if service exists (by model id, or legacy description match)
       let service = db.prepare(`
         SELECT id FROM services
-        WHERE provider_id = ? AND category = ? AND subcategory = ? AND description = ?
-      `).get(providerId, model.category, model.subcategory, model.description);
+        WHERE provider_id = ? AND (model = ? OR (category = ? AND subcategory = ? AND description = ?))
+      `).get(providerId, model.model, model.category, model.subcategory, model.description);
 
       let serviceId;
       if (service) {
         serviceId = service.id;
-        // Update timestamp
-        db.prepare(`UPDATE services SET updated_at = datetime('now') WHERE id = ?`).run(serviceId);
+        // Update timestamp and backfill model id
+        db.prepare(`UPDATE services SET model = ?, updated_at = datetime('now') WHERE id = ?`).run(model.model, serviceId);
       } else {
         // Insert new service
         const result = db.prepare(`
-          INSERT INTO services (provider_id, category, subcategory, description, created_at, updated_at)
-          VALUES (?, ?, ?, ?, datetime('now'), datetime('now'))
-        `).run(providerId, model.category, model.subcategory, model.description);
+          INSERT INTO services (provider_id, category, subcategory, description, model, created_at, updated_at)
+          VALUES (?, ?, ?, ?, ?, datetime('now'), datetime('now'))
+        `).run(providerId, model.category, model.subcategory, model.description, model.model);
         serviceId = result.lastInsertRowid;
         servicesAdded++;
       }
 
-      // Calculate average price for single price field (weighted toward output)
+      // Blended headline price (weighted toward output); split prices are stored alongside
       const avgPrice = (model.inputPrice + model.outputPrice * 2) / 3;
 
       // Check if rate exists
@@ -129,20 +141,38 @@ export async function seedOpenAI() {
       if (existingRate) {
         // Update existing rate
         db.prepare(`
-          UPDATE rates SET price = ?, created_at = datetime('now')
+          UPDATE rates SET
+            price = ?, input_price = ?, output_price = ?,
+            cached_input_price = ?, batch_input_price = ?, batch_output_price = ?,
+            created_at = datetime('now')
           WHERE service_id = ?
-        `).run(avgPrice, serviceId);
+        `).run(
+          avgPrice,
+          model.inputPrice,
+          model.outputPrice,
+          model.cachedInputPrice ?? null,
+          model.batchInputPrice ?? null,
+          model.batchOutputPrice ?? null,
+          serviceId
+        );
       } else {
         // Insert new rate
         db.prepare(`
           INSERT INTO rates (
-            service_id, price, currency, unit, pricing_type,
+            service_id, price, input_price, output_price,
+            cached_input_price, batch_input_price, batch_output_price,
+            currency, unit, pricing_type,
             confidence, source_count, created_at
           )
-          VALUES (?, ?, ?, ?, ?, ?, ?, datetime('now'))
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
         `).run(
           serviceId,
           avgPrice,
+          model.inputPrice,
+          model.outputPrice,
+          model.cachedInputPrice ?? null,
+          model.batchInputPrice ?? null,
+          model.batchOutputPrice ?? null,
           'USD',
           model.unit,
           'per-token',
@@ -172,9 +202,15 @@ export async function crawlOpenAI() {
 
     return models.map(model => ({
       model: model.model,
+      description: model.description,
       category: model.category,
       subcategory: model.subcategory,
       price: (model.inputPrice + model.outputPrice * 2) / 3, // Weighted average
+      inputPrice: model.inputPrice,
+      outputPrice: model.outputPrice,
+      cachedInputPrice: model.cachedInputPrice,
+      batchInputPrice: model.batchInputPrice,
+      batchOutputPrice: model.batchOutputPrice,
       currency: 'USD',
       unit: model.unit,
       pricingType: 'per-token',
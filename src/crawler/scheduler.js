@@ -4,14 +4,17 @@ import { crawlAll } from './index.js';
 import { getDb } from '../db/database.js';
 import { checkPriceAlerts } from '../alerts/alert-checker.js';
 import { generateAllForecasts } from '../forecast/scheduler.js';
+import { computeLatencyStats } from '../router/latency-stats.js';
 import logger from '../logger.js';
 
 let cronJob = null;
 let alertCheckerJob = null;
 let forecastGeneratorJob = null;
+let latencyStatsJob = null;
 let isRunning = false;
 let isCheckingAlerts = false;
 let isGeneratingForecasts = false;
+let isComputingLatencyStats = false;
 
 // Crawler task to be run on schedule
 async function runCrawlerTask() {
@@ -124,6 +127,35 @@ async function runForecastGeneratorTask() {
   }
 }
 
+/**
+ * Latency stats task to be run on schedule (every 5 minutes)
+ * Recomputes rolling p50/p95/p99 latency and error rates from request_log
+ */
+async function runLatencyStatsTask() {
+  if (isComputingLatencyStats) {
+    logger.info('latency_stats_skip', { message: 'Previous computation still running, skipping...' });
+    return;
+  }
+
+  isComputingLatencyStats = true;
+  const startTime = Date.now();
+
+  try {
+    const result = computeLatencyStats();
+
+    const duration = Date.now() - startTime;
+    logger.info('latency_stats_scheduled_complete', {
+      duration: `${duration}ms`,
+      windows: result.windows,
+      rows: result.rows
+    });
+  } catch (error) {
+    logger.error(`latency_stats_scheduled_failed: ${error.message}`);
+  } finally {
+    isComputingLatencyStats = false;
+  }
+}
+
 /**
  * Start the crawler scheduler
  * @param {string} schedule - Cron schedule string (default: every 5 minutes)
@@ -253,6 +285,47 @@ export function stopForecastGenerator() {
   }
 }
 
+/**
+ * Start the latency stats scheduler
+ * @param {string} schedule - Cron schedule string (default: every 5 minutes)
+ */
+export function startLatencyStats(schedule = '*/5 * * * *') {
+  if (latencyStatsJob) {
+    logger.info('latency_stats_scheduler_already_running', { message: 'Latency stats already running' });
+    return;
+  }
+
+  logger.info('latency_stats_scheduler_start', { schedule });
+
+  // Validate cron expression
+  if (!cron.validate(schedule)) {
+    throw new Error(`Invalid cron schedule for latency stats: ${schedule}`);
+  }
+
+  latencyStatsJob = cron.schedule(schedule, runLatencyStatsTask, {
+    scheduled: true,
+    timezone: 'UTC'
+  });
+
+  // Run immediately so routing has stats before the first tick
+  runLatencyStatsTask();
+
+  return latencyStatsJob;
+}
+
+/**
+ * Stop the latency stats scheduler
+ */
+export function stopLatencyStats() {
+  if (latencyStatsJob) {
+    logger.info('latency_stats_scheduler_stop', { message: 'Stopping latency stats' });
+    latencyStatsJob.stop();
+    latencyStatsJob = null;
+  } else {
+    logger.info('latency_stats_scheduler_not_running', { message: 'No latency stats job running' });
+  }
+}
+
 /**
  * Get scheduler status
  */
@@ -264,6 +337,8 @@ export function getSchedulerStatus() {
     checkingAlerts: isCheckingAlerts,
     forecastGeneratorRunning: forecastGeneratorJob !== null,
     generatingForecasts: isGeneratingForecasts,
+    latencyStatsRunning: latencyStatsJob !== null,
+    computingLatencyStats: isComputingLatencyStats,
     lastRun: cronJob ? new Date().toISOString() : null
   };
 }
@@ -0,0 +1,274 @@
+/**
+ * Agent API keys
+ *
+ * An agent holds any number of named keys. Each key carries scopes (what it may
+ * do), an optional expiry, a last-used timestamp and, once revoked, revoked_at.
+ * Rotation issues a new key with the same name and scopes and keeps the old one
+ * valid for an overlap window so deployments can switch over.
+ *
+ * Keys are checked by requireAuth (src/middleware/auth.js) and the alert
+ * WebSocket (src/gateway/websocket-alerts.js).
+ */
+
+import { randomBytes } from 'crypto';
+import { runQuery, getOne, getAll, transaction } from './database.js';
+import logger from '../logger.js';
+
+// rates:read - rate/provider/compare lookups; route - smart routing and routing settings;
+// alerts:manage - price alerts and the alert stream; budget:manage - budgets, limits,
+// budget alerts and savings; keys:manage - this module's endpoints
+export const API_KEY_SCOPES = ['rates:read', 'route', 'alerts:manage', 'budget:manage', 'keys:manage'];
+
+export const MAX_KEY_NAME_LENGTH = 64;
+export const DEFAULT_ROTATION_OVERLAP_SECONDS = 24 * 60 * 60;
+export const MAX_ROTATION_OVERLAP_SECONDS = 7 * 24 * 60 * 60;
+
+// last_used_at is written at most once per interval per key
+const LAST_USED_RESOLUTION_SECONDS = 60;
+
+/**
+ * Generate a new random API key
+ * @returns {string} 'aro_' + 32 hex chars
+ */
+export const generateApiKey = () => 'aro_' + randomBytes(16).toString('hex');
+
+/**
+ * Format a Date like SQLite's CURRENT_TIMESTAMP (UTC, no 'T')
+ * @param {Date} date
+ * @returns {string}
+ */
+const toSqlTimestamp = (date) => date.toISOString().slice(0, 19).replace('T', ' ');
+
+/**
+ * Parse a SQLite UTC timestamp
+ * @param {string|null} value
+ * @returns {Date|null}
+ */
+const fromSqlTimestamp = (value) => (value ? new Date(`${value.replace(' ', 'T')}Z`) : null);
+
+/**
+ * Status of a key at a point in time
+ * @param {Object} row - agent_keys row
+ * @param {Date} now
+ * @returns {string} 'active' | 'expired' | 'revoked'
+ */
+export const getKeyStatus = (row, now = new Date()) => {
+  if (row.revoked_at) {
+    return 'revoked';
+  }
+
+  const expiresAt = fromSqlTimestamp(row.expires_at);
+  return expiresAt && expiresAt <= now ? 'expired' : 'active';
+};
+
+/**
+ * Public shape of a key (the secret is never returned after creation)
+ * @param {Object} row - agent_keys row
+ * @returns {Object} { id, name, prefix, scopes, status, expiresAt, lastUsedAt, revokedAt, rotatedFrom, createdAt }
+ */
+const formatKey = (row) => ({
+  id: row.id,
+  name: row.name,
+  prefix: `${row.api_key.slice(0, 12)}…`,
+  scopes: JSON.parse(row.scopes),
+  status: getKeyStatus(row),
+  expiresAt: fromSqlTimestamp(row.expires_at)?.toISOString() ?? null,
+  lastUsedAt: fromSqlTimestamp(row.last_used_at)?.toISOString() ?? null,
+  revokedAt: fromSqlTimestamp(row.revoked_at)?.toISOString() ?? null,
+  rotatedFrom: row.rotated_from,
+  createdAt: fromSqlTimestamp(row.created_at)?.toISOString() ?? null
+});
+
+/**
+ * Validate options for a new key
+ * @param {Object} options - { name, scopes, expiresAt }
+ * @param {Date} now - Reference time
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateKeyOptions = ({ name, scopes, expiresAt } = {}, now = new Date()) => {
+  if (typeof name !== 'string' || !name.trim() || name.length > MAX_KEY_NAME_LENGTH) {
+    return `Missing or invalid required field: name (string, at most ${MAX_KEY_NAME_LENGTH} characters)`;
+  }
+
+  if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !API_KEY_SCOPES.includes(scope))) {
+    return `Missing or invalid required field: scopes (non-empty array of: ${API_KEY_SCOPES.join(', ')})`;
+  }
+
+  if (expiresAt !== undefined && expiresAt !== null) {
+    const expiry = new Date(expiresAt);
+
+    if (typeof expiresAt !== 'string' || isNaN(expiry.getTime())) {
+      return 'Invalid expiresAt. Must be an ISO 8601 timestamp';
+    }
+
+    if (expiry <= now) {
+      return 'expiresAt must be in the future';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Create a key for an agent
+ * @param {number} agentId - Agent ID
+ * @param {Object} options - Validated { name, scopes, expiresAt, rotatedFrom }
+ * @returns {Object} Formatted key plus apiKey (shown once)
+ */
+export const createAgentKey = (agentId, { name, scopes, expiresAt = null, rotatedFrom = null }) => {
+  try {
+    const apiKey = generateApiKey();
+
+    const { lastInsertRowid } = runQuery(
+      `INSERT INTO agent_keys (agent_id, name, api_key, scopes, expires_at, rotated_from)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        agentId,
+        name.trim(),
+        apiKey,
+        JSON.stringify([...new Set(scopes)]),
+        expiresAt ? toSqlTimestamp(new Date(expiresAt)) : null,
+        rotatedFrom
+      ]
+    );
+
+    logger.info('agent_key_created', { agentId, keyId: lastInsertRowid, scopes, rotatedFrom });
+
+    return {
+      ...formatKey(getOne('SELECT * FROM agent_keys WHERE id = ?', [lastInsertRowid])),
+      apiKey
+    };
+  } catch (error) {
+    logger.error('create_agent_key_failed', { error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * List an agent's keys, newest first
+ * @param {number} agentId - Agent ID
+ * @returns {Array<Object>} Formatted keys (revoked and expired included)
+ */
+export const listAgentKeys = (agentId) => {
+  return getAll('SELECT * FROM agent_keys WHERE agent_id = ? ORDER BY id DESC', [agentId]).map(formatKey);
+};
+
+/**
+ * Rotate a key: issue a replacement with the same name and scopes and let the
+ * old key expire after the overlap window (sooner if it was already due to)
+ * @param {number} agentId - Agent ID (owner check)
+ * @param {number} keyId - Key to rotate
+ * @param {Object} options - { overlapSeconds, expiresAt } expiresAt applies to the new key
+ * @returns {Object|null} { key: new key with apiKey, previous: old key }, or null when no active key matches
+ */
+export const rotateAgentKey = (agentId, keyId, { overlapSeconds = DEFAULT_ROTATION_OVERLAP_SECONDS, expiresAt = null } = {}) => {
+  try {
+    return transaction(() => {
+      const row = getOne('SELECT * FROM agent_keys WHERE id = ? AND agent_id = ?', [keyId, agentId]);
+
+      if (!row || getKeyStatus(row) !== 'active') {
+        return null;
+      }
+
+      const key = createAgentKey(agentId, { name: row.name, scopes: JSON.parse(row.scopes), expiresAt, rotatedFrom: row.id });
+
+      const overlapEnd = new Date(Date.now() + overlapSeconds * 1000);
+      const currentExpiry = fromSqlTimestamp(row.expires_at);
+      const oldExpiry = currentExpiry && currentExpiry < overlapEnd ? currentExpiry : overlapEnd;
+
+      runQuery('UPDATE agent_keys SET expires_at = ? WHERE id = ?', [toSqlTimestamp(oldExpiry), row.id]);
+
+      logger.info('agent_key_rotated', { agentId, keyId: row.id, newKeyId: key.id, overlapSeconds });
+
+      return {
+        key,
+        previous: formatKey(getOne('SELECT * FROM agent_keys WHERE id = ?', [row.id]))
+      };
+    });
+  } catch (error) {
+    logger.error('rotate_agent_key_failed', { error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Revoke a key immediately
+ * @param {number} agentId - Agent ID (owner check)
+ * @param {number} keyId - Key to revoke
+ * @returns {Object|null} Revoked key, or null when the agent has no such key
+ */
+export const revokeAgentKey = (agentId, keyId) => {
+  try {
+    const { changes } = runQuery(
+      'UPDATE agent_keys SET revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP) WHERE id = ? AND agent_id = ?',
+      [keyId, agentId]
+    );
+
+    if (changes === 0) {
+      return null;
+    }
+
+    logger.info('agent_key_revoked', { agentId, keyId });
+
+    return formatKey(getOne('SELECT * FROM agent_keys WHERE id = ?', [keyId]));
+  } catch (error) {
+    logger.error('revoke_agent_key_failed', { error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Look up a presented API key and record its use
+ * @param {string} apiKey - Secret as sent by the client
+ * @returns {Object|null} { agent: { id, name }, key: { id, name, scopes }, status } or null for an unknown key;
+ *   status is 'active', 'expired' or 'revoked' and only active keys are marked as used
+ */
+export const authenticateApiKey = (apiKey) => {
+  try {
+    const row = getOne(
+      `SELECT k.*, a.name as agent_name
+       FROM agent_keys k
+       JOIN agents a ON a.id = k.agent_id
+       WHERE k.api_key = ?`,
+      [apiKey]
+    );
+
+    if (!row) {
+      return null;
+    }
+
+    const status = getKeyStatus(row);
+
+    if (status === 'active') {
+      runQuery(
+        `UPDATE agent_keys SET last_used_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND (last_used_at IS NULL OR last_used_at < datetime('now', ?))`,
+        [row.id, `-${LAST_USED_RESOLUTION_SECONDS} seconds`]
+      );
+    }
+
+    return {
+      agent: { id: row.agent_id, name: row.agent_name },
+      key: { id: row.id, name: row.name, scopes: JSON.parse(row.scopes) },
+      status
+    };
+  } catch (error) {
+    logger.error('authenticate_api_key_failed', { error: error.message });
+    throw error;
+  }
+};
+
+export default {
+  API_KEY_SCOPES,
+  MAX_KEY_NAME_LENGTH,
+  DEFAULT_ROTATION_OVERLAP_SECONDS,
+  MAX_ROTATION_OVERLAP_SECONDS,
+  generateApiKey,
+  getKeyStatus,
+  validateKeyOptions,
+  createAgentKey,
+  listAgentKeys,
+  rotateAgentKey,
+  revokeAgentKey,
+  authenticateApiKey
+};
@@ -1,22 +1,31 @@
-import { randomBytes } from 'crypto';
-import { runQuery, getOne, getAll } from './database.js';
+import { runQuery, getOne, getAll, transaction } from './database.js';
+import { API_KEY_SCOPES, generateApiKey, authenticateApiKey } from './agent-keys.js';
 import logger from '../logger.js';
 
 /**
  * Create a new agent with a unique API key
+ * The key is the agent's 'default' key in agent_keys, with every scope.
  * @param {string} name - Agent name
  * @returns {Object} { id, name, apiKey }
  */
 export const createAgent = (name) => {
   try {
-    // Generate random 32-char hex API key
-    const apiKey = 'aro_' + randomBytes(16).toString('hex');
+    const apiKey = generateApiKey();
 
     // Insert into database
-    const result = runQuery(
-      'INSERT INTO agents (name, api_key) VALUES (?, ?)',
-      [name, apiKey]
-    );
+    const result = transaction(() => {
+      const inserted = runQuery(
+        'INSERT INTO agents (name, api_key) VALUES (?, ?)',
+        [name, apiKey]
+      );
+
+      runQuery(
+        "INSERT INTO agent_keys (agent_id, name, api_key, scopes) VALUES (?, 'default', ?, ?)",
+        [inserted.lastInsertRowid, apiKey, JSON.stringify(API_KEY_SCOPES)]
+      );
+
+      return inserted;
+    });
 
     logger.info('agent_created', { id: result.lastInsertRowid, name });
 
@@ -33,13 +42,14 @@ export const createAgent = (name) => {
 
 /**
  * Get agent by API key
+ * Any of the agent's active keys matches; expired and revoked keys do not.
  * @param {string} apiKey - API key
  * @returns {Object|null} Agent row or null
  */
 export const getAgentByKey = (apiKey) => {
   try {
-    const agent = getOne('SELECT * FROM agents WHERE api_key = ?', [apiKey]);
-    return agent || null;
+    const auth = authenticateApiKey(apiKey);
+    return auth?.status === 'active' ? getAgentById(auth.agent.id) : null;
   } catch (error) {
     logger.error('get_agent_by_key_failed', { error: error.message });
     throw error;
@@ -12,7 +12,9 @@ let dbInstance = null;
 
 /**
  * Run database migrations from src/db/migrations/ directory
- * Executes all .sql files in alphabetical order
+ * Executes all .sql files in alphabetical order. Applied files are
+ * recorded in schema_migrations so non-idempotent statements
+ * (e.g. ALTER TABLE ... ADD COLUMN) only ever run once.
  */
 export const initMigrations = () => {
   try {
@@ -37,11 +39,32 @@ export const initMigrations = () => {
     const db = getDb();
     let count = 0;
 
-    // Execute each migration file
+    // Track which migration files have already been applied
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        filename TEXT PRIMARY KEY,
+        applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    const applied = new Set(
+      db.prepare('SELECT filename FROM schema_migrations').all().map(row => row.filename)
+    );
+
+    // Execute each pending migration file atomically
     for (const file of files) {
+      if (applied.has(file)) {
+        continue;
+      }
+
       const migrationPath = join(migrationsDir, file);
       const migration = readFileSync(migrationPath, 'utf-8');
-      db.exec(migration);
+
+      db.transaction(() => {
+        db.exec(migration);
+        db.prepare('INSERT INTO schema_migrations (filename) VALUES (?)').run(file);
+      })();
+
       count++;
       logger.info('migration_executed', { file });
     }
@@ -0,0 +1,26 @@
+-- Migration 005: Split token pricing
+-- Purpose: Store input, output, cached-input and batch prices per rate
+-- instead of collapsing them into a single blended `price`.
+--
+-- All prices share the rate's `unit` (e.g. '1M tokens').
+-- `price` is kept as the blended headline figure for aggregation, trends
+-- and non-token services; token-aware consumers should prefer the split
+-- columns and fall back to `price` when they are NULL.
+
+ALTER TABLE rates ADD COLUMN input_price REAL;
+ALTER TABLE rates ADD COLUMN output_price REAL;
+ALTER TABLE rates ADD COLUMN cached_input_price REAL;
+ALTER TABLE rates ADD COLUMN batch_input_price REAL;
+ALTER TABLE rates ADD COLUMN batch_output_price REAL;
+
+ALTER TABLE rate_history ADD COLUMN input_price REAL;
+ALTER TABLE rate_history ADD COLUMN output_price REAL;
+
+-- Keep history in sync when split prices change without the blended price moving
+DROP TRIGGER IF EXISTS archive_rate_to_history;
+CREATE TRIGGER IF NOT EXISTS archive_rate_to_history
+AFTER UPDATE OF price, input_price, output_price ON rates
+BEGIN
+    INSERT INTO rate_history (service_id, price, currency, unit, input_price, output_price, recorded_at)
+    VALUES (OLD.service_id, OLD.price, OLD.currency, OLD.unit, OLD.input_price, OLD.output_price, OLD.created_at);
+END;
@@ -0,0 +1,19 @@
+-- Migration 006: Model-keyed services
+-- Purpose: Give every LLM service a provider model identifier (e.g. 'gpt-4o-mini')
+-- so routing and cost calculation can resolve the exact model's rate instead of
+-- whichever row of the provider happens to come first.
+
+ALTER TABLE services ADD COLUMN model TEXT;
+
+-- Crawler-created services stored the model id in `description`; carry it over
+UPDATE services
+SET model = description
+WHERE model IS NULL
+  AND description IS NOT NULL
+  AND description <> ''
+  AND instr(description, ' ') = 0;
+
+CREATE INDEX IF NOT EXISTS idx_services_model ON services(provider_id, model);
+
+-- Record which model actually served each routed request
+ALTER TABLE request_log ADD COLUMN model TEXT;
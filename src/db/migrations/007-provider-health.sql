@@ -0,0 +1,18 @@
+-- Migration 007: Provider health and circuit breakers
+-- Purpose: Persist per-provider circuit breaker state and success/failure counters
+-- so the router stops sending traffic to a vendor that keeps failing, and the
+-- state survives restarts.
+
+CREATE TABLE IF NOT EXISTS provider_health (
+  provider TEXT PRIMARY KEY,                      -- adapter name, e.g. 'openai'
+  state TEXT NOT NULL DEFAULT 'closed',           -- 'closed' | 'open' | 'half_open'
+  consecutive_failures INTEGER NOT NULL DEFAULT 0,
+  total_successes INTEGER NOT NULL DEFAULT 0,
+  total_failures INTEGER NOT NULL DEFAULT 0,
+  total_timeouts INTEGER NOT NULL DEFAULT 0,      -- subset of total_failures
+  last_error TEXT,
+  last_success_at DATETIME,
+  last_failure_at DATETIME,
+  opened_at DATETIME,                             -- when the circuit last opened (ISO 8601)
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,30 @@
+-- Migration 008: Smart-route response cache
+-- Purpose: Opt-in exact-match cache for repeated smart-route requests. Entries are
+-- scoped per agent and expire after the agent's (or request's) TTL. Cache hits
+-- are logged in request_log at zero cost with cache_hit = 1.
+
+CREATE TABLE IF NOT EXISTS response_cache (
+  cache_key TEXT PRIMARY KEY,               -- sha256 of agent + normalized request
+  agent_id INTEGER NOT NULL,
+  provider TEXT NOT NULL,                   -- provider that produced the response
+  model TEXT,
+  response TEXT NOT NULL,
+  tokens_in INTEGER,
+  tokens_out INTEGER,
+  cost REAL,                                -- what the original call cost (USD)
+  hit_count INTEGER NOT NULL DEFAULT 0,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  expires_at DATETIME NOT NULL,
+  last_hit_at DATETIME,
+  FOREIGN KEY (agent_id) REFERENCES agents(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_response_cache_expires ON response_cache(expires_at);
+CREATE INDEX IF NOT EXISTS idx_response_cache_agent ON response_cache(agent_id);
+
+-- Per-agent cache settings (disabled by default; requests can still opt in)
+ALTER TABLE agents ADD COLUMN cache_enabled INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE agents ADD COLUMN cache_ttl_seconds INTEGER;
+
+-- Mark request_log rows served from the cache
+ALTER TABLE request_log ADD COLUMN cache_hit INTEGER NOT NULL DEFAULT 0;
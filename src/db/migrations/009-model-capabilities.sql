@@ -0,0 +1,15 @@
+-- Migration 009: Model capability metadata
+-- Purpose: Record what each model can handle so the smart router can filter
+-- on required context window, tool calling, JSON mode, vision input and
+-- data-residency region instead of picking the cheapest model blindly.
+--
+-- NULL means "not known": such models are excluded whenever the request
+-- explicitly requires that capability.
+-- `regions` is a comma-separated list of lowercase region codes (e.g. 'us,eu').
+
+ALTER TABLE services ADD COLUMN context_window INTEGER;
+ALTER TABLE services ADD COLUMN max_output_tokens INTEGER;
+ALTER TABLE services ADD COLUMN supports_tools INTEGER;
+ALTER TABLE services ADD COLUMN supports_json_mode INTEGER;
+ALTER TABLE services ADD COLUMN supports_vision INTEGER;
+ALTER TABLE services ADD COLUMN regions TEXT;
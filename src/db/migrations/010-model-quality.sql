@@ -0,0 +1,32 @@
+-- Migration 010: Model quality registry and request feedback
+-- Purpose: Rank models by output quality instead of rates.confidence (which
+-- measures how reliable the price data is). Benchmark scores are stored per
+-- model and task category; agents can rate individual routed requests and
+-- those ratings are blended into the benchmark score.
+
+CREATE TABLE IF NOT EXISTS model_quality (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  model TEXT NOT NULL,                      -- provider model id (e.g. 'gpt-4o-mini')
+  category TEXT NOT NULL,                   -- task category (e.g. 'text-generation')
+  score REAL NOT NULL CHECK (score >= 0 AND score <= 100),
+  source TEXT,                              -- benchmark or import the score came from
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (model, category)
+);
+
+CREATE INDEX IF NOT EXISTS idx_model_quality_category ON model_quality(category);
+
+-- One rating per agent per routed request (re-posting replaces it)
+CREATE TABLE IF NOT EXISTS request_feedback (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  request_log_id INTEGER NOT NULL,
+  agent_id INTEGER NOT NULL,
+  rating INTEGER NOT NULL CHECK (rating BETWEEN 1 AND 5),
+  comment TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (request_log_id, agent_id),
+  FOREIGN KEY (request_log_id) REFERENCES request_log(id),
+  FOREIGN KEY (agent_id) REFERENCES agents(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_request_feedback_log ON request_feedback(request_log_id);
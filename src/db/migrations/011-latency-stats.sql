@@ -0,0 +1,24 @@
+-- Migration 011: Rolling latency and error-rate statistics
+-- Purpose: Precompute p50/p95/p99 latency and error rate per provider and model
+-- over rolling windows (e.g. 1h, 24h, 7d) from request_log, so routing and the
+-- provider/compare endpoints read one row instead of scanning all history.
+
+CREATE TABLE IF NOT EXISTS provider_latency_stats (
+  provider TEXT NOT NULL,                   -- adapter name as logged in request_log
+  model TEXT NOT NULL DEFAULT '',           -- '' = all models of the provider
+  time_window TEXT NOT NULL,                -- window label, e.g. '24h'
+  sample_count INTEGER NOT NULL DEFAULT 0,  -- successful calls with a latency
+  error_count INTEGER NOT NULL DEFAULT 0,   -- failed calls (including ones recovered by fallback)
+  error_rate REAL,                          -- error_count / (sample_count + error_count)
+  p50_ms INTEGER,
+  p95_ms INTEGER,
+  p99_ms INTEGER,
+  avg_ms REAL,
+  computed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (provider, model, time_window)
+);
+
+-- Providers that failed before the serving provider answered: JSON [{ provider, model }]
+ALTER TABLE request_log ADD COLUMN failed_providers TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_request_log_created ON request_log(created_at);
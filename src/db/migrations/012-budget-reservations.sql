@@ -0,0 +1,20 @@
+-- Migration 012: Budget reservations
+-- Purpose: Reserve a request's estimated cost against the agent's budget before
+-- the provider call and settle it with the actual cost afterwards, so concurrent
+-- requests cannot all pass the check and overspend monthly_limit. Reservations
+-- that are neither settled nor released (crashed or hung requests) expire.
+
+CREATE TABLE IF NOT EXISTS budget_reservations (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  agent_id INTEGER NOT NULL,
+  period TEXT NOT NULL,                      -- budget period the amount is held in
+  amount REAL NOT NULL,                      -- estimated cost held (USD)
+  status TEXT NOT NULL DEFAULT 'active',     -- active | settled | released | expired
+  actual_cost REAL,                          -- billed cost once settled
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  expires_at DATETIME NOT NULL,
+  closed_at DATETIME,                        -- when it was settled, released or expired
+  FOREIGN KEY (agent_id) REFERENCES agents(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_budget_reservations_active ON budget_reservations(agent_id, status, expires_at);
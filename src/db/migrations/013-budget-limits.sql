@@ -0,0 +1,43 @@
+-- Migration 013: Flexible and hierarchical budgets
+-- Purpose: Budget limits over daily, weekly, monthly or custom windows, optionally
+-- restricted to one provider or task category, set on an agent or on a budget
+-- group (organization or team) that several agents roll up into. Spend in a
+-- window is summed from request_log. The per-month budgets row (POST /v1/budget)
+-- keeps working alongside these limits.
+
+CREATE TABLE IF NOT EXISTS budget_groups (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL,
+  kind TEXT NOT NULL DEFAULT 'team',         -- organization | team
+  parent_id INTEGER,                         -- e.g. the organization a team belongs to
+  owner_agent_id INTEGER NOT NULL,           -- agent allowed to manage limits and members
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (parent_id) REFERENCES budget_groups(id),
+  FOREIGN KEY (owner_agent_id) REFERENCES agents(id)
+);
+
+-- The group an agent's spend rolls up into (and through it, the group's parents)
+ALTER TABLE agents ADD COLUMN budget_group_id INTEGER REFERENCES budget_groups(id);
+
+CREATE TABLE IF NOT EXISTS budget_limits (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  agent_id INTEGER,                          -- exactly one of agent_id / group_id
+  group_id INTEGER,
+  period_type TEXT NOT NULL,                 -- daily | weekly | monthly | custom
+  starts_at DATETIME,                        -- custom windows only (UTC)
+  ends_at DATETIME,
+  provider TEXT,                             -- sub-limit on one provider (adapter name); NULL = all
+  task TEXT,                                 -- sub-limit on one task category; NULL = all
+  limit_usd REAL NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (agent_id) REFERENCES agents(id),
+  FOREIGN KEY (group_id) REFERENCES budget_groups(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_budget_limits_agent ON budget_limits(agent_id);
+CREATE INDEX IF NOT EXISTS idx_budget_limits_group ON budget_limits(group_id);
+
+-- Scope of each reservation so provider/task sub-limits see in-flight spend
+ALTER TABLE budget_reservations ADD COLUMN provider TEXT;
+ALTER TABLE budget_reservations ADD COLUMN task TEXT;
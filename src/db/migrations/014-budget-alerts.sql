@@ -0,0 +1,38 @@
+-- Migration 014: Budget threshold notifications
+-- Purpose: Agents configure soft thresholds (percent of a budget's limit) and
+-- projected-overrun warnings on their monthly budget or on a budget limit. Each
+-- firing is recorded once per budget window and sent through the price alert
+-- notifiers (webhook, email, websocket).
+
+CREATE TABLE IF NOT EXISTS budget_alerts (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  agent_id INTEGER NOT NULL,                 -- agent notified (owner of the alert)
+  limit_id INTEGER,                          -- budget_limits row watched; NULL = monthly budget (POST /v1/budget)
+  thresholds TEXT NOT NULL DEFAULT '[50,80,100]', -- JSON array of percents of the limit
+  projected_overrun INTEGER NOT NULL DEFAULT 1,   -- warn when spend is on pace to exceed the limit
+  notify_method TEXT NOT NULL CHECK(notify_method IN ('webhook', 'email', 'websocket')),
+  webhook_url TEXT,
+  email TEXT,
+  status TEXT NOT NULL DEFAULT 'active' CHECK(status IN ('active', 'paused')),
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (agent_id) REFERENCES agents(id),
+  FOREIGN KEY (limit_id) REFERENCES budget_limits(id)
+);
+
+CREATE TABLE IF NOT EXISTS budget_alert_firings (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  budget_alert_id INTEGER NOT NULL,
+  period_key TEXT NOT NULL,                  -- budget window the firing belongs to (dedup key)
+  kind TEXT NOT NULL,                        -- threshold | projected_overrun
+  threshold INTEGER NOT NULL DEFAULT 0,      -- percent crossed (0 for projected_overrun)
+  spent REAL NOT NULL,
+  limit_usd REAL NOT NULL,
+  projected REAL,                            -- projected spend at the end of the window
+  notified INTEGER NOT NULL DEFAULT 0,       -- 1 once a notifier delivered it
+  fired_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (budget_alert_id, period_key, kind, threshold),
+  FOREIGN KEY (budget_alert_id) REFERENCES budget_alerts(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_budget_alerts_agent ON budget_alerts(agent_id, status);
+CREATE INDEX IF NOT EXISTS idx_budget_alerts_limit ON budget_alerts(limit_id);
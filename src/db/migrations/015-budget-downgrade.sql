@@ -0,0 +1,6 @@
+-- Migration 015: Budget downgrade policy
+-- Purpose: Agents opt into degrading smart-route requests (cheaper strategy,
+-- capped maxTokens, cheaper model tier) as their remaining budget runs low,
+-- instead of failing them with 402. See src/router/downgrade.js.
+
+ALTER TABLE agents ADD COLUMN budget_downgrade_policy TEXT; -- JSON { steps: [...] }; NULL = off
@@ -0,0 +1,13 @@
+-- Migration 016: Savings against a declared baseline
+-- Purpose: Agents declare the provider/model they would otherwise use. Each
+-- request_log row stores what that baseline would have cost for the same tokens
+-- at the baseline's price at the time of the call, so reported savings do not
+-- drift when rates change later.
+
+ALTER TABLE agents ADD COLUMN savings_baseline_provider TEXT;
+ALTER TABLE agents ADD COLUMN savings_baseline_model TEXT;
+
+ALTER TABLE request_log ADD COLUMN baseline_provider TEXT;
+ALTER TABLE request_log ADD COLUMN baseline_model TEXT;
+ALTER TABLE request_log ADD COLUMN baseline_cost REAL;  -- USD the baseline would have cost; NULL = no baseline
+ALTER TABLE request_log ADD COLUMN savings REAL;        -- baseline_cost - cost (negative when the baseline was cheaper)
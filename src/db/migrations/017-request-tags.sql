@@ -0,0 +1,6 @@
+-- Migration 017: Cost attribution tags
+-- Purpose: Smart-route requests carry free-form tags (project, user, workflow,
+-- environment, ...) so an agent's spend can be filtered and grouped per tag in
+-- /v1/analytics and charged back to internal teams. See src/router/tags.js.
+
+ALTER TABLE request_log ADD COLUMN tags TEXT; -- JSON { key: value }; NULL = untagged
@@ -0,0 +1,27 @@
+-- Migration 018: Multiple API keys per agent
+-- Purpose: Agents hold several named keys, each with its own scopes, optional
+-- expiry, last-used timestamp and revocation. Rotation issues a new key and keeps
+-- the old one valid for an overlap window. See src/db/agent-keys.js.
+-- agents.api_key is kept for compatibility; authentication only reads agent_keys.
+
+CREATE TABLE IF NOT EXISTS agent_keys (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  agent_id INTEGER NOT NULL,
+  name TEXT NOT NULL,
+  api_key TEXT NOT NULL UNIQUE,
+  scopes TEXT NOT NULL,                      -- JSON array, see API_KEY_SCOPES
+  expires_at DATETIME,                       -- NULL = never
+  last_used_at DATETIME,
+  revoked_at DATETIME,
+  rotated_from INTEGER,                      -- key this one replaced
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (agent_id) REFERENCES agents(id),
+  FOREIGN KEY (rotated_from) REFERENCES agent_keys(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_agent_keys_agent ON agent_keys(agent_id);
+
+-- Existing keys become each agent's 'default' key with every scope
+INSERT INTO agent_keys (agent_id, name, api_key, scopes, created_at)
+SELECT id, 'default', api_key, '["rates:read","route","alerts:manage","budget:manage","keys:manage"]', created_at
+FROM agents;
@@ -0,0 +1,19 @@
+-- Migration 019: Budget group invites
+-- Purpose: A group owner can no longer move another agent into a group directly.
+-- The owner invites the agent, and the agent's spend only rolls up into the group
+-- once the agent accepts. See src/router/budget-limits.js.
+
+CREATE TABLE IF NOT EXISTS budget_group_invites (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  group_id INTEGER NOT NULL,
+  agent_id INTEGER NOT NULL,                 -- invited agent
+  invited_by INTEGER NOT NULL,               -- group owner at the time of the invite
+  status TEXT NOT NULL DEFAULT 'pending',    -- pending | accepted | declined
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  responded_at DATETIME,
+  FOREIGN KEY (group_id) REFERENCES budget_groups(id),
+  FOREIGN KEY (agent_id) REFERENCES agents(id),
+  FOREIGN KEY (invited_by) REFERENCES agents(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_budget_group_invites_agent ON budget_group_invites(agent_id, status);
@@ -0,0 +1,7 @@
+-- Migration 020: Monthly budget spend from request_log
+-- Purpose: The monthly budget (POST /v1/budget) now sums its spend from request_log
+-- over the UTC month, the same source as daily/weekly/monthly/custom limits, so the
+-- two can no longer disagree. budgets.spent was a running total kept on settle and
+-- is no longer read or written. See src/router/budget.js.
+
+ALTER TABLE budgets DROP COLUMN spent;
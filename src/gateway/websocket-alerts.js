@@ -1,5 +1,5 @@
 import { WebSocketServer } from 'ws';
-import { getAgentByKey } from '../db/agents.js';
+import { authenticateApiKey } from '../db/agent-keys.js';
 import logger from '../logger.js';
 
 /**
@@ -59,19 +59,31 @@ export function initAlertWebSocket(httpServer) {
               return;
             }
 
-            // Validate API key
-            const agent = getAgentByKey(apiKey);
+            // Validate API key (unexpired, not revoked, with the 'alerts:manage' scope)
+            const auth = authenticateApiKey(apiKey);
 
-            if (!agent) {
-              logger.warn('websocket_auth_invalid_key', { agentId });
+            if (!auth || auth.status !== 'active') {
+              logger.warn('websocket_auth_invalid_key', { agentId, status: auth?.status || 'unknown' });
               ws.send(JSON.stringify({
                 type: 'error',
-                message: 'Invalid API key'
+                message: auth ? `API key ${auth.status}` : 'Invalid API key'
               }));
               ws.close(1008, 'Invalid credentials');
               return;
             }
 
+            if (!auth.key.scopes.includes('alerts:manage')) {
+              logger.warn('websocket_auth_scope_denied', { agentId, keyId: auth.key.id });
+              ws.send(JSON.stringify({
+                type: 'error',
+                message: "API key does not have the 'alerts:manage' scope"
+              }));
+              ws.close(1008, 'Insufficient scope');
+              return;
+            }
+
+            const { agent } = auth;
+
             // Verify agentId matches
             if (agent.id !== parseInt(agentId, 10)) {
               logger.warn('websocket_auth_id_mismatch', {
@@ -95,7 +107,8 @@ export function initAlertWebSocket(httpServer) {
 
             logger.info('websocket_auth_success', {
               agentId: agent.id,
-              agentName: agent.name
+              agentName: agent.name,
+              keyId: auth.key.id
             });
 
             // Send connected confirmation
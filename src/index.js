@@ -2,7 +2,8 @@ import dotenv from 'dotenv';
 import app from './server.js';
 import { initDatabase, initMigrations, closeDatabase, getDb } from './db/database.js';
 import { seedFromManualData } from './crawler/providers/manual.js';
-import { startScheduler, stopScheduler, startAlertChecker, stopAlertChecker, startForecastGenerator, stopForecastGenerator } from './crawler/scheduler.js';
+import { seedQualityScores } from './router/quality.js';
+import { startScheduler, stopScheduler, startAlertChecker, stopAlertChecker, startForecastGenerator, stopForecastGenerator, startLatencyStats, stopLatencyStats } from './crawler/scheduler.js';
 import { logProviderStatus, getAdapterMap } from './router/config.js';
 import { initAlertWebSocket, closeAllConnections } from './gateway/websocket-alerts.js';
 import { validateX402Config } from './middleware/x402-payment.js';
@@ -51,6 +52,18 @@ async function startup() {
       console.log(`[startup] ✓ Database already populated (${providerCount} providers)`);
     }
 
+    // Step 2b: Seed model quality benchmarks (scores updated via /v1/quality are kept)
+    const qualityCount = db.prepare('SELECT COUNT(*) as count FROM model_quality').get().count;
+
+    if (qualityCount === 0) {
+      try {
+        const imported = seedQualityScores();
+        console.log(`[startup] ✓ Seeded ${imported} model quality scores`);
+      } catch (error) {
+        console.error('[startup] ✗ Failed to seed model quality scores:', error.message);
+      }
+    }
+
     // Step 3: Check Smart Router configuration
     console.log('[startup] Checking Smart Router configuration...');
     logProviderStatus();
@@ -78,6 +91,11 @@ async function startup() {
     startForecastGenerator('0 2 * * *');
     console.log('[startup] ✓ Forecast generator scheduler started (daily at 2 AM UTC)');
 
+    // Step 4d: Start latency stats scheduler (every 5 minutes)
+    console.log('[startup] Starting latency stats scheduler...');
+    startLatencyStats(process.env.LATENCY_STATS_SCHEDULE || '*/5 * * * *');
+    console.log('[startup] ✓ Latency stats scheduler started');
+
     // Step 5: Start Express server
     console.log('[startup] Starting Express server...');
     const server = app.listen(PORT, () => {
@@ -116,6 +134,10 @@ async function startup() {
       console.log('[shutdown] Stopping forecast generator...');
       stopForecastGenerator();
 
+      // Stop latency stats scheduler
+      console.log('[shutdown] Stopping latency stats...');
+      stopLatencyStats();
+
       // Close WebSocket connections
       console.log('[shutdown] Closing WebSocket connections...');
       closeAllConnections();
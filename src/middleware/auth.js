@@ -1,30 +1,41 @@
-import { getAgentByKey } from '../db/agents.js';
+import { timingSafeEqual } from 'crypto';
+import { authenticateApiKey } from '../db/agent-keys.js';
 import logger from '../logger.js';
 
 /**
- * Authentication middleware for Smart Router API endpoints
- * Checks for API key in Authorization header or query param
- * Sets req.agent = { id, name } if valid
+ * Read the API key from the Authorization header or query param
+ * @param {Object} req - Express request
+ * @returns {string|null}
  */
-export const requireAuth = async (req, res, next) => {
-  try {
-    // Check Authorization header: "Bearer aro_xxxxx"
-    let apiKey = null;
-
-    if (req.headers.authorization) {
-      const parts = req.headers.authorization.split(' ');
-      if (parts.length === 2 && parts[0] === 'Bearer') {
-        apiKey = parts[1];
-      }
+const readApiKey = (req) => {
+  // Check Authorization header: "Bearer aro_xxxxx"
+  if (req.headers.authorization) {
+    const parts = req.headers.authorization.split(' ');
+    if (parts.length === 2 && parts[0] === 'Bearer') {
+      return parts[1];
     }
+  }
 
-    // Fallback to query param: ?api_key=aro_xxxxx
-    if (!apiKey && req.query.api_key) {
-      apiKey = req.query.api_key;
-    }
+  // Fallback to query param: ?api_key=aro_xxxxx
+  return req.query.api_key || null;
+};
+
+/**
+ * Authenticate the request's API key and, when given, check one scope
+ * @param {string|null} scope - Required scope (see API_KEY_SCOPES), null for any valid key
+ * @param {boolean} optional - Let requests without a key through unauthenticated
+ * @returns {Function} Express middleware
+ */
+const authenticate = (scope, optional) => async (req, res, next) => {
+  try {
+    const apiKey = readApiKey(req);
 
     // No API key provided
     if (!apiKey) {
+      if (optional) {
+        return next();
+      }
+
       return res.status(401).json({
         success: false,
         error: 'API key required',
@@ -33,9 +44,9 @@ export const requireAuth = async (req, res, next) => {
     }
 
     // Validate API key
-    const agent = getAgentByKey(apiKey);
+    const auth = authenticateApiKey(apiKey);
 
-    if (!agent) {
+    if (!auth) {
       logger.warn('invalid_api_key_attempt', { apiKey: apiKey.substring(0, 10) + '...' });
 
       return res.status(401).json({
@@ -45,13 +56,41 @@ export const requireAuth = async (req, res, next) => {
       });
     }
 
-    // Valid key — attach agent to request
+    if (auth.status !== 'active') {
+      logger.warn('inactive_api_key_attempt', { agentId: auth.agent.id, keyId: auth.key.id, status: auth.status });
+
+      return res.status(401).json({
+        success: false,
+        error: auth.status === 'expired' ? 'API key expired' : 'API key revoked',
+        message: 'Use another key of this agent, or create one at POST /v1/agents/me/keys'
+      });
+    }
+
+    if (scope && !auth.key.scopes.includes(scope)) {
+      // Where anonymous (x402-paid) calls are served, such a key is treated as no key
+      if (optional) {
+        logger.info('api_key_scope_ignored', { agentId: auth.agent.id, keyId: auth.key.id, scope });
+        return next();
+      }
+
+      logger.warn('api_key_scope_denied', { agentId: auth.agent.id, keyId: auth.key.id, scope });
+
+      return res.status(403).json({
+        success: false,
+        error: 'Insufficient scope',
+        message: `This API key does not have the '${scope}' scope`
+      });
+    }
+
+    // Valid key — attach agent (and the key used) to request
     req.agent = {
-      id: agent.id,
-      name: agent.name
+      id: auth.agent.id,
+      name: auth.agent.name,
+      keyId: auth.key.id,
+      scopes: auth.key.scopes
     };
 
-    logger.info('auth_success', { agentId: agent.id, agentName: agent.name });
+    logger.info('auth_success', { agentId: auth.agent.id, agentName: auth.agent.name, keyId: auth.key.id });
 
     next();
   } catch (error) {
@@ -65,6 +104,66 @@ export const requireAuth = async (req, res, next) => {
   }
 };
 
+/**
+ * Authentication middleware for Smart Router API endpoints
+ * Checks for API key in Authorization header or query param
+ * Sets req.agent = { id, name, keyId, scopes } if the key is valid, unexpired and not revoked
+ */
+export const requireAuth = authenticate(null, false);
+
+/**
+ * requireAuth plus a scope the key must hold (403 otherwise)
+ * @param {string} scope - One of API_KEY_SCOPES, e.g. 'budget:manage'
+ * @returns {Function} Express middleware
+ */
+export const requireScope = (scope) => authenticate(scope, false);
+
+/**
+ * For endpoints that also serve anonymous (x402-paid) callers: without a key, or with
+ * a key lacking the scope, the request passes unauthenticated (req.agent unset);
+ * a key that is sent must still be valid, unexpired and not revoked (401 otherwise)
+ * @param {string} scope - One of API_KEY_SCOPES, e.g. 'route'
+ * @returns {Function} Express middleware
+ */
+export const optionalAuth = (scope) => authenticate(scope, true);
+
+/**
+ * Operator-only endpoints (global registries shared by every agent)
+ * Checks the X-Operator-Key header against AGORA_OPERATOR_KEY; agent API keys are never enough.
+ * Without AGORA_OPERATOR_KEY set the endpoints are disabled.
+ */
+export const requireOperator = (req, res, next) => {
+  const expected = process.env.AGORA_OPERATOR_KEY;
+  const presented = req.headers['x-operator-key'];
+
+  if (!expected) {
+    return res.status(403).json({
+      success: false,
+      error: 'Operator endpoints disabled',
+      message: 'Set AGORA_OPERATOR_KEY on the server to enable this endpoint'
+    });
+  }
+
+  const valid = typeof presented === 'string' &&
+    presented.length === expected.length &&
+    timingSafeEqual(Buffer.from(presented), Buffer.from(expected));
+
+  if (!valid) {
+    logger.warn('invalid_operator_key_attempt', { path: req.originalUrl });
+
+    return res.status(403).json({
+      success: false,
+      error: 'Operator key required',
+      message: 'Provide the operator key via the X-Operator-Key header'
+    });
+  }
+
+  next();
+};
+
 export default {
-  requireAuth
+  requireAuth,
+  requireScope,
+  optionalAuth,
+  requireOperator
 };
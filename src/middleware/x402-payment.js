@@ -5,7 +5,7 @@
  * Uses Coinbase x402 protocol with Base network USDC.
  *
  * Features:
- * - 7 premium endpoints (Smart Router, Agent Services, Alerts, Forecast)
+ * - 8 premium endpoints (Smart Router, Agent Services, Alerts, Forecast)
  * - 8 free endpoints (discovery + hook)
  * - Auto-listing on x402 Bazaar (discoverable: true)
  */
@@ -28,6 +28,13 @@ const premiumEndpoints = {
     description: 'AGORA Smart Router — AI provider routing with cost optimization. Save 50-80% on AI API costs.',
     discoverable: true
   },
+  'POST /v1/smart-route/batch': {
+    price: '0.01',
+    currency: 'USDC',
+    network: 'base',
+    description: 'AGORA Smart Router Batch — Route up to 500 prompts in one call with budget holds and a cost/savings summary',
+    discoverable: true
+  },
   'GET /v1/analytics/:agentId': {
     price: '0.0005',
     currency: 'USDC',
@@ -86,11 +93,15 @@ const premiumEndpoints = {
 // - GET /v1/providers, /v1/providers/:id
 // - GET /v1/stats, /v1/stats/volatility
 // - GET /v1/compare
+// - GET /v1/quality, POST /v1/quality/feedback (agent key auth for writes)
 // - GET /v1/agent-services (list only)
 // - GET /v1/budget/:id, POST /v1/budget
+// - GET /v1/analytics/:agentId/export (agent key auth, own agent only)
 // - GET /v1/alerts/:id (status check)
-// - GET /health
+// - GET /health, GET /v1/smart-route/health (circuit breakers)
+// - POST /v1/smart-route/explain (dry run, no provider call)
 // - POST /v1/agents (registration)
+// - POST /v1/openai/chat/completions (agent key auth, billed against the agent budget)
 
 /**
  * x402 middleware factory
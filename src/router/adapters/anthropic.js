@@ -1,4 +1,6 @@
-import { BaseAdapter } from './base.js';
+import { BaseAdapter, STREAM_TIMEOUT_MS } from './base.js';
+import { estimateTokens } from '../pricing.js';
+import { toAnthropicMessages, toStopSequences, messagesToText } from '../messages.js';
 import logger from '../../logger.js';
 
 /**
@@ -16,8 +18,8 @@ export class AnthropicAdapter extends BaseAdapter {
 
   /**
    * Generate text using Anthropic API
-   * @param {string} prompt - Input prompt
-   * @param {Object} options - Generation options
+   * @param {string|Array<Object>} prompt - Input prompt or messages [{ role, content }]
+   * @param {Object} options - Generation options { model, maxTokens, temperature, stop }
    * @returns {Promise<Object>} { text, tokens: { input, output }, latency, cost, model }
    */
   async generate(prompt, options = {}) {
@@ -26,6 +28,9 @@ export class AnthropicAdapter extends BaseAdapter {
     try {
       const model = options.model || this.defaultModel;
       const maxTokens = options.maxTokens || 1000;
+      const { system, messages } = toAnthropicMessages(prompt);
+      // Anthropic accepts 0-1 where OpenAI-style callers may send up to 2
+      const temperature = options.temperature === undefined ? undefined : Math.min(options.temperature, 1);
 
       const response = await fetch(`${this.baseUrl}/messages`, {
         method: 'POST',
@@ -37,9 +42,12 @@ export class AnthropicAdapter extends BaseAdapter {
         body: JSON.stringify({
           model,
           max_tokens: maxTokens,
-          messages: [{ role: 'user', content: prompt }]
+          system,
+          messages,
+          temperature,
+          stop_sequences: toStopSequences(options.stop)
         }),
-        signal: AbortSignal.timeout(10000) // 10s timeout
+        signal: this.buildSignal(options) // 10s timeout, or caller abort
       });
 
       if (!response.ok) {
@@ -51,9 +59,11 @@ export class AnthropicAdapter extends BaseAdapter {
       const latency = Date.now() - startTime;
 
       const text = data.content[0].text;
-      const tokensIn = data.usage.input_tokens;
+      // Anthropic reports cache reads separately from input_tokens
+      const cachedTokens = data.usage.cache_read_input_tokens || 0;
+      const tokensIn = data.usage.input_tokens + cachedTokens;
       const tokensOut = data.usage.output_tokens;
-      const cost = this.calculateCost(tokensIn, tokensOut, model);
+      const cost = this.calculateCost(tokensIn, tokensOut, model, { cachedTokens });
 
       logger.info('anthropic_generate_success', { model, tokensIn, tokensOut, latency });
 
@@ -70,6 +80,97 @@ export class AnthropicAdapter extends BaseAdapter {
     }
   }
 
+  /**
+   * Stream text using Anthropic API (server-sent events)
+   * @param {string|Array<Object>} prompt - Input prompt or messages [{ role, content }]
+   * @param {Object} options - Generation options { model, maxTokens, temperature, stop }
+   * @param {Function} onToken - Called with each text delta as it arrives
+   * @returns {Promise<Object>} { text, tokens: { input, output }, latency, cost, model }
+   */
+  async generateStream(prompt, options = {}, onToken = () => {}) {
+    const startTime = Date.now();
+
+    try {
+      const model = options.model || this.defaultModel;
+      const maxTokens = options.maxTokens || 1000;
+      const { system, messages } = toAnthropicMessages(prompt);
+      // Anthropic accepts 0-1 where OpenAI-style callers may send up to 2
+      const temperature = options.temperature === undefined ? undefined : Math.min(options.temperature, 1);
+
+      const response = await fetch(`${this.baseUrl}/messages`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': this.apiKey,
+          'anthropic-version': '2023-06-01'
+        },
+        body: JSON.stringify({
+          model,
+          max_tokens: maxTokens,
+          system,
+          messages,
+          temperature,
+          stop_sequences: toStopSequences(options.stop),
+          stream: true
+        }),
+        signal: this.buildSignal(options, STREAM_TIMEOUT_MS)
+      });
+
+      if (!response.ok) {
+        const error = await response.text();
+        throw new Error(`Anthropic API error: ${response.status} ${error}`);
+      }
+
+      let text = '';
+      let inputTokens = null;
+      let cachedTokens = 0;
+      let outputTokens = null;
+
+      await this.readEventStream(response, (event) => {
+        switch (event.type) {
+          case 'message_start':
+            inputTokens = event.message.usage.input_tokens;
+            cachedTokens = event.message.usage.cache_read_input_tokens || 0;
+            break;
+
+          case 'content_block_delta':
+            if (event.delta.type === 'text_delta') {
+              text += event.delta.text;
+              onToken(event.delta.text);
+            }
+            break;
+
+          case 'message_delta':
+            outputTokens = event.usage?.output_tokens ?? outputTokens;
+            break;
+
+          case 'error':
+            throw new Error(`Anthropic stream error: ${event.error?.message || 'unknown'}`);
+        }
+      });
+
+      const latency = Date.now() - startTime;
+
+      // Anthropic reports cache reads separately from input_tokens
+      const tokensIn = (inputTokens ?? estimateTokens(messagesToText(prompt))) + cachedTokens;
+      const tokensOut = outputTokens ?? estimateTokens(text);
+      const cost = this.calculateCost(tokensIn, tokensOut, model, { cachedTokens });
+
+      logger.info('anthropic_stream_success', { model, tokensIn, tokensOut, latency });
+
+      return {
+        text,
+        tokens: { input: tokensIn, output: tokensOut },
+        latency,
+        cost,
+        model
+      };
+    } catch (error) {
+      logger.error('anthropic_stream_failed', { error: error.message });
+      throw error;
+    }
+  }
+
   /**
    * Check if Anthropic API is available
    * @returns {Promise<boolean>}
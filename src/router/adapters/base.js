@@ -1,6 +1,9 @@
-import { getAll } from '../../db/database.js';
+import { getModelRate, calculateTokenCost } from '../pricing.js';
 import logger from '../../logger.js';
 
+// Streams stay open for the whole completion, so they get a longer timeout than generate()
+export const STREAM_TIMEOUT_MS = 60000;
+
 /**
  * Base adapter class for AI providers
  * All provider adapters extend this class
@@ -8,13 +11,15 @@ import logger from '../../logger.js';
 export class BaseAdapter {
   /**
    * @param {Object} config - Adapter configuration
-   * @param {string} config.name - Provider name
+   * @param {string} config.name - Adapter name (adapterMap key, e.g. 'gemini')
+   * @param {string} config.providerName - Provider name in the providers table (e.g. 'Google AI'); defaults to name
    * @param {string} config.apiKey - API key
    * @param {string} config.baseUrl - Base URL for API
    * @param {string} config.defaultModel - Default model to use
    */
-  constructor({ name, apiKey, baseUrl, defaultModel }) {
+  constructor({ name, providerName, apiKey, baseUrl, defaultModel }) {
     this.name = name;
+    this.providerName = providerName || name;
     this.apiKey = apiKey;
     this.baseUrl = baseUrl;
     this.defaultModel = defaultModel;
@@ -22,14 +27,25 @@ export class BaseAdapter {
 
   /**
    * Generate text from prompt (must be implemented by subclass)
-   * @param {string} prompt - Input prompt
-   * @param {Object} options - Generation options
-   * @returns {Promise<Object>} { text, tokens: { input, output }, latency, cost, model }
+   * @param {string|Array<Object>} prompt - Input prompt, or chat messages [{ role, content }] (see ../messages.js)
+   * @param {Object} options - Generation options { model, maxTokens, temperature, stop }; unset fields are omitted from the request
+   * @returns {Promise<Object>} { text, tokens: { input, output }, latency, cost, model } (cost is null for an unknown model)
    */
   async generate(prompt, options = {}) {
     throw new Error('generate() must be implemented by subclass');
   }
 
+  /**
+   * Stream text from prompt (must be implemented by subclass)
+   * @param {string|Array<Object>} prompt - Input prompt or chat messages [{ role, content }]
+   * @param {Object} options - Generation options (options.signal aborts the upstream request)
+   * @param {Function} onToken - Called with each text delta as it arrives
+   * @returns {Promise<Object>} Same shape as generate(), resolved once the stream completes
+   */
+  async generateStream(prompt, options = {}, onToken = () => {}) {
+    throw new Error('generateStream() must be implemented by subclass');
+  }
+
   /**
    * Check if provider is available
    * @returns {Promise<boolean>} true if available
@@ -38,42 +54,81 @@ export class BaseAdapter {
     return true; // Override in subclass
   }
 
+  /**
+   * Build the abort signal for an upstream request
+   * Combines the adapter timeout with a caller-supplied signal (e.g. client disconnect).
+   * @param {Object} options - Generation options ({ signal })
+   * @param {number} timeoutMs - Timeout in milliseconds
+   * @returns {AbortSignal}
+   */
+  buildSignal(options = {}, timeoutMs = 10000) {
+    const timeout = AbortSignal.timeout(timeoutMs);
+    return options.signal ? AbortSignal.any([options.signal, timeout]) : timeout;
+  }
+
+  /**
+   * Read a server-sent-events response body
+   * Calls onEvent with each parsed JSON `data:` payload; `[DONE]` markers are skipped.
+   * @param {Response} response - fetch Response with a streaming body
+   * @param {Function} onEvent - Called with each parsed event payload
+   * @returns {Promise<void>} Resolves when the stream ends
+   */
+  async readEventStream(response, onEvent) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    const handleLine = (line) => {
+      if (!line.startsWith('data:')) {
+        return;
+      }
+
+      const payload = line.slice(5).trim();
+      if (!payload || payload === '[DONE]') {
+        return;
+      }
+
+      onEvent(JSON.parse(payload));
+    };
+
+    for await (const chunk of response.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(line => handleLine(line.replace(/\r$/, '')));
+    }
+
+    buffer += decoder.decode();
+    if (buffer) {
+      handleLine(buffer.trim());
+    }
+  }
+
   /**
    * Calculate cost based on token usage using AGORA rate database
+   * Resolves the rate for the exact model billed by the provider; if that
+   * model has no rate on record the cost is unknown and null is returned
+   * (never another model's price).
    * @param {number} tokensIn - Input tokens
    * @param {number} tokensOut - Output tokens
-   * @param {string} model - Model name
-   * @returns {number} Cost in USD
+   * @param {string} model - Model name as returned by the provider
+   * @param {Object} usage - Optional usage details { cachedTokens, batch }
+   * @returns {number|null} Cost in USD, or null for an unknown model
    */
-  calculateCost(tokensIn, tokensOut, model) {
+  calculateCost(tokensIn, tokensOut, model, usage = {}) {
     try {
-      // Query AGORA rate database for this provider's rates
-      const rates = getAll(
-        `SELECT r.*, s.category, s.subcategory
-         FROM rates r
-         JOIN services s ON r.service_id = s.id
-         JOIN providers p ON s.provider_id = p.id
-         WHERE p.name = ?`,
-        [this.name]
-      );
-
-      if (rates.length === 0) {
-        logger.warn('no_rates_found', { provider: this.name });
-        return 0;
-      }
-
-      // Use first available rate (simplified cost calculation)
-      const rate = rates[0];
+      const rate = getModelRate(this.providerName, model || this.defaultModel);
 
-      // Simple cost estimation: price per unit (assuming per_1m_tokens)
-      const totalTokens = tokensIn + tokensOut;
-      const inputCost = (totalTokens / 1_000_000) * (rate.price || 0);
-      const outputCost = 0; // Simplified: price already covers both
+      if (!rate) {
+        logger.warn('unknown_model_rate', { provider: this.providerName, model });
+        return null;
+      }
 
-      return inputCost + outputCost;
+      // Input and output tokens are billed at their own per-1M-token prices
+      return calculateTokenCost(rate, tokensIn, tokensOut, usage);
     } catch (error) {
-      logger.error('cost_calculation_failed', { provider: this.name, error: error.message });
-      return 0;
+      logger.error('cost_calculation_failed', { provider: this.name, model, error: error.message });
+      return null;
     }
   }
 
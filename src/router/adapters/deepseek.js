@@ -1,4 +1,6 @@
-import { BaseAdapter } from './base.js';
+import { BaseAdapter, STREAM_TIMEOUT_MS } from './base.js';
+import { estimateTokens } from '../pricing.js';
+import { toMessages, toStopSequences, messagesToText } from '../messages.js';
 import logger from '../../logger.js';
 
 /**
@@ -16,8 +18,8 @@ export class DeepSeekAdapter extends BaseAdapter {
 
   /**
    * Generate text using DeepSeek API (OpenAI-compatible)
-   * @param {string} prompt - Input prompt
-   * @param {Object} options - Generation options
+   * @param {string|Array<Object>} prompt - Input prompt or messages [{ role, content }]
+   * @param {Object} options - Generation options { model, maxTokens, temperature, stop }
    * @returns {Promise<Object>} { text, tokens: { input, output }, latency, cost, model }
    */
   async generate(prompt, options = {}) {
@@ -35,10 +37,12 @@ export class DeepSeekAdapter extends BaseAdapter {
         },
         body: JSON.stringify({
           model,
-          messages: [{ role: 'user', content: prompt }],
-          max_tokens: maxTokens
+          messages: toMessages(prompt),
+          max_tokens: maxTokens,
+          temperature: options.temperature,
+          stop: toStopSequences(options.stop)
         }),
-        signal: AbortSignal.timeout(10000) // 10s timeout
+        signal: this.buildSignal(options) // 10s timeout, or caller abort
       });
 
       if (!response.ok) {
@@ -52,7 +56,8 @@ export class DeepSeekAdapter extends BaseAdapter {
       const text = data.choices[0].message.content;
       const tokensIn = data.usage.prompt_tokens;
       const tokensOut = data.usage.completion_tokens;
-      const cost = this.calculateCost(tokensIn, tokensOut, model);
+      const cachedTokens = data.usage.prompt_cache_hit_tokens || 0;
+      const cost = this.calculateCost(tokensIn, tokensOut, model, { cachedTokens });
 
       logger.info('deepseek_generate_success', { model, tokensIn, tokensOut, latency });
 
@@ -69,6 +74,80 @@ export class DeepSeekAdapter extends BaseAdapter {
     }
   }
 
+  /**
+   * Stream text using DeepSeek API (server-sent events)
+   * @param {string|Array<Object>} prompt - Input prompt or messages [{ role, content }]
+   * @param {Object} options - Generation options { model, maxTokens, temperature, stop }
+   * @param {Function} onToken - Called with each text delta as it arrives
+   * @returns {Promise<Object>} { text, tokens: { input, output }, latency, cost, model }
+   */
+  async generateStream(prompt, options = {}, onToken = () => {}) {
+    const startTime = Date.now();
+
+    try {
+      const model = options.model || this.defaultModel;
+      const maxTokens = options.maxTokens || 1000;
+
+      const response = await fetch(`${this.baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${this.apiKey}`
+        },
+        body: JSON.stringify({
+          model,
+          messages: toMessages(prompt),
+          max_tokens: maxTokens,
+          temperature: options.temperature,
+          stop: toStopSequences(options.stop),
+          stream: true,
+          stream_options: { include_usage: true }
+        }),
+        signal: this.buildSignal(options, STREAM_TIMEOUT_MS)
+      });
+
+      if (!response.ok) {
+        const error = await response.text();
+        throw new Error(`DeepSeek API error: ${response.status} ${error}`);
+      }
+
+      let text = '';
+      let usage = null;
+
+      await this.readEventStream(response, (event) => {
+        const delta = event.choices?.[0]?.delta?.content;
+        if (delta) {
+          text += delta;
+          onToken(delta);
+        }
+        if (event.usage) {
+          usage = event.usage;
+        }
+      });
+
+      const latency = Date.now() - startTime;
+
+      // Usage arrives in the final chunk; estimate if the stream didn't report it
+      const tokensIn = usage?.prompt_tokens ?? estimateTokens(messagesToText(prompt));
+      const tokensOut = usage?.completion_tokens ?? estimateTokens(text);
+      const cachedTokens = usage?.prompt_cache_hit_tokens || 0;
+      const cost = this.calculateCost(tokensIn, tokensOut, model, { cachedTokens });
+
+      logger.info('deepseek_stream_success', { model, tokensIn, tokensOut, latency });
+
+      return {
+        text,
+        tokens: { input: tokensIn, output: tokensOut },
+        latency,
+        cost,
+        model
+      };
+    } catch (error) {
+      logger.error('deepseek_stream_failed', { error: error.message });
+      throw error;
+    }
+  }
+
   /**
    * Check if DeepSeek API is available
    * @returns {Promise<boolean>}
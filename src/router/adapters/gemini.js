@@ -0,0 +1,204 @@
+import { BaseAdapter, STREAM_TIMEOUT_MS } from './base.js';
+import { estimateTokens } from '../pricing.js';
+import { toGeminiContents, toStopSequences, messagesToText } from '../messages.js';
+import logger from '../../logger.js';
+
+/**
+ * Google Gemini adapter (Generative Language API)
+ */
+export class GeminiAdapter extends BaseAdapter {
+  constructor({ apiKey }) {
+    super({
+      name: 'gemini',
+      providerName: 'Google AI',
+      apiKey,
+      baseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+      defaultModel: 'gemini-2.5-flash-lite'
+    });
+  }
+
+  /**
+   * generateContent request body
+   * @param {string|Array<Object>} prompt - Input prompt or messages
+   * @param {Object} options - Generation options
+   * @returns {Object}
+   */
+  buildBody(prompt, options) {
+    const { systemInstruction, contents } = toGeminiContents(prompt);
+
+    return {
+      systemInstruction,
+      contents,
+      generationConfig: {
+        maxOutputTokens: options.maxTokens || 1000,
+        temperature: options.temperature,
+        stopSequences: toStopSequences(options.stop)
+      }
+    };
+  }
+
+  /**
+   * Read token counts from usageMetadata
+   * Thinking tokens are billed as output on Gemini 2.5+ models.
+   * @param {Object} usage - usageMetadata
+   * @returns {{ tokensIn: number|undefined, tokensOut: number|undefined, cachedTokens: number }}
+   */
+  parseUsage(usage) {
+    return {
+      tokensIn: usage?.promptTokenCount,
+      tokensOut: usage?.candidatesTokenCount === undefined
+        ? undefined
+        : usage.candidatesTokenCount + (usage.thoughtsTokenCount || 0),
+      cachedTokens: usage?.cachedContentTokenCount || 0
+    };
+  }
+
+  /**
+   * Concatenate the text parts of the first candidate
+   * @param {Object} data - generateContent response or stream chunk
+   * @returns {string}
+   */
+  extractText(data) {
+    const parts = data.candidates?.[0]?.content?.parts || [];
+    return parts.filter(part => typeof part.text === 'string' && !part.thought).map(part => part.text).join('');
+  }
+
+  /**
+   * Generate text using Gemini API
+   * @param {string|Array<Object>} prompt - Input prompt or messages [{ role, content }]
+   * @param {Object} options - Generation options { model, maxTokens, temperature, stop }
+   * @returns {Promise<Object>} { text, tokens: { input, output }, latency, cost, model }
+   */
+  async generate(prompt, options = {}) {
+    const startTime = Date.now();
+
+    try {
+      const model = options.model || this.defaultModel;
+
+      const response = await fetch(`${this.baseUrl}/models/${model}:generateContent`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-goog-api-key': this.apiKey
+        },
+        body: JSON.stringify(this.buildBody(prompt, options)),
+        signal: this.buildSignal(options)
+      });
+
+      if (!response.ok) {
+        const error = await response.text();
+        throw new Error(`Gemini API error: ${response.status} ${error}`);
+      }
+
+      const data = await response.json();
+      const latency = Date.now() - startTime;
+
+      const text = this.extractText(data);
+      const usage = this.parseUsage(data.usageMetadata);
+      const tokensIn = usage.tokensIn ?? estimateTokens(messagesToText(prompt));
+      const tokensOut = usage.tokensOut ?? estimateTokens(text);
+      const cost = this.calculateCost(tokensIn, tokensOut, model, { cachedTokens: usage.cachedTokens });
+
+      logger.info('gemini_generate_success', { model, tokensIn, tokensOut, latency });
+
+      return {
+        text,
+        tokens: { input: tokensIn, output: tokensOut },
+        latency,
+        cost,
+        model
+      };
+    } catch (error) {
+      logger.error('gemini_generate_failed', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Stream text using Gemini API (server-sent events)
+   * @param {string|Array<Object>} prompt - Input prompt or messages [{ role, content }]
+   * @param {Object} options - Generation options { model, maxTokens, temperature, stop }
+   * @param {Function} onToken - Called with each text delta as it arrives
+   * @returns {Promise<Object>} { text, tokens: { input, output }, latency, cost, model }
+   */
+  async generateStream(prompt, options = {}, onToken = () => {}) {
+    const startTime = Date.now();
+
+    try {
+      const model = options.model || this.defaultModel;
+
+      const response = await fetch(`${this.baseUrl}/models/${model}:streamGenerateContent?alt=sse`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-goog-api-key': this.apiKey
+        },
+        body: JSON.stringify(this.buildBody(prompt, options)),
+        signal: this.buildSignal(options, STREAM_TIMEOUT_MS)
+      });
+
+      if (!response.ok) {
+        const error = await response.text();
+        throw new Error(`Gemini API error: ${response.status} ${error}`);
+      }
+
+      let text = '';
+      let usageMetadata = null;
+
+      await this.readEventStream(response, (event) => {
+        const delta = this.extractText(event);
+        if (delta) {
+          text += delta;
+          onToken(delta);
+        }
+        // usageMetadata is cumulative; the last chunk carries the totals
+        if (event.usageMetadata) {
+          usageMetadata = event.usageMetadata;
+        }
+      });
+
+      const latency = Date.now() - startTime;
+
+      const usage = this.parseUsage(usageMetadata);
+      const tokensIn = usage.tokensIn ?? estimateTokens(messagesToText(prompt));
+      const tokensOut = usage.tokensOut ?? estimateTokens(text);
+      const cost = this.calculateCost(tokensIn, tokensOut, model, { cachedTokens: usage.cachedTokens });
+
+      logger.info('gemini_stream_success', { model, tokensIn, tokensOut, latency });
+
+      return {
+        text,
+        tokens: { input: tokensIn, output: tokensOut },
+        latency,
+        cost,
+        model
+      };
+    } catch (error) {
+      logger.error('gemini_stream_failed', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Check if Gemini API is available
+   * @returns {Promise<boolean>}
+   */
+  async isAvailable() {
+    try {
+      const response = await fetch(`${this.baseUrl}/models`, {
+        method: 'GET',
+        headers: {
+          'x-goog-api-key': this.apiKey
+        },
+        signal: AbortSignal.timeout(10000)
+      });
+
+      return response.ok;
+    } catch (error) {
+      logger.warn('gemini_availability_check_failed', { error: error.message });
+      return false;
+    }
+  }
+}
+
+export default GeminiAdapter;
@@ -0,0 +1,27 @@
+import { OpenAICompatibleAdapter } from './openai-compatible.js';
+
+/**
+ * Groq adapter (OpenAI-compatible chat completions API, fast inference)
+ */
+export class GroqAdapter extends OpenAICompatibleAdapter {
+  constructor({ apiKey }) {
+    super({
+      name: 'groq',
+      providerName: 'Groq',
+      apiKey,
+      baseUrl: 'https://api.groq.com/openai/v1',
+      defaultModel: 'llama-3.3-70b-versatile'
+    });
+  }
+
+  /**
+   * Groq reports streaming usage under x_groq.usage in the final chunk
+   * @param {Object} event - Parsed stream chunk
+   * @returns {Object|null}
+   */
+  extractStreamUsage(event) {
+    return event.usage || event.x_groq?.usage || null;
+  }
+}
+
+export default GroqAdapter;
@@ -0,0 +1,20 @@
+import { OpenAICompatibleAdapter } from './openai-compatible.js';
+
+/**
+ * Mistral AI adapter (OpenAI-compatible chat completions API)
+ */
+export class MistralAdapter extends OpenAICompatibleAdapter {
+  constructor({ apiKey }) {
+    super({
+      name: 'mistral',
+      providerName: 'Mistral AI',
+      apiKey,
+      baseUrl: 'https://api.mistral.ai/v1',
+      defaultModel: 'open-mistral-nemo',
+      // Mistral always sends usage in the final chunk and rejects stream_options
+      streamUsage: false
+    });
+  }
+}
+
+export default MistralAdapter;
@@ -0,0 +1,236 @@
+import { BaseAdapter, STREAM_TIMEOUT_MS } from './base.js';
+import { estimateTokens } from '../pricing.js';
+import { toMessages, toStopSequences, messagesToText } from '../messages.js';
+import logger from '../../logger.js';
+
+/**
+ * Generic adapter for any OpenAI Chat Completions compatible endpoint
+ * Used directly for hosted vendors (xAI) and self-hosted servers (vLLM,
+ * llama.cpp, Ollama), and as the base class for OpenAI, Mistral and Groq.
+ */
+export class OpenAICompatibleAdapter extends BaseAdapter {
+  /**
+   * @param {Object} config - Adapter configuration
+   * @param {string} config.name - Adapter name
+   * @param {string} config.providerName - Provider name in the providers table (omit for self-hosted)
+   * @param {string} config.apiKey - API key (optional for local servers)
+   * @param {string} config.baseUrl - Base URL up to /v1
+   * @param {string} config.defaultModel - Default model to use
+   * @param {boolean} config.selfHosted - No published rates: calls are billed at $0
+   * @param {boolean} config.streamUsage - Send stream_options.include_usage (not every server accepts it)
+   */
+  constructor({ name, providerName, apiKey, baseUrl, defaultModel, selfHosted = false, streamUsage = true }) {
+    super({
+      name,
+      providerName,
+      apiKey,
+      baseUrl: baseUrl.replace(/\/+$/, ''),
+      defaultModel
+    });
+    this.selfHosted = selfHosted;
+    this.streamUsage = streamUsage;
+  }
+
+  /**
+   * Request headers (no Authorization header when the server needs no key)
+   * @returns {Object}
+   */
+  buildHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    return headers;
+  }
+
+  /**
+   * Chat completions request body
+   * @param {string|Array<Object>} prompt - Input prompt or messages
+   * @param {Object} options - Generation options
+   * @param {string} model - Model to call
+   * @returns {Object}
+   */
+  buildBody(prompt, options, model) {
+    return {
+      model,
+      messages: toMessages(prompt),
+      max_tokens: options.maxTokens || 1000,
+      temperature: options.temperature,
+      stop: toStopSequences(options.stop)
+    };
+  }
+
+  /**
+   * Read usage from a response or final stream chunk
+   * @param {Object} usage - OpenAI-style usage object
+   * @returns {{ tokensIn: number|undefined, tokensOut: number|undefined, cachedTokens: number }}
+   */
+  parseUsage(usage) {
+    return {
+      tokensIn: usage?.prompt_tokens,
+      tokensOut: usage?.completion_tokens,
+      cachedTokens: usage?.prompt_tokens_details?.cached_tokens || 0
+    };
+  }
+
+  /**
+   * Pick the usage object out of a stream chunk (null if the chunk has none)
+   * @param {Object} event - Parsed stream chunk
+   * @returns {Object|null}
+   */
+  extractStreamUsage(event) {
+    return event.usage || null;
+  }
+
+  /**
+   * Calculate cost; self-hosted endpoints have no rate on record and cost nothing per token
+   * @param {number} tokensIn - Input tokens
+   * @param {number} tokensOut - Output tokens
+   * @param {string} model - Model name
+   * @param {Object} usage - Optional usage details { cachedTokens, batch }
+   * @returns {number|null} Cost in USD, or null for an unknown model
+   */
+  calculateCost(tokensIn, tokensOut, model, usage = {}) {
+    if (this.selfHosted) {
+      return 0;
+    }
+
+    return super.calculateCost(tokensIn, tokensOut, model, usage);
+  }
+
+  /**
+   * Generate text using the chat completions endpoint
+   * @param {string|Array<Object>} prompt - Input prompt or messages [{ role, content }]
+   * @param {Object} options - Generation options { model, maxTokens, temperature, stop }
+   * @returns {Promise<Object>} { text, tokens: { input, output }, latency, cost, model }
+   */
+  async generate(prompt, options = {}) {
+    const startTime = Date.now();
+
+    try {
+      const model = options.model || this.defaultModel;
+
+      const response = await fetch(`${this.baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers: this.buildHeaders(),
+        body: JSON.stringify(this.buildBody(prompt, options, model)),
+        signal: this.buildSignal(options)
+      });
+
+      if (!response.ok) {
+        const error = await response.text();
+        throw new Error(`${this.name} API error: ${response.status} ${error}`);
+      }
+
+      const data = await response.json();
+      const latency = Date.now() - startTime;
+
+      const text = data.choices[0].message.content;
+      const usage = this.parseUsage(data.usage);
+      const tokensIn = usage.tokensIn ?? estimateTokens(messagesToText(prompt));
+      const tokensOut = usage.tokensOut ?? estimateTokens(text);
+      const cost = this.calculateCost(tokensIn, tokensOut, model, { cachedTokens: usage.cachedTokens });
+
+      logger.info(`${this.name}_generate_success`, { model, tokensIn, tokensOut, latency });
+
+      return {
+        text,
+        tokens: { input: tokensIn, output: tokensOut },
+        latency,
+        cost,
+        model
+      };
+    } catch (error) {
+      logger.error(`${this.name}_generate_failed`, { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Stream text using the chat completions endpoint (server-sent events)
+   * @param {string|Array<Object>} prompt - Input prompt or messages [{ role, content }]
+   * @param {Object} options - Generation options { model, maxTokens, temperature, stop }
+   * @param {Function} onToken - Called with each text delta as it arrives
+   * @returns {Promise<Object>} { text, tokens: { input, output }, latency, cost, model }
+   */
+  async generateStream(prompt, options = {}, onToken = () => {}) {
+    const startTime = Date.now();
+
+    try {
+      const model = options.model || this.defaultModel;
+      const body = {
+        ...this.buildBody(prompt, options, model),
+        stream: true,
+        stream_options: this.streamUsage ? { include_usage: true } : undefined
+      };
+
+      const response = await fetch(`${this.baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers: this.buildHeaders(),
+        body: JSON.stringify(body),
+        signal: this.buildSignal(options, STREAM_TIMEOUT_MS)
+      });
+
+      if (!response.ok) {
+        const error = await response.text();
+        throw new Error(`${this.name} API error: ${response.status} ${error}`);
+      }
+
+      let text = '';
+      let rawUsage = null;
+
+      await this.readEventStream(response, (event) => {
+        const delta = event.choices?.[0]?.delta?.content;
+        if (delta) {
+          text += delta;
+          onToken(delta);
+        }
+        rawUsage = this.extractStreamUsage(event) || rawUsage;
+      });
+
+      const latency = Date.now() - startTime;
+
+      // Usage arrives in the final chunk; estimate if the stream didn't report it
+      const usage = this.parseUsage(rawUsage);
+      const tokensIn = usage.tokensIn ?? estimateTokens(messagesToText(prompt));
+      const tokensOut = usage.tokensOut ?? estimateTokens(text);
+      const cost = this.calculateCost(tokensIn, tokensOut, model, { cachedTokens: usage.cachedTokens });
+
+      logger.info(`${this.name}_stream_success`, { model, tokensIn, tokensOut, latency });
+
+      return {
+        text,
+        tokens: { input: tokensIn, output: tokensOut },
+        latency,
+        cost,
+        model
+      };
+    } catch (error) {
+      logger.error(`${this.name}_stream_failed`, { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Check if the endpoint is available
+   * @returns {Promise<boolean>}
+   */
+  async isAvailable() {
+    try {
+      const response = await fetch(`${this.baseUrl}/models`, {
+        method: 'GET',
+        headers: this.buildHeaders(),
+        signal: AbortSignal.timeout(10000)
+      });
+
+      return response.ok;
+    } catch (error) {
+      logger.warn(`${this.name}_availability_check_failed`, { error: error.message });
+      return false;
+    }
+  }
+}
+
+export default OpenAICompatibleAdapter;
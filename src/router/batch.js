@@ -0,0 +1,191 @@
+/**
+ * Batch smart routing
+ *
+ * Runs many smart-route requests for one agent. Before any item starts, the
+ * estimated cost of each item is reserved against the agent's budget, in request
+ * order until the budget runs out. While the batch runs, concurrent requests
+ * see that spend as taken. smartRoute() settles each item's reservation with its
+ * actual cost, or releases it if the item fails. Items run with bounded
+ * concurrency and fail one by one, never as a whole batch.
+ */
+
+import { smartRoute, estimateRouteBudget } from './index.js';
+import { reserveBudget, releaseReservation, RESERVATION_TTL_SECONDS } from './budget.js';
+import logger from '../logger.js';
+
+export const MAX_BATCH_SIZE = parseInt(process.env.SMART_ROUTE_BATCH_MAX_SIZE) || 500;
+export const DEFAULT_BATCH_CONCURRENCY = 5;
+export const MAX_BATCH_CONCURRENCY = 20;
+
+/**
+ * Map over items with at most `limit` calls in flight, preserving order
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>} Results in item order
+ */
+export const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+  return results;
+};
+
+/**
+ * Per-item failure entry (same code/details shape the smart-route endpoint returns)
+ * @param {number} index - Item position in the batch
+ * @param {Object|Error} error - Thrown error or { code, message, details }
+ * @returns {Object} { index, success: false, code, error, details }
+ */
+const toItemFailure = (index, error) => ({
+  index,
+  success: false,
+  code: Number.isInteger(error.code) ? error.code : 500,
+  error: error.message || String(error),
+  ...(error.details !== undefined && { details: error.details })
+});
+
+/**
+ * Run a batch of smart-route requests
+ * @param {Array<Object>} requests - Smart-route requests (see smartRoute); agentId is taken from options
+ * @param {Object} adapterMap - Map of provider name → adapter instance
+ * @param {Object} options - { agentId, concurrency, validate }
+ *   validate(request, index) → error message or null; invalid items fail with code 400 and are not run
+ * @returns {Promise<Object>} { results, summary }
+ *   results[i]: { index, success: true, data } | { index, success: false, code, error, details }
+ *   summary: { total, succeeded, failed, totalCost, totalSavings, reserved, concurrency, durationMs, byProvider }
+ */
+export const runBatch = async (requests, adapterMap, options = {}) => {
+  const {
+    agentId = null,
+    concurrency = DEFAULT_BATCH_CONCURRENCY,
+    validate = () => null
+  } = options;
+
+  const startTime = Date.now();
+  const results = new Array(requests.length);
+  const reservations = new Array(requests.length).fill(null);
+  const admitted = [];
+  let reserved = 0;
+
+  // Queued items wait for earlier ones, so their reservations must outlive a single request
+  const ttlSeconds = RESERVATION_TTL_SECONDS * Math.ceil(requests.length / concurrency);
+
+  try {
+    // Step 1: Validate and reserve each item's estimate, in order, while the budget lasts
+    requests.forEach((request, index) => {
+      const invalid = validate(request, index);
+      if (invalid) {
+        results[index] = toItemFailure(index, { code: 400, message: invalid });
+        return;
+      }
+
+      if (agentId) {
+        // No matching provider: smartRoute() reports it for this item
+        const estimate = estimateRouteBudget(request, adapterMap);
+        const estimatedCost = estimate?.estimatedCost ?? 0;
+        const reservation = reserveBudget(agentId, estimatedCost, {
+          ttlSeconds,
+          provider: estimate?.provider,
+          task: estimate?.task
+        });
+
+        if (!reservation.allowed) {
+          results[index] = toItemFailure(index, {
+            code: 402,
+            message: 'Budget exceeded',
+            details: { estimatedCost, remaining: Math.max(0, reservation.remaining), blockedBy: reservation.blockedBy }
+          });
+          return;
+        }
+
+        reserved += estimatedCost;
+        reservations[index] = reservation.reservationId;
+      }
+
+      admitted.push(index);
+    });
+
+    logger.info('smart_route_batch_start', {
+      agentId,
+      total: requests.length,
+      admitted: admitted.length,
+      reserved,
+      concurrency
+    });
+
+    // Step 2: Route admitted items with bounded concurrency; each item fails on its own
+    await mapWithConcurrency(admitted, concurrency, async (index) => {
+      try {
+        const data = await smartRoute({ ...requests[index], agentId, reservationId: reservations[index] }, adapterMap);
+        results[index] = { index, success: true, data };
+      } catch (error) {
+        results[index] = toItemFailure(index, error);
+      }
+    });
+  } catch (error) {
+    // Free the reservations of items that never ran (settled ones are left alone)
+    reservations.filter(Boolean).forEach(id => releaseReservation(id));
+
+    logger.error('smart_route_batch_failed', { agentId, error: error.message });
+    throw error;
+  }
+
+  // Step 3: Aggregate cost and savings (cancelled hedge calls are billed too)
+  const summary = {
+    total: requests.length,
+    succeeded: 0,
+    failed: 0,
+    totalCost: 0,
+    totalSavings: 0,
+    reserved,
+    concurrency,
+    durationMs: Date.now() - startTime,
+    byProvider: {}
+  };
+
+  for (const result of results) {
+    if (!result.success) {
+      summary.failed++;
+      continue;
+    }
+
+    const { provider, cost, savings, hedge } = result.data;
+    const itemCost = (cost || 0) + (hedge?.cost || 0);
+
+    summary.succeeded++;
+    summary.totalCost += itemCost;
+    summary.totalSavings += savings || 0;
+
+    summary.byProvider[provider] = summary.byProvider[provider] || { requests: 0, cost: 0 };
+    summary.byProvider[provider].requests++;
+    summary.byProvider[provider].cost += itemCost;
+  }
+
+  logger.info('smart_route_batch_complete', {
+    agentId,
+    total: summary.total,
+    succeeded: summary.succeeded,
+    failed: summary.failed,
+    totalCost: summary.totalCost,
+    durationMs: summary.durationMs
+  });
+
+  return { results, summary };
+};
+
+export default {
+  MAX_BATCH_SIZE,
+  DEFAULT_BATCH_CONCURRENCY,
+  MAX_BATCH_CONCURRENCY,
+  mapWithConcurrency,
+  runBatch
+};
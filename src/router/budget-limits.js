@@ -0,0 +1,580 @@
+/**
+ * Flexible and hierarchical budget limits
+ *
+ * A limit caps spend over a daily, weekly, monthly (UTC calendar windows) or
+ * custom [startsAt, endsAt) window. It belongs to an agent or to a budget group;
+ * groups are organizations or teams, and a team can sit under an organization.
+ * An agent's spend counts against its own limits and those of its group and the
+ * group's parents. A limit can be narrowed to one provider (adapter name) or one
+ * task category. Spend in a window is summed from request_log, and active
+ * reservations of the same agents and scope count as spent.
+ *
+ * A group owner can put itself in a group; other agents join by accepting the
+ * owner's invite, and no agent can leave a group another agent placed it in.
+ */
+
+import { runQuery, getOne, getAll, transaction } from '../db/database.js';
+import logger from '../logger.js';
+
+export const BUDGET_PERIODS = ['daily', 'weekly', 'monthly', 'custom'];
+export const BUDGET_GROUP_KINDS = ['organization', 'team'];
+
+const DAY_MS = 86400 * 1000;
+
+/**
+ * Format a Date the way SQLite stores CURRENT_TIMESTAMP (UTC)
+ * @param {Date} date - Date
+ * @returns {string} 'YYYY-MM-DD HH:MM:SS'
+ */
+const toSqlTimestamp = (date) => date.toISOString().slice(0, 19).replace('T', ' ');
+
+/**
+ * Parse a SQLite UTC timestamp
+ * @param {string} value - 'YYYY-MM-DD HH:MM:SS'
+ * @returns {Date} Date
+ */
+const fromSqlTimestamp = (value) => new Date(`${value.replace(' ', 'T')}Z`);
+
+/**
+ * UTC calendar month at a point in time
+ * Shared by monthly limits and the monthly budget (POST /v1/budget), so both roll over together.
+ * @param {Date} now - Reference time
+ * @returns {Object} { period: 'YYYY-MM', start, end } (Dates; end exclusive)
+ */
+export const getMonthlyPeriod = (now = new Date()) => {
+  const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  const end = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+
+  return { period: start.toISOString().slice(0, 7), start, end };
+};
+
+/**
+ * Window a limit covers at a point in time
+ * @param {Object} limit - budget_limits row
+ * @param {Date} now - Reference time
+ * @returns {Object} { start, end, active } (SQLite timestamps)
+ */
+export const getPeriodWindow = (limit, now = new Date()) => {
+  if (limit.period_type === 'custom') {
+    const start = fromSqlTimestamp(limit.starts_at);
+    const end = fromSqlTimestamp(limit.ends_at);
+
+    return {
+      start: limit.starts_at,
+      end: limit.ends_at,
+      active: now >= start && now < end
+    };
+  }
+
+  const day = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  let start;
+  let end;
+
+  if (limit.period_type === 'daily') {
+    start = new Date(day);
+    end = new Date(day + DAY_MS);
+  } else if (limit.period_type === 'weekly') {
+    // Weeks start on Monday
+    const sinceMonday = (now.getUTCDay() + 6) % 7;
+    start = new Date(day - sinceMonday * DAY_MS);
+    end = new Date(start.getTime() + 7 * DAY_MS);
+  } else {
+    ({ start, end } = getMonthlyPeriod(now));
+  }
+
+  return { start: toSqlTimestamp(start), end: toSqlTimestamp(end), active: true };
+};
+
+/**
+ * Validate a budget limit definition
+ * @param {Object} input - { period, limit, provider, task, startsAt, endsAt }
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateBudgetLimit = (input = {}) => {
+  const { period, limit, provider, task, startsAt, endsAt } = input;
+
+  if (!BUDGET_PERIODS.includes(period)) {
+    return `Invalid period. Must be one of: ${BUDGET_PERIODS.join(', ')}`;
+  }
+
+  if (typeof limit !== 'number' || !Number.isFinite(limit) || limit < 0) {
+    return 'Missing or invalid required field: limit (non-negative number, USD)';
+  }
+
+  if (provider !== undefined && provider !== null && (typeof provider !== 'string' || provider.length === 0)) {
+    return 'Invalid provider. Must be a provider name such as "openai"';
+  }
+
+  if (task !== undefined && task !== null && (typeof task !== 'string' || task.length === 0)) {
+    return 'Invalid task. Must be a task category such as "text-generation"';
+  }
+
+  if (period === 'custom') {
+    const start = new Date(startsAt);
+    const end = new Date(endsAt);
+
+    if (!startsAt || !endsAt || isNaN(start) || isNaN(end)) {
+      return 'Custom budgets require startsAt and endsAt (ISO 8601 timestamps)';
+    }
+
+    if (end <= start) {
+      return 'endsAt must be after startsAt';
+    }
+  } else if (startsAt !== undefined || endsAt !== undefined) {
+    return 'startsAt and endsAt only apply to period: "custom"';
+  }
+
+  return null;
+};
+
+/**
+ * Format a budget_limits row for API responses
+ * @param {Object} row - budget_limits row
+ * @returns {Object} { id, owner, period, startsAt, endsAt, provider, task, limit }
+ */
+const formatLimit = (row) => ({
+  id: row.id,
+  owner: row.group_id
+    ? { type: 'group', id: row.group_id }
+    : { type: 'agent', id: row.agent_id },
+  period: row.period_type,
+  startsAt: row.starts_at || null,
+  endsAt: row.ends_at || null,
+  provider: row.provider || null,
+  task: row.task || null,
+  limit: row.limit_usd
+});
+
+/**
+ * Create or update a budget limit
+ * A limit with the same owner, period, window and scope is updated in place.
+ * @param {Object} input - { agentId | groupId, period, limit, provider, task, startsAt, endsAt } (validated)
+ * @returns {Object} Formatted limit
+ */
+export const setBudgetLimit = (input) => {
+  const { agentId = null, groupId = null, period, limit, provider = null, task = null } = input;
+  const startsAt = period === 'custom' ? toSqlTimestamp(new Date(input.startsAt)) : null;
+  const endsAt = period === 'custom' ? toSqlTimestamp(new Date(input.endsAt)) : null;
+
+  try {
+    const existing = getOne(
+      `SELECT id FROM budget_limits
+       WHERE agent_id IS ? AND group_id IS ? AND period_type = ?
+         AND starts_at IS ? AND ends_at IS ? AND provider IS ? AND task IS ?`,
+      [agentId, groupId, period, startsAt, endsAt, provider, task]
+    );
+
+    let id;
+    if (existing) {
+      runQuery(
+        'UPDATE budget_limits SET limit_usd = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [limit, existing.id]
+      );
+      id = existing.id;
+    } else {
+      id = runQuery(
+        `INSERT INTO budget_limits (agent_id, group_id, period_type, starts_at, ends_at, provider, task, limit_usd)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [agentId, groupId, period, startsAt, endsAt, provider, task, limit]
+      ).lastInsertRowid;
+    }
+
+    logger.info('budget_limit_set', { id, agentId, groupId, period, provider, task, limit });
+
+    return formatLimit(getOne('SELECT * FROM budget_limits WHERE id = ?', [id]));
+  } catch (error) {
+    logger.error('set_budget_limit_failed', { error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Get a budget limit row
+ * @param {number} limitId - Limit ID
+ * @returns {Object|null} budget_limits row
+ */
+export const getBudgetLimit = (limitId) => {
+  return getOne('SELECT * FROM budget_limits WHERE id = ?', [limitId]) || null;
+};
+
+/**
+ * Delete a budget limit
+ * @param {number} limitId - Limit ID
+ * @returns {boolean} True if a limit was deleted
+ */
+export const deleteBudgetLimit = (limitId) => {
+  try {
+    const { changes } = runQuery('DELETE FROM budget_limits WHERE id = ?', [limitId]);
+
+    if (changes > 0) {
+      logger.info('budget_limit_deleted', { id: limitId });
+    }
+
+    return changes > 0;
+  } catch (error) {
+    logger.error('delete_budget_limit_failed', { error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Create a budget group (organization or team)
+ * @param {Object} input - { name, kind, parentId, ownerAgentId }
+ * @returns {Object} { id, name, kind, parentId, ownerAgentId }
+ */
+export const createBudgetGroup = ({ name, kind = 'team', parentId = null, ownerAgentId }) => {
+  try {
+    const { lastInsertRowid } = runQuery(
+      'INSERT INTO budget_groups (name, kind, parent_id, owner_agent_id) VALUES (?, ?, ?, ?)',
+      [name, kind, parentId, ownerAgentId]
+    );
+
+    logger.info('budget_group_created', { id: lastInsertRowid, name, kind, parentId, ownerAgentId });
+
+    return { id: lastInsertRowid, name, kind, parentId, ownerAgentId };
+  } catch (error) {
+    logger.error('create_budget_group_failed', { error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Get a budget group row
+ * @param {number} groupId - Group ID
+ * @returns {Object|null} budget_groups row
+ */
+export const getBudgetGroup = (groupId) => {
+  return getOne('SELECT * FROM budget_groups WHERE id = ?', [groupId]) || null;
+};
+
+/**
+ * Move an agent into a budget group (or out of any group with null)
+ * @param {number} agentId - Agent ID
+ * @param {number|null} groupId - Group ID
+ * @returns {boolean} True if the agent exists
+ */
+export const setAgentBudgetGroup = (agentId, groupId) => {
+  try {
+    const { changes } = runQuery('UPDATE agents SET budget_group_id = ? WHERE id = ?', [groupId, agentId]);
+
+    logger.info('agent_budget_group_set', { agentId, groupId });
+
+    return changes > 0;
+  } catch (error) {
+    logger.error('set_agent_budget_group_failed', { error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Groups an agent's spend rolls up into, nearest first (team, then organization)
+ * @param {number} agentId - Agent ID
+ * @returns {Array<Object>} [{ id, name, kind, parentId }]
+ */
+export const getAgentBudgetGroups = (agentId) => {
+  return getAll(
+    `WITH RECURSIVE chain(id, depth) AS (
+       SELECT budget_group_id, 0 FROM agents WHERE id = ? AND budget_group_id IS NOT NULL
+       UNION ALL
+       SELECT g.parent_id, c.depth + 1 FROM budget_groups g JOIN chain c ON g.id = c.id
+       WHERE g.parent_id IS NOT NULL
+     )
+     SELECT g.id, g.name, g.kind, g.parent_id as parentId
+     FROM chain c JOIN budget_groups g ON g.id = c.id
+     ORDER BY c.depth`,
+    [agentId]
+  );
+};
+
+/**
+ * A group and its parents, nearest first
+ * @param {number} groupId - Group ID
+ * @returns {Array<Object>} budget_groups rows
+ */
+const getGroupChain = (groupId) => {
+  return getAll(
+    `WITH RECURSIVE chain(id, depth) AS (
+       SELECT ?, 0
+       UNION ALL
+       SELECT g.parent_id, c.depth + 1 FROM budget_groups g JOIN chain c ON g.id = c.id
+       WHERE g.parent_id IS NOT NULL
+     )
+     SELECT g.* FROM chain c JOIN budget_groups g ON g.id = c.id
+     ORDER BY c.depth`,
+    [groupId]
+  );
+};
+
+/**
+ * Whether an agent may move into a group
+ * An agent cannot leave a group another agent placed it in: every group of its
+ * current chain that it does not own itself must stay in the new group's chain.
+ * @param {number} agentId - Agent ID
+ * @param {number} groupId - Group the agent would join
+ * @returns {string|null} Error message, or null when allowed
+ */
+export const checkBudgetGroupMove = (agentId, groupId) => {
+  const agent = getOne('SELECT budget_group_id FROM agents WHERE id = ?', [agentId]);
+
+  if (!agent?.budget_group_id) {
+    return null;
+  }
+
+  const target = new Set(getGroupChain(groupId).map(group => group.id));
+  const left = getGroupChain(agent.budget_group_id)
+    .find(group => group.owner_agent_id !== agentId && !target.has(group.id));
+
+  return left
+    ? `Agent cannot leave budget group '${left.name}'. Its owner must remove the agent first`
+    : null;
+};
+
+/**
+ * Format a budget_group_invites row for API responses
+ * @param {Object} row - budget_group_invites row (with group_name)
+ * @returns {Object} { id, groupId, groupName, agentId, invitedBy, status, createdAt, respondedAt }
+ */
+const formatInvite = (row) => ({
+  id: row.id,
+  groupId: row.group_id,
+  groupName: row.group_name,
+  agentId: row.agent_id,
+  invitedBy: row.invited_by,
+  status: row.status,
+  createdAt: row.created_at,
+  respondedAt: row.responded_at || null
+});
+
+/**
+ * Get a budget group invite row
+ * @param {number} inviteId - Invite ID
+ * @returns {Object|null} budget_group_invites row (with group_name)
+ */
+export const getBudgetGroupInvite = (inviteId) => {
+  return getOne(
+    `SELECT i.*, g.name as group_name FROM budget_group_invites i
+     JOIN budget_groups g ON g.id = i.group_id
+     WHERE i.id = ?`,
+    [inviteId]
+  ) || null;
+};
+
+/**
+ * Invite an agent into a group; its spend rolls up only once it accepts
+ * A pending invite for the same group and agent is returned as is.
+ * @param {number} groupId - Group ID
+ * @param {number} agentId - Invited agent
+ * @param {number} invitedBy - Group owner sending the invite
+ * @returns {Object} Formatted invite
+ */
+export const createBudgetGroupInvite = (groupId, agentId, invitedBy) => {
+  try {
+    const pending = getOne(
+      `SELECT id FROM budget_group_invites WHERE group_id = ? AND agent_id = ? AND status = 'pending'`,
+      [groupId, agentId]
+    );
+
+    const id = pending
+      ? pending.id
+      : runQuery(
+        'INSERT INTO budget_group_invites (group_id, agent_id, invited_by) VALUES (?, ?, ?)',
+        [groupId, agentId, invitedBy]
+      ).lastInsertRowid;
+
+    if (!pending) {
+      logger.info('budget_group_invite_created', { id, groupId, agentId, invitedBy });
+    }
+
+    return formatInvite(getBudgetGroupInvite(id));
+  } catch (error) {
+    logger.error('create_budget_group_invite_failed', { error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Pending invites addressed to an agent, newest first
+ * @param {number} agentId - Agent ID
+ * @returns {Array<Object>} Formatted invites
+ */
+export const listBudgetGroupInvites = (agentId) => {
+  return getAll(
+    `SELECT i.*, g.name as group_name FROM budget_group_invites i
+     JOIN budget_groups g ON g.id = i.group_id
+     WHERE i.agent_id = ? AND i.status = 'pending'
+     ORDER BY i.id DESC`,
+    [agentId]
+  ).map(formatInvite);
+};
+
+/**
+ * Accept or decline a pending invite; accepting moves the agent into the group
+ * Check checkBudgetGroupMove() before accepting.
+ * @param {number} inviteId - Invite ID
+ * @param {boolean} accept - True to join the group
+ * @returns {Object|null} Formatted invite, or null when it is no longer pending
+ */
+export const respondToBudgetGroupInvite = (inviteId, accept) => {
+  try {
+    return transaction(() => {
+      const invite = getBudgetGroupInvite(inviteId);
+
+      if (!invite || invite.status !== 'pending') {
+        return null;
+      }
+
+      runQuery(
+        'UPDATE budget_group_invites SET status = ?, responded_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [accept ? 'accepted' : 'declined', inviteId]
+      );
+
+      if (accept) {
+        setAgentBudgetGroup(invite.agent_id, invite.group_id);
+      }
+
+      logger.info('budget_group_invite_answered', { id: inviteId, agentId: invite.agent_id, groupId: invite.group_id, accept });
+
+      return formatInvite(getBudgetGroupInvite(inviteId));
+    });
+  } catch (error) {
+    logger.error('respond_budget_group_invite_failed', { error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Agents whose spend counts against a group: members of it and of its sub-groups
+ * @param {number} groupId - Group ID
+ * @returns {Array<number>} Agent IDs
+ */
+const getGroupAgentIds = (groupId) => {
+  return getAll(
+    `WITH RECURSIVE tree(id) AS (
+       SELECT ?
+       UNION ALL
+       SELECT g.id FROM budget_groups g JOIN tree t ON g.parent_id = t.id
+     )
+     SELECT id FROM agents WHERE budget_group_id IN (SELECT id FROM tree)`,
+    [groupId]
+  ).map(row => row.id);
+};
+
+/**
+ * Whether a limit applies to a request's provider and task
+ * Provider/task sub-limits only apply when the request names that provider/task.
+ * @param {Object} limit - Evaluated limit ({ provider, task })
+ * @param {Object} scope - { provider, task }
+ * @returns {boolean}
+ */
+export const limitCovers = (limit, { provider = null, task = null } = {}) => {
+  return (!limit.provider || limit.provider === provider) && (!limit.task || limit.task === task);
+};
+
+/**
+ * Spend and reservations against one limit
+ * @param {Object} row - budget_limits row (with group_name for group limits)
+ * @param {number} agentId - Agent the limit is evaluated for
+ * @param {Date} now - Reference time
+ * @returns {Object} Formatted limit plus { ownerName, periodStart, periodEnd, active, spent, reserved, remaining }
+ */
+const evaluateLimit = (row, agentId, now) => {
+  const { start, end, active } = getPeriodWindow(row, now);
+  const agentIds = row.group_id ? getGroupAgentIds(row.group_id) : [agentId];
+  const placeholders = agentIds.map(() => '?').join(', ');
+
+  const scopeFilters = (providerColumn, taskColumn) => {
+    const conditions = [];
+    const params = [];
+    if (row.provider) {
+      conditions.push(`${providerColumn} = ?`);
+      params.push(row.provider);
+    }
+    if (row.task) {
+      conditions.push(`${taskColumn} = ?`);
+      params.push(row.task);
+    }
+    return { sql: conditions.map(c => ` AND ${c}`).join(''), params };
+  };
+
+  let spent = 0;
+  let reserved = 0;
+
+  if (agentIds.length > 0) {
+    const logScope = scopeFilters('provider', 'category');
+    spent = getOne(
+      `SELECT COALESCE(SUM(cost), 0) as spent FROM request_log
+       WHERE agent_id IN (${placeholders}) AND created_at >= ? AND created_at < ?${logScope.sql}`,
+      [...agentIds, start, end, ...logScope.params]
+    ).spent;
+
+    const reservationScope = scopeFilters('provider', 'task');
+    reserved = active
+      ? getOne(
+        `SELECT COALESCE(SUM(amount), 0) as reserved FROM budget_reservations
+         WHERE agent_id IN (${placeholders}) AND status = 'active' AND expires_at > datetime('now')${reservationScope.sql}`,
+        [...agentIds, ...reservationScope.params]
+      ).reserved
+      : 0;
+  }
+
+  return {
+    ...formatLimit(row),
+    ...(row.group_id && { owner: { type: 'group', id: row.group_id, name: row.group_name, kind: row.group_kind } }),
+    periodStart: start,
+    periodEnd: end,
+    active,
+    spent,
+    reserved,
+    remaining: row.limit_usd - spent - reserved
+  };
+};
+
+/**
+ * Evaluate every limit that applies to an agent: its own and its groups'
+ * @param {number} agentId - Agent ID
+ * @param {Object} options - { now } (default current time)
+ * @returns {Array<Object>} [{ id, owner, period, startsAt, endsAt, provider, task, limit,
+ *   periodStart, periodEnd, active, spent, reserved, remaining }], agent limits first
+ */
+export const evaluateBudgetLimits = (agentId, { now = new Date() } = {}) => {
+  try {
+    const groupIds = getAgentBudgetGroups(agentId).map(group => group.id);
+    const groupPlaceholders = groupIds.map(() => '?').join(', ');
+
+    const rows = getAll(
+      `SELECT l.*, g.name as group_name, g.kind as group_kind
+       FROM budget_limits l
+       LEFT JOIN budget_groups g ON g.id = l.group_id
+       WHERE l.agent_id = ?${groupIds.length > 0 ? ` OR l.group_id IN (${groupPlaceholders})` : ''}
+       ORDER BY l.group_id IS NOT NULL, l.id`,
+      [agentId, ...groupIds]
+    );
+
+    return rows.map(row => evaluateLimit(row, agentId, now));
+  } catch (error) {
+    logger.error('evaluate_budget_limits_failed', { agentId, error: error.message });
+    throw error;
+  }
+};
+
+export default {
+  BUDGET_PERIODS,
+  BUDGET_GROUP_KINDS,
+  getMonthlyPeriod,
+  getPeriodWindow,
+  validateBudgetLimit,
+  setBudgetLimit,
+  getBudgetLimit,
+  deleteBudgetLimit,
+  createBudgetGroup,
+  getBudgetGroup,
+  setAgentBudgetGroup,
+  getAgentBudgetGroups,
+  checkBudgetGroupMove,
+  getBudgetGroupInvite,
+  createBudgetGroupInvite,
+  listBudgetGroupInvites,
+  respondToBudgetGroupInvite,
+  limitCovers,
+  evaluateBudgetLimits
+};
@@ -1,25 +1,89 @@
-import { runQuery, getOne } from '../db/database.js';
+import { runQuery, getOne, transaction } from '../db/database.js';
+import { evaluateBudgetLimits, limitCovers, getAgentBudgetGroups, getMonthlyPeriod, getPeriodWindow } from './budget-limits.js';
 import logger from '../logger.js';
 
+// How long a reservation holds budget before it is treated as orphaned
+export const RESERVATION_TTL_SECONDS = parseInt(process.env.BUDGET_RESERVATION_TTL_SECONDS) || 300;
+
+const DAY_MS = 86400 * 1000;
+
 /**
- * Get current period (YYYY-MM format)
+ * Get current period (YYYY-MM format, UTC calendar month like monthly limits)
  * @returns {string} Current period
  */
-const getCurrentPeriod = () => {
-  const now = new Date();
-  const year = now.getFullYear();
-  const month = String(now.getMonth() + 1).padStart(2, '0');
-  return `${year}-${month}`;
+const getCurrentPeriod = () => getMonthlyPeriod().period;
+
+/**
+ * Get the number of days in the current UTC month
+ * @param {Date} now - Reference time
+ * @returns {number} Days in the month
+ */
+const getDaysInMonth = (now) => {
+  const { start, end } = getMonthlyPeriod(now);
+  return Math.round((end - start) / DAY_MS);
+};
+
+/**
+ * Get the agent's monthly budget row (POST /v1/budget) for a period
+ * @param {number} agentId - Agent ID
+ * @param {string} period - Budget period (YYYY-MM)
+ * @returns {Object|null} budgets row
+ */
+const getMonthlyBudget = (agentId, period) => {
+  return getOne(
+    'SELECT * FROM budgets WHERE agent_id = ? AND period = ?',
+    [agentId, period]
+  ) || null;
+};
+
+/**
+ * Agent's spend in the current UTC month
+ * Summed from request_log like monthly limits (see budget-limits.js), so the
+ * monthly budget and the limits always agree on what was spent.
+ * @param {number} agentId - Agent ID
+ * @returns {number} Spent USD
+ */
+const getMonthlySpent = (agentId) => {
+  const { start, end } = getPeriodWindow({ period_type: 'monthly' });
+
+  return getOne(
+    `SELECT COALESCE(SUM(cost), 0) as spent FROM request_log
+     WHERE agent_id = ? AND created_at >= ? AND created_at < ?`,
+    [agentId, start, end]
+  ).spent;
+};
+
+/**
+ * Expire the agent's reservations that outlived their TTL (orphaned requests)
+ * @param {number} agentId - Agent ID
+ * @returns {number} Reservations expired
+ */
+const expireReservations = (agentId) => {
+  const { changes } = runQuery(
+    `UPDATE budget_reservations SET status = 'expired', closed_at = CURRENT_TIMESTAMP
+     WHERE agent_id = ? AND status = 'active' AND expires_at <= datetime('now')`,
+    [agentId]
+  );
+
+  if (changes > 0) {
+    logger.warn('budget_reservations_expired', { agentId, count: changes });
+  }
+
+  return changes;
 };
 
 /**
- * Get days left in current month
- * @returns {number} Days remaining
+ * Total estimated cost currently reserved by the agent in a period
+ * @param {number} agentId - Agent ID
+ * @param {string} period - Budget period (YYYY-MM)
+ * @returns {number} Reserved USD
  */
-const getDaysLeftInMonth = () => {
-  const now = new Date();
-  const lastDay = new Date(now.getFullYear(), now.getMonth() + 1, 0).getDate();
-  return lastDay - now.getDate();
+const getReservedAmount = (agentId, period) => {
+  return getOne(
+    `SELECT COALESCE(SUM(amount), 0) as reserved FROM budget_reservations
+     WHERE agent_id = ? AND period = ? AND status = 'active' AND expires_at > datetime('now')`,
+    [agentId, period]
+  ).reserved;
 };
 
 /**
@@ -56,7 +120,7 @@ export const setBudget = (agentId, monthlyLimit) => {
     } else {
       // Insert new budget
       const result = runQuery(
-        'INSERT INTO budgets (agent_id, monthly_limit, spent, period) VALUES (?, ?, 0, ?)',
+        'INSERT INTO budgets (agent_id, monthly_limit, period) VALUES (?, ?, ?)',
         [agentId, monthlyLimit, period]
       );
 
@@ -76,57 +140,90 @@ export const setBudget = (agentId, monthlyLimit) => {
 };
 
 /**
- * Check if agent can afford the estimated cost
+ * Evaluate every budget that applies to a request and pick the binding one
+ * Applies the monthly budget row and the active limits of the agent and its
+ * groups that cover the request's provider/task (see budget-limits.js). When
+ * no monthly budget is set and no active limit covers the request (none at all,
+ * or only other providers' or tasks' sub-limits), the $0 default applies.
+ * Active reservations count as spent.
  * @param {number} agentId - Agent ID
  * @param {number} estimatedCost - Estimated cost in USD
- * @returns {Object} { allowed: boolean, remaining: number, spent: number, limit: number }
+ * @param {Object} scope - { provider, task } of the request
+ * @returns {Object} { allowed, remaining, spent, limit, reserved, blockedBy, period }
+ *   spent/limit/reserved/remaining are those of the budget with the least room left
  */
-export const checkBudget = (agentId, estimatedCost) => {
-  try {
-    const period = getCurrentPeriod();
+const evaluateBudget = (agentId, estimatedCost, scope) => {
+  const period = getCurrentPeriod();
 
-    // Get or create budget for current period
-    let budget = getOne(
-      'SELECT * FROM budgets WHERE agent_id = ? AND period = ?',
-      [agentId, period]
-    );
+  expireReservations(agentId);
 
-    if (!budget) {
-      // Auto-create budget with $0 limit if not exists
-      const result = runQuery(
-        'INSERT INTO budgets (agent_id, monthly_limit, spent, period) VALUES (?, 0, 0, ?)',
-        [agentId, period]
-      );
-
-      budget = {
-        id: result.lastInsertRowid,
-        agent_id: agentId,
-        monthly_limit: 0,
-        spent: 0,
-        period
-      };
+  const limits = evaluateBudgetLimits(agentId).filter(limit => limit.active);
+  const budgets = limits.filter(limit => limitCovers(limit, scope));
+  const monthly = getMonthlyBudget(agentId, period);
 
-      logger.warn('budget_auto_created_zero', { agentId, period });
+  if (monthly || budgets.length === 0) {
+    if (!monthly) {
+      logger.warn('budget_not_configured', { agentId, period });
     }
 
-    const remaining = budget.monthly_limit - budget.spent;
-    const allowed = (budget.spent + estimatedCost) <= budget.monthly_limit;
+    const limit = monthly ? monthly.monthly_limit : 0;
+    const spent = monthly ? getMonthlySpent(agentId) : 0;
+    const reserved = getReservedAmount(agentId, period);
+
+    budgets.unshift({
+      id: null,
+      owner: { type: 'agent', id: agentId },
+      period: 'monthly',
+      provider: null,
+      task: null,
+      limit,
+      spent,
+      reserved,
+      remaining: limit - spent - reserved
+    });
+  }
+
+  const binding = budgets.reduce((tightest, budget) => (budget.remaining < tightest.remaining ? budget : tightest));
+  const allowed = (binding.spent + binding.reserved + estimatedCost) <= binding.limit;
+
+  return {
+    allowed,
+    remaining: binding.remaining,
+    spent: binding.spent,
+    limit: binding.limit,
+    reserved: binding.reserved,
+    blockedBy: allowed ? null : binding,
+    period
+  };
+};
+
+/**
+ * Check if agent can afford the estimated cost (read-only; reserveBudget() to hold it)
+ * Every applicable budget must have room: the monthly budget, and the agent's and
+ * its groups' limits covering the request's provider/task. Active reservations count as spent.
+ * @param {number} agentId - Agent ID
+ * @param {number} estimatedCost - Estimated cost in USD
+ * @param {Object} scope - { provider, task } (optional; provider/task sub-limits apply only when given)
+ * @returns {Object} { allowed, remaining, spent, limit, reserved, blockedBy }
+ *   remaining/spent/limit/reserved describe the budget with the least room left;
+ *   blockedBy is that budget ({ id, owner, period, provider, task, limit, ... }) when not allowed
+ */
+export const checkBudget = (agentId, estimatedCost, scope = {}) => {
+  try {
+    const { period, ...budget } = evaluateBudget(agentId, estimatedCost, scope);
 
     logger.info('budget_check', {
       agentId,
       estimatedCost,
-      allowed,
-      remaining,
+      allowed: budget.allowed,
+      remaining: budget.remaining,
       spent: budget.spent,
-      limit: budget.monthly_limit
+      reserved: budget.reserved,
+      limit: budget.limit,
+      period
     });
 
-    return {
-      allowed,
-      remaining,
-      spent: budget.spent,
-      limit: budget.monthly_limit
-    };
+    return budget;
   } catch (error) {
     logger.error('check_budget_failed', { error: error.message });
     throw error;
@@ -134,37 +231,219 @@ export const checkBudget = (agentId, estimatedCost) => {
 };
 
 /**
- * Record actual spend for an agent
+ * Atomically check the budget and reserve the estimated cost
+ * The check and the reservation run in one SQLite transaction, so concurrent
+ * requests cannot all pass the check. Settle or release every reservation;
+ * one left open expires after ttlSeconds and stops counting against the budget.
  * @param {number} agentId - Agent ID
- * @param {number} cost - Actual cost in USD
- * @returns {Object} { spent: number, remaining: number }
+ * @param {number} estimatedCost - Estimated cost in USD
+ * @param {Object} options - { ttlSeconds, provider, task }
+ *   ttlSeconds defaults to RESERVATION_TTL_SECONDS; provider/task scope the reservation (see checkBudget)
+ * @returns {Object} { allowed, reservationId, expiresAt, remaining, spent, limit, reserved, blockedBy }
+ *   reservationId/expiresAt are null when not allowed; remaining and reserved exclude this reservation
  */
-export const recordSpend = (agentId, cost) => {
+export const reserveBudget = (agentId, estimatedCost, options = {}) => {
+  const { ttlSeconds = RESERVATION_TTL_SECONDS, provider = null, task = null } = options;
+
   try {
-    const period = getCurrentPeriod();
+    const reservation = transaction(() => {
+      const { period, ...budget } = evaluateBudget(agentId, estimatedCost, { provider, task });
 
-    // Update spent amount
-    runQuery(
-      'UPDATE budgets SET spent = spent + ? WHERE agent_id = ? AND period = ?',
-      [cost, agentId, period]
+      let reservationId = null;
+      let expiresAt = null;
+
+      if (budget.allowed) {
+        reservationId = runQuery(
+          `INSERT INTO budget_reservations (agent_id, period, amount, provider, task, expires_at)
+           VALUES (?, ?, ?, ?, ?, datetime('now', ?))`,
+          [agentId, period, estimatedCost, provider, task || null, `+${ttlSeconds} seconds`]
+        ).lastInsertRowid;
+
+        expiresAt = getOne('SELECT expires_at FROM budget_reservations WHERE id = ?', [reservationId]).expires_at;
+      }
+
+      return { ...budget, reservationId, expiresAt };
+    });
+
+    logger.info('budget_reserve', {
+      agentId,
+      estimatedCost,
+      allowed: reservation.allowed,
+      reservationId: reservation.reservationId,
+      remaining: reservation.remaining
+    });
+
+    return reservation;
+  } catch (error) {
+    logger.error('reserve_budget_failed', { error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Move an active reservation to the provider/task a request actually uses
+ * When a request falls back to another provider, that provider's sub-limits must
+ * have room too. The old reservation is released and a new one made (with the same
+ * expiry) in one transaction; when the new scope has no room the old one is kept.
+ * @param {number} reservationId - From reserveBudget()
+ * @param {number} estimatedCost - Estimated cost in USD with the new provider
+ * @param {Object} scope - { provider, task }
+ * @returns {Object} { allowed, reservationId, remaining, spent, limit, reserved, blockedBy }
+ *   reservationId is the reservation now held: the new one, or the old one when not allowed
+ *   (or when it already had this scope)
+ */
+export const transferReservation = (reservationId, estimatedCost, { provider = null, task = null } = {}) => {
+  try {
+    return transaction(() => {
+      const reservation = getOne(
+        `SELECT *, MAX(1, CAST((julianday(expires_at) - julianday('now')) * 86400 AS INTEGER)) as ttl_seconds
+         FROM budget_reservations WHERE id = ?`,
+        [reservationId]
+      );
+
+      if (!reservation) {
+        throw new Error(`Budget reservation ${reservationId} not found`);
+      }
+
+      if (reservation.provider === provider && (reservation.task || null) === (task || null)) {
+        return { allowed: true, reservationId, blockedBy: null };
+      }
+
+      const wasActive = reservation.status === 'active';
+      if (wasActive) {
+        runQuery(`UPDATE budget_reservations SET status = 'released', closed_at = CURRENT_TIMESTAMP WHERE id = ?`, [reservationId]);
+      }
+
+      const moved = reserveBudget(reservation.agent_id, estimatedCost, { ttlSeconds: reservation.ttl_seconds, provider, task });
+
+      if (!moved.allowed) {
+        if (wasActive) {
+          runQuery(`UPDATE budget_reservations SET status = 'active', closed_at = NULL WHERE id = ?`, [reservationId]);
+        }
+
+        return { ...moved, reservationId };
+      }
+
+      logger.info('budget_reservation_transferred', {
+        agentId: reservation.agent_id,
+        from: { reservationId, provider: reservation.provider },
+        to: { reservationId: moved.reservationId, provider }
+      });
+
+      return moved;
+    });
+  } catch (error) {
+    logger.error('transfer_reservation_failed', { reservationId, error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Settle a reservation with the actual cost, freeing the estimate
+ * Spend is what request_log records, so log the request's cost before settling;
+ * the cost is then billed even if the reservation already expired.
+ * @param {number} reservationId - From reserveBudget()
+ * @param {number} actualCost - Actual cost in USD (0 when nothing was billed), kept on the reservation
+ * @returns {Object} { spent, remaining } of the monthly budget (null when none is set)
+ */
+export const settleReservation = (reservationId, actualCost) => {
+  try {
+    return transaction(() => {
+      const reservation = getOne('SELECT * FROM budget_reservations WHERE id = ?', [reservationId]);
+
+      if (!reservation) {
+        throw new Error(`Budget reservation ${reservationId} not found`);
+      }
+
+      if (reservation.status === 'settled') {
+        throw new Error(`Budget reservation ${reservationId} is already settled`);
+      }
+
+      if (reservation.status !== 'active') {
+        logger.warn('budget_reservation_settled_late', { reservationId, status: reservation.status });
+      }
+
+      runQuery(
+        `UPDATE budget_reservations SET status = 'settled', actual_cost = ?, closed_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [actualCost, reservationId]
+      );
+
+      const budget = getMonthlyBudget(reservation.agent_id, reservation.period);
+      const spent = getMonthlySpent(reservation.agent_id);
+
+      logger.info('budget_reservation_settled', {
+        agentId: reservation.agent_id,
+        reservationId,
+        estimated: reservation.amount,
+        actualCost,
+        spent
+      });
+
+      return {
+        spent: budget ? spent : null,
+        remaining: budget ? budget.monthly_limit - spent : null
+      };
+    });
+  } catch (error) {
+    logger.error('settle_reservation_failed', { reservationId, error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Release a reservation without spending (request failed or never ran)
+ * Releasing a reservation that is no longer active is a no-op.
+ * @param {number} reservationId - From reserveBudget()
+ * @returns {boolean} True if an active reservation was released
+ */
+export const releaseReservation = (reservationId) => {
+  try {
+    const { changes } = runQuery(
+      `UPDATE budget_reservations SET status = 'released', closed_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status = 'active'`,
+      [reservationId]
     );
 
-    // Get updated budget
-    const budget = getOne(
-      'SELECT * FROM budgets WHERE agent_id = ? AND period = ?',
-      [agentId, period]
+    if (changes > 0) {
+      logger.info('budget_reservation_released', { reservationId });
+    }
+
+    return changes > 0;
+  } catch (error) {
+    logger.error('release_reservation_failed', { reservationId, error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Record spend made outside smartRoute() for an agent
+ * Logged to request_log like a routed request, so it counts against the monthly
+ * budget and every limit covering its provider/task.
+ * @param {number} agentId - Agent ID
+ * @param {number} cost - Actual cost in USD
+ * @param {Object} scope - { provider, task } (optional)
+ * @returns {Object} { spent, remaining } of the monthly budget (null when none is set)
+ */
+export const recordSpend = (agentId, cost, { provider = null, task = null } = {}) => {
+  try {
+    runQuery(
+      'INSERT INTO request_log (agent_id, provider, category, cost, status) VALUES (?, ?, ?, ?, ?)',
+      [agentId, provider || 'unknown', task, cost, 'success']
     );
 
+    const budget = getMonthlyBudget(agentId, getCurrentPeriod());
+    const spent = getMonthlySpent(agentId);
+
     logger.info('spend_recorded', {
       agentId,
       cost,
-      spent: budget.spent,
-      remaining: budget.monthly_limit - budget.spent
+      spent
     });
 
     return {
-      spent: budget.spent,
-      remaining: budget.monthly_limit - budget.spent
+      spent: budget ? spent : null,
+      remaining: budget ? budget.monthly_limit - spent : null
     };
   } catch (error) {
     logger.error('record_spend_failed', { error: error.message });
@@ -174,51 +453,44 @@ export const recordSpend = (agentId, cost) => {
 
 /**
  * Get full budget status for an agent
+ * The top-level fields describe the monthly budget (POST /v1/budget); remaining
+ * excludes the estimates reserved by in-flight requests. limits lists every
+ * daily/weekly/monthly/custom limit of the agent and its groups with its own
+ * spend (see evaluateBudgetLimits), groups the organization/team chain.
  * @param {number} agentId - Agent ID
- * @returns {Object} { period, spent, limit, remaining, daysLeft, projectedMonthEnd }
+ * @returns {Object} { period, spent, reserved, limit, remaining, daysLeft, projectedMonthEnd, limits, groups }
  */
 export const getBudgetStatus = (agentId) => {
   try {
     const period = getCurrentPeriod();
 
-    let budget = getOne(
-      'SELECT * FROM budgets WHERE agent_id = ? AND period = ?',
-      [agentId, period]
-    );
+    // No monthly budget set: report $0 (checkBudget enforces it only when no other limit applies)
+    const budget = getMonthlyBudget(agentId, period) || { monthly_limit: 0 };
+    const spent = getMonthlySpent(agentId);
 
-    if (!budget) {
-      // Auto-create budget with $0 limit
-      const result = runQuery(
-        'INSERT INTO budgets (agent_id, monthly_limit, spent, period) VALUES (?, 0, 0, ?)',
-        [agentId, period]
-      );
-
-      budget = {
-        id: result.lastInsertRowid,
-        agent_id: agentId,
-        monthly_limit: 0,
-        spent: 0,
-        period
-      };
-    }
+    expireReservations(agentId);
 
-    const daysLeft = getDaysLeftInMonth();
-    const remaining = budget.monthly_limit - budget.spent;
+    const reserved = getReservedAmount(agentId, period);
+    const remaining = budget.monthly_limit - spent - reserved;
 
     // Project spending to month end
     const now = new Date();
-    const currentDay = now.getDate();
-    const dailyRate = budget.spent / currentDay;
-    const lastDay = new Date(now.getFullYear(), now.getMonth() + 1, 0).getDate();
+    const currentDay = now.getUTCDate();
+    const lastDay = getDaysInMonth(now);
+    const daysLeft = lastDay - currentDay;
+    const dailyRate = spent / currentDay;
     const projectedMonthEnd = dailyRate * lastDay;
 
     return {
       period,
-      spent: budget.spent,
+      spent,
+      reserved,
       limit: budget.monthly_limit,
       remaining,
       daysLeft,
-      projectedMonthEnd: Math.round(projectedMonthEnd * 100) / 100
+      projectedMonthEnd: Math.round(projectedMonthEnd * 100) / 100,
+      limits: evaluateBudgetLimits(agentId),
+      groups: getAgentBudgetGroups(agentId)
     };
   } catch (error) {
     logger.error('get_budget_status_failed', { error: error.message });
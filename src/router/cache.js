@@ -0,0 +1,224 @@
+/**
+ * Smart-route response cache
+ *
+ * Exact-match, opt-in cache for repeated requests. The key is a hash of the
+ * agent, task, strategy, normalized messages, model constraints and generation
+ * parameters, so any change that could alter the completion is a miss.
+ * Entries live in SQLite (response_cache) so they survive restarts.
+ */
+
+import { createHash } from 'crypto';
+import { runQuery, getOne } from '../db/database.js';
+import { toMessages, toStopSequences } from './messages.js';
+import { normalizeModelId } from './pricing.js';
+import { resolveWeights } from './decision.js';
+import logger from '../logger.js';
+
+export const DEFAULT_CACHE_TTL_SECONDS = 3600;
+export const MAX_CACHE_TTL_SECONDS = 7 * 24 * 3600;
+
+/**
+ * Build the cache key for a smart-route request
+ * @param {Object} request - { agentId, task, optimize, weights, input (prompt or messages), constraints, temperature, stop }
+ * @returns {string} sha256 hex digest
+ */
+export const buildCacheKey = ({ agentId, task, optimize, weights = null, input, constraints = {}, temperature, stop }) => {
+  // Line endings and surrounding whitespace don't change the completion
+  const messages = toMessages(input).map(({ role, content }) => ({
+    role,
+    content: String(content).replace(/\r\n/g, '\n').trim()
+  }));
+
+  const normalized = {
+    agentId,
+    task: task || '',
+    optimize: optimize || 'cost',
+    weights: optimize === 'balanced' ? resolveWeights('balanced', weights) : null,
+    messages,
+    constraints: {
+      maxTokens: constraints.maxTokens ?? null,
+      maxCost: constraints.maxCost ?? null,
+      minConfidence: constraints.minConfidence ?? null,
+      tier: constraints.tier ?? null,
+      models: (constraints.models || []).map(normalizeModelId).sort(),
+      minContextWindow: constraints.minContextWindow ?? null,
+      tools: constraints.tools ?? null,
+      jsonMode: constraints.jsonMode ?? null,
+      vision: constraints.vision ?? null,
+      region: [].concat(constraints.region ?? []).map(r => r.toLowerCase()).sort()
+    },
+    temperature: temperature ?? null,
+    stop: (toStopSequences(stop) || []).slice().sort()
+  };
+
+  return createHash('sha256').update(JSON.stringify(normalized)).digest('hex');
+};
+
+/**
+ * Get an agent's cache settings
+ * @param {number} agentId - Agent ID
+ * @returns {Object} { enabled, ttlSeconds }
+ */
+export const getAgentCacheSettings = (agentId) => {
+  const agent = getOne('SELECT cache_enabled, cache_ttl_seconds FROM agents WHERE id = ?', [agentId]);
+
+  return {
+    enabled: agent?.cache_enabled === 1,
+    ttlSeconds: agent?.cache_ttl_seconds || DEFAULT_CACHE_TTL_SECONDS
+  };
+};
+
+/**
+ * Update an agent's cache settings
+ * @param {number} agentId - Agent ID
+ * @param {Object} settings - { enabled, ttlSeconds } (either may be omitted)
+ * @returns {Object} { enabled, ttlSeconds }
+ */
+export const setAgentCacheSettings = (agentId, { enabled, ttlSeconds } = {}) => {
+  try {
+    if (enabled !== undefined) {
+      runQuery('UPDATE agents SET cache_enabled = ? WHERE id = ?', [enabled ? 1 : 0, agentId]);
+    }
+
+    if (ttlSeconds !== undefined) {
+      runQuery('UPDATE agents SET cache_ttl_seconds = ? WHERE id = ?', [ttlSeconds, agentId]);
+    }
+
+    const settings = getAgentCacheSettings(agentId);
+    logger.info('agent_cache_settings_updated', { agentId, ...settings });
+
+    return settings;
+  } catch (error) {
+    logger.error('set_agent_cache_settings_failed', { agentId, error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Decide whether a request uses the cache and for how long
+ * The request option wins over the agent default:
+ *   cache: true | false | { ttl: seconds }; omitted → agent setting
+ * @param {number|null} agentId - Agent ID (caching requires an agent)
+ * @param {boolean|Object|undefined} option - Request cache option
+ * @returns {Object} { enabled, ttlSeconds }
+ */
+export const resolveCachePolicy = (agentId, option) => {
+  if (!agentId || option === false) {
+    return { enabled: false, ttlSeconds: 0 };
+  }
+
+  const settings = getAgentCacheSettings(agentId);
+  const enabled = option === undefined || option === null ? settings.enabled : true;
+  const ttlSeconds = typeof option === 'object' && option?.ttl ? option.ttl : settings.ttlSeconds;
+
+  return { enabled, ttlSeconds: Math.min(ttlSeconds, MAX_CACHE_TTL_SECONDS) };
+};
+
+/**
+ * Look up an unexpired cache entry and count the hit
+ * @param {string} cacheKey - Key from buildCacheKey()
+ * @returns {Object|null} response_cache row
+ */
+export const getCachedResponse = (cacheKey) => {
+  try {
+    const entry = getOne(
+      `SELECT * FROM response_cache WHERE cache_key = ? AND expires_at > datetime('now')`,
+      [cacheKey]
+    );
+
+    if (!entry) {
+      return null;
+    }
+
+    runQuery(
+      `UPDATE response_cache SET hit_count = hit_count + 1, last_hit_at = CURRENT_TIMESTAMP WHERE cache_key = ?`,
+      [cacheKey]
+    );
+
+    return entry;
+  } catch (error) {
+    // A broken cache must never fail the request
+    logger.error('response_cache_lookup_failed', { error: error.message });
+    return null;
+  }
+};
+
+/**
+ * Store a completed smart-route response
+ * Also drops expired entries so the table doesn't grow without bound.
+ * @param {string} cacheKey - Key from buildCacheKey()
+ * @param {number} agentId - Agent ID
+ * @param {Object} entry - { provider, model, response, tokens: { input, output }, cost }
+ * @param {number} ttlSeconds - Time to live
+ * @returns {string|null} Expiry timestamp, or null if nothing was stored
+ */
+export const storeCachedResponse = (cacheKey, agentId, entry, ttlSeconds) => {
+  try {
+    runQuery(`DELETE FROM response_cache WHERE expires_at <= datetime('now')`);
+
+    runQuery(
+      `INSERT INTO response_cache (cache_key, agent_id, provider, model, response, tokens_in, tokens_out, cost, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, datetime('now', ?))
+       ON CONFLICT(cache_key) DO UPDATE SET
+         provider = excluded.provider,
+         model = excluded.model,
+         response = excluded.response,
+         tokens_in = excluded.tokens_in,
+         tokens_out = excluded.tokens_out,
+         cost = excluded.cost,
+         hit_count = 0,
+         created_at = CURRENT_TIMESTAMP,
+         expires_at = excluded.expires_at`,
+      [
+        cacheKey,
+        agentId,
+        entry.provider,
+        entry.model || null,
+        entry.response,
+        entry.tokens?.input || 0,
+        entry.tokens?.output || 0,
+        entry.cost ?? null,
+        `+${ttlSeconds} seconds`
+      ]
+    );
+
+    return getOne('SELECT expires_at FROM response_cache WHERE cache_key = ?', [cacheKey])?.expires_at || null;
+  } catch (error) {
+    logger.error('response_cache_store_failed', { error: error.message });
+    return null;
+  }
+};
+
+/**
+ * Cache statistics for an agent
+ * @param {number} agentId - Agent ID
+ * @returns {Object} { entries, hits }
+ */
+export const getCacheStats = (agentId) => {
+  const entries = getOne(
+    `SELECT COUNT(*) as entries FROM response_cache WHERE agent_id = ? AND expires_at > datetime('now')`,
+    [agentId]
+  );
+
+  const hits = getOne(
+    'SELECT COUNT(*) as hits FROM request_log WHERE agent_id = ? AND cache_hit = 1',
+    [agentId]
+  );
+
+  return {
+    entries: entries?.entries || 0,
+    hits: hits?.hits || 0
+  };
+};
+
+export default {
+  DEFAULT_CACHE_TTL_SECONDS,
+  MAX_CACHE_TTL_SECONDS,
+  buildCacheKey,
+  getAgentCacheSettings,
+  setAgentCacheSettings,
+  resolveCachePolicy,
+  getCachedResponse,
+  storeCachedResponse,
+  getCacheStats
+};
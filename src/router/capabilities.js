@@ -0,0 +1,155 @@
+/**
+ * Model capability constraints
+ *
+ * Each service row carries capability metadata (see migration 009):
+ * context window, max output tokens, tool calling, JSON mode, vision input
+ * and the regions it can be served from. selectProvider() drops models that
+ * cannot handle a request before ranking by cost, speed or quality.
+ *
+ * Request constraints:
+ *   - minContextWindow: integer - required context window in tokens
+ *   - tools: true       - model must support tool/function calling
+ *   - jsonMode: true    - model must support JSON output mode
+ *   - vision: true      - model must accept image input
+ *   - region: string | string[] - allowed data-residency region(s), e.g. 'eu'
+ *
+ * Unknown metadata (NULL) never satisfies an explicit requirement. The prompt
+ * plus maxTokens must also fit a model's known context window and output limit.
+ */
+
+const CAPABILITY_FLAGS = {
+  tools: 'supports_tools',
+  jsonMode: 'supports_json_mode',
+  vision: 'supports_vision'
+};
+
+/**
+ * Parse a comma-separated regions column
+ * @param {string|null} value - e.g. 'us,eu'
+ * @returns {Array<string>|null} null when unknown
+ */
+const parseRegions = (value) => {
+  if (!value) {
+    return null;
+  }
+
+  return value.split(',').map(r => r.trim().toLowerCase()).filter(Boolean);
+};
+
+/**
+ * Read a 0/1/NULL flag column as true/false/null
+ * @param {number|null} value
+ * @returns {boolean|null}
+ */
+const toFlag = (value) => (value === null || value === undefined ? null : Boolean(value));
+
+/**
+ * Capability metadata from providers.json → service column values
+ * @param {Object} capabilities - { contextWindow, maxOutputTokens, tools, jsonMode, vision, regions }
+ * @returns {Array} [context_window, max_output_tokens, supports_tools, supports_json_mode, supports_vision, regions]
+ */
+export const toCapabilityColumns = (capabilities = {}) => {
+  const flag = (value) => (typeof value === 'boolean' ? Number(value) : null);
+
+  return [
+    capabilities.contextWindow ?? null,
+    capabilities.maxOutputTokens ?? null,
+    flag(capabilities.tools),
+    flag(capabilities.jsonMode),
+    flag(capabilities.vision),
+    Array.isArray(capabilities.regions) && capabilities.regions.length > 0
+      ? capabilities.regions.map(r => r.toLowerCase()).join(',')
+      : null
+  ];
+};
+
+/**
+ * Service row → capability object for API responses
+ * @param {Object} row - Row with the migration 009 columns
+ * @returns {Object} { contextWindow, maxOutputTokens, tools, jsonMode, vision, regions } (null = unknown)
+ */
+export const toCapabilities = (row) => ({
+  contextWindow: row.context_window ?? null,
+  maxOutputTokens: row.max_output_tokens ?? null,
+  tools: toFlag(row.supports_tools),
+  jsonMode: toFlag(row.supports_json_mode),
+  vision: toFlag(row.supports_vision),
+  regions: parseRegions(row.regions)
+});
+
+/**
+ * Validate capability constraints from a request body
+ * @param {Object} constraints - Request constraints
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateCapabilityConstraints = (constraints = {}) => {
+  const { minContextWindow, region } = constraints;
+
+  if (minContextWindow !== undefined && (!Number.isInteger(minContextWindow) || minContextWindow <= 0)) {
+    return 'constraints.minContextWindow must be a positive integer';
+  }
+
+  for (const name of Object.keys(CAPABILITY_FLAGS)) {
+    if (constraints[name] !== undefined && typeof constraints[name] !== 'boolean') {
+      return `constraints.${name} must be a boolean`;
+    }
+  }
+
+  if (region !== undefined) {
+    const regions = [].concat(region);
+    if (regions.length === 0 || regions.some(r => typeof r !== 'string' || !r)) {
+      return 'constraints.region must be a region code or an array of them';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Check whether a rate row's model can handle the request
+ * @param {Object} rate - Rate row with capability columns
+ * @param {Object} constraints - { minContextWindow, tools, jsonMode, vision, region }
+ * @param {Object} usage - { inputTokens, outputTokens }
+ * @returns {string|null} Name of the first unmet requirement, or null when the model qualifies
+ */
+export const checkCapabilities = (rate, constraints = {}, usage = {}) => {
+  const contextWindow = rate.context_window ?? null;
+  const requestTokens = (usage.inputTokens || 0) + (usage.outputTokens || 0);
+
+  if (constraints.minContextWindow !== undefined &&
+      (contextWindow === null || contextWindow < constraints.minContextWindow)) {
+    return 'contextWindow';
+  }
+
+  if (contextWindow !== null && requestTokens > contextWindow) {
+    return 'contextWindow';
+  }
+
+  if (rate.max_output_tokens && (usage.outputTokens || 0) > rate.max_output_tokens) {
+    return 'maxOutputTokens';
+  }
+
+  for (const [name, column] of Object.entries(CAPABILITY_FLAGS)) {
+    if (constraints[name] === true && !rate[column]) {
+      return name;
+    }
+  }
+
+  if (constraints.region !== undefined) {
+    const allowed = [].concat(constraints.region).map(r => r.toLowerCase());
+    const regions = parseRegions(rate.regions) || [];
+
+    if (!regions.some(r => allowed.includes(r))) {
+      return 'region';
+    }
+  }
+
+  return null;
+};
+
+export default {
+  toCapabilityColumns,
+  toCapabilities,
+  validateCapabilityConstraints,
+  checkCapabilities
+};
@@ -1,43 +1,14 @@
-import OpenAIAdapter from './adapters/openai.js';
-import AnthropicAdapter from './adapters/anthropic.js';
-import DeepSeekAdapter from './adapters/deepseek.js';
+import { getAdapterDefinitions, getAdapterDefinition, createConfiguredAdapters } from './registry.js';
 import logger from '../logger.js';
 
 /**
  * Get all available providers with configured API keys
+ * Adapters come from the registry (see registry.js); an adapter is available
+ * when any of its declared env keys is set.
  * @returns {Array} Array of { name, adapter } for providers with keys set
  */
 function getAvailableProviders() {
-  const providers = [];
-
-  if (process.env.OPENAI_API_KEY) {
-    providers.push({
-      name: 'openai',
-      adapter: new OpenAIAdapter({
-        apiKey: process.env.OPENAI_API_KEY,
-      }),
-    });
-  }
-
-  if (process.env.ANTHROPIC_API_KEY) {
-    providers.push({
-      name: 'anthropic',
-      adapter: new AnthropicAdapter({
-        apiKey: process.env.ANTHROPIC_API_KEY,
-      }),
-    });
-  }
-
-  if (process.env.DEEPSEEK_API_KEY) {
-    providers.push({
-      name: 'deepseek',
-      adapter: new DeepSeekAdapter({
-        apiKey: process.env.DEEPSEEK_API_KEY,
-      }),
-    });
-  }
-
-  return providers;
+  return createConfiguredAdapters(process.env);
 }
 
 /**
@@ -46,30 +17,32 @@ function getAvailableProviders() {
  * @returns {Object|null} Provider config or null if not available
  */
 function getProviderConfig(name) {
-  const configs = {
-    openai: {
-      apiKey: process.env.OPENAI_API_KEY,
-      baseUrl: 'https://api.openai.com/v1',
-      defaultModel: 'gpt-4o-mini',
-    },
-    anthropic: {
-      apiKey: process.env.ANTHROPIC_API_KEY,
-      baseUrl: 'https://api.anthropic.com/v1',
-      defaultModel: 'claude-haiku-4-5-20251001',
-    },
-    deepseek: {
-      apiKey: process.env.DEEPSEEK_API_KEY,
-      baseUrl: 'https://api.deepseek.com/v1',
-      defaultModel: 'deepseek-chat',
-    },
-  };
+  const definition = getAdapterDefinition(name);
+  if (!definition || !definition.configured) {
+    return null;
+  }
 
-  const config = configs[name];
-  if (!config || !config.apiKey) {
+  const { adapter } = createConfiguredAdapters(process.env).find(p => p.name === definition.name) || {};
+  if (!adapter) {
     return null;
   }
 
-  return config;
+  return {
+    apiKey: adapter.apiKey,
+    baseUrl: adapter.baseUrl,
+    defaultModel: adapter.defaultModel,
+    providerName: definition.providerName,
+    models: definition.models,
+    capabilities: definition.capabilities
+  };
+}
+
+/**
+ * Env var names that enable at least one adapter (for setup hints)
+ * @returns {string} e.g. "OPENAI_API_KEY, ANTHROPIC_API_KEY, ..."
+ */
+function getProviderEnvKeys() {
+  return getAdapterDefinitions().map(d => d.envKeys[0]).join(', ');
 }
 
 /**
@@ -77,11 +50,7 @@ function getProviderConfig(name) {
  * @returns {boolean}
  */
 function isSmartRouteEnabled() {
-  const enabled = !!(
-    process.env.OPENAI_API_KEY ||
-    process.env.ANTHROPIC_API_KEY ||
-    process.env.DEEPSEEK_API_KEY
-  );
+  const enabled = getAdapterDefinitions().some(d => d.configured);
 
   if (!enabled) {
     logger.warn('Smart Router: disabled (no API keys configured)');
@@ -110,19 +79,21 @@ function getAdapterMap() {
  */
 function logProviderStatus() {
   const providers = getAvailableProviders();
+  const total = getAdapterDefinitions().length;
 
   if (providers.length === 0) {
     logger.warn('Smart Router: disabled (no API keys configured)');
-    logger.warn('Set OPENAI_API_KEY, ANTHROPIC_API_KEY, or DEEPSEEK_API_KEY in .env to enable');
+    logger.warn(`Set one of ${getProviderEnvKeys()} in .env to enable`);
   } else {
     const names = providers.map(p => p.name).join(', ');
-    logger.info(`Smart Router: ${providers.length}/3 providers configured [${names}]`);
+    logger.info(`Smart Router: ${providers.length}/${total} providers configured [${names}]`);
   }
 }
 
 export {
   getAvailableProviders,
   getProviderConfig,
+  getProviderEnvKeys,
   isSmartRouteEnabled,
   getAdapterMap,
   logProviderStatus,
@@ -1,16 +1,126 @@
 import { getAll } from '../db/database.js';
+import { calculateTokenCost, normalizeModelId, isWithinTier, getTokenPrices, DEFAULT_MAX_TOKENS } from './pricing.js';
+import { isCircuitOpen } from './health.js';
+import { resolveAdapterName, getSelfHostedRates, getAdapterDefinition } from './registry.js';
+import { checkCapabilities, toCapabilities } from './capabilities.js';
+import { getQualityLookup } from './quality.js';
+import { getLatencyLookup } from './latency-stats.js';
 import logger from '../logger.js';
 
+// Latency assumed for models without enough samples in the routing window
+export const DEFAULT_LATENCY_MS = 1000;
+
+// Task categories a self-hosted chat model can serve ('' = any)
+const SELF_HOSTED_TASKS = ['', 'text-generation', 'chat'];
+
+export const SCORE_COMPONENTS = ['cost', 'latency', 'quality'];
+
+// Default weights for optimize: 'balanced' (overridable per request)
+export const DEFAULT_BALANCED_WEIGHTS = { cost: 0.4, latency: 0.3, quality: 0.3 };
+
+// Single-objective strategies are the same weighted score with one component
+const STRATEGY_WEIGHTS = {
+  cost: { cost: 1, latency: 0, quality: 0 },
+  speed: { cost: 0, latency: 1, quality: 0 },
+  quality: { cost: 0, latency: 0, quality: 1 },
+  balanced: DEFAULT_BALANCED_WEIGHTS
+};
+
+/**
+ * Validate per-request scoring weights
+ * @param {Object} weights - { cost, latency, quality } non-negative numbers; omitted components weigh 0
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateWeights = (weights) => {
+  if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+    return `weights must be an object with any of: ${SCORE_COMPONENTS.join(', ')}`;
+  }
+
+  const unknown = Object.keys(weights).filter(name => !SCORE_COMPONENTS.includes(name));
+  if (unknown.length > 0) {
+    return `unknown weight(s): ${unknown.join(', ')}. Use ${SCORE_COMPONENTS.join(', ')}`;
+  }
+
+  const values = Object.values(weights);
+  if (values.some(w => typeof w !== 'number' || !Number.isFinite(w) || w < 0)) {
+    return 'weights must be non-negative numbers';
+  }
+
+  if (values.reduce((sum, w) => sum + w, 0) <= 0) {
+    return 'at least one weight must be greater than 0';
+  }
+
+  return null;
+};
+
+/**
+ * Weights used to score candidates, normalized to sum to 1
+ * @param {string} optimize - Optimization strategy
+ * @param {Object|null} weights - Per-request weights (balanced only)
+ * @returns {Object} { cost, latency, quality }
+ */
+export const resolveWeights = (optimize, weights = null) => {
+  const base = optimize === 'balanced' && weights
+    ? weights
+    : STRATEGY_WEIGHTS[optimize] || STRATEGY_WEIGHTS.cost;
+
+  const total = SCORE_COMPONENTS.reduce((sum, name) => sum + (base[name] || 0), 0);
+
+  return Object.fromEntries(SCORE_COMPONENTS.map(name => [name, (base[name] || 0) / total]));
+};
+
+/**
+ * Min-max scaler over the candidate set
+ * @param {Array<number>} values - Raw values for every candidate
+ * @param {boolean} lowerIsBetter - true for cost and latency
+ * @returns {Function} (value) => 0..1, where 1 is the best candidate (1 for all when values are equal)
+ */
+const minMaxScale = (values, lowerIsBetter) => {
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const range = max - min;
+
+  return (value) => {
+    if (range === 0) {
+      return 1;
+    }
+
+    const scaled = (value - min) / range;
+    return lowerIsBetter ? 1 - scaled : scaled;
+  };
+};
+
 /**
  * Select best provider based on task requirements and optimization strategy
  * @param {string} task - Task category (e.g., 'chat', 'text-generation')
  * @param {string} optimize - Optimization strategy: 'cost', 'speed', 'quality', 'balanced'
- * @param {Object} constraints - Constraints object { maxCost, minConfidence }
- * @param {Array<string>} availableProviders - List of available provider names
- * @returns {Array<Object>} Sorted array of providers: [{ providerId, providerName, score, estimatedCost, confidence }]
+ *   'quality' ranks by the model quality registry (benchmarks blended with agent feedback, see quality.js)
+ * @param {Object} constraints - Constraints object { maxCost (max USD for this request), minConfidence, models,
+ *   minContextWindow, tools, jsonMode, vision, region, tier }
+ *   tier keeps models in that price tier (see MODEL_TIERS in pricing.js)
+ *   models is a list of model hints: matching models are ranked ahead of the rest and
+ *   chosen as that provider's model, without excluding other providers.
+ *   Capability constraints exclude models that cannot handle the request (see capabilities.js)
+ * @param {Array<string>} availableProviders - List of available adapter names (see registry.js)
+ * @param {Object} usage - Expected token usage { inputTokens, outputTokens } (see estimateRequestTokens)
+ * @param {Object|null} weights - Per-request { cost, latency, quality } weights for 'balanced' (default DEFAULT_BALANCED_WEIGHTS)
+ * @param {Array<Object>|null} excluded - When set, receives one entry per model filtered out:
+ *   { provider, adapter, model, reason, detail, estimatedCost }, reason one of
+ *   'cost_cap', 'confidence', 'tier', 'capability', 'missing_api_key', 'circuit_open' (see POST /v1/smart-route/explain)
+ * @returns {Array<Object>} Sorted array of providers (best model per provider): [{ providerId, providerName, adapter, model, score,
+ *   scoreBreakdown, estimatedCost, latencyP95, errorRate, inputPrice, outputPrice, confidence, quality, capabilities }]
+ *   score is the weighted sum of cost, latency and quality, each min-max normalized across the candidates
+ *   (1 = best); scoreBreakdown holds { value, normalized, weight, contribution } per component.
+ *   Latency is the p95 from provider_latency_stats over the routing window (see latency-stats.js).
  */
-export const selectProvider = (task, optimize = 'cost', constraints = {}, availableProviders = []) => {
+export const selectProvider = (task, optimize = 'cost', constraints = {}, availableProviders = [], usage = {}, weights = null, excluded = null) => {
   try {
+    const inputTokens = usage.inputTokens || 0;
+    const outputTokens = usage.outputTokens ?? DEFAULT_MAX_TOKENS;
+
+    // Dollar estimate for this request at a rate's input/output prices
+    const estimateCost = (rate) => calculateTokenCost(rate, inputTokens, outputTokens);
+
     // Step 1: Query AGORA rate database for all rates matching the task category
     const rates = getAll(`
       SELECT
@@ -19,40 +129,106 @@ export const selectProvider = (task, optimize = 'cost', constraints = {}, availa
         p.name as provider_name,
         s.category,
         s.subcategory,
+        s.model,
         r.price,
+        r.input_price,
+        r.output_price,
         r.unit,
-        r.confidence
+        r.confidence,
+        s.context_window,
+        s.max_output_tokens,
+        s.supports_tools,
+        s.supports_json_mode,
+        s.supports_vision,
+        s.regions
       FROM rates r
       JOIN services s ON r.service_id = s.id
       JOIN providers p ON s.provider_id = p.id
       WHERE s.category = ? OR ? = ''
     `, [task || '', task || '']);
 
+    // Step 1b: Self-hosted endpoints have no rates row; offer their models at $0 for text tasks
+    if (SELF_HOSTED_TASKS.includes(task || '')) {
+      rates.push(...getSelfHostedRates(availableProviders));
+    }
+
     if (rates.length === 0) {
       logger.warn('no_rates_found_for_task', { task });
       return [];
     }
 
+    // Keep rates that pass `check`; report the rest to the caller's excluded list
+    const keep = (list, reason, check, detail = () => null) => list.filter(r => {
+      const passed = check(r);
+      if (!passed && excluded) {
+        excluded.push({
+          provider: r.provider_name,
+          adapter: resolveAdapterName(r.provider_name),
+          model: r.model || null,
+          reason,
+          detail: detail(r),
+          estimatedCost: estimateCost(r)
+        });
+      }
+      return passed;
+    });
+
     // Step 2: Filter by constraints
     let filteredRates = rates;
 
     if (constraints.maxCost !== undefined) {
-      filteredRates = filteredRates.filter(r => {
-        // Use price directly as estimated cost
-        const estimatedCost = r.price;
-        return estimatedCost <= constraints.maxCost;
-      });
+      filteredRates = keep(filteredRates, 'cost_cap', r => estimateCost(r) <= constraints.maxCost,
+        r => `estimated $${estimateCost(r).toFixed(6)} > maxCost $${constraints.maxCost}`);
     }
 
     if (constraints.minConfidence !== undefined) {
-      filteredRates = filteredRates.filter(r => r.confidence >= constraints.minConfidence);
+      filteredRates = keep(filteredRates, 'confidence', r => r.confidence >= constraints.minConfidence,
+        r => `confidence ${r.confidence} < minConfidence ${constraints.minConfidence}`);
+    }
+
+    if (constraints.tier !== undefined) {
+      filteredRates = keep(filteredRates, 'tier', r => isWithinTier(r, constraints.tier),
+        r => `output $${getTokenPrices(r).output}/1M tokens is above the ${constraints.tier} tier`);
+    }
+
+    // Step 2b: Drop models that cannot handle the request (context window, tools, JSON mode, vision, region)
+    const capabilityMisses = {};
+    const missingCapability = new Map(filteredRates.map(r => [r, checkCapabilities(r, constraints, { inputTokens, outputTokens })]));
+    filteredRates = keep(filteredRates, 'capability', r => {
+      const missing = missingCapability.get(r);
+      if (missing) {
+        capabilityMisses[missing] = (capabilityMisses[missing] || 0) + 1;
+      }
+      return !missing;
+    }, r => missingCapability.get(r));
+
+    if (Object.keys(capabilityMisses).length > 0) {
+      logger.info('models_filtered_by_capability', { task, excluded: capabilityMisses });
     }
 
     // Step 3: Filter by available providers (only providers with configured API keys)
     if (availableProviders.length > 0) {
-      filteredRates = filteredRates.filter(r =>
-        availableProviders.includes(r.provider_name.toLowerCase())
-      );
+      filteredRates = keep(filteredRates, 'missing_api_key',
+        r => availableProviders.includes(resolveAdapterName(r.provider_name)),
+        r => {
+          const envKeys = getAdapterDefinition(resolveAdapterName(r.provider_name))?.envKeys;
+          return envKeys ? `set ${envKeys.join(' or ')}` : 'no adapter for this provider';
+        });
+    }
+
+    // Step 3b: Skip providers whose circuit breaker is open (recent repeated failures)
+    const circuitOpen = new Map();
+    filteredRates = keep(filteredRates, 'circuit_open', r => {
+      const name = resolveAdapterName(r.provider_name);
+      if (!circuitOpen.has(name)) {
+        circuitOpen.set(name, isCircuitOpen(name));
+      }
+      return !circuitOpen.get(name);
+    });
+
+    const skippedProviders = [...circuitOpen].filter(([, open]) => open).map(([name]) => name);
+    if (skippedProviders.length > 0) {
+      logger.warn('providers_skipped_circuit_open', { providers: skippedProviders });
     }
 
     if (filteredRates.length === 0) {
@@ -60,73 +236,71 @@ export const selectProvider = (task, optimize = 'cost', constraints = {}, availa
       return [];
     }
 
-    // Step 4: Score each provider based on optimization strategy
-    const scoredProviders = filteredRates.map(rate => {
-      // Use price directly as estimated cost
-      const estimatedCost = rate.price;
+    // Step 4: Score each candidate on min-max normalized cost, latency and quality
+    const qualityOf = getQualityLookup(task);
+    const latencyOf = getLatencyLookup();
 
-      // Get average latency from request_log (if available)
-      const latencyData = getAll(`
-        SELECT AVG(latency_ms) as avg_latency
-        FROM request_log
-        WHERE provider = ?
-      `, [rate.provider_name]);
-      const avgLatency = latencyData[0]?.avg_latency || 1000; // default 1000ms
+    const candidates = filteredRates.map(rate => {
+      const adapter = resolveAdapterName(rate.provider_name);
+      const stats = latencyOf(adapter, rate.model);
 
-      let score = 0;
+      return {
+        rate,
+        adapter,
+        estimatedCost: estimateCost(rate),
+        latencyP95: stats?.p95Ms ?? DEFAULT_LATENCY_MS,
+        errorRate: stats?.errorRate ?? null,
+        quality: qualityOf(rate.model).score
+      };
+    });
 
-      switch (optimize) {
-        case 'cost':
-          // Lower cost = higher score (inverse)
-          score = 1 / (estimatedCost + 0.0001); // +0.0001 to avoid division by zero
-          break;
-
-        case 'speed':
-          // Lower latency = higher score (inverse)
-          score = 1 / (avgLatency + 1);
-          break;
-
-        case 'quality':
-          // Higher confidence = higher score
-          score = rate.confidence;
-          break;
-
-        case 'balanced':
-          // 40% cost + 30% speed + 30% quality
-          const costScore = 1 / (estimatedCost + 0.0001);
-          const speedScore = 1 / (avgLatency + 1);
-          const qualityScore = rate.confidence;
-
-          // Normalize scores (0-1 range)
-          const maxCostScore = 1 / 0.0001;
-          const maxSpeedScore = 1 / 1;
-
-          score = (
-            0.4 * (costScore / maxCostScore) +
-            0.3 * (speedScore / maxSpeedScore) +
-            0.3 * (qualityScore / 100)
-          );
-          break;
-
-        default:
-          score = 1 / (estimatedCost + 0.0001); // default to cost optimization
+    const scoreWeights = resolveWeights(optimize, weights);
+    const normalizeCost = minMaxScale(candidates.map(c => c.estimatedCost), true);
+    const normalizeLatency = minMaxScale(candidates.map(c => c.latencyP95), true);
+    const normalizeQuality = minMaxScale(candidates.map(c => c.quality), false);
+
+    const scoredProviders = candidates.map(({ rate, adapter, estimatedCost, latencyP95, errorRate, quality }) => {
+      const components = {
+        cost: { value: estimatedCost, normalized: normalizeCost(estimatedCost) },
+        latency: { value: latencyP95, normalized: normalizeLatency(latencyP95) },
+        quality: { value: quality, normalized: normalizeQuality(quality) }
+      };
+
+      const scoreBreakdown = {};
+      let score = 0;
+      for (const [name, component] of Object.entries(components)) {
+        const contribution = scoreWeights[name] * component.normalized;
+        scoreBreakdown[name] = { ...component, weight: scoreWeights[name], contribution };
+        score += contribution;
       }
 
       return {
         providerId: rate.provider_id,
         providerName: rate.provider_name,
+        adapter,
+        model: rate.model || null,
         score,
+        scoreBreakdown,
         estimatedCost,
-        confidence: rate.confidence
+        latencyP95,
+        errorRate,
+        inputPrice: rate.input_price ?? rate.price,
+        outputPrice: rate.output_price ?? rate.price,
+        confidence: rate.confidence,
+        quality,
+        capabilities: toCapabilities(rate)
       };
     });
 
-    // Step 5: Sort by score (highest first) and remove duplicates
+    // Step 5: Sort by model hint, then score (highest first), and remove duplicates
+    const hintedModels = new Set((constraints.models || []).map(normalizeModelId));
+    const isHinted = (provider) => provider.model !== null && hintedModels.has(normalizeModelId(provider.model));
+
     const uniqueProviders = [];
     const seenProviders = new Set();
 
     scoredProviders
-      .sort((a, b) => b.score - a.score)
+      .sort((a, b) => (isHinted(b) - isHinted(a)) || (b.score - a.score))
       .forEach(provider => {
         if (!seenProviders.has(provider.providerName)) {
           uniqueProviders.push(provider);
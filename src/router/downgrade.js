@@ -0,0 +1,195 @@
+/**
+ * Budget downgrade policy
+ *
+ * Agents can opt into degrading requests instead of failing them with 402 when
+ * budget runs low. A policy is an ordered list of steps, each triggered once the
+ * remaining budget falls below a level (USD, or percent of the limit) and each
+ * applying one or more of: switch `optimize` (typically to 'cost'), cap
+ * `maxTokens`, restrict to a cheaper model tier (see MODEL_TIERS in pricing.js).
+ *
+ * Steps are cumulative: reaching a step also applies every step before it. When
+ * a request still does not fit the budget, smartRoute() escalates to the next
+ * steps before giving up with 402.
+ */
+
+import { runQuery, getOne } from '../db/database.js';
+import { MODEL_TIERS } from './pricing.js';
+import logger from '../logger.js';
+
+export const MAX_DOWNGRADE_STEPS = 5;
+
+const OPTIMIZE_STRATEGIES = ['cost', 'speed', 'quality', 'balanced'];
+
+/**
+ * Validate a downgrade policy
+ * @param {Object} policy - { steps: [{ belowPercent | belowUsd, optimize, maxTokens, tier }] }
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateDowngradePolicy = (policy) => {
+  if (!policy || typeof policy !== 'object' || !Array.isArray(policy.steps)) {
+    return 'Missing or invalid required field: steps (array)';
+  }
+
+  if (policy.steps.length > MAX_DOWNGRADE_STEPS) {
+    return `A downgrade policy has at most ${MAX_DOWNGRADE_STEPS} steps`;
+  }
+
+  for (const [index, step] of policy.steps.entries()) {
+    const at = `steps[${index}]`;
+
+    if (!step || typeof step !== 'object' || Array.isArray(step)) {
+      return `${at} must be an object`;
+    }
+
+    const { belowPercent, belowUsd, optimize, maxTokens, tier } = step;
+
+    if ((belowPercent === undefined) === (belowUsd === undefined)) {
+      return `${at} needs exactly one of belowPercent or belowUsd`;
+    }
+
+    if (belowPercent !== undefined && (typeof belowPercent !== 'number' || belowPercent <= 0 || belowPercent > 100)) {
+      return `${at}.belowPercent must be a number between 0 and 100`;
+    }
+
+    if (belowUsd !== undefined && (typeof belowUsd !== 'number' || belowUsd <= 0)) {
+      return `${at}.belowUsd must be a positive number`;
+    }
+
+    if (optimize === undefined && maxTokens === undefined && tier === undefined) {
+      return `${at} must set at least one of optimize, maxTokens, tier`;
+    }
+
+    if (optimize !== undefined && !OPTIMIZE_STRATEGIES.includes(optimize)) {
+      return `${at}.optimize must be one of: ${OPTIMIZE_STRATEGIES.join(', ')}`;
+    }
+
+    if (maxTokens !== undefined && (!Number.isInteger(maxTokens) || maxTokens < 1)) {
+      return `${at}.maxTokens must be a positive integer`;
+    }
+
+    if (tier !== undefined && !Object.hasOwn(MODEL_TIERS, tier)) {
+      return `${at}.tier must be one of: ${Object.keys(MODEL_TIERS).join(', ')}`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Get an agent's downgrade policy
+ * @param {number} agentId - Agent ID
+ * @returns {Object|null} { steps }, or null when the agent has not opted in
+ */
+export const getDowngradePolicy = (agentId) => {
+  const agent = getOne('SELECT budget_downgrade_policy FROM agents WHERE id = ?', [agentId]);
+
+  return agent?.budget_downgrade_policy ? JSON.parse(agent.budget_downgrade_policy) : null;
+};
+
+/**
+ * Set or clear an agent's downgrade policy
+ * @param {number} agentId - Agent ID
+ * @param {Object|null} policy - Validated { steps }; null or no steps turns downgrades off
+ * @returns {Object|null} Stored policy
+ */
+export const setDowngradePolicy = (agentId, policy) => {
+  try {
+    const steps = (policy?.steps || []).map(({ belowPercent, belowUsd, optimize, maxTokens, tier }) => ({
+      belowPercent, belowUsd, optimize, maxTokens, tier
+    }));
+    const stored = steps.length > 0 ? { steps } : null;
+
+    runQuery('UPDATE agents SET budget_downgrade_policy = ? WHERE id = ?', [stored ? JSON.stringify(stored) : null, agentId]);
+
+    logger.info('budget_downgrade_policy_set', { agentId, steps: steps.length });
+
+    return stored;
+  } catch (error) {
+    logger.error('set_budget_downgrade_policy_failed', { error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Number of policy steps the remaining budget has triggered
+ * A step triggers below its level; reaching a step includes every step before it.
+ * @param {Object} policy - { steps }
+ * @param {Object} budget - { remaining, limit } from checkBudget()
+ * @returns {number} 0 (no downgrade) to policy.steps.length
+ */
+export const matchDowngradeLevel = (policy, { remaining, limit }) => {
+  if (limit === null || limit === undefined) {
+    return 0;
+  }
+
+  const remainingPercent = limit > 0 ? (remaining / limit) * 100 : 0;
+  let level = 0;
+
+  policy.steps.forEach((step, index) => {
+    const triggered = step.belowUsd !== undefined
+      ? remaining < step.belowUsd
+      : remainingPercent < step.belowPercent;
+
+    if (triggered) {
+      level = index + 1;
+    }
+  });
+
+  return level;
+};
+
+/**
+ * Apply the first `level` policy steps to a resolved route request
+ * maxTokens only ever goes down and tier only gets cheaper; later steps win for optimize.
+ * @param {Object} route - From resolveRouteRequest() in index.js
+ * @param {Object} policy - { steps }
+ * @param {number} level - Steps to apply
+ * @returns {Object} { route, applied: { optimize, maxTokens, tier } } with only the changed fields in applied
+ */
+export const applyDowngrade = (route, policy, level) => {
+  const tierCap = (tier) => MODEL_TIERS[tier] ?? Infinity;
+  let { optimize, weights, maxTokens } = route;
+  let tier = route.constraints.tier;
+
+  for (const step of policy.steps.slice(0, level)) {
+    if (step.optimize !== undefined) {
+      optimize = step.optimize;
+    }
+
+    if (step.maxTokens !== undefined) {
+      maxTokens = Math.min(maxTokens, step.maxTokens);
+    }
+
+    if (step.tier !== undefined && tierCap(step.tier) < tierCap(tier)) {
+      tier = step.tier;
+    }
+  }
+
+  const applied = {
+    ...(optimize !== route.optimize && { optimize }),
+    ...(maxTokens !== route.maxTokens && { maxTokens }),
+    ...(tier !== route.constraints.tier && { tier })
+  };
+
+  return {
+    route: {
+      ...route,
+      optimize,
+      weights: optimize === 'balanced' ? weights : null,
+      constraints: { ...route.constraints, ...(applied.maxTokens && { maxTokens }), ...(applied.tier && { tier }) },
+      maxTokens,
+      usage: { ...route.usage, outputTokens: maxTokens },
+      hedged: route.hedged && optimize === 'speed'
+    },
+    applied
+  };
+};
+
+export default {
+  MAX_DOWNGRADE_STEPS,
+  validateDowngradePolicy,
+  getDowngradePolicy,
+  setDowngradePolicy,
+  matchDowngradeLevel,
+  applyDowngrade
+};
@@ -1,37 +1,78 @@
+import { acquireCircuit, recordSuccess, recordFailure, releaseCircuit } from './health.js';
 import logger from '../logger.js';
 
 /**
  * Execute request with automatic fallback to alternative providers
- * @param {Array<Object>} rankedProviders - Sorted providers from decision.js: [{ providerName, ... }]
- * @param {Map<string, Object>} adapterMap - Map of provider name → adapter instance
- * @param {string} prompt - Input prompt
- * @param {Object} options - Generation options
+ * Providers whose circuit breaker is open are skipped without spending an attempt;
+ * every call outcome feeds the provider's breaker (see health.js).
+ * @param {Array<Object>} rankedProviders - Sorted providers from decision.js: [{ providerName, adapter, model, ... }]
+ * @param {Object} adapterMap - Map of adapter name → adapter instance
+ * @param {string|Array<Object>} prompt - Input prompt or chat messages [{ role, content }]
+ * @param {Object} options - Generation options { maxTokens, temperature, stop, signal }, plus optional
+ *   admit(rankedProvider) → boolean, asked before each call; false when the budget has no room for that provider,
+ *   which is then passed over without spending an attempt
+ * @param {Function|null} onToken - When set, streams via generateStream() and forwards each text delta.
+ *   Fallback only happens before the first token; a failure mid-stream is thrown to the caller.
  * @returns {Promise<Object>} { result, provider, attempts, failedProviders }
+ *   failedProviders: [{ name, model, error }]; providers passed over without a call carry skipped: true.
+ *   When every provider fails the thrown error carries failedProviders too.
  */
-export const executeWithFallback = async (rankedProviders, adapterMap, prompt, options = {}) => {
+export const executeWithFallback = async (rankedProviders, adapterMap, prompt, options = {}, onToken = null) => {
+  const { admit = null, ...generateOptions } = options;
   const maxAttempts = 3;
   const failedProviders = [];
   let attempts = 0;
+  let streamStarted = false;
 
   // Try up to 3 providers or until we run out
-  for (const rankedProvider of rankedProviders.slice(0, maxAttempts)) {
+  for (const rankedProvider of rankedProviders) {
+    if (attempts >= maxAttempts) {
+      break;
+    }
+
+    const providerName = rankedProvider.adapter || rankedProvider.providerName.toLowerCase();
+
+    if (admit && !admit(rankedProvider)) {
+      logger.warn('provider_budget_exceeded', { provider: providerName });
+      failedProviders.push({ name: providerName, model: rankedProvider.model || null, error: 'Budget exceeded', skipped: true });
+      continue;
+    }
+
+    // Breaker opened (or a half-open trial is already running) since ranking
+    if (!acquireCircuit(providerName)) {
+      logger.warn('provider_circuit_open', { provider: providerName });
+      failedProviders.push({ name: providerName, error: 'Circuit open', skipped: true });
+      continue;
+    }
+
     attempts++;
 
-    const providerName = rankedProvider.providerName.toLowerCase();
-    const adapter = adapterMap.get(providerName);
+    const adapter = adapterMap[providerName];
 
     if (!adapter) {
+      releaseCircuit(providerName);
       logger.warn('adapter_not_found', { provider: providerName });
-      failedProviders.push({ name: providerName, error: 'Adapter not configured' });
+      failedProviders.push({ name: providerName, error: 'Adapter not configured', skipped: true });
       continue;
     }
 
     try {
       logger.info('attempting_provider', { provider: providerName, attempt: attempts });
 
-      // Try to generate with this provider
-      const result = await adapter.generate(prompt, options);
+      // Try to generate with this provider, using the model that was ranked
+      const providerOptions = {
+        ...generateOptions,
+        model: rankedProvider.model || options.model
+      };
+
+      const result = onToken
+        ? await adapter.generateStream(prompt, providerOptions, (text) => {
+          streamStarted = true;
+          onToken(text, { provider: providerName, model: providerOptions.model });
+        })
+        : await adapter.generate(prompt, providerOptions);
 
+      recordSuccess(providerName);
       logger.info('provider_success', { provider: providerName, attempts });
 
       return {
@@ -41,6 +82,23 @@ export const executeWithFallback = async (rankedProviders, adapterMap, prompt, o
         failedProviders
       };
     } catch (error) {
+      // The caller went away: not the provider's fault, and no point trying the next one
+      if (options.signal?.aborted) {
+        releaseCircuit(providerName);
+        throw error;
+      }
+
+      recordFailure(providerName, error);
+
+      // Tokens already reached the client: switching providers would splice two answers
+      if (streamStarted) {
+        logger.error('provider_failed_mid_stream', { provider: providerName, error: error.message });
+        failedProviders.push({ name: providerName, model: rankedProvider.model || null, error: error.message });
+        error.streamStarted = true;
+        error.failedProviders = failedProviders;
+        throw error;
+      }
+
       // Log failure and try next provider
       logger.warn('provider_failed', {
         provider: providerName,
@@ -50,6 +108,7 @@ export const executeWithFallback = async (rankedProviders, adapterMap, prompt, o
 
       failedProviders.push({
         name: providerName,
+        model: rankedProvider.model || null,
         error: error.message
       });
 
@@ -60,5 +119,7 @@ export const executeWithFallback = async (rankedProviders, adapterMap, prompt, o
 
   // All providers failed
   logger.error('all_providers_failed', { attempts, failedProviders });
-  throw new Error(`All providers failed after ${attempts} attempts. Failed providers: ${failedProviders.map(p => p.name).join(', ')}`);
+  const error = new Error(`All providers failed after ${attempts} attempts. Failed providers: ${failedProviders.map(p => p.name).join(', ')}`);
+  error.failedProviders = failedProviders;
+  throw error;
 };
@@ -0,0 +1,278 @@
+/**
+ * Provider health tracking and circuit breakers
+ *
+ * Each adapter gets a breaker fed by the outcome of routed calls:
+ * - closed:    traffic flows; FAILURE_THRESHOLD consecutive failures open it
+ *              (5xx responses, timeouts and network errors; a 4xx is the request's fault)
+ * - open:      provider is skipped until OPEN_COOLDOWN_MS has passed
+ * - half_open: a single trial request is let through; success closes the
+ *              breaker, failure re-opens it for another cooldown
+ *
+ * State and counters live in the provider_health table so they survive restarts.
+ */
+
+import { runQuery, getOne, getAll } from '../db/database.js';
+import logger from '../logger.js';
+
+export const FAILURE_THRESHOLD = parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD, 10) || 5;
+export const OPEN_COOLDOWN_MS = parseInt(process.env.CIRCUIT_OPEN_COOLDOWN_MS, 10) || 30000;
+
+// Providers with a half-open trial request in flight (per process)
+const trialsInFlight = new Set();
+
+/**
+ * Load the stored health row for a provider
+ * @param {string} provider - Adapter name
+ * @returns {Object|null} provider_health row
+ */
+const getHealthRow = (provider) => {
+  return getOne('SELECT * FROM provider_health WHERE provider = ?', [provider]) || null;
+};
+
+/**
+ * Check whether an open breaker's cooldown has passed
+ * @param {Object} row - provider_health row
+ * @param {number} now - Current time in ms
+ * @returns {boolean}
+ */
+const cooldownElapsed = (row, now = Date.now()) => {
+  return !row.opened_at || now - new Date(row.opened_at).getTime() >= OPEN_COOLDOWN_MS;
+};
+
+/**
+ * Detect timeouts/aborts from fetch errors
+ * @param {Error} error - Adapter error
+ * @returns {boolean}
+ */
+const isTimeoutError = (error) => {
+  return error?.name === 'TimeoutError' || error?.name === 'AbortError';
+};
+
+/**
+ * HTTP status of an adapter error: error.status, else the "<name> API error: <status>"
+ * message adapters throw for non-2xx responses
+ * @param {Error} error - Adapter error
+ * @returns {number|null} Status, or null for timeouts and network errors
+ */
+const getErrorStatus = (error) => {
+  if (Number.isInteger(error?.status)) {
+    return error.status;
+  }
+
+  const match = /API error: (\d{3})\b/.exec(error?.message || '');
+  return match ? parseInt(match[1], 10) : null;
+};
+
+/**
+ * Check if a provider's circuit is open (and still cooling down)
+ * Pure read: use it for ranking; call acquireCircuit() before actually sending a request.
+ * @param {string} provider - Adapter name
+ * @returns {boolean} true if the provider should be skipped
+ */
+export const isCircuitOpen = (provider) => {
+  const row = getHealthRow(provider.toLowerCase());
+
+  if (!row) {
+    return false;
+  }
+
+  if (row.state === 'open') {
+    return !cooldownElapsed(row);
+  }
+
+  // Only one trial request at a time while half-open
+  return row.state === 'half_open' && trialsInFlight.has(row.provider);
+};
+
+/**
+ * Ask the breaker for permission to call a provider
+ * Moves an open breaker whose cooldown has passed to half-open and reserves its trial request.
+ * @param {string} provider - Adapter name
+ * @returns {boolean} true if the request may proceed
+ */
+export const acquireCircuit = (provider) => {
+  const name = provider.toLowerCase();
+  const row = getHealthRow(name);
+
+  if (!row || row.state === 'closed') {
+    return true;
+  }
+
+  if (row.state === 'open') {
+    if (!cooldownElapsed(row)) {
+      return false;
+    }
+
+    runQuery(
+      `UPDATE provider_health SET state = 'half_open', updated_at = CURRENT_TIMESTAMP WHERE provider = ?`,
+      [name]
+    );
+    logger.info('circuit_half_open', { provider: name });
+  }
+
+  if (trialsInFlight.has(name)) {
+    return false;
+  }
+
+  trialsInFlight.add(name);
+  return true;
+};
+
+/**
+ * Record a successful provider call (closes the breaker)
+ * @param {string} provider - Adapter name
+ */
+export const recordSuccess = (provider) => {
+  try {
+    const name = provider.toLowerCase();
+    const previous = getHealthRow(name);
+    const now = new Date().toISOString();
+
+    trialsInFlight.delete(name);
+
+    runQuery(
+      `INSERT INTO provider_health (provider, state, consecutive_failures, total_successes, last_success_at, updated_at)
+       VALUES (?, 'closed', 0, 1, ?, CURRENT_TIMESTAMP)
+       ON CONFLICT(provider) DO UPDATE SET
+         state = 'closed',
+         consecutive_failures = 0,
+         total_successes = total_successes + 1,
+         last_success_at = excluded.last_success_at,
+         opened_at = NULL,
+         updated_at = CURRENT_TIMESTAMP`,
+      [name, now]
+    );
+
+    if (previous && previous.state !== 'closed') {
+      logger.info('circuit_closed', { provider: name, previousState: previous.state });
+    }
+  } catch (error) {
+    logger.error('record_provider_success_failed', { provider, error: error.message });
+  }
+};
+
+/**
+ * Record a failed provider call (error or timeout)
+ * Opens the breaker after FAILURE_THRESHOLD consecutive failures, or immediately
+ * when a half-open trial fails. Client errors (4xx: bad request, auth, rate limits)
+ * are not the provider's failure: they only end a half-open trial, leaving the state as is.
+ * @param {string} provider - Adapter name
+ * @param {Error} error - Adapter error
+ * @returns {string} Breaker state after the failure
+ */
+export const recordFailure = (provider, error) => {
+  const name = provider.toLowerCase();
+
+  try {
+    const previous = getHealthRow(name);
+    const status = getErrorStatus(error);
+
+    if (status !== null && status < 500) {
+      trialsInFlight.delete(name);
+      logger.info('provider_client_error_not_counted', { provider: name, status });
+      return previous?.state || 'closed';
+    }
+
+    const consecutiveFailures = (previous?.consecutive_failures || 0) + 1;
+    const shouldOpen = previous?.state === 'half_open' || consecutiveFailures >= FAILURE_THRESHOLD;
+    const state = shouldOpen ? 'open' : (previous?.state || 'closed');
+    const now = new Date().toISOString();
+    const timeout = isTimeoutError(error) ? 1 : 0;
+
+    trialsInFlight.delete(name);
+
+    runQuery(
+      `INSERT INTO provider_health (provider, state, consecutive_failures, total_failures, total_timeouts, last_error, last_failure_at, opened_at, updated_at)
+       VALUES (?, ?, ?, 1, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+       ON CONFLICT(provider) DO UPDATE SET
+         state = excluded.state,
+         consecutive_failures = excluded.consecutive_failures,
+         total_failures = total_failures + 1,
+         total_timeouts = total_timeouts + excluded.total_timeouts,
+         last_error = excluded.last_error,
+         last_failure_at = excluded.last_failure_at,
+         opened_at = excluded.opened_at,
+         updated_at = CURRENT_TIMESTAMP`,
+      [
+        name,
+        state,
+        consecutiveFailures,
+        timeout,
+        (error?.message || String(error)).slice(0, 500),
+        now,
+        shouldOpen ? now : (previous?.opened_at || null)
+      ]
+    );
+
+    if (shouldOpen && previous?.state !== 'open') {
+      logger.warn('circuit_opened', { provider: name, consecutiveFailures, cooldownMs: OPEN_COOLDOWN_MS });
+    }
+
+    return state;
+  } catch (dbError) {
+    logger.error('record_provider_failure_failed', { provider: name, error: dbError.message });
+    return 'closed';
+  }
+};
+
+/**
+ * Release a half-open trial without recording an outcome (e.g. the client aborted)
+ * @param {string} provider - Adapter name
+ */
+export const releaseCircuit = (provider) => {
+  trialsInFlight.delete(provider.toLowerCase());
+};
+
+/**
+ * Get breaker state and health stats for providers
+ * @param {Array<string>} providers - Adapter names to include even without history (optional)
+ * @returns {Array<Object>} [{ provider, state, consecutiveFailures, totalSuccesses, totalFailures, totalTimeouts, errorRate, lastError, lastSuccessAt, lastFailureAt, openedAt, retryAt }]
+ */
+export const getProviderHealth = (providers = []) => {
+  const rows = getAll('SELECT * FROM provider_health ORDER BY provider ASC');
+  const byName = new Map(rows.map(row => [row.provider, row]));
+
+  providers
+    .map(p => p.toLowerCase())
+    .filter(p => !byName.has(p))
+    .forEach(p => byName.set(p, { provider: p, state: 'closed' }));
+
+  return [...byName.values()]
+    .sort((a, b) => a.provider.localeCompare(b.provider))
+    .map(row => {
+      const successes = row.total_successes || 0;
+      const failures = row.total_failures || 0;
+      const calls = successes + failures;
+
+      // An open breaker past its cooldown will admit a trial on the next request
+      const retryAt = row.state === 'open' && row.opened_at
+        ? new Date(new Date(row.opened_at).getTime() + OPEN_COOLDOWN_MS).toISOString()
+        : null;
+
+      return {
+        provider: row.provider,
+        state: row.state,
+        consecutiveFailures: row.consecutive_failures || 0,
+        totalSuccesses: successes,
+        totalFailures: failures,
+        totalTimeouts: row.total_timeouts || 0,
+        errorRate: calls > 0 ? parseFloat((failures / calls).toFixed(4)) : null,
+        lastError: row.last_error || null,
+        lastSuccessAt: row.last_success_at || null,
+        lastFailureAt: row.last_failure_at || null,
+        openedAt: row.opened_at || null,
+        retryAt
+      };
+    });
+};
+
+export default {
+  FAILURE_THRESHOLD,
+  OPEN_COOLDOWN_MS,
+  isCircuitOpen,
+  acquireCircuit,
+  recordSuccess,
+  recordFailure,
+  releaseCircuit,
+  getProviderHealth
+};
@@ -0,0 +1,309 @@
+/**
+ * Hedged requests for latency-critical routing (optimize: 'speed', hedge: true)
+ *
+ * Fires the top-ranked provider; if nothing has answered within the hedge delay,
+ * fires the next one alongside it, up to MAX_HEDGED_CALLS calls. The first success
+ * wins (when streaming: the first provider to emit a token) and the calls still in
+ * flight are aborted. A call that fails fires the next provider straight away, as
+ * executeWithFallback() does.
+ *
+ * Aborted calls were still sent upstream, so each is reported with an estimated
+ * cost: its prompt tokens at the model's input price.
+ */
+
+import { acquireCircuit, recordSuccess, recordFailure, releaseCircuit } from './health.js';
+import { calculateTokenCost } from './pricing.js';
+import logger from '../logger.js';
+
+// Upper bound on upstream calls per hedged request (same as the fallback attempt limit)
+export const MAX_HEDGED_CALLS = 3;
+export const MAX_HEDGE_DELAY_MS = 60000;
+
+/**
+ * Validate the smart-route `hedge` option
+ * @param {boolean|Object} hedge - true/false or { delayMs }
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateHedgeOption = (hedge) => {
+  if (typeof hedge === 'boolean') {
+    return null;
+  }
+
+  if (!hedge || typeof hedge !== 'object' || Array.isArray(hedge)) {
+    return 'hedge must be a boolean or { delayMs }';
+  }
+
+  const unknown = Object.keys(hedge).filter(key => key !== 'delayMs');
+  if (unknown.length > 0) {
+    return `unknown hedge option(s): ${unknown.join(', ')}`;
+  }
+
+  if (hedge.delayMs !== undefined &&
+      (!Number.isInteger(hedge.delayMs) || hedge.delayMs < 0 || hedge.delayMs > MAX_HEDGE_DELAY_MS)) {
+    return `hedge.delayMs must be an integer between 0 and ${MAX_HEDGE_DELAY_MS}`;
+  }
+
+  return null;
+};
+
+/**
+ * Resolve the hedge delay for a request
+ * Defaults to the top-ranked model's p95 latency: a call still running past it is in its tail.
+ * @param {boolean|Object} hedge - Smart-route hedge option
+ * @param {Array<Object>} rankedProviders - Sorted providers from decision.js
+ * @returns {number} Delay in milliseconds
+ */
+export const resolveHedgeDelay = (hedge, rankedProviders) => {
+  if (hedge && typeof hedge === 'object' && hedge.delayMs !== undefined) {
+    return hedge.delayMs;
+  }
+
+  return Math.min(Math.round(rankedProviders[0]?.latencyP95 || 0), MAX_HEDGE_DELAY_MS);
+};
+
+/**
+ * Cost of an aborted call: the prompt was sent, the output never arrived
+ * @param {Object} rankedProvider - Ranked provider (inputPrice/outputPrice per 1M tokens)
+ * @param {number} inputTokens - Estimated prompt tokens
+ * @returns {number} Cost in USD
+ */
+export const estimateCancelledCost = (rankedProvider, inputTokens) => {
+  return calculateTokenCost(rankedProvider, inputTokens, 0);
+};
+
+/**
+ * Worst-case spend of a hedged request, for the budget check
+ * The top provider's full estimate plus the prompt cost of every provider that may be hedged.
+ * @param {Array<Object>} rankedProviders - Sorted providers from decision.js
+ * @param {number} inputTokens - Estimated prompt tokens
+ * @returns {number} Cost in USD
+ */
+export const estimateHedgedCost = (rankedProviders, inputTokens) => {
+  const [top, ...hedges] = rankedProviders.slice(0, MAX_HEDGED_CALLS);
+  if (!top) {
+    return 0;
+  }
+
+  return hedges.reduce((sum, provider) => sum + estimateCancelledCost(provider, inputTokens), top.estimatedCost);
+};
+
+/**
+ * Execute a request with hedging
+ * @param {Array<Object>} rankedProviders - Sorted providers from decision.js: [{ providerName, adapter, model, inputPrice, ... }]
+ * @param {Object} adapterMap - Map of adapter name → adapter instance
+ * @param {string|Array<Object>} prompt - Input prompt or chat messages [{ role, content }]
+ * @param {Object} options - Generation options { maxTokens, temperature, stop, signal }
+ * @param {Function|null} onToken - When set, streams via generateStream(); only the winner's tokens are forwarded.
+ *   A failure after the winner's first token is thrown to the caller (error.streamStarted).
+ * @param {Object} hedge - { delayMs, inputTokens } (inputTokens prices the aborted calls)
+ * @returns {Promise<Object>} { result, provider, attempts, failedProviders, cancelledProviders }
+ *   failedProviders matches executeWithFallback(); cancelledProviders: [{ name, model, cost, latency }]
+ *   for calls aborted because another provider answered first.
+ */
+export const executeHedged = (rankedProviders, adapterMap, prompt, options = {}, onToken = null, hedge = {}) => {
+  const { delayMs = 0, inputTokens = 0 } = hedge;
+  const { signal, ...generateOptions } = options;
+
+  const calls = [];
+  const failedProviders = [];
+  const cancelledProviders = [];
+  let nextIndex = 0;
+  let attempts = 0;
+  let winner = null;
+  let settled = false;
+  let hedgeTimer = null;
+
+  return new Promise((resolve, reject) => {
+    const settle = (error, value) => {
+      if (settled) {
+        return;
+      }
+
+      settled = true;
+      clearTimeout(hedgeTimer);
+
+      if (error) {
+        reject(error);
+      } else {
+        resolve(value);
+      }
+    };
+
+    const inFlight = () => calls.filter(call => !call.done);
+
+    // First response wins: abort everything else still in flight
+    const declareWinner = (call) => {
+      winner = call;
+      clearTimeout(hedgeTimer);
+
+      for (const other of inFlight()) {
+        if (other === call) {
+          continue;
+        }
+
+        other.done = true;
+        other.controller.abort();
+        releaseCircuit(other.name);
+
+        const cost = estimateCancelledCost(other.rankedProvider, inputTokens);
+        cancelledProviders.push({ name: other.name, model: other.model, cost, latency: Date.now() - other.startedAt });
+        logger.info('hedged_call_cancelled', { provider: other.name, model: other.model, winner: call.name, cost });
+      }
+    };
+
+    const onSuccess = (call, result) => {
+      if (call.done) {
+        return;
+      }
+
+      call.done = true;
+      recordSuccess(call.name);
+
+      if (!winner) {
+        declareWinner(call);
+      }
+
+      logger.info('provider_success', { provider: call.name, attempts, hedgedCalls: calls.length });
+
+      settle(null, {
+        result,
+        provider: call.name,
+        attempts,
+        failedProviders,
+        cancelledProviders
+      });
+    };
+
+    const onFailure = (call, error) => {
+      if (call.done) {
+        return;
+      }
+
+      call.done = true;
+
+      // The caller went away: not the provider's fault, and no point trying the next one
+      if (signal?.aborted) {
+        releaseCircuit(call.name);
+        settle(error);
+        return;
+      }
+
+      recordFailure(call.name, error);
+
+      // Tokens already reached the client: switching providers would splice two answers
+      if (winner === call) {
+        logger.error('provider_failed_mid_stream', { provider: call.name, error: error.message });
+        failedProviders.push({ name: call.name, model: call.rankedProvider.model || null, error: error.message });
+        error.streamStarted = true;
+        error.failedProviders = failedProviders;
+        settle(error);
+        return;
+      }
+
+      logger.warn('provider_failed', { provider: call.name, error: error.message, attempt: attempts });
+      failedProviders.push({ name: call.name, model: call.rankedProvider.model || null, error: error.message });
+
+      if (!winner && !launchNext() && inFlight().length === 0) {
+        logger.error('all_providers_failed', { attempts, failedProviders });
+        const allFailed = new Error(`All providers failed after ${attempts} attempts. Failed providers: ${failedProviders.map(p => p.name).join(', ')}`);
+        allFailed.failedProviders = failedProviders;
+        settle(allFailed);
+      }
+    };
+
+    const startCall = (rankedProvider, name, adapter) => {
+      const call = {
+        name,
+        rankedProvider,
+        model: rankedProvider.model || generateOptions.model,
+        controller: new AbortController(),
+        startedAt: Date.now(),
+        done: false
+      };
+      calls.push(call);
+
+      const providerOptions = {
+        ...generateOptions,
+        model: call.model,
+        signal: signal ? AbortSignal.any([signal, call.controller.signal]) : call.controller.signal
+      };
+
+      logger.info('attempting_provider', { provider: name, attempt: attempts, hedged: calls.length > 1 });
+
+      const pending = onToken
+        ? adapter.generateStream(prompt, providerOptions, (text) => {
+          if (!winner && !call.done) {
+            declareWinner(call);
+          }
+          if (winner === call) {
+            onToken(text, { provider: name, model: call.model });
+          }
+        })
+        : adapter.generate(prompt, providerOptions);
+
+      pending.then(result => onSuccess(call, result), error => onFailure(call, error));
+    };
+
+    // Start the next usable provider; false when the ranking or the attempt limit is exhausted
+    const launchNext = () => {
+      while (nextIndex < rankedProviders.length && attempts < MAX_HEDGED_CALLS) {
+        const rankedProvider = rankedProviders[nextIndex++];
+        const name = rankedProvider.adapter || rankedProvider.providerName.toLowerCase();
+
+        // Breaker opened (or a half-open trial is already running) since ranking
+        if (!acquireCircuit(name)) {
+          logger.warn('provider_circuit_open', { provider: name });
+          failedProviders.push({ name, error: 'Circuit open', skipped: true });
+          continue;
+        }
+
+        attempts++;
+
+        const adapter = adapterMap[name];
+        if (!adapter) {
+          releaseCircuit(name);
+          logger.warn('adapter_not_found', { provider: name });
+          failedProviders.push({ name, error: 'Adapter not configured', skipped: true });
+          continue;
+        }
+
+        startCall(rankedProvider, name, adapter);
+        scheduleHedge();
+        return true;
+      }
+
+      return false;
+    };
+
+    // No first response within the delay: fire the next provider alongside the ones in flight
+    const scheduleHedge = () => {
+      clearTimeout(hedgeTimer);
+      hedgeTimer = setTimeout(() => {
+        if (winner || settled) {
+          return;
+        }
+
+        if (launchNext()) {
+          logger.info('hedge_fired', { delayMs, inFlight: inFlight().map(call => call.name) });
+        }
+      }, delayMs);
+    };
+
+    if (!launchNext()) {
+      logger.error('all_providers_failed', { attempts, failedProviders });
+      const noneStarted = new Error(`All providers failed after ${attempts} attempts. Failed providers: ${failedProviders.map(p => p.name).join(', ')}`);
+      noneStarted.failedProviders = failedProviders;
+      settle(noneStarted);
+    }
+  });
+};
+
+export default {
+  MAX_HEDGED_CALLS,
+  MAX_HEDGE_DELAY_MS,
+  validateHedgeOption,
+  resolveHedgeDelay,
+  estimateCancelledCost,
+  estimateHedgedCost,
+  executeHedged
+};
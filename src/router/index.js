@@ -1,68 +1,312 @@
-import { selectProvider } from './decision.js';
+import { selectProvider, resolveWeights } from './decision.js';
 import { executeWithFallback } from './fallback.js';
-import { checkBudget, recordSpend } from './budget.js';
+import { executeHedged, resolveHedgeDelay, estimateHedgedCost } from './hedge.js';
+import { checkBudget, reserveBudget, transferReservation, settleReservation, releaseReservation } from './budget.js';
+import { estimateRequestTokens, DEFAULT_MAX_TOKENS } from './pricing.js';
+import { getDowngradePolicy, matchDowngradeLevel, applyDowngrade } from './downgrade.js';
+import { getSavingsBaseline, priceBaseline } from './savings.js';
+import { toTagsColumn } from './tags.js';
+import { messagesToText } from './messages.js';
+import { getProviderEnvKeys } from './config.js';
+import { resolveCachePolicy, buildCacheKey, getCachedResponse, storeCachedResponse } from './cache.js';
+import { checkBudgetAlerts } from '../alerts/budget-alerts.js';
 import { runQuery } from '../db/database.js';
 import logger from '../logger.js';
 
+/**
+ * Serialize providers that failed before the serving one for request_log.failed_providers
+ * Providers passed over without a call (open circuit, no adapter) are not failures.
+ * @param {Array<Object>} failedProviders - From executeWithFallback: [{ name, model, error, skipped }]
+ * @returns {string|null} JSON [{ provider, model }], or null when none failed
+ */
+const toFailedProvidersColumn = (failedProviders = []) => {
+  const failed = failedProviders
+    .filter(p => !p.skipped)
+    .map(({ name, model }) => ({ provider: name, model: model || null }));
+
+  return failed.length > 0 ? JSON.stringify(failed) : null;
+};
+
+/**
+ * Normalize the routing inputs of a smart-route request
+ * Shared by smartRoute() and explainRoute() so a dry run ranks exactly like the real call.
+ * @param {Object} request - Smart-route request (see smartRoute)
+ * @returns {Object} { input, task, optimize, weights, constraints, maxTokens, usage, hedged }
+ */
+const resolveRouteRequest = (request) => {
+  const {
+    prompt,
+    messages = null,
+    task = '',
+    weights = null,
+    optimize = weights ? 'balanced' : 'cost',
+    constraints: requestConstraints = {},
+    model = null,
+    hedge = false
+  } = request;
+
+  const input = messages || prompt;
+
+  // Model hints travel with the constraints so both selectProvider() calls honour them
+  const constraints = model
+    ? { ...requestConstraints, models: [].concat(model) }
+    : requestConstraints;
+  const maxTokens = constraints.maxTokens || DEFAULT_MAX_TOKENS;
+
+  // Expected token usage: prompt (all turns) in, maxTokens out (upper bound)
+  const usage = estimateRequestTokens({ prompt: messagesToText(input), maxTokens });
+
+  return {
+    input,
+    task,
+    optimize,
+    weights,
+    constraints,
+    maxTokens,
+    usage,
+    hedged: Boolean(hedge) && optimize === 'speed'
+  };
+};
+
+/**
+ * Dollar estimate the budget check holds a request to
+ * Hedging may also pay for the prompt of every provider it fires.
+ * @param {Array<Object>} rankedProviders - Sorted providers from selectProvider()
+ * @param {boolean} hedged - Hedged request
+ * @param {Object} usage - { inputTokens, outputTokens }
+ * @returns {number} Cost in USD
+ */
+const estimateBudgetCost = (rankedProviders, hedged, usage) => {
+  return hedged
+    ? estimateHedgedCost(rankedProviders, usage.inputTokens)
+    : rankedProviders[0].estimatedCost;
+};
+
+/**
+ * Rank a request and fit it to the agent's budget, applying its downgrade policy
+ * Without a policy this is one ranking and one budget attempt. With one, the steps
+ * the remaining budget has triggered are applied first; while the request still
+ * does not fit (or a downgraded ranking leaves no provider), the next steps are tried.
+ * @param {number} agentId - Agent ID
+ * @param {Object} route - From resolveRouteRequest()
+ * @param {Array<string>} availableProviders - Adapter names
+ * @param {Function} attemptBudget - (estimatedCost, scope) → { allowed, ... }: reserveBudget or checkBudget
+ * @returns {Object} { route, rankedProviders, estimatedCost, budgetCheck, downgrade }
+ *   route is the (possibly downgraded) request to execute; budgetCheck is null when no provider matches;
+ *   downgrade is null unless a policy step was applied:
+ *   { step (index in policy.steps), trigger: 'low_budget'|'budget_exceeded', remaining, limit, applied: { optimize, maxTokens, tier } }
+ */
+const fitToBudget = (agentId, route, availableProviders, attemptBudget) => {
+  const policy = getDowngradePolicy(agentId);
+  const headroom = policy ? checkBudget(agentId, 0, { task: route.task }) : null;
+  const startLevel = policy ? matchDowngradeLevel(policy, headroom) : 0;
+  const maxLevel = policy ? policy.steps.length : 0;
+
+  let fitted = { route, rankedProviders: [], estimatedCost: null, budgetCheck: null, downgrade: null };
+
+  for (let level = startLevel; level <= maxLevel; level++) {
+    const { route: effective, applied } = level > 0 ? applyDowngrade(route, policy, level) : { route, applied: null };
+    const { task, optimize, weights, constraints, usage, hedged } = effective;
+    const rankedProviders = selectProvider(task, optimize, constraints, availableProviders, usage, weights);
+
+    if (rankedProviders.length === 0) {
+      continue;
+    }
+
+    const estimatedCost = estimateBudgetCost(rankedProviders, hedged, usage);
+    const budgetCheck = attemptBudget(estimatedCost, { provider: rankedProviders[0].adapter, task });
+    const downgrade = level > 0
+      ? {
+        step: level - 1,
+        trigger: level > startLevel ? 'budget_exceeded' : 'low_budget',
+        remaining: headroom.remaining,
+        limit: headroom.limit,
+        applied
+      }
+      : null;
+
+    fitted = { route: effective, rankedProviders, estimatedCost, budgetCheck, downgrade };
+
+    if (budgetCheck.allowed) {
+      break;
+    }
+  }
+
+  return fitted;
+};
+
+/**
+ * Build the smart-route result for a cache hit
+ * Logs a zero-cost request_log row (cache_hit = 1) and, when streaming,
+ * delivers the cached text as a single token. Savings are the full baseline
+ * cost when the agent declared one, else what the original call cost.
+ * @param {Object} cached - response_cache row
+ * @param {Object} context - { agentId, task, tags, startTime, onToken }
+ * @returns {Object} Smart-route result with cache.hit = true
+ */
+const serveCachedResponse = (cached, { agentId, task, tags, startTime, onToken }) => {
+  const latency = Date.now() - startTime;
+  const tokens = { input: cached.tokens_in, output: cached.tokens_out };
+  const baseline = agentId ? priceBaseline(getSavingsBaseline(agentId), tokens) : null;
+
+  if (onToken) {
+    onToken(cached.response, { provider: cached.provider, model: cached.model });
+  }
+
+  const { lastInsertRowid } = runQuery(
+    `INSERT INTO request_log (agent_id, provider, model, category, cost, latency_ms, tokens_in, tokens_out, status, cache_hit,
+                              baseline_provider, baseline_model, baseline_cost, savings, tags)
+     VALUES (?, ?, ?, ?, 0, ?, ?, ?, 'success', 1, ?, ?, ?, ?, ?)`,
+    [
+      agentId, cached.provider, cached.model, task, latency, tokens.input, tokens.output,
+      baseline?.provider ?? null, baseline?.model ?? null, baseline?.cost ?? null, baseline?.cost ?? null,
+      toTagsColumn(tags)
+    ]
+  );
+
+  logger.info('smart_route_cache_hit', { agentId, provider: cached.provider, model: cached.model, savedCost: cached.cost });
+
+  return {
+    requestId: lastInsertRowid,
+    provider: cached.provider,
+    model: cached.model,
+    cost: 0,
+    costStatus: 'cached',
+    latency,
+    tokens,
+    response: cached.response,
+    alternatives: [],
+    savings: baseline ? baseline.cost : cached.cost || 0,
+    savingsBaseline: baseline,
+    attempts: 0,
+    failedProviders: [],
+    cache: {
+      enabled: true,
+      hit: true,
+      storedAt: cached.created_at,
+      expiresAt: cached.expires_at,
+      hitCount: cached.hit_count + 1,
+      originalCost: cached.cost
+    }
+  };
+};
+
 /**
  * Smart Route: intelligently route requests to optimal provider
  * @param {Object} request - Request object
- * @param {string} request.prompt - Input prompt
+ * @param {string} request.prompt - Input prompt (single user message)
+ * @param {Array<Object>} request.messages - Chat messages [{ role: 'system'|'user'|'assistant', content }]; used instead of prompt when set
  * @param {string} request.task - Task category (e.g., 'chat', 'text-generation')
- * @param {string} request.optimize - Optimization strategy: 'cost', 'speed', 'quality', 'balanced'
- * @param {Object} request.constraints - Constraints { maxCost, minConfidence }
+ * @param {string} request.optimize - Optimization strategy: 'cost', 'speed', 'quality', 'balanced' (default 'balanced' with weights, else 'cost')
+ * @param {Object} request.weights - Scoring weights { cost, latency, quality } for 'balanced' (optional)
+ * @param {Object} request.constraints - Constraints { maxCost (USD per request), minConfidence, maxTokens }
+ * @param {number} request.temperature - Sampling temperature (optional, provider default when unset)
+ * @param {string|Array<string>} request.stop - Stop sequence(s) (optional)
+ * @param {string|Array<string>} request.model - Model hint(s), e.g. 'gpt-4o'; preferred when available (optional)
  * @param {number} request.agentId - Agent ID (optional, for budget tracking)
- * @param {Map<string, Object>} adapterMap - Map of provider name → adapter instance
- * @returns {Promise<Object>} { provider, model, cost, latency, tokens, response, alternatives, savings }
+ * @param {boolean|Object} request.cache - Response cache: true, false or { ttl: seconds }; omitted → agent setting (requires agentId)
+ * @param {Function} request.onToken - Optional streaming callback (text, { provider, model }); enables streaming
+ * @param {boolean|Object} request.hedge - Hedged requests for optimize 'speed': true or { delayMs } (see hedge.js)
+ * @param {Object} request.tags - Cost attribution tags { key: value } stored on request_log (optional, see tags.js)
+ * @param {AbortSignal} request.signal - Optional signal to abort the upstream call (e.g. client disconnect)
+ * @param {number} request.reservationId - Budget reservation the caller already made for this request (reserveBudget);
+ *   smartRoute settles or releases it instead of reserving its own
+ * @param {Object} adapterMap - Map of provider name → adapter instance
+ * @returns {Promise<Object>} { requestId, provider, model, cost, costStatus, latency, tokens, response, alternatives, savings,
+ *   savingsBaseline, cache }
+ *   requestId is the request_log id (for POST /v1/quality/feedback); null without agentId.
+ *   With a declared savings baseline (see savings.js), savings is what that provider/model would have cost
+ *   minus what this request cost, hedged calls included (negative when the baseline is cheaper; null when
+ *   the cost is unknown) and savingsBaseline is { provider, model, cost }. Otherwise savings is measured
+ *   against the most expensive ranked option and savingsBaseline is null.
+ *   Each alternative carries its score and scoreBreakdown (normalized cost/latency/quality and weights).
+ *   Hedged requests add hedge = { delayMs, calls, cost, cancelled: [{ provider, model, cost, latency }] };
+ *   cost stays the serving call's cost and hedge.cost is what the cancelled calls added to the budget.
+ *   Requests downgraded by the agent's budget policy (see downgrade.js) add downgrade =
+ *   { step, trigger, remaining, limit, applied: { optimize, maxTokens, tier } }.
  */
 export const smartRoute = async (request, adapterMap) => {
   const {
-    prompt,
-    task = '',
-    optimize = 'cost',
-    constraints = {},
-    agentId = null
+    temperature,
+    stop,
+    agentId = null,
+    cache: cacheOption,
+    onToken = null,
+    hedge = false,
+    signal = null,
+    tags = null,
+    reservationId: heldReservationId = null
   } = request;
 
   const startTime = Date.now();
+  let reservationId = heldReservationId;
+  let route = resolveRouteRequest(request);
+  let downgrade = null;
+  let requestId = null;
+  const { input, task } = route;
+
+  const cachePolicy = resolveCachePolicy(agentId, cacheOption);
+  const cacheKey = cachePolicy.enabled
+    ? buildCacheKey({ agentId, task, optimize: route.optimize, weights: route.weights, input, constraints: route.constraints, temperature, stop })
+    : null;
 
   try {
+    // Step 0a: Serve repeated requests from the cache (free, no budget check)
+    if (cacheKey) {
+      const cached = getCachedResponse(cacheKey);
+
+      if (cached) {
+        return serveCachedResponse(cached, { agentId, task, tags, startTime, onToken });
+      }
+    }
+
     // Step 0: Check if any providers configured
     if (!adapterMap || Object.keys(adapterMap).length === 0) {
-      throw new Error('No provider API keys configured. Set OPENAI_API_KEY, ANTHROPIC_API_KEY, or DEEPSEEK_API_KEY in .env');
+      throw new Error(`No provider API keys configured. Set one of ${getProviderEnvKeys()} in .env`);
     }
 
-    // Step 1: Check budget if agentId provided
-    if (agentId) {
-      // Get estimated cost from first provider (rough estimate)
-      const availableProviders = Object.keys(adapterMap);
-      const tempProviders = selectProvider(task, optimize, constraints, availableProviders);
+    // Step 1: Reserve the estimated cost against the budget if agentId provided
+    // (downgrading the request first when the agent's policy calls for it)
+    if (agentId && !reservationId) {
+      const fitted = fitToBudget(agentId, route, Object.keys(adapterMap), (estimatedCost, scope) =>
+        reserveBudget(agentId, estimatedCost, scope));
+      const { estimatedCost, budgetCheck } = fitted;
 
-      if (tempProviders.length > 0) {
-        const estimatedCost = tempProviders[0].estimatedCost;
-        const budgetCheck = checkBudget(agentId, estimatedCost);
+      if (budgetCheck && !budgetCheck.allowed) {
+        logger.warn('budget_exceeded', {
+          agentId,
+          estimatedCost,
+          remaining: budgetCheck.remaining
+        });
 
-        if (!budgetCheck.allowed) {
-          logger.warn('budget_exceeded', {
-            agentId,
+        throw {
+          code: 402,
+          message: 'Budget exceeded',
+          details: {
             estimatedCost,
-            remaining: budgetCheck.remaining
-          });
+            estimatedTokens: fitted.route.usage,
+            remaining: budgetCheck.remaining,
+            spent: budgetCheck.spent,
+            limit: budgetCheck.limit,
+            blockedBy: budgetCheck.blockedBy,
+            ...(fitted.downgrade && { downgrade: fitted.downgrade })
+          }
+        };
+      }
+
+      if (budgetCheck) {
+        reservationId = budgetCheck.reservationId;
+        route = fitted.route;
+        downgrade = fitted.downgrade;
 
-          throw {
-            code: 402,
-            message: 'Budget exceeded',
-            details: {
-              estimatedCost,
-              remaining: budgetCheck.remaining,
-              spent: budgetCheck.spent,
-              limit: budgetCheck.limit
-            }
-          };
+        if (downgrade) {
+          logger.info('budget_downgrade_applied', { agentId, task, ...downgrade });
         }
       }
     }
 
+    const { optimize, weights, constraints, maxTokens, usage, hedged } = route;
+
     // Step 2: Get available adapters
     const availableProviders = Object.keys(adapterMap);
 
@@ -70,12 +314,12 @@ export const smartRoute = async (request, adapterMap) => {
       throw {
         code: 503,
         message: 'No provider API keys configured',
-        details: 'Set OPENAI_API_KEY, ANTHROPIC_API_KEY, or DEEPSEEK_API_KEY in .env'
+        details: `Set one of ${getProviderEnvKeys()} in .env`
       };
     }
 
     // Step 3: Select providers using decision engine
-    const rankedProviders = selectProvider(task, optimize, constraints, availableProviders);
+    const rankedProviders = selectProvider(task, optimize, constraints, availableProviders, usage, weights);
 
     if (rankedProviders.length === 0) {
       throw {
@@ -85,74 +329,173 @@ export const smartRoute = async (request, adapterMap) => {
       };
     }
 
-    // Step 4: Execute with fallback
-    const { result, provider, attempts, failedProviders } = await executeWithFallback(
-      rankedProviders,
-      adapterMap,
-      prompt,
-      { maxTokens: constraints.maxTokens || 1000 }
-    );
+    // Step 4: Execute with fallback (or hedging)
+    const hedgeDelayMs = hedged ? resolveHedgeDelay(hedge, rankedProviders) : null;
+    const generateOptions = { maxTokens, temperature, stop, signal };
+
+    // The reservation was checked against the top-ranked provider's sub-limits; a fallback
+    // provider must have room in its own, so the reservation moves with the request
+    const admit = (rankedProvider) => {
+      const moved = transferReservation(reservationId, rankedProvider.estimatedCost, { provider: rankedProvider.adapter, task });
+      reservationId = moved.reservationId;
+      return moved.allowed;
+    };
+
+    const { result, provider, attempts, failedProviders, cancelledProviders = [] } = hedged
+      ? await executeHedged(rankedProviders, adapterMap, input, generateOptions, onToken, {
+        delayMs: hedgeDelayMs,
+        inputTokens: usage.inputTokens
+      })
+      : await executeWithFallback(rankedProviders, adapterMap, input, { ...generateOptions, ...(reservationId && { admit }) }, onToken);
 
     const totalLatency = Date.now() - startTime;
 
-    // Step 5: Record spend if agentId provided
-    if (agentId && result.cost) {
-      recordSpend(agentId, result.cost);
-    }
+    // Cost is null when the served model has no rate on record
+    const costKnown = result.cost !== null && result.cost !== undefined;
+    const hedgeCost = cancelledProviders.reduce((sum, call) => sum + call.cost, 0);
+
+    // Step 5: Price the agent's savings baseline for the tokens actually used, at today's rate
+    const baseline = agentId ? priceBaseline(getSavingsBaseline(agentId), result.tokens) : null;
+    const baselineSavings = baseline && costKnown ? baseline.cost - result.cost : null;
 
-    // Step 6: Log to request_log
+    // Step 6: Log to request_log (unknown cost stays NULL rather than $0).
+    // The provider was paid and these rows are the agent's spend, so they are written
+    // first; a failure after this point does not log the request as failed.
     if (agentId) {
-      runQuery(
-        `INSERT INTO request_log (agent_id, provider, category, cost, latency_ms, tokens_in, tokens_out, status)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      const logEntry = runQuery(
+        `INSERT INTO request_log (agent_id, provider, model, category, cost, latency_ms, tokens_in, tokens_out, status, failed_providers,
+                                  baseline_provider, baseline_model, baseline_cost, savings, tags)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [
           agentId,
           provider,
+          result.model || null,
           task,
-          result.cost || 0,
+          costKnown ? result.cost : null,
           totalLatency,
           result.tokens?.input || 0,
           result.tokens?.output || 0,
-          'success'
+          'success',
+          toFailedProvidersColumn(failedProviders),
+          baseline?.provider ?? null,
+          baseline?.model ?? null,
+          baseline?.cost ?? null,
+          baselineSavings,
+          toTagsColumn(tags)
         ]
       );
+      requestId = logEntry.lastInsertRowid;
+
+      // One row per cancelled hedge call so spend per provider adds up
+      // (the baseline would not have paid for them, so they count against savings)
+      for (const call of cancelledProviders) {
+        runQuery(
+          `INSERT INTO request_log (agent_id, provider, model, category, cost, latency_ms, tokens_in, tokens_out, status,
+                                    baseline_provider, baseline_model, baseline_cost, savings, tags)
+           VALUES (?, ?, ?, ?, ?, ?, ?, 0, 'cancelled', ?, ?, ?, ?, ?)`,
+          [
+            agentId, call.name, call.model || null, task, call.cost, call.latency, usage.inputTokens,
+            baseline?.provider ?? null, baseline?.model ?? null, baseline ? 0 : null, baseline ? -call.cost : null,
+            toTagsColumn(tags)
+          ]
+        );
+      }
+    }
+
+    // Step 6a: Settle the reservation with the actual spend (cancelled hedge calls are billed too).
+    // The spend is already logged, so a reservation that cannot be settled is just released.
+    if (reservationId) {
+      try {
+        settleReservation(reservationId, (costKnown ? result.cost : 0) + hedgeCost);
+      } catch {
+        releaseReservation(reservationId);
+      }
+    }
+
+    if (agentId) {
+      // Budget threshold notifications run after the response (failures are logged there)
+      checkBudgetAlerts(agentId).catch(() => {});
     }
 
-    // Step 7: Calculate savings (vs most expensive option)
+    // Step 6b: Cache the completion for identical follow-up requests
+    // (a downgraded completion is not what the original request asked for)
+    const cacheExpiresAt = cacheKey && !downgrade
+      ? storeCachedResponse(cacheKey, agentId, {
+        provider,
+        model: result.model,
+        response: result.text,
+        tokens: result.tokens,
+        cost: costKnown ? result.cost : null
+      }, cachePolicy.ttlSeconds)
+      : null;
+
+    // Step 7: Calculate savings (vs the declared baseline, else the most expensive option)
     const mostExpensive = rankedProviders[rankedProviders.length - 1];
-    const savings = mostExpensive ? mostExpensive.estimatedCost - result.cost : 0;
+    const savings = baseline
+      ? (baselineSavings === null ? null : baselineSavings - hedgeCost)
+      : Math.max(0, mostExpensive && costKnown ? mostExpensive.estimatedCost - result.cost : 0);
 
     logger.info('smart_route_success', {
       provider,
       cost: result.cost,
       latency: totalLatency,
       attempts,
-      savings
+      savings,
+      hedgedCalls: hedged ? cancelledProviders.length + 1 : undefined
     });
 
     return {
+      requestId,
       provider,
       model: result.model,
-      cost: result.cost,
+      cost: costKnown ? result.cost : null,
+      costStatus: costKnown ? 'priced' : 'unknown_model',
       latency: totalLatency,
       tokens: result.tokens,
       response: result.text,
       alternatives: rankedProviders.slice(0, 3).map(p => ({
         provider: p.providerName,
+        model: p.model,
         estimatedCost: p.estimatedCost,
-        confidence: p.confidence
+        inputPrice: p.inputPrice,
+        outputPrice: p.outputPrice,
+        confidence: p.confidence,
+        quality: p.quality,
+        score: p.score,
+        scoreBreakdown: p.scoreBreakdown
       })),
-      savings: Math.max(0, savings),
+      savings,
+      savingsBaseline: baseline,
       attempts,
-      failedProviders
+      failedProviders,
+      ...(hedged && {
+        hedge: {
+          delayMs: hedgeDelayMs,
+          calls: 1 + cancelledProviders.length + failedProviders.filter(p => !p.skipped).length,
+          cost: hedgeCost,
+          cancelled: cancelledProviders.map(({ name, model, cost, latency }) => ({ provider: name, model, cost, latency }))
+        }
+      }),
+      ...(downgrade && { downgrade }),
+      cache: {
+        enabled: cachePolicy.enabled,
+        hit: false,
+        stored: cacheExpiresAt !== null,
+        expiresAt: cacheExpiresAt
+      }
     };
   } catch (error) {
-    // Log failure
-    if (agentId) {
+    // Free the reserved budget (no-op once settled); any paid cost is already in request_log
+    if (reservationId) {
+      releaseReservation(reservationId);
+    }
+
+    // Log failure, unless the provider answered and the request was logged as a success
+    if (agentId && requestId === null) {
       runQuery(
-        `INSERT INTO request_log (agent_id, provider, category, cost, latency_ms, tokens_in, tokens_out, status)
-         VALUES (?, ?, ?, 0, ?, 0, 0, ?)`,
-        [agentId, 'unknown', task, Date.now() - startTime, 'failed']
+        `INSERT INTO request_log (agent_id, provider, category, cost, latency_ms, tokens_in, tokens_out, status, failed_providers, tags)
+         VALUES (?, ?, ?, 0, ?, 0, 0, ?, ?, ?)`,
+        [agentId, 'unknown', task, Date.now() - startTime, 'failed', toFailedProvidersColumn(error.failedProviders), toTagsColumn(tags)]
       );
     }
 
@@ -166,6 +509,185 @@ export const smartRoute = async (request, adapterMap) => {
   }
 };
 
+/**
+ * Estimate the budget reservation smartRoute() would make, without calling a provider
+ * @param {Object} request - Smart-route request (see smartRoute)
+ * @param {Object} adapterMap - Map of provider name → adapter instance
+ * @returns {Object|null} { estimatedCost, provider, task } (provider is the top-ranked adapter),
+ *   or null when no provider matches
+ */
+export const estimateRouteBudget = (request, adapterMap) => {
+  const { task, optimize, weights, constraints, usage, hedged } = resolveRouteRequest(request);
+  const rankedProviders = selectProvider(task, optimize, constraints, Object.keys(adapterMap || {}), usage, weights);
+
+  if (rankedProviders.length === 0) {
+    return null;
+  }
+
+  return {
+    estimatedCost: estimateBudgetCost(rankedProviders, hedged, usage),
+    provider: rankedProviders[0].adapter,
+    task
+  };
+};
+
+/**
+ * Estimate what the budget check would hold a request to, without calling a provider
+ * @param {Object} request - Smart-route request (see smartRoute)
+ * @param {Object} adapterMap - Map of provider name → adapter instance
+ * @returns {number|null} Cost in USD, or null when no provider matches
+ */
+export const estimateRouteCost = (request, adapterMap) => {
+  return estimateRouteBudget(request, adapterMap)?.estimatedCost ?? null;
+};
+
+/**
+ * Explain a smart-route request without calling any provider (dry run)
+ * Runs the same ranking and budget check as smartRoute(); nothing is logged or spent.
+ * @param {Object} request - Smart-route request (see smartRoute; prompt/messages are only used for token estimates)
+ * @param {Object} adapterMap - Map of provider name → adapter instance
+ * @returns {Object} { outcome, task, optimize, weights, estimatedTokens, selected, candidates, filteredOut, budget, hedge, downgrade }
+ *   outcome: 'would_route' | 'budget_exceeded' | 'no_providers'
+ *   optimize, estimatedTokens and the ranking reflect the agent's budget downgrade, if one applies (see fitToBudget)
+ *   candidates: ranked best model per provider that the request could be served by
+ *   filteredOut: [{ provider, adapter, model, reason, detail, estimatedCost }], reason one of
+ *     'cost_cap', 'confidence', 'tier', 'capability', 'missing_api_key', 'circuit_open', 'budget'
+ *   budget (with agentId): { limit, spent, remaining, estimatedCost, allowed, projectedSpent, projectedRemaining, blockedBy }
+ *     for the budget with the least room left (see checkBudget)
+ */
+export const explainRoute = (request, adapterMap) => {
+  const { agentId = null, hedge = false } = request;
+  let route = resolveRouteRequest(request);
+  const { task } = route;
+
+  try {
+    if (!adapterMap || Object.keys(adapterMap).length === 0) {
+      throw {
+        code: 503,
+        message: 'No provider API keys configured',
+        details: `Set one of ${getProviderEnvKeys()} in .env`
+      };
+    }
+
+    // Explain the request smartRoute() would run, after any budget downgrade
+    const fitted = agentId
+      ? fitToBudget(agentId, route, Object.keys(adapterMap), (estimatedCost, scope) => checkBudget(agentId, estimatedCost, scope))
+      : null;
+    const downgrade = fitted?.budgetCheck ? fitted.downgrade : null;
+
+    if (fitted?.budgetCheck) {
+      route = fitted.route;
+    }
+
+    const { optimize, weights, constraints, usage, hedged } = route;
+
+    const filteredOut = [];
+    const rankedProviders = selectProvider(task, optimize, constraints, Object.keys(adapterMap), usage, weights, filteredOut);
+
+    let candidates = rankedProviders;
+    let budget = null;
+    let outcome = rankedProviders.length > 0 ? 'would_route' : 'no_providers';
+
+    // Same check smartRoute() makes, then flag every candidate the remaining budget cannot cover
+    if (agentId && rankedProviders.length > 0) {
+      const estimatedCost = estimateBudgetCost(rankedProviders, hedged, usage);
+      const budgetCheck = checkBudget(agentId, estimatedCost, { provider: rankedProviders[0].adapter, task });
+
+      budget = {
+        limit: budgetCheck.limit,
+        spent: budgetCheck.spent,
+        remaining: budgetCheck.remaining,
+        estimatedCost,
+        allowed: budgetCheck.allowed,
+        projectedSpent: budgetCheck.spent + estimatedCost,
+        projectedRemaining: budgetCheck.remaining - estimatedCost,
+        blockedBy: budgetCheck.blockedBy
+      };
+
+      if (!budgetCheck.allowed) {
+        outcome = 'budget_exceeded';
+      }
+
+      candidates = rankedProviders.filter(p => {
+        const fits = p.estimatedCost <= budgetCheck.remaining;
+        if (!fits) {
+          filteredOut.push({
+            provider: p.providerName,
+            adapter: p.adapter,
+            model: p.model,
+            reason: 'budget',
+            detail: `estimated $${p.estimatedCost.toFixed(6)} > remaining budget $${budgetCheck.remaining.toFixed(6)}`,
+            estimatedCost: p.estimatedCost
+          });
+        }
+        return fits;
+      });
+    }
+
+    const toCandidate = (p, index) => ({
+      rank: index + 1,
+      provider: p.providerName,
+      adapter: p.adapter,
+      model: p.model,
+      estimatedCost: p.estimatedCost,
+      inputPrice: p.inputPrice,
+      outputPrice: p.outputPrice,
+      confidence: p.confidence,
+      quality: p.quality,
+      latencyP95: p.latencyP95,
+      errorRate: p.errorRate,
+      score: p.score,
+      scoreBreakdown: p.scoreBreakdown,
+      capabilities: p.capabilities
+    });
+
+    // A model with several rate rows is reported once per reason
+    const seen = new Set();
+    const uniqueFilteredOut = filteredOut.filter(f => {
+      const key = `${f.adapter}\u0000${f.model}\u0000${f.reason}`;
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+
+    logger.info('smart_route_explained', {
+      agentId,
+      task,
+      optimize,
+      outcome,
+      candidates: candidates.length,
+      filteredOut: uniqueFilteredOut.length
+    });
+
+    return {
+      outcome,
+      task,
+      optimize,
+      weights: resolveWeights(optimize, weights),
+      estimatedTokens: usage,
+      selected: outcome === 'would_route' ? toCandidate(rankedProviders[0], 0) : null,
+      candidates: candidates.map(toCandidate),
+      filteredOut: uniqueFilteredOut,
+      budget,
+      hedge: hedged ? { delayMs: resolveHedgeDelay(hedge, rankedProviders) } : null,
+      downgrade
+    };
+  } catch (error) {
+    logger.error('smart_route_explain_failed', {
+      error: error.message || error,
+      agentId,
+      task
+    });
+
+    throw error;
+  }
+};
+
 export default {
-  smartRoute
+  smartRoute,
+  estimateRouteBudget,
+  estimateRouteCost,
+  explainRoute
 };
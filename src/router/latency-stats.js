@@ -0,0 +1,236 @@
+/**
+ * Rolling latency and error-rate statistics
+ *
+ * A scheduled job (see crawler/scheduler.js) reads request_log and stores
+ * p50/p95/p99 latency and error rate per provider and model for each rolling
+ * window in provider_latency_stats. The speed strategy ranks by p95 over the
+ * routing window; /v1/providers/:id and /v1/compare expose the same rows as SLA data.
+ *
+ * Windows are configured with LATENCY_STATS_WINDOWS (e.g. '1h,24h,7d');
+ * LATENCY_ROUTING_WINDOW picks the one routing uses.
+ */
+
+import { getAll, runQuery, transaction } from '../db/database.js';
+import logger from '../logger.js';
+
+export const DEFAULT_LATENCY_WINDOWS = '1h,24h,7d';
+export const ROUTING_WINDOW = process.env.LATENCY_ROUTING_WINDOW || '24h';
+
+// Fewer successful calls than this in the window and the stats are not trusted for routing
+export const MIN_LATENCY_SAMPLES = parseInt(process.env.LATENCY_MIN_SAMPLES) || 5;
+
+const UNIT_SECONDS = { m: 60, h: 3600, d: 86400 };
+
+/**
+ * Parse a window label
+ * @param {string} label - e.g. '15m', '24h', '7d'
+ * @returns {number|null} Window length in seconds, or null if invalid
+ */
+export const parseWindow = (label) => {
+  const match = /^(\d+)([mhd])$/.exec(String(label).trim());
+  if (!match || Number(match[1]) === 0) {
+    return null;
+  }
+
+  return Number(match[1]) * UNIT_SECONDS[match[2]];
+};
+
+/**
+ * Configured windows (invalid labels are skipped); always includes the routing window
+ * @param {string} value - Comma-separated labels
+ * @returns {Array<string>}
+ */
+export const getLatencyWindows = (value = process.env.LATENCY_STATS_WINDOWS || DEFAULT_LATENCY_WINDOWS) => {
+  const labels = value.split(',').map(label => label.trim()).filter(Boolean);
+  const invalid = labels.filter(label => parseWindow(label) === null);
+
+  if (invalid.length > 0) {
+    logger.warn('latency_windows_invalid', { invalid });
+  }
+
+  const windows = labels.filter(label => parseWindow(label) !== null);
+  if (!windows.includes(ROUTING_WINDOW) && parseWindow(ROUTING_WINDOW) !== null) {
+    windows.push(ROUTING_WINDOW);
+  }
+
+  return [...new Set(windows)];
+};
+
+/**
+ * Nearest-rank percentile
+ * @param {Array<number>} sorted - Values sorted ascending
+ * @param {number} p - Percentile (0-100)
+ * @returns {number|null}
+ */
+export const percentile = (sorted, p) => {
+  if (sorted.length === 0) {
+    return null;
+  }
+
+  const rank = Math.max(1, Math.ceil((p / 100) * sorted.length));
+  return sorted[rank - 1];
+};
+
+/**
+ * Format a Date like SQLite's CURRENT_TIMESTAMP (UTC, no 'T')
+ * @param {Date} date
+ * @returns {string}
+ */
+const toSqlTimestamp = (date) => date.toISOString().slice(0, 19).replace('T', ' ');
+
+/**
+ * Recompute stats for every configured window
+ * @param {Date} now - End of the windows (default: now)
+ * @returns {Object} { windows, rows }
+ */
+export const computeLatencyStats = (now = new Date()) => {
+  try {
+    const windows = getLatencyWindows();
+    let rowsWritten = 0;
+
+    transaction(() => {
+      for (const label of windows) {
+        const since = toSqlTimestamp(new Date(now.getTime() - parseWindow(label) * 1000));
+        const requests = getAll(`
+          SELECT provider, model, latency_ms, status, failed_providers
+          FROM request_log
+          WHERE created_at >= ? AND cache_hit = 0
+        `, [since]);
+
+        // One group per provider/model and one per provider ('' = all models)
+        const groups = new Map();
+        const groupsFor = (provider, model) => {
+          const keys = [...new Set([model || '', ''])];
+          return keys.map(key => {
+            const id = `${provider}\u0000${key}`;
+            if (!groups.has(id)) {
+              groups.set(id, { provider, model: key, latencies: [], errors: 0 });
+            }
+            return groups.get(id);
+          });
+        };
+
+        for (const request of requests) {
+          if (request.status === 'success' && request.provider !== 'unknown' && request.latency_ms !== null) {
+            groupsFor(request.provider, request.model).forEach(g => g.latencies.push(request.latency_ms));
+          }
+
+          for (const failed of JSON.parse(request.failed_providers || '[]')) {
+            groupsFor(failed.provider, failed.model).forEach(g => g.errors++);
+          }
+        }
+
+        runQuery('DELETE FROM provider_latency_stats WHERE time_window = ?', [label]);
+
+        for (const { provider, model, latencies, errors } of groups.values()) {
+          const sorted = latencies.sort((a, b) => a - b);
+          const total = sorted.length + errors;
+
+          runQuery(
+            `INSERT INTO provider_latency_stats
+               (provider, model, time_window, sample_count, error_count, error_rate, p50_ms, p95_ms, p99_ms, avg_ms, computed_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+              provider,
+              model,
+              label,
+              sorted.length,
+              errors,
+              total > 0 ? errors / total : null,
+              percentile(sorted, 50),
+              percentile(sorted, 95),
+              percentile(sorted, 99),
+              sorted.length > 0 ? sorted.reduce((sum, ms) => sum + ms, 0) / sorted.length : null,
+              toSqlTimestamp(now)
+            ]
+          );
+          rowsWritten++;
+        }
+      }
+    });
+
+    logger.info('latency_stats_computed', { windows, rows: rowsWritten });
+
+    return { windows, rows: rowsWritten };
+  } catch (error) {
+    logger.error('latency_stats_failed', { error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Stats row → API shape
+ * @param {Object} row - provider_latency_stats row
+ * @returns {Object} { window, model, sampleCount, errorCount, errorRate, p50Ms, p95Ms, p99Ms, avgMs, computedAt }
+ */
+export const formatLatencyStats = (row) => ({
+  window: row.time_window,
+  model: row.model || null,
+  sampleCount: row.sample_count,
+  errorCount: row.error_count,
+  errorRate: row.error_rate === null ? null : parseFloat(row.error_rate.toFixed(4)),
+  p50Ms: row.p50_ms,
+  p95Ms: row.p95_ms,
+  p99Ms: row.p99_ms,
+  avgMs: row.avg_ms === null ? null : Math.round(row.avg_ms),
+  computedAt: row.computed_at
+});
+
+/**
+ * Stored stats for one provider
+ * @param {string} provider - Adapter name
+ * @param {Object} filters - { window, model } (model '' = provider-wide row only)
+ * @returns {Array<Object>} Formatted rows
+ */
+export const getLatencyStats = (provider, { window, model } = {}) => {
+  let sql = 'SELECT * FROM provider_latency_stats WHERE provider = ?';
+  const params = [provider];
+
+  if (window) {
+    sql += ' AND time_window = ?';
+    params.push(window);
+  }
+
+  if (model !== undefined) {
+    sql += ' AND model = ?';
+    params.push(model || '');
+  }
+
+  sql += ' ORDER BY model ASC, time_window ASC';
+
+  return getAll(sql, params).map(formatLatencyStats);
+};
+
+/**
+ * Latency lookup for one window, built once per routing decision
+ * Falls back from the model's own stats to the provider-wide row when the
+ * model has too few samples.
+ * @param {string} window - Window label (default: routing window)
+ * @returns {Function} (provider, model) => formatted stats or null
+ */
+export const getLatencyLookup = (window = ROUTING_WINDOW) => {
+  const rows = new Map();
+  for (const row of getAll('SELECT * FROM provider_latency_stats WHERE time_window = ?', [window])) {
+    rows.set(`${row.provider}\u0000${row.model}`, row);
+  }
+
+  return (provider, model) => {
+    const candidates = [rows.get(`${provider}\u0000${model || ''}`), rows.get(`${provider}\u0000`)];
+    const row = candidates.find(r => r && r.sample_count >= MIN_LATENCY_SAMPLES);
+
+    return row ? formatLatencyStats(row) : null;
+  };
+};
+
+export default {
+  DEFAULT_LATENCY_WINDOWS,
+  ROUTING_WINDOW,
+  MIN_LATENCY_SAMPLES,
+  parseWindow,
+  getLatencyWindows,
+  percentile,
+  computeLatencyStats,
+  formatLatencyStats,
+  getLatencyStats,
+  getLatencyLookup
+};
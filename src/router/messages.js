@@ -0,0 +1,168 @@
+/**
+ * Chat message helpers
+ *
+ * smartRoute() accepts either a single `prompt` string or a `messages` array
+ * of { role, content } turns (system/user/assistant). Adapters call these
+ * helpers to translate the conversation into each provider's request shape.
+ */
+
+export const MESSAGE_ROLES = ['system', 'user', 'assistant'];
+
+// OpenAI and DeepSeek reject more than 4 stop sequences
+export const MAX_STOP_SEQUENCES = 4;
+
+/**
+ * Validate a messages array from a request body
+ * @param {Array<Object>} messages - [{ role, content }]
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateMessages = (messages) => {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    return 'messages must be a non-empty array';
+  }
+
+  for (const [index, message] of messages.entries()) {
+    if (!message || !MESSAGE_ROLES.includes(message.role)) {
+      return `messages[${index}].role must be one of: ${MESSAGE_ROLES.join(', ')}`;
+    }
+
+    if (typeof message.content !== 'string') {
+      return `messages[${index}].content must be a string`;
+    }
+  }
+
+  if (!messages.some(m => m.role === 'user')) {
+    return 'messages must include at least one user message';
+  }
+
+  return null;
+};
+
+/**
+ * Validate stop sequences from a request body
+ * @param {string|Array<string>} stop - Stop sequence(s)
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateStop = (stop) => {
+  const sequences = Array.isArray(stop) ? stop : [stop];
+
+  if (sequences.length > MAX_STOP_SEQUENCES || sequences.some(s => typeof s !== 'string' || !s)) {
+    return `stop must be a string or an array of up to ${MAX_STOP_SEQUENCES} non-empty strings`;
+  }
+
+  return null;
+};
+
+/**
+ * Turn a prompt string or messages array into a messages array
+ * @param {string|Array<Object>} input - Prompt or [{ role, content }]
+ * @returns {Array<Object>} [{ role, content }]
+ */
+export const toMessages = (input) => {
+  if (Array.isArray(input)) {
+    return input.map(({ role, content }) => ({ role, content }));
+  }
+
+  return [{ role: 'user', content: input || '' }];
+};
+
+/**
+ * Flatten a prompt or messages array to text (token estimation, logging)
+ * @param {string|Array<Object>} input - Prompt or [{ role, content }]
+ * @returns {string}
+ */
+export const messagesToText = (input) => {
+  return toMessages(input).map(m => m.content).join('\n');
+};
+
+/**
+ * Normalize stop sequences to an array (or undefined when unset)
+ * @param {string|Array<string>} stop - Stop sequence(s)
+ * @returns {Array<string>|undefined}
+ */
+export const toStopSequences = (stop) => {
+  if (stop === undefined || stop === null) {
+    return undefined;
+  }
+
+  return Array.isArray(stop) ? stop : [stop];
+};
+
+/**
+ * Separate system turns from the conversation
+ * System turns are joined into one prompt; consecutive turns with the same
+ * role are merged for providers that require user/assistant to alternate.
+ * @param {string|Array<Object>} input - Prompt or [{ role, content }]
+ * @returns {{ system: string|undefined, messages: Array<Object> }}
+ */
+export const splitSystemPrompt = (input) => {
+  const system = [];
+  const messages = [];
+
+  for (const { role, content } of toMessages(input)) {
+    if (role === 'system') {
+      system.push(content);
+      continue;
+    }
+
+    const previous = messages[messages.length - 1];
+    if (previous && previous.role === role) {
+      previous.content += `\n\n${content}`;
+    } else {
+      messages.push({ role, content });
+    }
+  }
+
+  return {
+    system: system.length > 0 ? system.join('\n\n') : undefined,
+    messages
+  };
+};
+
+/**
+ * Build the Anthropic Messages API payload
+ * System turns move to the top-level `system` field.
+ * @param {string|Array<Object>} input - Prompt or [{ role, content }]
+ * @returns {{ system: string|undefined, messages: Array<Object> }}
+ */
+export const toAnthropicMessages = (input) => {
+  const { system, messages } = splitSystemPrompt(input);
+
+  // Anthropic requires the conversation to open with a user turn
+  if (messages[0]?.role === 'assistant') {
+    messages.unshift({ role: 'user', content: '(continued)' });
+  }
+
+  return { system, messages };
+};
+
+/**
+ * Build the Gemini generateContent payload
+ * System turns become `systemInstruction`; assistant turns use Gemini's 'model' role.
+ * @param {string|Array<Object>} input - Prompt or [{ role, content }]
+ * @returns {{ systemInstruction: Object|undefined, contents: Array<Object> }}
+ */
+export const toGeminiContents = (input) => {
+  const { system, messages } = splitSystemPrompt(input);
+
+  return {
+    systemInstruction: system ? { parts: [{ text: system }] } : undefined,
+    contents: messages.map(({ role, content }) => ({
+      role: role === 'assistant' ? 'model' : 'user',
+      parts: [{ text: content }]
+    }))
+  };
+};
+
+export default {
+  MESSAGE_ROLES,
+  MAX_STOP_SEQUENCES,
+  validateMessages,
+  validateStop,
+  toMessages,
+  messagesToText,
+  toStopSequences,
+  splitSystemPrompt,
+  toAnthropicMessages,
+  toGeminiContents
+};
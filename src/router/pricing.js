@@ -0,0 +1,161 @@
+/**
+ * Token pricing helpers
+ *
+ * Turns a `rates` row (split input/output/cached/batch prices per 1M tokens)
+ * into dollar figures. Rows without split prices fall back to the blended
+ * `price` column so older data still produces a cost.
+ */
+
+import { getOne } from '../db/database.js';
+
+const TOKENS_PER_UNIT = 1_000_000;
+
+// Rough tokenizer-free heuristic: ~4 characters per token for English text
+const CHARS_PER_TOKEN = 4;
+
+// Output budget assumed when a request doesn't set maxTokens
+export const DEFAULT_MAX_TOKENS = 1000;
+
+// Model price tiers: highest output price (USD per 1M tokens) a tier admits
+export const MODEL_TIERS = { economy: 1, standard: 10, premium: Infinity };
+
+/**
+ * Estimate token count for a piece of text
+ * @param {string} text - Input text
+ * @returns {number} Estimated tokens
+ */
+export const estimateTokens = (text = '') => {
+  if (!text) {
+    return 0;
+  }
+  return Math.ceil(String(text).length / CHARS_PER_TOKEN);
+};
+
+/**
+ * Estimate expected token usage for a routed request
+ * Input tokens come from the prompt; output tokens are bounded by maxTokens,
+ * so the resulting cost estimate is an upper bound for the completion.
+ * @param {Object} request - { prompt, maxTokens }
+ * @returns {{ inputTokens: number, outputTokens: number }}
+ */
+export const estimateRequestTokens = ({ prompt = '', maxTokens } = {}) => {
+  return {
+    inputTokens: estimateTokens(prompt),
+    outputTokens: maxTokens || DEFAULT_MAX_TOKENS
+  };
+};
+
+/**
+ * Strip version suffixes that providers accept as aliases
+ * e.g. 'claude-haiku-4-5-20251001' -> 'claude-haiku-4-5', 'mistral-large-latest' -> 'mistral-large'
+ * @param {string} model - Model identifier
+ * @returns {string} Base model identifier
+ */
+export const normalizeModelId = (model = '') => {
+  return String(model)
+    .trim()
+    .toLowerCase()
+    .replace(/-(\d{8}|\d{4}-\d{2}-\d{2}|latest)$/, '');
+};
+
+/**
+ * Find the latest rate for an exact provider model
+ * Tries the identifier as given, then its normalized alias.
+ * @param {string} providerName - Provider name (case-insensitive, e.g. 'openai')
+ * @param {string} model - Model identifier (e.g. 'gpt-4o-mini')
+ * @returns {Object|null} Rate row with service model/category, or null if the model is unknown
+ */
+export const getModelRate = (providerName, model) => {
+  if (!providerName || !model) {
+    return null;
+  }
+
+  const candidates = [...new Set([String(model).toLowerCase(), normalizeModelId(model)])];
+
+  for (const candidate of candidates) {
+    const rate = getOne(
+      `SELECT r.*, s.model, s.category, s.subcategory
+       FROM rates r
+       JOIN services s ON r.service_id = s.id
+       JOIN providers p ON s.provider_id = p.id
+       WHERE LOWER(p.name) = LOWER(?) AND LOWER(s.model) = ?
+       ORDER BY r.created_at DESC, r.id DESC
+       LIMIT 1`,
+      [providerName, candidate]
+    );
+
+    if (rate) {
+      return rate;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Resolve the per-1M-token prices for a rate row
+ * Accepts either DB column names (input_price) or camelCase (inputPrice).
+ * @param {Object} rate - Rate row
+ * @returns {{ input: number, output: number, cachedInput: number, batchInput: number, batchOutput: number }}
+ */
+export const getTokenPrices = (rate = {}) => {
+  const blended = rate.price ?? 0;
+  const input = rate.input_price ?? rate.inputPrice ?? blended;
+  const output = rate.output_price ?? rate.outputPrice ?? blended;
+
+  return {
+    input,
+    output,
+    cachedInput: rate.cached_input_price ?? rate.cachedInputPrice ?? input,
+    batchInput: rate.batch_input_price ?? rate.batchInputPrice ?? input,
+    batchOutput: rate.batch_output_price ?? rate.batchOutputPrice ?? output
+  };
+};
+
+/**
+ * Check whether a rate row falls within a model price tier
+ * Tiers cap the output price per 1M tokens; 'premium' (no cap) is every model.
+ * @param {Object} rate - Rate row (see getTokenPrices)
+ * @param {string} tier - Key of MODEL_TIERS
+ * @returns {boolean} True if the model is in the tier
+ */
+export const isWithinTier = (rate, tier) => {
+  return getTokenPrices(rate).output <= MODEL_TIERS[tier];
+};
+
+/**
+ * Calculate the dollar cost of a call against a rate row
+ * @param {Object} rate - Rate row (see getTokenPrices)
+ * @param {number} tokensIn - Input tokens, including any cached tokens
+ * @param {number} tokensOut - Output tokens
+ * @param {Object} options - { cachedTokens: number, batch: boolean }
+ * @returns {number} Cost in USD
+ */
+export const calculateTokenCost = (rate, tokensIn = 0, tokensOut = 0, options = {}) => {
+  const { cachedTokens = 0, batch = false } = options;
+  const prices = getTokenPrices(rate);
+
+  const cached = Math.min(Math.max(cachedTokens, 0), tokensIn);
+  const uncached = tokensIn - cached;
+
+  const inputPrice = batch ? prices.batchInput : prices.input;
+  const outputPrice = batch ? prices.batchOutput : prices.output;
+
+  return (
+    (uncached / TOKENS_PER_UNIT) * inputPrice +
+    (cached / TOKENS_PER_UNIT) * prices.cachedInput +
+    (tokensOut / TOKENS_PER_UNIT) * outputPrice
+  );
+};
+
+export default {
+  DEFAULT_MAX_TOKENS,
+  MODEL_TIERS,
+  estimateTokens,
+  estimateRequestTokens,
+  normalizeModelId,
+  getModelRate,
+  getTokenPrices,
+  isWithinTier,
+  calculateTokenCost
+};
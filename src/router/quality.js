@@ -0,0 +1,281 @@
+/**
+ * Model quality registry
+ *
+ * Benchmark scores (0-100) per model and task category, seeded from
+ * data/model-quality.json and updatable through /v1/quality. Agents can rate
+ * individual routed requests (1-5 stars, stored in request_feedback); those
+ * ratings are blended into the benchmark score so the `quality` strategy
+ * reflects how models actually perform for AGORA's users.
+ */
+
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { getAll, getOne, runQuery, transaction } from '../db/database.js';
+import { normalizeModelId } from './pricing.js';
+import logger from '../logger.js';
+
+// Score for models with neither a benchmark nor feedback
+export const DEFAULT_QUALITY_SCORE = 50;
+
+// The benchmark counts as this many ratings when blended with feedback
+export const FEEDBACK_PRIOR_WEIGHT = 10;
+
+/**
+ * Convert a 1-5 star rating to the 0-100 quality scale
+ * @param {number} rating - 1..5
+ * @returns {number}
+ */
+export const ratingToScore = (rating) => ((rating - 1) / 4) * 100;
+
+/**
+ * Validate a quality score entry
+ * @param {Object} entry - { model, category, score, source }
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateQualityScore = (entry) => {
+  if (!entry || typeof entry !== 'object') {
+    return 'score entry must be an object';
+  }
+
+  if (!entry.model || typeof entry.model !== 'string') {
+    return 'model must be a non-empty string';
+  }
+
+  if (!entry.category || typeof entry.category !== 'string') {
+    return 'category must be a non-empty string';
+  }
+
+  if (typeof entry.score !== 'number' || entry.score < 0 || entry.score > 100) {
+    return 'score must be a number between 0 and 100';
+  }
+
+  if (entry.source !== undefined && typeof entry.source !== 'string') {
+    return 'source must be a string';
+  }
+
+  return null;
+};
+
+/**
+ * Insert or replace benchmark scores
+ * @param {Array<Object>} scores - [{ model, category, score, source }]
+ * @param {string} defaultSource - Source recorded when an entry has none
+ * @returns {number} Number of scores written
+ */
+export const importQualityScores = (scores, defaultSource = 'api') => {
+  try {
+    return transaction(() => {
+      for (const entry of scores) {
+        runQuery(
+          `INSERT INTO model_quality (model, category, score, source, updated_at)
+           VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+           ON CONFLICT(model, category) DO UPDATE SET
+             score = excluded.score,
+             source = excluded.source,
+             updated_at = CURRENT_TIMESTAMP`,
+          [entry.model, entry.category, entry.score, entry.source || defaultSource]
+        );
+      }
+
+      return scores.length;
+    });
+  } catch (error) {
+    logger.error('quality_import_failed', { error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Seed benchmark scores from a JSON file ({ scores: [...] })
+ * @param {string} filePath - Defaults to data/model-quality.json
+ * @returns {number} Number of scores imported
+ */
+export const seedQualityScores = (filePath = join(process.cwd(), 'data', 'model-quality.json')) => {
+  const data = JSON.parse(readFileSync(filePath, 'utf-8'));
+  const scores = data.scores || [];
+
+  const invalid = scores.map(validateQualityScore).find(Boolean);
+  if (invalid) {
+    throw new Error(`Invalid quality file ${filePath}: ${invalid}`);
+  }
+
+  const imported = importQualityScores(scores, 'import');
+  logger.info('quality_scores_seeded', { filePath, imported });
+
+  return imported;
+};
+
+/**
+ * Average feedback per model for a task category
+ * @param {string} category - Task category ('' = all categories)
+ * @returns {Array<Object>} [{ model, ratings, avgRating }]
+ */
+const getFeedbackSummary = (category) => {
+  return getAll(`
+    SELECT rl.model, COUNT(*) as ratings, AVG(f.rating) as avgRating
+    FROM request_feedback f
+    JOIN request_log rl ON rl.id = f.request_log_id
+    WHERE rl.model IS NOT NULL AND (rl.category = ? OR ? = '')
+    GROUP BY rl.model
+  `, [category || '', category || '']);
+};
+
+/**
+ * Blend a benchmark score with feedback ratings
+ * @param {number|null} benchmark - 0-100 benchmark score
+ * @param {Object|null} feedback - { ratings, avgRating }
+ * @returns {number} 0-100 quality score
+ */
+const blendQuality = (benchmark, feedback) => {
+  const ratings = feedback?.ratings || 0;
+
+  if (ratings === 0) {
+    return benchmark ?? DEFAULT_QUALITY_SCORE;
+  }
+
+  const feedbackScore = ratingToScore(feedback.avgRating);
+  if (benchmark === null) {
+    return feedbackScore;
+  }
+
+  return (benchmark * FEEDBACK_PRIOR_WEIGHT + feedbackScore * ratings) / (FEEDBACK_PRIOR_WEIGHT + ratings);
+};
+
+/**
+ * Quality lookup for one task category, built once per routing decision
+ * @param {string} category - Task category
+ * @returns {Function} (model) => { score, benchmark, feedbackRatings }
+ */
+export const getQualityLookup = (category) => {
+  const benchmarks = new Map();
+  for (const row of getAll('SELECT model, score FROM model_quality WHERE category = ?', [category || ''])) {
+    benchmarks.set(normalizeModelId(row.model), row.score);
+  }
+
+  const feedback = new Map();
+  for (const row of getFeedbackSummary(category)) {
+    const key = normalizeModelId(row.model);
+    const existing = feedback.get(key);
+
+    // Dated and alias ids of the same model share one summary
+    feedback.set(key, existing
+      ? {
+        ratings: existing.ratings + row.ratings,
+        avgRating: (existing.avgRating * existing.ratings + row.avgRating * row.ratings) / (existing.ratings + row.ratings)
+      }
+      : { ratings: row.ratings, avgRating: row.avgRating });
+  }
+
+  return (model) => {
+    const key = model ? normalizeModelId(model) : null;
+    const benchmark = key && benchmarks.has(key) ? benchmarks.get(key) : null;
+    const summary = key ? feedback.get(key) || null : null;
+
+    return {
+      score: blendQuality(benchmark, summary),
+      benchmark,
+      feedbackRatings: summary?.ratings || 0
+    };
+  };
+};
+
+/**
+ * List benchmark scores with feedback summaries
+ * @param {Object} filters - { model, category }
+ * @returns {Array<Object>} [{ model, category, benchmark, score, feedbackRatings, avgRating, source, updatedAt }]
+ */
+export const listQualityScores = ({ model, category } = {}) => {
+  let sql = 'SELECT model, category, score, source, updated_at FROM model_quality WHERE 1 = 1';
+  const params = [];
+
+  if (category) {
+    sql += ' AND category = ?';
+    params.push(category);
+  }
+
+  if (model) {
+    sql += ' AND model = ?';
+    params.push(model);
+  }
+
+  sql += ' ORDER BY category ASC, score DESC';
+
+  const lookups = new Map();
+  return getAll(sql, params).map(row => {
+    if (!lookups.has(row.category)) {
+      lookups.set(row.category, getQualityLookup(row.category));
+    }
+    const quality = lookups.get(row.category)(row.model);
+
+    return {
+      model: row.model,
+      category: row.category,
+      benchmark: row.score,
+      score: parseFloat(quality.score.toFixed(2)),
+      feedbackRatings: quality.feedbackRatings,
+      source: row.source,
+      updatedAt: row.updated_at
+    };
+  });
+};
+
+/**
+ * Record an agent's rating of one of its routed requests
+ * @param {Object} feedback - { agentId, requestId (request_log id), rating (1-5), comment }
+ * @returns {Object} { requestId, provider, model, category, rating, comment }
+ */
+export const recordFeedback = ({ agentId, requestId, rating, comment = null }) => {
+  const request = getOne(
+    'SELECT id, agent_id, provider, model, category, status FROM request_log WHERE id = ?',
+    [requestId]
+  );
+
+  if (!request || request.agent_id !== agentId) {
+    throw {
+      code: 404,
+      message: 'Request not found',
+      details: `No routed request ${requestId} for this agent`
+    };
+  }
+
+  if (request.status !== 'success') {
+    throw {
+      code: 409,
+      message: 'Only successful requests can be rated',
+      details: { requestId, status: request.status }
+    };
+  }
+
+  runQuery(
+    `INSERT INTO request_feedback (request_log_id, agent_id, rating, comment)
+     VALUES (?, ?, ?, ?)
+     ON CONFLICT(request_log_id, agent_id) DO UPDATE SET
+       rating = excluded.rating,
+       comment = excluded.comment,
+       created_at = CURRENT_TIMESTAMP`,
+    [requestId, agentId, rating, comment]
+  );
+
+  logger.info('request_feedback_recorded', { agentId, requestId, model: request.model, rating });
+
+  return {
+    requestId,
+    provider: request.provider,
+    model: request.model,
+    category: request.category,
+    rating,
+    comment
+  };
+};
+
+export default {
+  DEFAULT_QUALITY_SCORE,
+  FEEDBACK_PRIOR_WEIGHT,
+  ratingToScore,
+  validateQualityScore,
+  importQualityScores,
+  seedQualityScores,
+  getQualityLookup,
+  listQualityScores,
+  recordFeedback
+};
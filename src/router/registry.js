@@ -0,0 +1,279 @@
+/**
+ * Adapter registry
+ *
+ * Each router adapter declares how it is configured and what it can do:
+ * - name:         adapterMap key and request_log provider (e.g. 'gemini')
+ * - providerName: provider row in the providers table (e.g. 'Google AI')
+ * - envKeys:      the adapter is enabled when any of these env vars is set
+ * - models:       model ids the adapter serves
+ * - capabilities: { streaming, systemPrompt, tools, jsonMode, vision }
+ *                 (per-model metadata for hosted providers lives on the services table)
+ * - create(env):  build the adapter instance
+ *
+ * providerName, models, selfHosted, contextWindow and regions may be functions of env for adapters
+ * configured entirely from the environment (the generic endpoint).
+ * Additional adapters can be plugged in with registerAdapter().
+ */
+
+import OpenAIAdapter from './adapters/openai.js';
+import AnthropicAdapter from './adapters/anthropic.js';
+import DeepSeekAdapter from './adapters/deepseek.js';
+import GeminiAdapter from './adapters/gemini.js';
+import MistralAdapter from './adapters/mistral.js';
+import GroqAdapter from './adapters/groq.js';
+import OpenAICompatibleAdapter from './adapters/openai-compatible.js';
+import logger from '../logger.js';
+
+// Self-hosted endpoints publish no confidence score; rank them below crawled rates
+const SELF_HOSTED_CONFIDENCE = 0.5;
+
+const DEFAULT_CAPABILITIES = {
+  streaming: true,
+  systemPrompt: true,
+  tools: false,
+  jsonMode: false,
+  vision: false
+};
+
+const definitions = new Map();
+
+/**
+ * Resolve a definition field that may depend on the environment
+ * @param {*} value - Value or (env) => value
+ * @param {Object} env - Environment variables
+ * @returns {*}
+ */
+const resolveField = (value, env) => (typeof value === 'function' ? value(env) : value);
+
+/**
+ * Register (or replace) an adapter definition
+ * @param {Object} definition - { name, providerName, envKeys, models, capabilities, selfHosted, create }
+ * @returns {Object} Stored definition
+ */
+export const registerAdapter = (definition) => {
+  const { name, envKeys, create } = definition;
+
+  if (!name || !Array.isArray(envKeys) || envKeys.length === 0 || typeof create !== 'function') {
+    throw new Error('Adapter definition requires name, envKeys and create()');
+  }
+
+  const stored = {
+    providerName: name,
+    models: [],
+    selfHosted: false,
+    ...definition,
+    name: name.toLowerCase(),
+    capabilities: { ...DEFAULT_CAPABILITIES, ...definition.capabilities }
+  };
+
+  definitions.set(stored.name, stored);
+  return stored;
+};
+
+/**
+ * Describe registered adapters for the current environment
+ * @param {Object} env - Environment variables (default process.env)
+ * @returns {Array<Object>} [{ name, providerName, envKeys, models, capabilities, selfHosted, contextWindow, regions, configured }]
+ */
+export const getAdapterDefinitions = (env = process.env) => {
+  return [...definitions.values()].map(definition => ({
+    name: definition.name,
+    providerName: resolveField(definition.providerName, env),
+    envKeys: definition.envKeys,
+    models: resolveField(definition.models, env) || [],
+    capabilities: definition.capabilities,
+    selfHosted: Boolean(resolveField(definition.selfHosted, env)),
+    contextWindow: resolveField(definition.contextWindow, env) ?? null,
+    regions: resolveField(definition.regions, env) ?? null,
+    configured: definition.envKeys.some(key => Boolean(env[key]))
+  }));
+};
+
+/**
+ * Get a single adapter description
+ * @param {string} name - Adapter name
+ * @param {Object} env - Environment variables
+ * @returns {Object|null}
+ */
+export const getAdapterDefinition = (name, env = process.env) => {
+  return getAdapterDefinitions(env).find(d => d.name === String(name).toLowerCase()) || null;
+};
+
+/**
+ * Instantiate every adapter whose env keys are set
+ * @param {Object} env - Environment variables
+ * @returns {Array<Object>} [{ name, adapter }]
+ */
+export const createConfiguredAdapters = (env = process.env) => {
+  return getAdapterDefinitions(env)
+    .filter(d => d.configured)
+    .flatMap(({ name }) => {
+      try {
+        return [{ name, adapter: definitions.get(name).create(env) }];
+      } catch (error) {
+        logger.error('adapter_create_failed', { adapter: name, error: error.message });
+        return [];
+      }
+    });
+};
+
+/**
+ * Map a providers-table name to its adapter name
+ * e.g. 'Google AI' → 'gemini', 'OpenAI' → 'openai'. Unknown providers fall back to lowercase.
+ * @param {string} providerName - Provider name from the database
+ * @param {Object} env - Environment variables
+ * @returns {string} Adapter name
+ */
+export const resolveAdapterName = (providerName, env = process.env) => {
+  const lower = String(providerName).toLowerCase();
+  const match = getAdapterDefinitions(env).find(d =>
+    d.name === lower || String(d.providerName).toLowerCase() === lower
+  );
+
+  return match ? match.name : lower;
+};
+
+/**
+ * Rate rows for configured self-hosted adapters
+ * They have no entry in the rates table, so they are offered at $0 per token
+ * in the same shape selectProvider reads from the database.
+ * @param {Array<string>} availableProviders - Adapter names with configured keys
+ * @param {Object} env - Environment variables
+ * @returns {Array<Object>} Rate-like rows
+ */
+export const getSelfHostedRates = (availableProviders = [], env = process.env) => {
+  return getAdapterDefinitions(env)
+    .filter(d => d.selfHosted && d.configured && availableProviders.includes(d.name))
+    .flatMap(d => d.models.map(model => ({
+      rate_id: null,
+      provider_id: null,
+      provider_name: d.name,
+      category: 'text-generation',
+      subcategory: 'self-hosted',
+      model,
+      price: 0,
+      input_price: 0,
+      output_price: 0,
+      unit: 'per-token',
+      confidence: SELF_HOSTED_CONFIDENCE,
+      context_window: d.contextWindow,
+      max_output_tokens: null,
+      supports_tools: Number(d.capabilities.tools),
+      supports_json_mode: Number(d.capabilities.jsonMode),
+      supports_vision: Number(d.capabilities.vision),
+      regions: d.regions
+    })));
+};
+
+/**
+ * Models served by the generic OpenAI-compatible endpoint (comma-separated env var)
+ * @param {Object} env - Environment variables
+ * @returns {Array<string>}
+ */
+const customEndpointModels = (env) => {
+  return (env.OPENAI_COMPATIBLE_MODELS || '')
+    .split(',')
+    .map(model => model.trim())
+    .filter(Boolean);
+};
+
+// Built-in adapters
+registerAdapter({
+  name: 'openai',
+  providerName: 'OpenAI',
+  envKeys: ['OPENAI_API_KEY'],
+  models: ['gpt-4o', 'gpt-4o-mini'],
+  capabilities: { tools: true, jsonMode: true, vision: true },
+  create: env => new OpenAIAdapter({ apiKey: env.OPENAI_API_KEY })
+});
+
+registerAdapter({
+  name: 'anthropic',
+  providerName: 'Anthropic',
+  envKeys: ['ANTHROPIC_API_KEY'],
+  models: ['claude-opus-4-6', 'claude-sonnet-4-5', 'claude-haiku-4-5'],
+  capabilities: { tools: true, vision: true },
+  create: env => new AnthropicAdapter({ apiKey: env.ANTHROPIC_API_KEY })
+});
+
+registerAdapter({
+  name: 'deepseek',
+  providerName: 'DeepSeek',
+  envKeys: ['DEEPSEEK_API_KEY'],
+  models: ['deepseek-chat', 'deepseek-reasoner'],
+  capabilities: { tools: true, jsonMode: true },
+  create: env => new DeepSeekAdapter({ apiKey: env.DEEPSEEK_API_KEY })
+});
+
+registerAdapter({
+  name: 'gemini',
+  providerName: 'Google AI',
+  envKeys: ['GEMINI_API_KEY', 'GOOGLE_API_KEY'],
+  models: ['gemini-3-pro-preview', 'gemini-2.5-pro', 'gemini-2.5-flash-lite'],
+  capabilities: { tools: true, jsonMode: true, vision: true },
+  create: env => new GeminiAdapter({ apiKey: env.GEMINI_API_KEY || env.GOOGLE_API_KEY })
+});
+
+registerAdapter({
+  name: 'mistral',
+  providerName: 'Mistral AI',
+  envKeys: ['MISTRAL_API_KEY'],
+  models: ['mistral-large-latest', 'open-mistral-nemo'],
+  capabilities: { tools: true, jsonMode: true },
+  create: env => new MistralAdapter({ apiKey: env.MISTRAL_API_KEY })
+});
+
+registerAdapter({
+  name: 'groq',
+  providerName: 'Groq',
+  envKeys: ['GROQ_API_KEY'],
+  models: ['llama-3.3-70b-versatile', 'meta-llama/llama-4-scout-17b-16e-instruct'],
+  capabilities: { tools: true, jsonMode: true },
+  create: env => new GroqAdapter({ apiKey: env.GROQ_API_KEY })
+});
+
+registerAdapter({
+  name: 'xai',
+  providerName: 'xAI',
+  envKeys: ['XAI_API_KEY'],
+  models: ['grok-4', 'grok-4-1-fast'],
+  capabilities: { tools: true, jsonMode: true, vision: true },
+  create: env => new OpenAICompatibleAdapter({
+    name: 'xai',
+    providerName: 'xAI',
+    apiKey: env.XAI_API_KEY,
+    baseUrl: 'https://api.x.ai/v1',
+    defaultModel: 'grok-4-1-fast'
+  })
+});
+
+// Any OpenAI-compatible server: a hosted vendor from providers.json
+// (OPENAI_COMPATIBLE_PROVIDER='Together AI') or a local vLLM / llama.cpp
+// server, which is self-hosted and routed at $0.
+registerAdapter({
+  name: 'custom',
+  providerName: env => env.OPENAI_COMPATIBLE_PROVIDER || 'custom',
+  envKeys: ['OPENAI_COMPATIBLE_BASE_URL'],
+  models: customEndpointModels,
+  selfHosted: env => !env.OPENAI_COMPATIBLE_PROVIDER,
+  contextWindow: env => parseInt(env.OPENAI_COMPATIBLE_CONTEXT_WINDOW, 10) || null,
+  regions: env => env.OPENAI_COMPATIBLE_REGION?.toLowerCase() || null,
+  create: env => new OpenAICompatibleAdapter({
+    name: 'custom',
+    providerName: env.OPENAI_COMPATIBLE_PROVIDER || 'custom',
+    apiKey: env.OPENAI_COMPATIBLE_API_KEY,
+    baseUrl: env.OPENAI_COMPATIBLE_BASE_URL,
+    defaultModel: customEndpointModels(env)[0] || 'default',
+    selfHosted: !env.OPENAI_COMPATIBLE_PROVIDER,
+    streamUsage: env.OPENAI_COMPATIBLE_STREAM_USAGE !== 'false'
+  })
+});
+
+export default {
+  registerAdapter,
+  getAdapterDefinitions,
+  getAdapterDefinition,
+  createConfiguredAdapters,
+  resolveAdapterName,
+  getSelfHostedRates
+};
@@ -0,0 +1,99 @@
+/**
+ * Savings against a declared baseline
+ *
+ * An agent names the provider/model it would otherwise call. Every request is
+ * priced at that baseline's current token rates for the request's actual token
+ * counts, and the result is stored on the request_log row, so historical savings
+ * stay fixed when rates change later.
+ */
+
+import { runQuery, getOne } from '../db/database.js';
+import { getModelRate, calculateTokenCost } from './pricing.js';
+import { getAdapterDefinition, resolveAdapterName } from './registry.js';
+import logger from '../logger.js';
+
+/**
+ * Get an agent's savings baseline
+ * @param {number} agentId - Agent ID
+ * @returns {Object|null} { provider, model }, or null when none is declared
+ */
+export const getSavingsBaseline = (agentId) => {
+  const agent = getOne('SELECT savings_baseline_provider, savings_baseline_model FROM agents WHERE id = ?', [agentId]);
+
+  return agent?.savings_baseline_model
+    ? { provider: agent.savings_baseline_provider, model: agent.savings_baseline_model }
+    : null;
+};
+
+/**
+ * Current rate of a baseline model
+ * Baselines name the adapter (as request_log does); rates are keyed by the
+ * providers-table name, e.g. 'mistral' → 'Mistral AI'.
+ * @param {Object|null} baseline - { provider, model }
+ * @returns {Object|null} Rate row from getModelRate(), or null when unpriced
+ */
+export const getBaselineRate = (baseline) => {
+  if (!baseline) {
+    return null;
+  }
+
+  const providerName = getAdapterDefinition(baseline.provider)?.providerName || baseline.provider;
+
+  return getModelRate(providerName, baseline.model);
+};
+
+/**
+ * Declare or clear an agent's savings baseline
+ * @param {number} agentId - Agent ID
+ * @param {Object|null} baseline - { provider, model } (a priced model, see getBaselineRate), or null to clear
+ * @returns {Object|null} { provider, model } with provider stored as the adapter name
+ */
+export const setSavingsBaseline = (agentId, baseline) => {
+  try {
+    const provider = baseline ? resolveAdapterName(baseline.provider) : null;
+    const model = baseline?.model || null;
+
+    runQuery(
+      'UPDATE agents SET savings_baseline_provider = ?, savings_baseline_model = ? WHERE id = ?',
+      [provider, model, agentId]
+    );
+
+    logger.info('savings_baseline_set', { agentId, provider, model });
+
+    return getSavingsBaseline(agentId);
+  } catch (error) {
+    logger.error('set_savings_baseline_failed', { error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Price a call's tokens at the baseline's current rate
+ * @param {Object|null} baseline - { provider, model }
+ * @param {Object} tokens - { input, output }
+ * @returns {Object|null} { provider, model, cost }, or null without a baseline or when it has no rate
+ */
+export const priceBaseline = (baseline, tokens = {}) => {
+  if (!baseline) {
+    return null;
+  }
+
+  const rate = getBaselineRate(baseline);
+  if (!rate) {
+    logger.warn('savings_baseline_unpriced', { provider: baseline.provider, model: baseline.model });
+    return null;
+  }
+
+  return {
+    provider: baseline.provider,
+    model: baseline.model,
+    cost: calculateTokenCost(rate, tokens.input || 0, tokens.output || 0)
+  };
+};
+
+export default {
+  getSavingsBaseline,
+  getBaselineRate,
+  setSavingsBaseline,
+  priceBaseline
+};
@@ -0,0 +1,75 @@
+/**
+ * Cost attribution tags
+ *
+ * Smart-route requests may carry tags, a flat { key: value } object of strings
+ * (e.g. { project: 'search', team: 'growth', env: 'prod' }). They are stored as
+ * JSON on every request_log row the request writes, so analytics can filter and
+ * group spend by tag.
+ *
+ * Keys are restricted to TAG_KEY_PATTERN because analytics builds JSON paths
+ * from them.
+ */
+
+export const MAX_TAGS = 10;
+export const MAX_TAG_VALUE_LENGTH = 128;
+export const TAG_KEY_PATTERN = /^[A-Za-z0-9_-]{1,40}$/;
+
+/**
+ * Validate the smart-route `tags` option
+ * @param {Object} tags - { key: value }
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateTags = (tags) => {
+  if (!tags || typeof tags !== 'object' || Array.isArray(tags)) {
+    return 'tags must be an object of string values';
+  }
+
+  const entries = Object.entries(tags);
+
+  if (entries.length > MAX_TAGS) {
+    return `at most ${MAX_TAGS} tags per request`;
+  }
+
+  for (const [key, value] of entries) {
+    if (!TAG_KEY_PATTERN.test(key)) {
+      return `tag key '${key}' must be 1-40 letters, digits, '_' or '-'`;
+    }
+
+    if (typeof value !== 'string' || !value || value.length > MAX_TAG_VALUE_LENGTH) {
+      return `tags.${key} must be a non-empty string of at most ${MAX_TAG_VALUE_LENGTH} characters`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Serialize tags for request_log.tags
+ * @param {Object|null} tags - Validated tags
+ * @returns {string|null} JSON, or null when there are none
+ */
+export const toTagsColumn = (tags) => {
+  return tags && Object.keys(tags).length > 0 ? JSON.stringify(tags) : null;
+};
+
+/**
+ * SQL expression reading one tag from request_log.tags
+ * @param {string} key - Tag key matching TAG_KEY_PATTERN
+ * @returns {string} e.g. json_extract(tags, '$."project"')
+ */
+export const tagColumn = (key) => {
+  if (!TAG_KEY_PATTERN.test(key)) {
+    throw new Error(`Invalid tag key: ${key}`);
+  }
+
+  return `json_extract(tags, '$."${key}"')`;
+};
+
+export default {
+  MAX_TAGS,
+  MAX_TAG_VALUE_LENGTH,
+  TAG_KEY_PATTERN,
+  validateTags,
+  toTagsColumn,
+  tagColumn
+};
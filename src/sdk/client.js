@@ -207,6 +207,7 @@ export class Agora {
    * @param {string} options.task - Task category (required)
    * @param {string} options.optimize - Optimization strategy: 'cost', 'speed', 'quality', 'balanced' (default: 'cost')
    * @param {Object} options.constraints - Constraints { maxCost, minConfidence, maxTokens }
+   * @param {Object} options.tags - Cost attribution tags, e.g. { project: 'search', env: 'prod' }
    * @returns {Promise<Object>} { provider, model, cost, latency, tokens, response, alternatives, savings }
    */
   async smartRoute(options) {
@@ -222,7 +223,9 @@ export class Agora {
       task: options.task,
       optimize: options.optimize || 'cost',
       constraints: options.constraints || {},
-      agentId: this.agentId || null
+      ...(options.tags && { tags: options.tags }),
+      // The server bills the API key's agent; agentId is only checked against it
+      ...(this.apiKey && this.agentId && { agentId: this.agentId })
     };
 
     const response = await this._fetch('/v1/smart-route', {
@@ -271,20 +274,50 @@ export class Agora {
   /**
    * Get analytics summary for authenticated agent
    * @param {Object} options - Optional filters
-   * @returns {Promise<Object>} { period, totalSpent, totalRequests, avgCostPerRequest, byProvider, byTask, daily }
+   * @param {string} options.from - Window start, ISO 8601 (default: start of the current month)
+   * @param {string} options.to - Window end, exclusive (default: now)
+   * @param {string} options.granularity - 'hour', 'day', 'week' or 'month' (default 'day')
+   * @param {string|string[]} options.groupBy - 'provider', 'model', 'task', 'status' and/or 'tag:<key>'
+   * @param {Object} options.tags - Only requests with these tags, e.g. { env: 'prod' }
+   * @returns {Promise<Object>} { period, from, to, totalSpent, totalRequests, avgCostPerRequest, p50Cost, p95Cost,
+   *   byProvider, byTask, daily, series, groups, tags, previous, change }
    */
   async getAnalytics(options = {}) {
     if (!this.agentId) {
       throw new Error('agentId required for getAnalytics. Set agentId in constructor.');
     }
 
-    const response = await this._fetch(`/v1/analytics/${this.agentId}`);
+    let endpoint = `/v1/analytics/${this.agentId}`;
+    const params = new URLSearchParams();
+
+    if (options.from) {
+      params.append('from', options.from);
+    }
+    if (options.to) {
+      params.append('to', options.to);
+    }
+    if (options.granularity) {
+      params.append('granularity', options.granularity);
+    }
+    if (options.groupBy) {
+      params.append('groupBy', [].concat(options.groupBy).join(','));
+    }
+    for (const [key, value] of Object.entries(options.tags || {})) {
+      params.append('tag', `${key}:${value}`);
+    }
+
+    if (params.toString()) {
+      endpoint += `?${params.toString()}`;
+    }
+
+    const response = await this._fetch(endpoint);
     return response.data;
   }
 
   /**
-   * Get savings summary vs. most expensive provider
-   * @returns {Promise<Object>} { totalSavings, savingsPercent, comparedTo }
+   * Get savings summary vs. the agent's declared baseline (see setSavingsBaseline)
+   * @returns {Promise<Object>} { totalSavings, savingsPercent, comparedTo, baselineCost, actualCost, requests,
+   *   requestsWithoutBaseline, byBaseline }
    */
   async getSavings() {
     if (!this.agentId) {
@@ -295,6 +328,76 @@ export class Agora {
     return response.data;
   }
 
+  /**
+   * Export raw usage (one record per request) for the authenticated agent
+   * The body is streamed, so large exports can be piped to a file without buffering, e.g.
+   * `Readable.fromWeb(await agora.exportUsage({ format: 'csv' })).pipe(createWriteStream('usage.csv'))`.
+   * @param {Object} options - Optional filters
+   * @param {string} options.format - 'csv' or 'jsonl' (default 'csv')
+   * @param {string} options.from - Window start, ISO 8601 (default: start of the current month)
+   * @param {string} options.to - Window end, exclusive (default: now)
+   * @param {Object} options.tags - Only requests with these tags, e.g. { env: 'prod' }
+   * @returns {Promise<ReadableStream>} Response body; records carry id, createdAt, provider, model, task,
+   *   status, tokensIn, tokensOut, cost, latencyMs, cacheHit, tags
+   */
+  async exportUsage(options = {}) {
+    if (!this.agentId) {
+      throw new Error('agentId required for exportUsage. Set agentId in constructor.');
+    }
+    if (!this.apiKey) {
+      throw new Error('API key required for exportUsage. Set apiKey in constructor.');
+    }
+
+    const params = new URLSearchParams({ format: options.format || 'csv' });
+
+    if (options.from) {
+      params.append('from', options.from);
+    }
+    if (options.to) {
+      params.append('to', options.to);
+    }
+    for (const [key, value] of Object.entries(options.tags || {})) {
+      params.append('tag', `${key}:${value}`);
+    }
+
+    try {
+      const response = await fetch(`${this.baseUrl}/v1/analytics/${this.agentId}/export?${params}`, {
+        headers: { Authorization: `Bearer ${this.apiKey}` }
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`AGORA API Error (${response.status}): ${errorText}`);
+      }
+
+      return response.body;
+    } catch (error) {
+      if (error.code === 'ECONNREFUSED') {
+        throw new Error(`Cannot connect to AGORA at ${this.baseUrl}. Is the server running?`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Declare the provider/model savings are measured against
+   * @param {string|null} provider - Provider name, e.g. 'openai' (null clears the baseline)
+   * @param {string|null} model - Model id, e.g. 'gpt-4o'
+   * @returns {Promise<Object|null>} { provider, model }
+   */
+  async setSavingsBaseline(provider, model) {
+    if (!this.apiKey) {
+      throw new Error('API key required for setSavingsBaseline. Set apiKey in constructor.');
+    }
+
+    const response = await this._fetch('/v1/agents/me/savings-baseline', {
+      method: 'PUT',
+      body: JSON.stringify({ provider, model })
+    });
+
+    return response.data;
+  }
+
   // ===== AGENT SERVICE METHODS (ROADMAP v3 Phase 1) =====
 
   /**
@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+/**
+ * tests/adapter-registry.test.js
+ * Adapter registry, new provider adapters and self-hosted routing tests
+ */
+
+import {
+  registerAdapter,
+  getAdapterDefinitions,
+  createConfiguredAdapters,
+  resolveAdapterName,
+  getSelfHostedRates
+} from '../src/router/registry.js';
+import { selectProvider } from '../src/router/decision.js';
+import { executeWithFallback } from '../src/router/fallback.js';
+import GeminiAdapter from '../src/router/adapters/gemini.js';
+import OpenAICompatibleAdapter from '../src/router/adapters/openai-compatible.js';
+import OpenAIAdapter from '../src/router/adapters/openai.js';
+import { test, expect, initTestDatabase, finish } from './helpers.js';
+
+initTestDatabase();
+
+// Replace global fetch for one call and capture the request
+const stubFetch = (payload) => {
+  const calls = [];
+  globalThis.fetch = async (url, init) => {
+    calls.push({ url, init, body: JSON.parse(init.body) });
+    return { ok: true, status: 200, json: async () => payload };
+  };
+  return calls;
+};
+
+const localEnv = {
+  OPENAI_COMPATIBLE_BASE_URL: 'http://localhost:8000/v1/',
+  OPENAI_COMPATIBLE_MODELS: 'llama-3.1-8b-instruct, qwen2.5-7b'
+};
+
+await test('getAdapterDefinitions: built-ins declare env keys, models and capabilities', () => {
+  const gemini = getAdapterDefinitions({ GOOGLE_API_KEY: 'k' }).find(d => d.name === 'gemini');
+  expect(gemini.providerName).toBe('Google AI');
+  expect(gemini.configured).toBe(true);
+  expect(gemini.capabilities.vision).toBe(true);
+  expect(gemini.models.includes('gemini-2.5-flash-lite')).toBe(true);
+});
+
+await test('createConfiguredAdapters: only adapters with keys set', () => {
+  const names = createConfiguredAdapters({ MISTRAL_API_KEY: 'm', GROQ_API_KEY: 'g' }).map(p => p.name);
+  expect(names).toEqual(['mistral', 'groq']);
+});
+
+await test('resolveAdapterName: maps provider table names to adapter names', () => {
+  expect(resolveAdapterName('Google AI', {})).toBe('gemini');
+  expect(resolveAdapterName('Mistral AI', {})).toBe('mistral');
+  expect(resolveAdapterName('OpenAI', {})).toBe('openai');
+  expect(resolveAdapterName('Together AI', {})).toBe('together ai');
+  expect(resolveAdapterName('Together AI', { OPENAI_COMPATIBLE_PROVIDER: 'Together AI' })).toBe('custom');
+});
+
+await test('registerAdapter: plugs in a new adapter', () => {
+  registerAdapter({
+    name: 'Cerebras',
+    providerName: 'Cerebras',
+    envKeys: ['CEREBRAS_API_KEY'],
+    create: env => new OpenAICompatibleAdapter({
+      name: 'cerebras',
+      providerName: 'Cerebras',
+      apiKey: env.CEREBRAS_API_KEY,
+      baseUrl: 'https://api.cerebras.ai/v1',
+      defaultModel: 'llama3.1-8b'
+    })
+  });
+
+  const [{ name, adapter }] = createConfiguredAdapters({ CEREBRAS_API_KEY: 'c' });
+  expect(name).toBe('cerebras');
+  expect(adapter.baseUrl).toBe('https://api.cerebras.ai/v1');
+  expect(getAdapterDefinitions({}).find(d => d.name === 'cerebras').capabilities.streaming).toBe(true);
+});
+
+await test('registerAdapter: rejects incomplete definitions', () => {
+  let threw = false;
+  try {
+    registerAdapter({ name: 'broken', envKeys: [] });
+  } catch (error) {
+    threw = true;
+  }
+  expect(threw).toBe(true);
+});
+
+await test('GeminiAdapter: translates messages and reads usageMetadata', async () => {
+  const calls = stubFetch({
+    candidates: [{ content: { parts: [{ text: 'Bonjour' }] } }],
+    usageMetadata: { promptTokenCount: 12, candidatesTokenCount: 3, thoughtsTokenCount: 2 }
+  });
+
+  const adapter = new GeminiAdapter({ apiKey: 'g' });
+  const result = await adapter.generate([
+    { role: 'system', content: 'Translate to French' },
+    { role: 'user', content: 'Hello' }
+  ], { maxTokens: 50, stop: 'END' });
+
+  expect(calls[0].url.endsWith('/models/gemini-2.5-flash-lite:generateContent')).toBe(true);
+  expect(calls[0].init.headers['x-goog-api-key']).toBe('g');
+  expect(calls[0].body.systemInstruction.parts[0].text).toBe('Translate to French');
+  expect(calls[0].body.contents[0].role).toBe('user');
+  expect(calls[0].body.generationConfig.stopSequences).toEqual(['END']);
+  expect(result.text).toBe('Bonjour');
+  expect(result.tokens.output).toBe(5);
+  expect(result.cost > 0).toBe(true);
+});
+
+await test('OpenAICompatibleAdapter: self-hosted endpoint sends no key and costs nothing', async () => {
+  const calls = stubFetch({
+    choices: [{ message: { content: 'hi' } }],
+    usage: { prompt_tokens: 4, completion_tokens: 1 }
+  });
+
+  const [{ adapter }] = createConfiguredAdapters(localEnv);
+  const result = await adapter.generate('hello');
+
+  expect(calls[0].url).toBe('http://localhost:8000/v1/chat/completions');
+  expect(calls[0].init.headers.Authorization).toBe(undefined);
+  expect(calls[0].body.model).toBe('llama-3.1-8b-instruct');
+  expect(result.cost).toBe(0);
+});
+
+await test('OpenAIAdapter: the shared chat completions client, priced at OpenAI rates', async () => {
+  const calls = stubFetch({
+    choices: [{ message: { content: 'hi' } }],
+    usage: { prompt_tokens: 1_000_000, completion_tokens: 1_000_000 }
+  });
+
+  const adapter = new OpenAIAdapter({ apiKey: 'sk' });
+  const result = await adapter.generate('hello');
+
+  expect(adapter instanceof OpenAICompatibleAdapter).toBe(true);
+  expect(calls[0].url).toBe('https://api.openai.com/v1/chat/completions');
+  expect(calls[0].init.headers.Authorization).toBe('Bearer sk');
+  expect(calls[0].body.model).toBe('gpt-4o-mini');
+  // gpt-4o-mini: $0.15 in / $0.60 out per 1M
+  expect(result.cost).toBeCloseTo(0.75);
+});
+
+await test('getSelfHostedRates: one $0 row per configured model', () => {
+  const rates = getSelfHostedRates(['custom'], localEnv);
+  expect(rates.map(r => r.model)).toEqual(['llama-3.1-8b-instruct', 'qwen2.5-7b']);
+  expect(rates[0].output_price).toBe(0);
+  expect(getSelfHostedRates(['custom'], { ...localEnv, OPENAI_COMPATIBLE_PROVIDER: 'Together AI' }).length).toBe(0);
+});
+
+await test('selectProvider: routes text tasks to a self-hosted endpoint when cheapest', () => {
+  Object.assign(process.env, localEnv);
+  try {
+    const ranked = selectProvider('text-generation', 'cost', {}, ['custom', 'openai']);
+    expect(ranked[0].adapter).toBe('custom');
+    expect(ranked[0].estimatedCost).toBe(0);
+    expect(ranked.some(r => r.adapter === 'openai')).toBe(true);
+
+    expect(selectProvider('image-generation', 'cost', {}, ['custom']).length).toBe(0);
+  } finally {
+    delete process.env.OPENAI_COMPATIBLE_BASE_URL;
+    delete process.env.OPENAI_COMPATIBLE_MODELS;
+  }
+});
+
+await test('selectProvider + executeWithFallback: DB provider names reach the right adapter', async () => {
+  const ranked = selectProvider('text-generation', 'cost', {}, ['gemini']);
+  expect(ranked[0].providerName).toBe('Google AI');
+  expect(ranked[0].adapter).toBe('gemini');
+
+  const adapterMap = {
+    gemini: { generate: async (prompt, options) => ({ text: 'ok', tokens: { input: 1, output: 1 }, cost: 0, model: options.model }) }
+  };
+  const { provider } = await executeWithFallback(ranked, adapterMap, 'hi');
+  expect(provider).toBe('gemini');
+});
+
+finish();
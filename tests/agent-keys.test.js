@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+/**
+ * tests/agent-keys.test.js
+ * Multiple API keys per agent: scopes, expiry, last use, rotation with overlap and revocation,
+ * enforced over HTTP (requireAuth/requireScope/optionalAuth) and the alert WebSocket
+ */
+
+import express from 'express';
+import { WebSocket } from 'ws';
+import { runQuery, getOne } from '../src/db/database.js';
+import { createAgent, getAgentByKey } from '../src/db/agents.js';
+import { API_KEY_SCOPES } from '../src/db/agent-keys.js';
+import agentsRouter from '../src/api/agents.js';
+import budgetRouter from '../src/api/budget.js';
+import smartRouteRouter from '../src/api/smart-route.js';
+import { initAlertWebSocket, closeAllConnections } from '../src/gateway/websocket-alerts.js';
+import { test, expect, initTestDatabase, finish } from './helpers.js';
+
+initTestDatabase();
+
+const app = express();
+app.use(express.json());
+app.use('/v1/agents', agentsRouter);
+app.use('/v1/budget', budgetRouter);
+app.use('/v1/smart-route', smartRouteRouter);
+
+// Explain never calls the adapters
+app.locals.adapterMap = { openai: {}, deepseek: {} };
+
+const server = app.listen(0);
+const wss = initAlertWebSocket(server);
+
+const call = async (method, path, apiKey, body) => {
+  const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...(apiKey && { Authorization: `Bearer ${apiKey}` }) },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const agent = createAgent('keys-owner');
+
+await test('createAgent: the first key is the default key with every scope', async () => {
+  const { status, body } = await call('GET', '/v1/agents/me/keys', agent.apiKey);
+
+  expect(status).toBe(200);
+  expect(body.data.length).toBe(1);
+  expect(body.data[0].name).toBe('default');
+  expect(body.data[0].scopes.join(',')).toBe(API_KEY_SCOPES.join(','));
+  expect(body.data[0].apiKey).toBe(undefined);
+  expect(body.data[0].lastUsedAt === null).toBe(false);
+});
+
+await test('POST /me/keys: validates name, scopes and expiry', async () => {
+  expect((await call('POST', '/v1/agents/me/keys', agent.apiKey, { name: 'ci', scopes: ['admin'] })).status).toBe(400);
+  expect((await call('POST', '/v1/agents/me/keys', agent.apiKey, { name: 'ci', scopes: [] })).status).toBe(400);
+
+  const { body } = await call('POST', '/v1/agents/me/keys', agent.apiKey, { name: 'ci', scopes: ['route'], expiresAt: '2020-01-01T00:00:00Z' });
+  expect(body.error).toBe('expiresAt must be in the future');
+});
+
+await test('scopes: a key only reaches the endpoints it is scoped for', async () => {
+  const { status, body } = await call('POST', '/v1/agents/me/keys', agent.apiKey, { name: 'dashboard', scopes: ['rates:read'] });
+  expect(status).toBe(201);
+
+  const readOnly = body.data.apiKey;
+  const denied = await call('GET', `/v1/budget/${agent.id}`, readOnly);
+  expect(denied.status).toBe(403);
+  expect(denied.body.message).toBe("This API key does not have the 'budget:manage' scope");
+
+  expect((await call('GET', '/v1/agents/me/keys', readOnly)).status).toBe(403);
+  expect((await call('GET', `/v1/budget/${agent.id}`, agent.apiKey)).status).toBe(200);
+});
+
+await test('optionalAuth: a key without route is treated as anonymous, an invalid key is refused', async () => {
+  const request = { prompt: 'hi', task: 'text-generation' };
+  const { body } = await call('POST', '/v1/agents/me/keys', agent.apiKey, { name: 'rates-only', scopes: ['rates:read'] });
+
+  expect((await call('POST', '/v1/smart-route/explain', null, request)).status).toBe(200);
+
+  // Anonymous explain leaves out the budget; the full key gets its agent's
+  const ratesOnly = await call('POST', '/v1/smart-route/explain', body.data.apiKey, request);
+  expect(ratesOnly.status).toBe(200);
+  expect(ratesOnly.body.data.budget).toBe(null);
+  expect((await call('POST', '/v1/smart-route/explain', agent.apiKey, request)).body.data.budget === null).toBe(false);
+
+  expect((await call('POST', '/v1/smart-route/explain', 'aro_not_a_key', request)).status).toBe(401);
+});
+
+await test('a key cannot create, rotate or revoke keys with scopes it lacks', async () => {
+  const { body } = await call('POST', '/v1/agents/me/keys', agent.apiKey, { name: 'key-admin', scopes: ['keys:manage', 'route'] });
+  const keyAdmin = body.data.apiKey;
+
+  const created = await call('POST', '/v1/agents/me/keys', keyAdmin, { name: 'x', scopes: ['budget:manage'] });
+  expect(created.status).toBe(403);
+
+  const defaultKey = (await call('GET', '/v1/agents/me/keys', keyAdmin)).body.data.find(k => k.name === 'default');
+  expect((await call('POST', `/v1/agents/me/keys/${defaultKey.id}/rotate`, keyAdmin, {})).status).toBe(403);
+
+  const revoke = await call('DELETE', `/v1/agents/me/keys/${defaultKey.id}`, keyAdmin);
+  expect(revoke.status).toBe(403);
+  expect(revoke.body.message).toBe('A key can only be revoked by a key holding all of its scopes');
+  expect((await call('GET', '/v1/agents/me/keys', agent.apiKey)).status).toBe(200);
+
+  // Keys within its own scopes it can still manage
+  const narrow = (await call('POST', '/v1/agents/me/keys', keyAdmin, { name: 'narrow', scopes: ['route'] })).body.data;
+  expect((await call('POST', `/v1/agents/me/keys/${narrow.id}/rotate`, keyAdmin, {})).status).toBe(201);
+  expect((await call('DELETE', `/v1/agents/me/keys/${narrow.id}`, keyAdmin)).body.data.status).toBe('revoked');
+});
+
+await test('expired keys are refused with 401', async () => {
+  const { body } = await call('POST', '/v1/agents/me/keys', agent.apiKey, { name: 'temp', scopes: ['budget:manage'], expiresAt: '2099-01-01T00:00:00Z' });
+  expect((await call('GET', `/v1/budget/${agent.id}`, body.data.apiKey)).status).toBe(200);
+
+  runQuery("UPDATE agent_keys SET expires_at = '2020-01-01 00:00:00' WHERE id = ?", [body.data.id]);
+
+  const { status, body: error } = await call('GET', `/v1/budget/${agent.id}`, body.data.apiKey);
+  expect(status).toBe(401);
+  expect(error.error).toBe('API key expired');
+});
+
+await test('rotation: new key works at once, the old one until the overlap ends', async () => {
+  const { body } = await call('POST', '/v1/agents/me/keys', agent.apiKey, { name: 'worker', scopes: ['budget:manage'] });
+  const old = body.data;
+
+  const rotated = await call('POST', `/v1/agents/me/keys/${old.id}/rotate`, agent.apiKey, { overlapSeconds: 3600 });
+  expect(rotated.status).toBe(201);
+  expect(rotated.body.data.key.name).toBe('worker');
+  expect(rotated.body.data.key.rotatedFrom).toBe(old.id);
+  expect(rotated.body.data.previous.expiresAt === null).toBe(false);
+
+  expect((await call('GET', `/v1/budget/${agent.id}`, rotated.body.data.key.apiKey)).status).toBe(200);
+  expect((await call('GET', `/v1/budget/${agent.id}`, old.apiKey)).status).toBe(200);
+
+  const again = await call('POST', `/v1/agents/me/keys/${rotated.body.data.key.id}/rotate`, agent.apiKey, { overlapSeconds: 0 });
+  expect((await call('GET', `/v1/budget/${agent.id}`, rotated.body.data.key.apiKey)).body.error).toBe('API key expired');
+  expect((await call('GET', `/v1/budget/${agent.id}`, again.body.data.key.apiKey)).status).toBe(200);
+
+  expect((await call('POST', '/v1/agents/me/keys/999/rotate', agent.apiKey, {})).status).toBe(404);
+});
+
+await test('revocation: revoked keys fail everywhere and stay listed', async () => {
+  const { body } = await call('POST', '/v1/agents/me/keys', agent.apiKey, { name: 'leaked', scopes: ['budget:manage'] });
+
+  const revoked = await call('DELETE', `/v1/agents/me/keys/${body.data.id}`, agent.apiKey);
+  expect(revoked.body.data.status).toBe('revoked');
+
+  expect((await call('GET', `/v1/budget/${agent.id}`, body.data.apiKey)).body.error).toBe('API key revoked');
+  expect(getAgentByKey(body.data.apiKey)).toBe(null);
+  expect(getAgentByKey(agent.apiKey).id).toBe(agent.id);
+
+  // Another agent cannot revoke this agent's keys
+  const other = createAgent('keys-other');
+  expect((await call('DELETE', `/v1/agents/me/keys/${body.data.id}`, other.apiKey)).status).toBe(404);
+});
+
+await test('last use is recorded on the key', async () => {
+  const { body } = await call('POST', '/v1/agents/me/keys', agent.apiKey, { name: 'usage', scopes: ['budget:manage'] });
+  expect(getOne('SELECT last_used_at FROM agent_keys WHERE id = ?', [body.data.id]).last_used_at).toBe(null);
+
+  await call('GET', `/v1/budget/${agent.id}`, body.data.apiKey);
+  expect(getOne('SELECT last_used_at FROM agent_keys WHERE id = ?', [body.data.id]).last_used_at === null).toBe(false);
+});
+
+/**
+ * Authenticate on the alert WebSocket and return the first reply
+ * @param {string} apiKey
+ * @returns {Promise<Object>}
+ */
+const wsAuth = (apiKey) => new Promise((resolve, reject) => {
+  const ws = new WebSocket(`ws://127.0.0.1:${server.address().port}/ws/alerts`);
+  ws.on('open', () => ws.send(JSON.stringify({ type: 'auth', agentId: agent.id, apiKey })));
+  ws.on('message', (data) => {
+    ws.close();
+    resolve(JSON.parse(data.toString()));
+  });
+  ws.on('error', reject);
+});
+
+await test('WebSocket alerts: needs an active key with alerts:manage', async () => {
+  expect((await wsAuth(agent.apiKey)).type).toBe('connected');
+
+  const { body } = await call('POST', '/v1/agents/me/keys', agent.apiKey, { name: 'no-alerts', scopes: ['route'] });
+  const reply = await wsAuth(body.data.apiKey);
+  expect(reply.type).toBe('error');
+  expect(reply.message).toBe("API key does not have the 'alerts:manage' scope");
+
+  await call('DELETE', `/v1/agents/me/keys/${body.data.id}`, agent.apiKey);
+  expect((await wsAuth(body.data.apiKey)).message).toBe('API key revoked');
+});
+
+closeAllConnections();
+wss.close();
+server.close();
+
+finish();
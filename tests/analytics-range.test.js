@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+/**
+ * tests/analytics-range.test.js
+ * GET /v1/analytics/:agentId with from/to, granularity, groupBy, previous-window comparison and cost percentiles
+ */
+
+import express from 'express';
+import { runQuery } from '../src/db/database.js';
+import { createAgent } from '../src/db/agents.js';
+import analyticsRouter from '../src/api/analytics.js';
+import { test, expect, initTestDatabase, finish } from './helpers.js';
+
+initTestDatabase({ seed: false });
+
+const agent = createAgent('analytics-range');
+
+const log = (createdAt, cost, { provider = 'openai', model = 'gpt-4o-mini', task = 'chat', status = 'success' } = {}) => {
+  runQuery(
+    `INSERT INTO request_log (agent_id, provider, model, category, cost, latency_ms, tokens_in, tokens_out, status, created_at)
+     VALUES (?, ?, ?, ?, ?, 100, 10, 10, ?, ?)`,
+    [agent.id, provider, model, task, cost, status, createdAt]
+  );
+};
+
+// Week of 2026-03-09 (Monday) vs the week before
+log('2026-03-02 10:00:00', 0.5);
+log('2026-03-03 10:00:00', 0.5, { provider: 'deepseek', model: 'deepseek-chat' });
+log('2026-03-09 08:15:00', 0.1);
+log('2026-03-09 08:45:00', 0.2);
+log('2026-03-10 12:00:00', 0.3, { provider: 'deepseek', model: 'deepseek-chat', task: 'summarization' });
+log('2026-03-11 12:00:00', 0.4);
+log('2026-03-12 12:00:00', 0, { status: 'failed' });
+log('2026-03-16 00:00:00', 9); // first second after the window
+
+const app = express();
+app.use('/v1/analytics', analyticsRouter);
+
+const server = app.listen(0);
+const get = async (query) => {
+  const response = await fetch(`http://127.0.0.1:${server.address().port}/v1/analytics/${agent.id}?${new URLSearchParams(query)}`);
+  return { status: response.status, body: await response.json() };
+};
+
+const week = { from: '2026-03-09', to: '2026-03-16' };
+
+await test('from/to bound the totals; percentiles cover successful priced requests', async () => {
+  const { status, body } = await get(week);
+  const data = body.data;
+
+  expect(status).toBe(200);
+  expect(data.period).toBe(null);
+  expect(data.totalSpent).toBeCloseTo(1.0);
+  expect(data.totalRequests).toBe(5);
+  expect(data.p50Cost).toBeCloseTo(0.2);
+  expect(data.p95Cost).toBeCloseTo(0.4);
+  expect(data.byProvider.deepseek).toBeCloseTo(0.3);
+});
+
+await test('compares with the same span right before from', async () => {
+  const { body } = await get(week);
+  const data = body.data;
+
+  expect(data.previous.from).toBe('2026-03-02T00:00:00.000Z');
+  expect(data.previous.totalSpent).toBeCloseTo(1.0);
+  expect(data.previous.totalRequests).toBe(2);
+  expect(data.change.spent).toBe(0);
+  expect(data.change.requests).toBe(150);
+});
+
+await test('granularity buckets the series', async () => {
+  let { body } = await get({ ...week, granularity: 'hour' });
+  expect(body.data.series[0].bucket).toBe('2026-03-09 08:00:00');
+  expect(body.data.series[0].requests).toBe(2);
+
+  ({ body } = await get({ from: '2026-03-01', to: '2026-03-16', granularity: 'week' }));
+  expect(body.data.series.map(s => s.bucket).join(',')).toBe('2026-03-02,2026-03-09');
+  expect(body.data.series[1].requests).toBe(5);
+});
+
+await test('groupBy splits groups and series, with previous spend per group', async () => {
+  const { body } = await get({ ...week, groupBy: 'provider,task' });
+  const { groups, series } = body.data;
+
+  const openai = groups.find(g => g.provider === 'openai' && g.task === 'chat');
+  expect(openai.spent).toBeCloseTo(0.7);
+  expect(openai.requests).toBe(4);
+  expect(openai.p95Cost).toBeCloseTo(0.4);
+  expect(openai.previousSpent).toBeCloseTo(0.5);
+  expect(openai.spentChange).toBe(40);
+
+  const summarization = groups.find(g => g.task === 'summarization');
+  expect(summarization.previousSpent).toBe(0);
+  expect(summarization.spentChange).toBe(null);
+
+  expect(series.some(s => s.bucket === '2026-03-10' && s.provider === 'deepseek')).toBe(true);
+});
+
+await test('rejects invalid ranges, granularity and groupBy', async () => {
+  expect((await get({ from: 'yesterday' })).status).toBe(400);
+  expect((await get({ from: '2026-03-10', to: '2026-03-09' })).status).toBe(400);
+  expect((await get({ to: '2026-03-09' })).status).toBe(400);
+  expect((await get({ granularity: 'minute' })).status).toBe(400);
+
+  const { status, body } = await get({ groupBy: 'provider,region' });
+  expect(status).toBe(400);
+  expect(body.error).toBe('Invalid groupBy. Must be a comma-separated list of: provider, model, task, status, tag:<key>');
+});
+
+await test('defaults to the current UTC month', async () => {
+  const { body } = await get({});
+  expect(body.data.period).toBe(new Date().toISOString().slice(0, 7));
+  expect(body.data.granularity).toBe('day');
+  expect(body.data.groups).toBe(null);
+});
+
+server.close();
+
+finish();
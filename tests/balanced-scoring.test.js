@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+/**
+ * tests/balanced-scoring.test.js
+ * Min-max normalized scoring, per-request weights and score breakdowns
+ */
+
+import { seedQualityScores } from '../src/router/quality.js';
+import {
+  DEFAULT_BALANCED_WEIGHTS,
+  selectProvider,
+  validateWeights,
+  resolveWeights
+} from '../src/router/decision.js';
+import { buildCacheKey } from '../src/router/cache.js';
+import { smartRoute } from '../src/router/index.js';
+import { test, expect, initTestDatabase, finish } from './helpers.js';
+
+initTestDatabase();
+seedQualityScores();
+
+const ALL = ['openai', 'anthropic', 'deepseek', 'gemini', 'mistral', 'groq', 'xai'];
+
+await test('resolveWeights: strategies map to single components, custom weights are normalized', () => {
+  expect(resolveWeights('cost').cost).toBe(1);
+  expect(resolveWeights('speed').latency).toBe(1);
+  expect(resolveWeights('balanced').cost).toBeCloseTo(DEFAULT_BALANCED_WEIGHTS.cost);
+
+  const custom = resolveWeights('balanced', { cost: 3, quality: 1 });
+  expect(custom.cost).toBeCloseTo(0.75);
+  expect(custom.latency).toBe(0);
+  expect(custom.quality).toBeCloseTo(0.25);
+
+  // Custom weights are ignored by single-objective strategies
+  expect(resolveWeights('quality', { cost: 1 }).quality).toBe(1);
+});
+
+await test('validateWeights: rejects unknown, negative and all-zero weights', () => {
+  expect(validateWeights({ price: 1 })).toBe('unknown weight(s): price. Use cost, latency, quality');
+  expect(validateWeights({ cost: -1, quality: 2 })).toBe('weights must be non-negative numbers');
+  expect(validateWeights({ cost: 0 })).toBe('at least one weight must be greater than 0');
+  expect(validateWeights({ cost: 0.5, latency: 0.2, quality: 0.3 })).toBe(null);
+});
+
+await test('selectProvider balanced: normalized components stay in 0..1 and sum to the score', () => {
+  const ranked = selectProvider('text-generation', 'balanced', {}, ALL);
+
+  for (const provider of ranked) {
+    const parts = Object.values(provider.scoreBreakdown);
+    expect(parts.every(p => p.normalized >= 0 && p.normalized <= 1)).toBe(true);
+    expect(parts.reduce((sum, p) => sum + p.contribution, 0)).toBeCloseTo(provider.score);
+  }
+});
+
+await test('selectProvider balanced: cost no longer dominates the score', () => {
+  const ranked = selectProvider('text-generation', 'balanced', {}, ALL);
+  const cheapest = selectProvider('text-generation', 'cost', {}, ALL)[0];
+
+  // With fixed-constant scaling the cheapest model always won; now quality counts too
+  expect(ranked[0].scoreBreakdown.quality.contribution > 0).toBe(true);
+  expect(ranked[0].model === cheapest.model).toBe(false);
+});
+
+await test('selectProvider balanced: weights steer the winner', () => {
+  const costHeavy = selectProvider('text-generation', 'balanced', {}, ALL, {}, { cost: 1 });
+  const qualityHeavy = selectProvider('text-generation', 'balanced', {}, ALL, {}, { quality: 1 });
+
+  expect(costHeavy[0].model).toBe(selectProvider('text-generation', 'cost', {}, ALL)[0].model);
+  expect(qualityHeavy[0].model).toBe('gemini-3-pro-preview');
+  expect(qualityHeavy[0].scoreBreakdown.quality.normalized).toBe(1);
+});
+
+await test('selectProvider cost: the cheapest candidate scores 1', () => {
+  const [best] = selectProvider('text-generation', 'cost', {}, ALL);
+  expect(best.scoreBreakdown.cost.normalized).toBe(1);
+  expect(best.score).toBe(1);
+});
+
+await test('buildCacheKey: balanced weights are part of the key', () => {
+  const base = { agentId: 1, task: 'text-generation', optimize: 'balanced', input: 'hi' };
+  expect(buildCacheKey({ ...base, weights: { cost: 1 } }) === buildCacheKey(base)).toBe(false);
+  expect(buildCacheKey({ ...base, weights: { cost: 0.4, latency: 0.3, quality: 0.3 } })).toBe(buildCacheKey(base));
+});
+
+await test('smartRoute: weights imply balanced and alternatives explain the choice', async () => {
+  const adapterMap = Object.fromEntries(ALL.map(name => [name, {
+    generate: async (prompt, options) => ({ text: 'ok', tokens: { input: 2, output: 1 }, cost: 0.0001, model: options.model })
+  }]));
+
+  const result = await smartRoute({ prompt: 'hi', task: 'text-generation', weights: { quality: 1 } }, adapterMap);
+  expect(result.model).toBe('gemini-3-pro-preview');
+  expect(result.alternatives[0].scoreBreakdown.quality.weight).toBe(1);
+  expect(typeof result.alternatives[1].score).toBe('number');
+});
+
+finish();
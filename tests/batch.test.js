@@ -0,0 +1,207 @@
+#!/usr/bin/env node
+/**
+ * tests/batch.test.js
+ * Batch smart routing: bounded concurrency, budget reservations, per-item failures, summary
+ */
+
+import express from 'express';
+import { createAgent } from '../src/db/agents.js';
+import { setBudget, checkBudget, getBudgetStatus } from '../src/router/budget.js';
+import { estimateRouteCost } from '../src/router/index.js';
+import { mapWithConcurrency, runBatch } from '../src/router/batch.js';
+import smartRouteRouter from '../src/api/smart-route.js';
+import { test, expect, initTestDatabase, finish } from './helpers.js';
+
+initTestDatabase();
+
+/**
+ * Fake adapter answering after `ms`; prompts containing "fail" are rejected.
+ * Tracks calls in flight so tests can check the concurrency limit.
+ */
+const fakeAdapter = (ms = 5, cost = 0.001) => ({
+  calls: 0,
+  inFlight: 0,
+  maxInFlight: 0,
+  async generate(prompt, options) {
+    this.calls++;
+    this.inFlight++;
+    this.maxInFlight = Math.max(this.maxInFlight, this.inFlight);
+    await new Promise(resolve => setTimeout(resolve, ms));
+    this.inFlight--;
+
+    if (String(prompt).includes('fail')) {
+      throw new Error('upstream 503');
+    }
+
+    return { text: 'ok', tokens: { input: 5, output: 2 }, cost, model: options.model };
+  }
+});
+
+await test('mapWithConcurrency: keeps order and never exceeds the limit', async () => {
+  let inFlight = 0;
+  let maxInFlight = 0;
+
+  const results = await mapWithConcurrency([5, 1, 3, 2, 4], 2, async (ms, index) => {
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    await new Promise(resolve => setTimeout(resolve, ms));
+    inFlight--;
+    return index * 10;
+  });
+
+  expect(results.join(',')).toBe('0,10,20,30,40');
+  expect(maxInFlight).toBe(2);
+});
+
+await test('runBatch: items fail one by one, the summary adds up the rest', async () => {
+  const agent = createAgent('batch-partial');
+  setBudget(agent.id, 10);
+
+  const adapterMap = { openai: fakeAdapter(), deepseek: fakeAdapter() };
+  const { results, summary } = await runBatch([
+    { prompt: 'one', task: 'text-generation' },
+    { prompt: 'please fail', task: 'text-generation', model: 'no-such-model' },
+    { prompt: 'three', task: 'text-generation' },
+    { prompt: '', task: 'text-generation' }
+  ], adapterMap, {
+    agentId: agent.id,
+    concurrency: 2,
+    validate: request => (request.prompt ? null : 'Missing prompt')
+  });
+
+  expect(results.map(r => r.success).join(',')).toBe('true,false,true,false');
+  expect(results[3].code).toBe(400);
+  expect(results[1].index).toBe(1);
+
+  expect(summary.total).toBe(4);
+  expect(summary.succeeded).toBe(2);
+  expect(summary.failed).toBe(2);
+  expect(summary.totalCost).toBeCloseTo(0.002);
+
+  const providerRequests = Object.values(summary.byProvider).reduce((sum, p) => sum + p.requests, 0);
+  expect(providerRequests).toBe(2);
+  expect(getBudgetStatus(agent.id).spent).toBeCloseTo(0.002);
+});
+
+await test('runBatch: items beyond the remaining budget get 402 and are not run', async () => {
+  const request = { prompt: 'x'.repeat(4000), task: 'text-generation' };
+  const adapterMap = { openai: fakeAdapter(), deepseek: fakeAdapter() };
+  const estimate = estimateRouteCost({ ...request, optimize: 'cost' }, adapterMap);
+
+  const agent = createAgent('batch-budget');
+  setBudget(agent.id, estimate * 2.5);
+
+  const { results, summary } = await runBatch([request, request, request, request], adapterMap, { agentId: agent.id });
+
+  expect(results.map(r => r.success).join(',')).toBe('true,true,false,false');
+  expect(results[2].code).toBe(402);
+  expect(results[2].details.estimatedCost).toBeCloseTo(estimate);
+  expect(summary.reserved).toBeCloseTo(estimate * 2);
+  expect(adapterMap.openai.calls + adapterMap.deepseek.calls).toBe(2);
+});
+
+await test('runBatch: reservations are visible to other checks while running and settled after', async () => {
+  const agent = createAgent('batch-reservations');
+  setBudget(agent.id, 10);
+
+  const adapterMap = { openai: fakeAdapter(30), deepseek: fakeAdapter(30) };
+  const running = runBatch(
+    [{ prompt: 'a', task: 'text-generation' }, { prompt: 'b', task: 'text-generation' }],
+    adapterMap,
+    { agentId: agent.id, concurrency: 1 }
+  );
+
+  await new Promise(resolve => setTimeout(resolve, 5));
+  expect(checkBudget(agent.id, 0).reserved > 0).toBe(true);
+
+  const { summary } = await running;
+  expect(summary.reserved > 0).toBe(true);
+  expect(checkBudget(agent.id, 0).reserved).toBe(0);
+  expect(adapterMap.openai.maxInFlight + adapterMap.deepseek.maxInFlight <= 2).toBe(true);
+});
+
+// HTTP: request validation and per-item errors
+const app = express();
+app.use(express.json());
+app.locals.adapterMap = { openai: fakeAdapter(), deepseek: fakeAdapter() };
+app.use('/v1/smart-route', smartRouteRouter);
+
+const server = app.listen(0);
+const post = (body, apiKey) => fetch(`http://127.0.0.1:${server.address().port}/v1/smart-route/batch`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', ...(apiKey && { Authorization: `Bearer ${apiKey}` }) },
+  body: JSON.stringify(body)
+});
+
+await test('POST /batch: rejects a missing requests array and bad concurrency', async () => {
+  let response = await post({ requests: [] });
+  expect(response.status).toBe(400);
+
+  response = await post({ requests: [{ prompt: 'hi', task: 'text-generation' }], concurrency: 50 });
+  expect(response.status).toBe(400);
+  expect((await response.json()).error).toBe('Invalid concurrency. Must be an integer between 1 and 20');
+});
+
+await test('POST /batch: invalid items fail with 400 while valid items are routed', async () => {
+  const response = await post({
+    requests: [
+      { prompt: 'hi', task: 'text-generation' },
+      { prompt: 'hi', task: 'text-generation', stream: true },
+      'not an object'
+    ]
+  });
+  const body = await response.json();
+
+  expect(response.status).toBe(200);
+  expect(body.data.results[0].success).toBe(true);
+  expect(body.data.results[1].code).toBe(400);
+  expect(body.data.results[1].error).toBe('stream is not supported in batch requests');
+  expect(body.data.results[2].code).toBe(400);
+  expect(body.data.summary.succeeded).toBe(1);
+});
+
+await test("POST /batch: with an API key the key's agent is billed, another agentId is refused", async () => {
+  const owner = createAgent('batch-owner');
+  const victim = createAgent('batch-victim');
+  setBudget(owner.id, 10);
+  setBudget(victim.id, 10);
+
+  const requests = [{ prompt: 'hi', task: 'text-generation' }];
+
+  const refused = await post({ requests, agentId: victim.id }, owner.apiKey);
+  expect(refused.status).toBe(403);
+  expect((await refused.json()).message).toBe("agentId does not match the API key's agent");
+
+  expect((await post({ requests, agentId: owner.id }, owner.apiKey)).status).toBe(200);
+  expect((await post({ requests }, owner.apiKey)).status).toBe(200);
+
+  expect(getBudgetStatus(owner.id).spent).toBeCloseTo(0.002);
+  expect(getBudgetStatus(victim.id).spent).toBe(0);
+});
+
+await test('POST /batch and POST /: an agentId never bills another agent', async () => {
+  const caller = createAgent('route-caller');
+  const victim = createAgent('route-victim');
+  setBudget(caller.id, 10);
+  setBudget(victim.id, 10);
+
+  const requests = [{ prompt: 'hi', task: 'text-generation' }];
+
+  const anonymous = await post({ requests, agentId: victim.id });
+  expect(anonymous.status).toBe(401);
+
+  const single = await fetch(`http://127.0.0.1:${server.address().port}/v1/smart-route`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${caller.apiKey}` },
+    body: JSON.stringify({ ...requests[0], agentId: victim.id })
+  });
+  expect(single.status).toBe(403);
+
+  const victimStatus = getBudgetStatus(victim.id);
+  expect(victimStatus.spent).toBe(0);
+  expect(victimStatus.reserved).toBe(0);
+});
+
+server.close();
+
+finish();
@@ -0,0 +1,187 @@
+#!/usr/bin/env node
+/**
+ * tests/budget-alerts.test.js
+ * Budget threshold and projected-overrun notifications
+ */
+
+import express from 'express';
+import { runQuery, getAll } from '../src/db/database.js';
+import { createAgent } from '../src/db/agents.js';
+import { setBudget, recordSpend } from '../src/router/budget.js';
+import { setBudgetLimit, createBudgetGroup, setAgentBudgetGroup } from '../src/router/budget-limits.js';
+import {
+  validateBudgetAlert,
+  createBudgetAlert,
+  projectSpend,
+  checkBudgetAlerts
+} from '../src/alerts/budget-alerts.js';
+import { smartRoute } from '../src/router/index.js';
+import budgetRouter from '../src/api/budget.js';
+import { test, expect, initTestDatabase, finish } from './helpers.js';
+
+initTestDatabase();
+
+// Local webhook receiver collecting delivered payloads
+const received = [];
+const hookApp = express();
+hookApp.use(express.json());
+hookApp.post('/hook', (req, res) => {
+  received.push(req.body);
+  res.json({ ok: true });
+});
+const hookServer = hookApp.listen(0);
+const webhookUrl = `http://127.0.0.1:${hookServer.address().port}/hook`;
+
+// Spend logged now, as smartRoute() would
+const logSpend = (agentId, cost) => {
+  runQuery(
+    `INSERT INTO request_log (agent_id, provider, model, category, cost, latency_ms, tokens_in, tokens_out, status)
+     VALUES (?, 'openai', 'm', 'text-generation', ?, 100, 10, 10, 'success')`,
+    [agentId, cost]
+  );
+};
+
+// Noon UTC today: half of the current daily window has elapsed
+const todayNoon = () => {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), 12));
+};
+
+await test('validateBudgetAlert and projectSpend', () => {
+  expect(validateBudgetAlert({ notifyMethod: 'websocket' })).toBe(null);
+  expect(validateBudgetAlert({ notifyMethod: 'sms' })).toBe('Invalid notifyMethod. Must be one of: webhook, email, websocket');
+  expect(validateBudgetAlert({ notifyMethod: 'webhook' })).toBe('webhookUrl required for webhook notify method');
+  expect(validateBudgetAlert({ notifyMethod: 'websocket', thresholds: [50, 150] }))
+    .toBe('thresholds must be integers between 1 and 100 (percent of the limit)');
+
+  const start = new Date('2026-10-01T00:00:00Z');
+  const end = new Date('2026-10-11T00:00:00Z');
+  expect(projectSpend(2, start, end, new Date('2026-10-06T00:00:00Z'))).toBeCloseTo(4);
+  expect(projectSpend(2, start, end, new Date('2026-10-01T12:00:00Z'))).toBe(null);
+});
+
+await test('thresholds fire once per window and only the highest new one is sent', async () => {
+  const agent = createAgent('budget-alerts-monthly');
+  setBudget(agent.id, 1);
+  const alert = createBudgetAlert({ agentId: agent.id, notifyMethod: 'webhook', webhookUrl, projectedOverrun: false });
+
+  recordSpend(agent.id, 0.85);
+  let fired = await checkBudgetAlerts(agent.id);
+  expect(fired.length).toBe(1);
+  expect(fired[0].threshold).toBe(80);
+  expect(fired[0].notified).toBe(true);
+
+  const payload = received[received.length - 1];
+  expect(payload.event).toBe('budget_alert');
+  expect(payload.budget.period).toBe('monthly');
+  expect(payload.percentUsed).toBe(85);
+
+  // 50% is recorded without its own notification
+  const firings = getAll('SELECT threshold, notified FROM budget_alert_firings WHERE budget_alert_id = ? ORDER BY threshold', [alert.id]);
+  expect(firings.map(f => `${f.threshold}:${f.notified}`).join(',')).toBe('50:0,80:1');
+
+  fired = await checkBudgetAlerts(agent.id);
+  expect(fired.length).toBe(0);
+
+  recordSpend(agent.id, 0.2);
+  fired = await checkBudgetAlerts(agent.id);
+  expect(fired.map(f => f.threshold).join(',')).toBe('100');
+});
+
+await test('projected overrun warns once while the limit still has room', async () => {
+  const agent = createAgent('budget-alerts-projected');
+  const limit = setBudgetLimit({ agentId: agent.id, period: 'daily', limit: 1 });
+  createBudgetAlert({ agentId: agent.id, limitId: limit.id, thresholds: [90], notifyMethod: 'webhook', webhookUrl });
+
+  logSpend(agent.id, 0.3);
+  expect((await checkBudgetAlerts(agent.id, { now: todayNoon() })).length).toBe(0);
+
+  logSpend(agent.id, 0.3);
+  const fired = await checkBudgetAlerts(agent.id, { now: todayNoon() });
+  expect(fired.length).toBe(1);
+  expect(fired[0].kind).toBe('projected_overrun');
+
+  const payload = received[received.length - 1];
+  expect(payload.projected).toBeCloseTo(1.2);
+  expect(payload.budget.period).toBe('daily');
+
+  expect((await checkBudgetAlerts(agent.id, { now: todayNoon() })).length).toBe(0);
+});
+
+await test('team limit alerts fire on any member spend and reach the owner', async () => {
+  const owner = createAgent('budget-alerts-team-owner');
+  const member = createAgent('budget-alerts-team-member');
+  const team = createBudgetGroup({ name: 'Ops', ownerAgentId: owner.id });
+  setAgentBudgetGroup(member.id, team.id);
+
+  const limit = setBudgetLimit({ groupId: team.id, period: 'monthly', limit: 2 });
+  createBudgetAlert({ agentId: owner.id, limitId: limit.id, thresholds: [50], projectedOverrun: false, notifyMethod: 'webhook', webhookUrl });
+
+  logSpend(member.id, 1.2);
+  const fired = await checkBudgetAlerts(member.id);
+  expect(fired.length).toBe(1);
+
+  const payload = received[received.length - 1];
+  expect(payload.agentId).toBe(owner.id);
+  expect(payload.budget.owner.name).toBe('Ops');
+});
+
+await test('smartRoute checks budget alerts after billing a request', async () => {
+  const agent = createAgent('budget-alerts-route');
+  setBudget(agent.id, 1);
+  const alert = createBudgetAlert({ agentId: agent.id, thresholds: [1], projectedOverrun: false, notifyMethod: 'webhook', webhookUrl });
+
+  const adapter = {
+    async generate(prompt, options) {
+      return { text: 'ok', tokens: { input: 5, output: 2 }, cost: 0.02, model: options.model };
+    }
+  };
+  await smartRoute({ prompt: 'hi', task: 'text-generation', agentId: agent.id }, { openai: adapter, deepseek: adapter });
+  await new Promise(resolve => setTimeout(resolve, 50));
+
+  expect(received.some(p => p.alertId === alert.id && p.threshold === 1)).toBe(true);
+});
+
+// HTTP: agents manage their own alerts
+const owner = createAgent('budget-alerts-http-owner');
+const other = createAgent('budget-alerts-http-other');
+
+const app = express();
+app.use(express.json());
+app.use('/v1/budget', budgetRouter);
+
+const server = app.listen(0);
+const call = (method, path, apiKey, body) => fetch(`http://127.0.0.1:${server.address().port}/v1/budget${path}`, {
+  method,
+  headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${apiKey}` },
+  body: body ? JSON.stringify(body) : undefined
+});
+
+await test('POST/GET/DELETE /alerts: limits must apply to the agent, owners delete', async () => {
+  const otherLimit = setBudgetLimit({ agentId: other.id, period: 'daily', limit: 1 });
+
+  let response = await call('POST', '/alerts', owner.apiKey, { notifyMethod: 'websocket', limitId: otherLimit.id });
+  expect(response.status).toBe(403);
+
+  response = await call('POST', '/alerts', owner.apiKey, { notifyMethod: 'websocket', thresholds: [80, 50] });
+  const alert = (await response.json()).data;
+  expect(response.status).toBe(200);
+  expect(alert.thresholds.join(',')).toBe('50,80');
+  expect(alert.limitId).toBe(null);
+
+  response = await call('GET', '/alerts', owner.apiKey);
+  const alerts = (await response.json()).data;
+  expect(alerts.length).toBe(1);
+  expect(alerts[0].firings.length).toBe(0);
+
+  response = await call('DELETE', `/alerts/${alert.id}`, other.apiKey);
+  expect(response.status).toBe(403);
+
+  response = await call('DELETE', `/alerts/${alert.id}`, owner.apiKey);
+  expect(response.status).toBe(200);
+});
+
+server.close();
+hookServer.close();
+
+finish();
@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+/**
+ * tests/budget-downgrade.test.js
+ * Budget downgrade policy: cheaper strategy, capped maxTokens and model tier as budget runs low
+ */
+
+import express from 'express';
+import { createAgent } from '../src/db/agents.js';
+import { setBudget, recordSpend, checkBudget } from '../src/router/budget.js';
+import {
+  validateDowngradePolicy,
+  setDowngradePolicy,
+  matchDowngradeLevel,
+  applyDowngrade
+} from '../src/router/downgrade.js';
+import { smartRoute, explainRoute, estimateRouteCost } from '../src/router/index.js';
+import budgetRouter from '../src/api/budget.js';
+import { test, expect, initTestDatabase, finish } from './helpers.js';
+
+initTestDatabase();
+
+// Fake adapter recording the options of its last call
+const fakeAdapter = () => ({
+  lastOptions: null,
+  async generate(prompt, options) {
+    this.lastOptions = options;
+    return { text: 'ok', tokens: { input: 5, output: 2 }, cost: 0.0001, model: options.model };
+  }
+});
+
+const adapters = () => ({ openai: fakeAdapter(), anthropic: fakeAdapter(), deepseek: fakeAdapter() });
+
+await test('validateDowngradePolicy: levels and actions', () => {
+  expect(validateDowngradePolicy({ steps: [{ belowPercent: 20, optimize: 'cost' }] })).toBe(null);
+  expect(validateDowngradePolicy({ steps: [] })).toBe(null);
+  expect(validateDowngradePolicy({})).toBe('Missing or invalid required field: steps (array)');
+  expect(validateDowngradePolicy({ steps: [{ optimize: 'cost' }] })).toBe('steps[0] needs exactly one of belowPercent or belowUsd');
+  expect(validateDowngradePolicy({ steps: [{ belowUsd: 1 }] })).toBe('steps[0] must set at least one of optimize, maxTokens, tier');
+  expect(validateDowngradePolicy({ steps: [{ belowUsd: 1, tier: 'cheap' }] })).toBe('steps[0].tier must be one of: economy, standard, premium');
+});
+
+await test('matchDowngradeLevel and applyDowngrade: cumulative steps only tighten', () => {
+  const policy = {
+    steps: [
+      { belowPercent: 50, optimize: 'cost' },
+      { belowUsd: 1, maxTokens: 200, tier: 'standard' },
+      { belowPercent: 5, maxTokens: 500, tier: 'economy' }
+    ]
+  };
+
+  expect(matchDowngradeLevel(policy, { remaining: 8, limit: 10 })).toBe(0);
+  expect(matchDowngradeLevel(policy, { remaining: 4, limit: 10 })).toBe(1);
+  expect(matchDowngradeLevel(policy, { remaining: 0.9, limit: 100 })).toBe(3);
+  expect(matchDowngradeLevel(policy, { remaining: Infinity, limit: null })).toBe(0);
+
+  const route = {
+    task: 'chat',
+    optimize: 'speed',
+    weights: null,
+    constraints: {},
+    maxTokens: 1000,
+    usage: { inputTokens: 10, outputTokens: 1000 },
+    hedged: true
+  };
+  const { route: downgraded, applied } = applyDowngrade(route, policy, 3);
+
+  expect(downgraded.optimize).toBe('cost');
+  expect(downgraded.maxTokens).toBe(200);
+  expect(downgraded.usage.outputTokens).toBe(200);
+  expect(downgraded.constraints.tier).toBe('economy');
+  expect(downgraded.hedged).toBe(false);
+  expect(Object.keys(applied).join(',')).toBe('optimize,maxTokens,tier');
+});
+
+await test('smartRoute: low remaining budget applies the triggered steps and reports them', async () => {
+  const agent = createAgent('downgrade-low');
+  setBudget(agent.id, 1);
+  recordSpend(agent.id, 0.9);
+  setDowngradePolicy(agent.id, {
+    steps: [
+      { belowPercent: 50, optimize: 'cost' },
+      { belowPercent: 20, maxTokens: 100 }
+    ]
+  });
+
+  const adapterMap = adapters();
+  const result = await smartRoute({ prompt: 'hi', task: 'text-generation', optimize: 'quality', agentId: agent.id }, adapterMap);
+
+  expect(result.downgrade.step).toBe(1);
+  expect(result.downgrade.trigger).toBe('low_budget');
+  expect(result.downgrade.applied.optimize).toBe('cost');
+  expect(adapterMap[result.provider].lastOptions.maxTokens).toBe(100);
+});
+
+await test('smartRoute: a request that does not fit escalates instead of failing with 402', async () => {
+  const request = { prompt: 'x'.repeat(400), task: 'text-generation' };
+  const full = estimateRouteCost(request, adapters());
+  const capped = estimateRouteCost({ ...request, constraints: { maxTokens: 10 } }, adapters());
+
+  const agent = createAgent('downgrade-escalate');
+  setBudget(agent.id, (full + capped) / 2);
+
+  let error = null;
+  try {
+    await smartRoute({ ...request, agentId: agent.id }, adapters());
+  } catch (err) {
+    error = err;
+  }
+  expect(error.code).toBe(402);
+
+  setDowngradePolicy(agent.id, { steps: [{ belowPercent: 10, maxTokens: 10 }] });
+  const result = await smartRoute({ ...request, agentId: agent.id }, adapters());
+
+  expect(result.downgrade.trigger).toBe('budget_exceeded');
+  expect(result.downgrade.applied.maxTokens).toBe(10);
+  expect(checkBudget(agent.id, 0).reserved).toBe(0);
+});
+
+await test('smartRoute: 402 when even the last step does not fit, with the downgrade tried', async () => {
+  const agent = createAgent('downgrade-exhausted');
+  setBudget(agent.id, 0.0000001);
+  setDowngradePolicy(agent.id, { steps: [{ belowPercent: 10, maxTokens: 50, tier: 'economy' }] });
+
+  let error = null;
+  try {
+    await smartRoute({ prompt: 'x'.repeat(4000), task: 'text-generation', agentId: agent.id }, adapters());
+  } catch (err) {
+    error = err;
+  }
+
+  expect(error.code).toBe(402);
+  expect(error.details.downgrade.applied.tier).toBe('economy');
+});
+
+await test('tier step restricts routing to cheaper models; explain shows the downgrade', async () => {
+  const agent = createAgent('downgrade-tier');
+  setBudget(agent.id, 10);
+  recordSpend(agent.id, 9.5);
+  setDowngradePolicy(agent.id, { steps: [{ belowUsd: 1, tier: 'economy' }] });
+
+  const request = { prompt: 'hi', task: 'text-generation', optimize: 'quality', agentId: agent.id };
+  const result = await smartRoute(request, adapters());
+  expect(result.alternatives.every(a => a.outputPrice <= 1)).toBe(true);
+
+  const explained = explainRoute(request, adapters());
+  expect(explained.downgrade.applied.tier).toBe('economy');
+  expect(explained.filteredOut.some(f => f.reason === 'tier')).toBe(true);
+});
+
+// HTTP: policies are per authenticated agent
+const agent = createAgent('downgrade-http');
+
+const app = express();
+app.use(express.json());
+app.use('/v1/budget', budgetRouter);
+
+const server = app.listen(0);
+const call = (method, body) => fetch(`http://127.0.0.1:${server.address().port}/v1/budget/downgrade-policy`, {
+  method,
+  headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${agent.apiKey}` },
+  body: body ? JSON.stringify(body) : undefined
+});
+
+await test('PUT/GET /downgrade-policy: validates, stores and turns off', async () => {
+  let response = await call('PUT', { steps: [{ belowPercent: 150, optimize: 'cost' }] });
+  expect(response.status).toBe(400);
+
+  response = await call('PUT', { steps: [{ belowPercent: 25, optimize: 'cost', extra: true }] });
+  expect((await response.json()).data.steps[0].extra).toBe(undefined);
+
+  response = await call('GET');
+  expect((await response.json()).data.steps[0].belowPercent).toBe(25);
+
+  response = await call('PUT', { steps: [] });
+  expect((await response.json()).data).toBe(null);
+});
+
+server.close();
+
+finish();
@@ -0,0 +1,315 @@
+#!/usr/bin/env node
+/**
+ * tests/budget-limits.test.js
+ * Daily/weekly/monthly/custom budgets, provider/task sub-limits and group roll-ups
+ */
+
+import express from 'express';
+import { runQuery } from '../src/db/database.js';
+import { createAgent } from '../src/db/agents.js';
+import { setBudget, checkBudget, reserveBudget, getBudgetStatus } from '../src/router/budget.js';
+import {
+  getMonthlyPeriod,
+  getPeriodWindow,
+  validateBudgetLimit,
+  setBudgetLimit,
+  createBudgetGroup,
+  setAgentBudgetGroup,
+  evaluateBudgetLimits
+} from '../src/router/budget-limits.js';
+import budgetRouter from '../src/api/budget.js';
+import { test, expect, initTestDatabase, finish } from './helpers.js';
+
+initTestDatabase({ seed: false });
+
+// Spend logged now, as smartRoute() would
+const logSpend = (agentId, cost, { provider = 'openai', task = 'text-generation' } = {}) => {
+  runQuery(
+    `INSERT INTO request_log (agent_id, provider, model, category, cost, latency_ms, tokens_in, tokens_out, status)
+     VALUES (?, ?, 'm', ?, ?, 100, 10, 10, 'success')`,
+    [agentId, provider, task, cost]
+  );
+};
+
+await test('getPeriodWindow: UTC day, Monday-start week, calendar month, custom bounds', () => {
+  const now = new Date('2026-10-15T13:45:00Z'); // a Thursday
+
+  expect(getPeriodWindow({ period_type: 'daily' }, now).start).toBe('2026-10-15 00:00:00');
+  expect(getPeriodWindow({ period_type: 'daily' }, now).end).toBe('2026-10-16 00:00:00');
+  expect(getPeriodWindow({ period_type: 'weekly' }, now).start).toBe('2026-10-12 00:00:00');
+  expect(getPeriodWindow({ period_type: 'weekly' }, now).end).toBe('2026-10-19 00:00:00');
+  expect(getPeriodWindow({ period_type: 'monthly' }, now).end).toBe('2026-11-01 00:00:00');
+
+  const custom = { period_type: 'custom', starts_at: '2026-10-01 00:00:00', ends_at: '2026-10-10 00:00:00' };
+  expect(getPeriodWindow(custom, now).active).toBe(false);
+  expect(getPeriodWindow(custom, new Date('2026-10-05T00:00:00Z')).active).toBe(true);
+});
+
+await test('getMonthlyPeriod: the monthly budget and monthly limits share one UTC month', () => {
+  // 23:30 on March 31 in New York is already April in UTC
+  const now = new Date('2026-03-31T23:30:00-04:00');
+
+  expect(getMonthlyPeriod(now).period).toBe('2026-04');
+  expect(getMonthlyPeriod(now).start.toISOString()).toBe('2026-04-01T00:00:00.000Z');
+  expect(getPeriodWindow({ period_type: 'monthly' }, now).start).toBe('2026-04-01 00:00:00');
+
+  const agent = createAgent('limits-utc-period');
+  setBudget(agent.id, 1);
+  expect(getBudgetStatus(agent.id).period).toBe(getMonthlyPeriod().period);
+});
+
+await test('validateBudgetLimit: periods, amounts and custom windows', () => {
+  expect(validateBudgetLimit({ period: 'daily', limit: 5 })).toBe(null);
+  expect(validateBudgetLimit({ period: 'hourly', limit: 5 })).toBe('Invalid period. Must be one of: daily, weekly, monthly, custom');
+  expect(validateBudgetLimit({ period: 'daily', limit: -1 })).toBe('Missing or invalid required field: limit (non-negative number, USD)');
+  expect(validateBudgetLimit({ period: 'custom', limit: 5 })).toBe('Custom budgets require startsAt and endsAt (ISO 8601 timestamps)');
+  expect(validateBudgetLimit({ period: 'custom', limit: 5, startsAt: '2026-10-02', endsAt: '2026-10-01' })).toBe('endsAt must be after startsAt');
+  expect(validateBudgetLimit({ period: 'daily', limit: 5, startsAt: '2026-10-01' })).toBe('startsAt and endsAt only apply to period: "custom"');
+});
+
+await test('checkBudget: a daily limit alone governs the agent and reports what blocked', () => {
+  const agent = createAgent('limits-daily');
+  setBudgetLimit({ agentId: agent.id, period: 'daily', limit: 1 });
+  logSpend(agent.id, 0.7);
+
+  expect(checkBudget(agent.id, 0.2).allowed).toBe(true);
+
+  const blocked = checkBudget(agent.id, 0.5);
+  expect(blocked.allowed).toBe(false);
+  expect(blocked.remaining).toBeCloseTo(0.3);
+  expect(blocked.blockedBy.period).toBe('daily');
+
+  // Updating the same limit replaces it instead of adding another
+  setBudgetLimit({ agentId: agent.id, period: 'daily', limit: 2 });
+  expect(evaluateBudgetLimits(agent.id).length).toBe(1);
+  expect(checkBudget(agent.id, 0.5).allowed).toBe(true);
+});
+
+await test('checkBudget: the monthly budget and limits must all have room', () => {
+  const agent = createAgent('limits-monthly');
+  setBudget(agent.id, 0.5);
+  setBudgetLimit({ agentId: agent.id, period: 'weekly', limit: 10 });
+
+  const check = checkBudget(agent.id, 0.6);
+  expect(check.allowed).toBe(false);
+  expect(check.blockedBy.id).toBe(null);
+  expect(check.limit).toBe(0.5);
+});
+
+await test('the monthly budget and a monthly limit count the same spend', () => {
+  const agent = createAgent('limits-one-source');
+  setBudget(agent.id, 5);
+  const limit = setBudgetLimit({ agentId: agent.id, period: 'monthly', limit: 5 });
+
+  logSpend(agent.id, 0.7);
+  logSpend(agent.id, 0.2, { provider: 'deepseek' });
+
+  const status = getBudgetStatus(agent.id);
+  expect(status.spent).toBeCloseTo(0.9);
+  expect(status.limits.find(l => l.id === limit.id).spent).toBeCloseTo(status.spent);
+  expect(checkBudget(agent.id, 0).spent).toBeCloseTo(0.9);
+});
+
+await test('provider and task sub-limits only apply to matching requests', () => {
+  const agent = createAgent('limits-scoped');
+  setBudgetLimit({ agentId: agent.id, period: 'monthly', limit: 10 });
+  setBudgetLimit({ agentId: agent.id, period: 'monthly', limit: 0.5, provider: 'openai' });
+  setBudgetLimit({ agentId: agent.id, period: 'daily', limit: 0.2, task: 'summarization' });
+
+  logSpend(agent.id, 0.4, { provider: 'openai' });
+  logSpend(agent.id, 0.15, { provider: 'deepseek', task: 'summarization' });
+
+  expect(checkBudget(agent.id, 0.2, { provider: 'openai', task: 'chat' }).allowed).toBe(false);
+  expect(checkBudget(agent.id, 0.2, { provider: 'deepseek', task: 'chat' }).allowed).toBe(true);
+  expect(checkBudget(agent.id, 0.1, { provider: 'deepseek', task: 'summarization' }).allowed).toBe(false);
+
+  // Reservations carry their scope: another openai reservation sees the first
+  expect(reserveBudget(agent.id, 0.05, { provider: 'openai', task: 'chat' }).allowed).toBe(true);
+  expect(checkBudget(agent.id, 0.06, { provider: 'openai', task: 'chat' }).allowed).toBe(false);
+});
+
+await test('a request no limit covers falls back to the monthly budget, else $0', () => {
+  const agent = createAgent('limits-uncovered');
+  setBudgetLimit({ agentId: agent.id, period: 'monthly', limit: 10, provider: 'openai' });
+
+  const check = checkBudget(agent.id, 0.01, { provider: 'deepseek', task: 'chat' });
+  expect(check.allowed).toBe(false);
+  expect(check.limit).toBe(0);
+  expect(check.blockedBy.owner.type).toBe('agent');
+  expect(checkBudget(agent.id, 0.01, { provider: 'openai', task: 'chat' }).allowed).toBe(true);
+
+  setBudget(agent.id, 1);
+  const fallback = checkBudget(agent.id, 0.5, { provider: 'deepseek', task: 'chat' });
+  expect(fallback.allowed).toBe(true);
+  expect(fallback.limit).toBe(1);
+  expect(checkBudget(agent.id, 2, { provider: 'deepseek', task: 'chat' }).allowed).toBe(false);
+});
+
+await test('team and organization budgets roll up every member agent', () => {
+  const owner = createAgent('limits-org-owner');
+  const org = createBudgetGroup({ name: 'Acme', kind: 'organization', ownerAgentId: owner.id });
+  const team = createBudgetGroup({ name: 'Research', parentId: org.id, ownerAgentId: owner.id });
+
+  const alice = createAgent('limits-alice');
+  const bob = createAgent('limits-bob');
+  setAgentBudgetGroup(alice.id, team.id);
+  setAgentBudgetGroup(bob.id, team.id);
+
+  setBudgetLimit({ groupId: team.id, period: 'daily', limit: 1 });
+  setBudgetLimit({ groupId: org.id, period: 'monthly', limit: 5 });
+
+  logSpend(alice.id, 0.6);
+  logSpend(bob.id, 0.3);
+
+  const check = checkBudget(bob.id, 0.2);
+  expect(check.allowed).toBe(false);
+  expect(check.blockedBy.owner.name).toBe('Research');
+  expect(check.spent).toBeCloseTo(0.9);
+
+  const status = getBudgetStatus(alice.id);
+  expect(status.groups.map(g => g.name).join(',')).toBe('Research,Acme');
+  expect(status.limits.find(l => l.owner.id === org.id).spent).toBeCloseTo(0.9);
+});
+
+await test('custom windows only apply while active; no budget at all still means $0', () => {
+  const agent = createAgent('limits-custom');
+  expect(checkBudget(agent.id, 0.01).allowed).toBe(false);
+
+  const startsAt = new Date(Date.now() - 3600 * 1000).toISOString();
+  const endsAt = new Date(Date.now() + 3600 * 1000).toISOString();
+  setBudgetLimit({ agentId: agent.id, period: 'custom', limit: 3, startsAt, endsAt });
+
+  const check = checkBudget(agent.id, 1);
+  expect(check.allowed).toBe(true);
+  expect(check.limit).toBe(3);
+
+  runQuery(`UPDATE budget_limits SET ends_at = datetime('now', '-1 minutes') WHERE agent_id = ?`, [agent.id]);
+  expect(checkBudget(agent.id, 0.01).allowed).toBe(false);
+  expect(getBudgetStatus(agent.id).limits[0].active).toBe(false);
+});
+
+// HTTP: limits and groups are managed by their owner
+const owner = createAgent('limits-http-owner');
+const other = createAgent('limits-http-other');
+
+const app = express();
+app.use(express.json());
+app.use('/v1/budget', budgetRouter);
+
+const server = app.listen(0);
+const call = (method, path, apiKey, body) => fetch(`http://127.0.0.1:${server.address().port}/v1/budget${path}`, {
+  method,
+  headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${apiKey}` },
+  body: body ? JSON.stringify(body) : undefined
+});
+
+await test('POST /limits and /groups: owners manage limits, others get 403', async () => {
+  let response = await call('POST', '/limits', owner.apiKey, { period: 'weekly', limit: 4, provider: 'openai' });
+  const limit = (await response.json()).data;
+  expect(response.status).toBe(200);
+  expect(limit.owner.type).toBe('agent');
+
+  response = await call('POST', '/groups', owner.apiKey, { name: 'Platform' });
+  const group = (await response.json()).data;
+  expect(group.kind).toBe('team');
+
+  response = await call('POST', `/groups/${group.id}/agents`, owner.apiKey, { agentId: other.id });
+  const invite = (await response.json()).data;
+  expect(response.status).toBe(201);
+  expect(invite.status).toBe('pending');
+
+  response = await call('POST', `/invites/${invite.id}/accept`, other.apiKey);
+  expect((await response.json()).data.status).toBe('accepted');
+
+  response = await call('POST', '/limits', other.apiKey, { period: 'daily', limit: 1, groupId: group.id });
+  expect(response.status).toBe(403);
+
+  response = await call('POST', '/limits', owner.apiKey, { period: 'daily', limit: 1, groupId: group.id });
+  expect(response.status).toBe(200);
+
+  response = await call('DELETE', `/limits/${limit.id}`, other.apiKey);
+  expect(response.status).toBe(403);
+
+  response = await call('GET', `/${other.id}`, other.apiKey);
+  const status = (await response.json()).data;
+  expect(status.limits.length).toBe(1);
+  expect(status.limits[0].owner.name).toBe('Platform');
+});
+
+await test('groups: agents join only by accepting an invite', async () => {
+  const lead = createAgent('limits-invite-lead');
+  const target = createAgent('limits-invite-target');
+
+  let response = await call('POST', '/groups', lead.apiKey, { name: 'Growth' });
+  const group = (await response.json()).data;
+
+  response = await call('POST', `/groups/${group.id}/agents`, lead.apiKey, { agentId: target.id });
+  const invite = (await response.json()).data;
+
+  // Nothing changes until the invited agent answers: the group's limits do not apply
+  await call('POST', '/limits', lead.apiKey, { period: 'daily', limit: 0, groupId: group.id });
+  expect(evaluateBudgetLimits(target.id).length).toBe(0);
+  expect(getBudgetStatus(target.id).groups.length).toBe(0);
+
+  // Only the invited agent can answer
+  expect((await call('POST', `/invites/${invite.id}/accept`, lead.apiKey)).status).toBe(404);
+
+  response = await call('GET', '/invites', target.apiKey);
+  expect((await response.json()).data[0].groupName).toBe('Growth');
+
+  response = await call('POST', `/invites/${invite.id}/decline`, target.apiKey);
+  expect((await response.json()).data.status).toBe('declined');
+  expect(getBudgetStatus(target.id).groups.length).toBe(0);
+  expect((await call('POST', `/invites/${invite.id}/accept`, target.apiKey)).status).toBe(404);
+});
+
+await test('groups: an agent cannot leave or replace the org chain it was placed in', async () => {
+  const admin = createAgent('limits-chain-admin');
+  const member = createAgent('limits-chain-member');
+
+  const org = (await (await call('POST', '/groups', admin.apiKey, { name: 'Corp', kind: 'organization' })).json()).data;
+  const team = (await (await call('POST', '/groups', admin.apiKey, { name: 'Ops', parentId: org.id })).json()).data;
+
+  const invite = (await (await call('POST', `/groups/${team.id}/agents`, admin.apiKey, { agentId: member.id })).json()).data;
+  await call('POST', `/invites/${invite.id}/accept`, member.apiKey);
+  await call('POST', '/limits', admin.apiKey, { period: 'monthly', limit: 0.5, groupId: org.id });
+
+  // Its own new group would drop Ops and Corp
+  const escape = (await (await call('POST', '/groups', member.apiKey, { name: 'Mine' })).json()).data;
+  let response = await call('POST', `/groups/${escape.id}/agents`, member.apiKey, { agentId: member.id });
+  expect(response.status).toBe(403);
+  expect((await response.json()).error).toBe("Agent cannot leave budget group 'Ops'. Its owner must remove the agent first");
+
+  // So would another owner's group
+  const rival = createAgent('limits-chain-rival');
+  const other = (await (await call('POST', '/groups', rival.apiKey, { name: 'Elsewhere' })).json()).data;
+  const poach = (await (await call('POST', `/groups/${other.id}/agents`, rival.apiKey, { agentId: member.id })).json()).data;
+  expect((await call('POST', `/invites/${poach.id}/accept`, member.apiKey)).status).toBe(403);
+
+  // A team of the same organization keeps Corp but still leaves Ops
+  const sibling = (await (await call('POST', '/groups', admin.apiKey, { name: 'Sales', parentId: org.id })).json()).data;
+  const move = (await (await call('POST', `/groups/${sibling.id}/agents`, admin.apiKey, { agentId: member.id })).json()).data;
+  expect((await call('POST', `/invites/${move.id}/accept`, member.apiKey)).status).toBe(403);
+
+  expect(getBudgetStatus(member.id).groups.map(g => g.name).join(',')).toBe('Ops,Corp');
+
+  // Once the owner removes it, the agent is free to go
+  await call('DELETE', `/groups/${team.id}/agents/${member.id}`, admin.apiKey);
+  expect((await call('POST', `/groups/${escape.id}/agents`, member.apiKey, { agentId: member.id })).status).toBe(200);
+});
+
+await test("GET /:agentId and /:agentId/history: an API key reads only its own agent's budget", async () => {
+  let response = await call('GET', `/${other.id}`, owner.apiKey);
+  expect(response.status).toBe(403);
+  expect((await response.json()).limits).toBe(undefined);
+
+  response = await call('GET', `/${other.id}/history`, owner.apiKey);
+  expect(response.status).toBe(403);
+
+  expect((await call('GET', `/${owner.id}`, owner.apiKey)).status).toBe(200);
+  expect((await call('GET', `/${owner.id}/history`, owner.apiKey)).status).toBe(200);
+});
+
+server.close();
+
+finish();
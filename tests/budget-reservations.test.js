@@ -0,0 +1,211 @@
+#!/usr/bin/env node
+/**
+ * tests/budget-reservations.test.js
+ * Reserve/settle/release budget model: concurrent requests cannot overspend the limit
+ */
+
+import { getOne, runQuery } from '../src/db/database.js';
+import { createAgent } from '../src/db/agents.js';
+import {
+  setBudget,
+  checkBudget,
+  reserveBudget,
+  settleReservation,
+  releaseReservation,
+  recordSpend,
+  getBudgetStatus
+} from '../src/router/budget.js';
+import { setBudgetLimit } from '../src/router/budget-limits.js';
+import { smartRoute, estimateRouteCost, estimateRouteBudget } from '../src/router/index.js';
+import { test, expect, initTestDatabase, finish } from './helpers.js';
+
+initTestDatabase();
+
+const reservationStatus = (id) => getOne('SELECT status FROM budget_reservations WHERE id = ?', [id]).status;
+
+// Fake adapter answering after `ms` with a fixed cost (or failing)
+const fakeAdapter = (ms, { fail = false, cost = 0.001 } = {}) => ({
+  async generate(prompt, options) {
+    await new Promise(resolve => setTimeout(resolve, ms));
+    if (fail) {
+      throw new Error('upstream 503');
+    }
+    return { text: 'ok', tokens: { input: 5, output: 2 }, cost, model: options.model };
+  }
+});
+
+await test('reserveBudget: reservations count against the limit until settled', () => {
+  const agent = createAgent('reserve-basic');
+  setBudget(agent.id, 1);
+
+  const first = reserveBudget(agent.id, 0.6);
+  expect(first.allowed).toBe(true);
+  expect(typeof first.expiresAt).toBe('string');
+
+  const second = reserveBudget(agent.id, 0.6);
+  expect(second.allowed).toBe(false);
+  expect(second.reservationId).toBe(null);
+  expect(second.remaining).toBeCloseTo(0.4);
+
+  expect(checkBudget(agent.id, 0).reserved).toBeCloseTo(0.6);
+  expect(getBudgetStatus(agent.id).remaining).toBeCloseTo(0.4);
+});
+
+await test('settleReservation: frees the estimate, the logged cost is the spend', () => {
+  const agent = createAgent('reserve-settle');
+  setBudget(agent.id, 1);
+
+  const { reservationId } = reserveBudget(agent.id, 0.5);
+  recordSpend(agent.id, 0.2);
+  const settled = settleReservation(reservationId, 0.2);
+
+  expect(settled.spent).toBeCloseTo(0.2);
+  expect(reservationStatus(reservationId)).toBe('settled');
+  expect(checkBudget(agent.id, 0).reserved).toBe(0);
+
+  let error = null;
+  try {
+    settleReservation(reservationId, 0.2);
+  } catch (err) {
+    error = err;
+  }
+  expect(error.message).toBe(`Budget reservation ${reservationId} is already settled`);
+  expect(getBudgetStatus(agent.id).spent).toBeCloseTo(0.2);
+});
+
+await test('releaseReservation: frees the estimate without spending, once', () => {
+  const agent = createAgent('reserve-release');
+  setBudget(agent.id, 1);
+
+  const { reservationId } = reserveBudget(agent.id, 0.9);
+  expect(releaseReservation(reservationId)).toBe(true);
+  expect(releaseReservation(reservationId)).toBe(false);
+  expect(reserveBudget(agent.id, 0.9).allowed).toBe(true);
+  expect(getBudgetStatus(agent.id).spent).toBe(0);
+});
+
+await test('expired reservations are released automatically and can still be settled late', () => {
+  const agent = createAgent('reserve-expiry');
+  setBudget(agent.id, 1);
+
+  const { reservationId } = reserveBudget(agent.id, 0.9);
+  runQuery(`UPDATE budget_reservations SET expires_at = datetime('now', '-1 seconds') WHERE id = ?`, [reservationId]);
+
+  expect(reserveBudget(agent.id, 0.9, { ttlSeconds: 60 }).allowed).toBe(true);
+  expect(reservationStatus(reservationId)).toBe('expired');
+
+  recordSpend(agent.id, 0.05);
+  settleReservation(reservationId, 0.05);
+  expect(reservationStatus(reservationId)).toBe('settled');
+  expect(getBudgetStatus(agent.id).spent).toBeCloseTo(0.05);
+});
+
+await test('smartRoute: concurrent requests cannot pass the check together', async () => {
+  const request = { prompt: 'x'.repeat(4000), task: 'text-generation' };
+  const adapterMap = { openai: fakeAdapter(20), deepseek: fakeAdapter(20) };
+  const estimate = estimateRouteCost(request, adapterMap);
+
+  // Room for two estimates, five requests in flight at once
+  const agent = createAgent('reserve-concurrent');
+  setBudget(agent.id, estimate * 2.5);
+
+  const outcomes = await Promise.allSettled(
+    Array.from({ length: 5 }, () => smartRoute({ ...request, agentId: agent.id }, adapterMap))
+  );
+
+  expect(outcomes.filter(o => o.status === 'fulfilled').length).toBe(2);
+  expect(outcomes.filter(o => o.status === 'rejected').every(o => o.reason.code === 402)).toBe(true);
+  expect(getBudgetStatus(agent.id).spent).toBeCloseTo(0.002);
+  expect(checkBudget(agent.id, 0).reserved).toBe(0);
+});
+
+await test('smartRoute: a failed request releases its reservation', async () => {
+  const agent = createAgent('reserve-failed');
+  setBudget(agent.id, 10);
+
+  const adapterMap = { openai: fakeAdapter(5, { fail: true }), deepseek: fakeAdapter(5, { fail: true }) };
+  let error = null;
+  try {
+    await smartRoute({ prompt: 'hi', task: 'text-generation', agentId: agent.id }, adapterMap);
+  } catch (err) {
+    error = err;
+  }
+
+  expect(error !== null).toBe(true);
+  const row = getOne('SELECT status FROM budget_reservations WHERE agent_id = ?', [agent.id]);
+  expect(row.status).toBe('released');
+  expect(getBudgetStatus(agent.id).spent).toBe(0);
+});
+
+await test('smartRoute: a settle failure after the provider answered keeps the paid cost', async () => {
+  const agent = createAgent('reserve-settle-failed');
+  setBudget(agent.id, 10);
+
+  // The reservation is settled elsewhere while the call runs, so smartRoute's own settle throws
+  const settledElsewhere = {
+    async generate(prompt, options) {
+      runQuery(`UPDATE budget_reservations SET status = 'settled' WHERE agent_id = ?`, [agent.id]);
+      return { text: 'ok', tokens: { input: 5, output: 2 }, cost: 0.004, model: options.model };
+    }
+  };
+
+  const result = await smartRoute(
+    { prompt: 'hi', task: 'text-generation', agentId: agent.id },
+    { openai: settledElsewhere, deepseek: settledElsewhere }
+  );
+
+  expect(result.cost).toBe(0.004);
+  const rows = getOne(
+    `SELECT COUNT(*) as count, SUM(status = 'failed') as failed FROM request_log WHERE agent_id = ?`,
+    [agent.id]
+  );
+  expect(rows.count).toBe(1);
+  expect(rows.failed).toBe(0);
+  expect(getBudgetStatus(agent.id).spent).toBeCloseTo(0.004);
+});
+
+await test("smartRoute: a fallback provider must fit its own sub-limit", async () => {
+  const request = { prompt: 'hi', task: 'text-generation' };
+  const probe = { openai: fakeAdapter(1), deepseek: fakeAdapter(1) };
+  const top = estimateRouteBudget(request, probe).provider;
+  const fallback = top === 'openai' ? 'deepseek' : 'openai';
+
+  const calls = [];
+  const adapterMap = {
+    [top]: fakeAdapter(1, { fail: true }),
+    [fallback]: {
+      async generate(prompt, options) {
+        calls.push(options.model);
+        return { text: 'ok', tokens: { input: 5, output: 2 }, cost: 0.001, model: options.model };
+      }
+    }
+  };
+
+  // No room with the fallback provider: it is passed over, not called
+  const capped = createAgent('reserve-fallback-capped');
+  setBudget(capped.id, 10);
+  setBudgetLimit({ agentId: capped.id, period: 'monthly', limit: 0, provider: fallback });
+
+  let error = null;
+  try {
+    await smartRoute({ ...request, agentId: capped.id }, adapterMap);
+  } catch (err) {
+    error = err;
+  }
+  expect(error.failedProviders.find(p => p.name === fallback).error).toBe('Budget exceeded');
+  expect(calls.length).toBe(0);
+  expect(checkBudget(capped.id, 0).reserved).toBe(0);
+
+  // With room, the reservation moves to the fallback provider and is settled there
+  const open = createAgent('reserve-fallback-open');
+  setBudget(open.id, 10);
+  setBudgetLimit({ agentId: open.id, period: 'monthly', limit: 1, provider: fallback });
+
+  const result = await smartRoute({ ...request, agentId: open.id }, adapterMap);
+  expect(result.provider).toBe(fallback);
+  const settled = getOne(`SELECT provider FROM budget_reservations WHERE agent_id = ? AND status = 'settled'`, [open.id]);
+  expect(settled.provider).toBe(fallback);
+  expect(checkBudget(open.id, 0).reserved).toBe(0);
+});
+
+finish();
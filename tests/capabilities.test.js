@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+/**
+ * tests/capabilities.test.js
+ * Capability-based routing constraint tests
+ */
+
+import { getOne } from '../src/db/database.js';
+import { selectProvider } from '../src/router/decision.js';
+import {
+  toCapabilities,
+  validateCapabilityConstraints,
+  checkCapabilities
+} from '../src/router/capabilities.js';
+import { test, expect, initTestDatabase, finish } from './helpers.js';
+
+initTestDatabase();
+
+const ALL = ['openai', 'anthropic', 'deepseek', 'gemini', 'mistral', 'groq', 'xai'];
+const models = (ranked) => ranked.map(r => r.model);
+
+test('seed: capability metadata is stored per model', () => {
+  const row = getOne('SELECT * FROM services WHERE model = ?', ['gpt-4o-mini']);
+  expect(toCapabilities(row)).toEqual({
+    contextWindow: 128000,
+    maxOutputTokens: 16384,
+    tools: true,
+    jsonMode: true,
+    vision: true,
+    regions: ['us', 'eu']
+  });
+});
+
+test('selectProvider: vision excludes text-only models', () => {
+  const ranked = selectProvider('text-generation', 'cost', { vision: true }, ALL);
+  expect(ranked.length > 0).toBe(true);
+  expect(ranked.every(r => r.capabilities.vision === true)).toBe(true);
+  expect(ranked.some(r => r.adapter === 'deepseek')).toBe(false);
+});
+
+test('selectProvider: jsonMode excludes Anthropic', () => {
+  const ranked = selectProvider('text-generation', 'cost', { jsonMode: true }, ALL);
+  expect(ranked.some(r => r.adapter === 'anthropic')).toBe(false);
+});
+
+test('selectProvider: region keeps only models served there', () => {
+  const ranked = selectProvider('text-generation', 'cost', { region: 'eu' }, ALL);
+  expect(ranked.every(r => r.capabilities.regions.includes('eu'))).toBe(true);
+  expect(ranked.some(r => r.adapter === 'mistral')).toBe(true);
+  expect(ranked.some(r => r.adapter === 'groq')).toBe(false);
+});
+
+test('selectProvider: minContextWindow picks a large-context model', () => {
+  const ranked = selectProvider('text-generation', 'cost', { minContextWindow: 500000 }, ALL);
+  expect(ranked.every(r => r.capabilities.contextWindow >= 500000)).toBe(true);
+  expect(ranked.map(r => r.adapter).sort()).toEqual(['gemini', 'xai']);
+});
+
+test('selectProvider: prompt must fit the context window', () => {
+  const ranked = selectProvider('text-generation', 'cost', {}, ALL, { inputTokens: 300000, outputTokens: 1000 });
+  expect(ranked.every(r => r.capabilities.contextWindow >= 301000)).toBe(true);
+  expect(models(ranked).includes('gpt-4o-mini')).toBe(false);
+});
+
+test('selectProvider: unsatisfiable constraints return no providers', () => {
+  const ranked = selectProvider('text-generation', 'cost', { vision: true, region: 'cn' }, ALL);
+  expect(ranked.length).toBe(0);
+});
+
+test('checkCapabilities: unknown metadata fails explicit requirements only', () => {
+  const unknown = { context_window: null, supports_tools: null, regions: null };
+  expect(checkCapabilities(unknown, {}, { inputTokens: 10, outputTokens: 10 })).toBe(null);
+  expect(checkCapabilities(unknown, { tools: true })).toBe('tools');
+  expect(checkCapabilities(unknown, { minContextWindow: 1000 })).toBe('contextWindow');
+  expect(checkCapabilities(unknown, { region: ['eu'] })).toBe('region');
+});
+
+test('checkCapabilities: output limit', () => {
+  expect(checkCapabilities({ max_output_tokens: 4000 }, {}, { outputTokens: 8000 })).toBe('maxOutputTokens');
+});
+
+test('validateCapabilityConstraints: rejects malformed values', () => {
+  expect(validateCapabilityConstraints({ minContextWindow: 1.5 })).toBe('constraints.minContextWindow must be a positive integer');
+  expect(validateCapabilityConstraints({ vision: 'yes' })).toBe('constraints.vision must be a boolean');
+  expect(validateCapabilityConstraints({ region: [] })).toBe('constraints.region must be a region code or an array of them');
+  expect(validateCapabilityConstraints({ tools: true, region: ['eu', 'us'], minContextWindow: 8000 })).toBe(null);
+});
+
+finish();
@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+/**
+ * tests/circuit-breaker.test.js
+ * Provider circuit breaker and health tracking tests
+ */
+
+import { runQuery } from '../src/db/database.js';
+import {
+  FAILURE_THRESHOLD,
+  OPEN_COOLDOWN_MS,
+  isCircuitOpen,
+  acquireCircuit,
+  recordSuccess,
+  recordFailure,
+  getProviderHealth
+} from '../src/router/health.js';
+import { selectProvider } from '../src/router/decision.js';
+import { executeWithFallback } from '../src/router/fallback.js';
+import { test, expect, initTestDatabase, finish } from './helpers.js';
+
+initTestDatabase();
+
+const healthOf = (provider) => getProviderHealth().find(h => h.provider === provider);
+
+// Pretend the breaker opened longer ago than the cooldown
+const expireCooldown = (provider) => {
+  runQuery('UPDATE provider_health SET opened_at = ? WHERE provider = ?', [
+    new Date(Date.now() - OPEN_COOLDOWN_MS - 1000).toISOString(),
+    provider
+  ]);
+};
+
+const tripBreaker = (provider) => {
+  for (let i = 0; i < FAILURE_THRESHOLD; i++) {
+    recordFailure(provider, new Error('503 upstream'));
+  }
+};
+
+console.log('\n=== Circuit Breaker Test Suite ===\n');
+
+await test('Breaker: stays closed below the failure threshold', () => {
+  for (let i = 0; i < FAILURE_THRESHOLD - 1; i++) {
+    recordFailure('deepseek', new Error('500'));
+  }
+  expect(healthOf('deepseek').state).toBe('closed');
+  expect(isCircuitOpen('deepseek')).toBe(false);
+});
+
+await test('Breaker: a success resets consecutive failures', () => {
+  recordSuccess('deepseek');
+  const health = healthOf('deepseek');
+  expect(health.consecutiveFailures).toBe(0);
+  expect(health.totalFailures).toBe(FAILURE_THRESHOLD - 1);
+  expect(health.totalSuccesses).toBe(1);
+});
+
+await test('Breaker: opens after consecutive failures and counts timeouts', () => {
+  const timeout = new Error('The operation was aborted due to timeout');
+  timeout.name = 'TimeoutError';
+  recordFailure('openai', timeout);
+  tripBreaker('openai');
+
+  const health = healthOf('openai');
+  expect(health.state).toBe('open');
+  expect(health.totalTimeouts).toBe(1);
+  expect(isCircuitOpen('openai')).toBe(true);
+  expect(acquireCircuit('openai')).toBe(false);
+});
+
+await test('selectProvider: skips providers with an open circuit', () => {
+  const ranked = selectProvider('text-generation', 'cost', {}, ['openai', 'anthropic'], { inputTokens: 100, outputTokens: 100 });
+  expect(ranked.length).toBe(1);
+  expect(ranked[0].providerName).toBe('Anthropic');
+});
+
+await test('Breaker: half-open after cooldown admits a single trial request', () => {
+  expireCooldown('openai');
+  expect(isCircuitOpen('openai')).toBe(false);
+  expect(acquireCircuit('openai')).toBe(true);
+  expect(healthOf('openai').state).toBe('half_open');
+  // Second caller must wait for the trial to finish
+  expect(acquireCircuit('openai')).toBe(false);
+});
+
+await test('Breaker: failed half-open trial re-opens the circuit', () => {
+  recordFailure('openai', new Error('still down'));
+  expect(healthOf('openai').state).toBe('open');
+});
+
+await test('Breaker: successful half-open trial closes the circuit', () => {
+  expireCooldown('openai');
+  acquireCircuit('openai');
+  recordSuccess('openai');
+  expect(healthOf('openai').state).toBe('closed');
+  expect(isCircuitOpen('openai')).toBe(false);
+});
+
+await test('executeWithFallback: open circuit is skipped without calling the adapter', async () => {
+  tripBreaker('anthropic');
+  let anthropicCalls = 0;
+
+  const adapterMap = {
+    anthropic: { generate: async () => { anthropicCalls++; throw new Error('down'); } },
+    openai: { generate: async () => ({ text: 'ok', tokens: { input: 1, output: 1 }, cost: 0, model: 'gpt-4o-mini' }) }
+  };
+
+  const { provider, attempts, failedProviders } = await executeWithFallback(
+    [{ providerName: 'Anthropic' }, { providerName: 'OpenAI' }],
+    adapterMap,
+    'hi'
+  );
+
+  expect(provider).toBe('openai');
+  expect(anthropicCalls).toBe(0);
+  expect(attempts).toBe(1);
+  expect(failedProviders[0].error).toBe('Circuit open');
+});
+
+await test('executeWithFallback: adapter errors feed the breaker', async () => {
+  const before = healthOf('deepseek').totalFailures;
+  const adapterMap = {
+    deepseek: { generate: async () => { throw new Error('502'); } },
+    openai: { generate: async () => ({ text: 'ok', tokens: { input: 1, output: 1 }, cost: 0, model: 'gpt-4o-mini' }) }
+  };
+
+  await executeWithFallback([{ providerName: 'DeepSeek' }, { providerName: 'OpenAI' }], adapterMap, 'hi');
+  expect(healthOf('deepseek').totalFailures).toBe(before + 1);
+});
+
+await test('Breaker: only 5xx responses, timeouts and network errors count as failures', () => {
+  const unauthorized = new Error('Unauthorized');
+  unauthorized.status = 401;
+
+  for (let i = 0; i < FAILURE_THRESHOLD; i++) {
+    recordFailure('mistral', new Error('mistral API error: 400 {"message":"invalid model"}'));
+    recordFailure('mistral', unauthorized);
+  }
+  let health = getProviderHealth(['mistral']).find(h => h.provider === 'mistral');
+  expect(health.state).toBe('closed');
+  expect(health.totalFailures).toBe(0);
+
+  for (let i = 0; i < FAILURE_THRESHOLD; i++) {
+    recordFailure('mistral', new Error('mistral API error: 503 overloaded'));
+  }
+  health = healthOf('mistral');
+  expect(health.state).toBe('open');
+  expect(health.totalFailures).toBe(FAILURE_THRESHOLD);
+});
+
+await test('getProviderHealth: includes configured providers without history', () => {
+  const health = getProviderHealth(['groq']).find(h => h.provider === 'groq');
+  expect(health.state).toBe('closed');
+  expect(health.errorRate).toBe(null);
+});
+
+finish();
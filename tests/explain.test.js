@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+/**
+ * tests/explain.test.js
+ * POST /v1/smart-route/explain dry-run tests
+ * Runs the router on an ephemeral port with stub adapters that must never be called.
+ */
+
+import express from 'express';
+import { getOne } from '../src/db/database.js';
+import { createAgent } from '../src/db/agents.js';
+import { setBudget, getBudgetStatus } from '../src/router/budget.js';
+import { explainRoute } from '../src/router/index.js';
+import smartRouteRouter from '../src/api/smart-route.js';
+import { test, expect, initTestDatabase, finish } from './helpers.js';
+
+initTestDatabase();
+
+// Stub adapter: a dry run must not reach it
+let providerCalls = 0;
+const stubAdapter = () => ({
+  async generate() {
+    providerCalls++;
+    throw new Error('explain must not call providers');
+  }
+});
+
+const adapterMap = { openai: stubAdapter(), deepseek: stubAdapter() };
+
+const app = express();
+app.use(express.json());
+app.locals.adapterMap = adapterMap;
+app.use('/v1/smart-route', smartRouteRouter);
+
+const server = app.listen(0);
+const baseUrl = `http://127.0.0.1:${server.address().port}/v1/smart-route`;
+
+const post = (body, apiKey) => fetch(`${baseUrl}/explain`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', ...(apiKey && { Authorization: `Bearer ${apiKey}` }) },
+  body: JSON.stringify(body)
+});
+
+const agent = createAgent('explain-test');
+setBudget(agent.id, 10);
+
+await test('explainRoute: ranks candidates with costs and reports missing API keys', () => {
+  const data = explainRoute({ prompt: 'hello', task: 'text-generation' }, adapterMap);
+
+  expect(data.outcome).toBe('would_route');
+  expect(data.selected.rank).toBe(1);
+  expect(data.candidates.every(c => ['openai', 'deepseek'].includes(c.adapter))).toBe(true);
+  expect(data.candidates.every(c => typeof c.estimatedCost === 'number')).toBe(true);
+
+  const anthropic = data.filteredOut.find(f => f.adapter === 'anthropic');
+  expect(anthropic.reason).toBe('missing_api_key');
+  expect(anthropic.detail).toBe('set ANTHROPIC_API_KEY');
+});
+
+await test('explainRoute: cost cap and confidence filters carry a reason', () => {
+  const data = explainRoute({
+    prompt: 'hello',
+    task: 'text-generation',
+    constraints: { maxCost: 0.001, minConfidence: 0.9 }
+  }, adapterMap);
+
+  const reasons = new Set(data.filteredOut.map(f => f.reason));
+  expect(reasons.has('cost_cap')).toBe(true);
+  expect(data.candidates.every(c => c.estimatedCost <= 0.001 && c.confidence >= 0.9)).toBe(true);
+  expect(data.filteredOut.find(f => f.reason === 'cost_cap').detail.startsWith('estimated $')).toBe(true);
+});
+
+await test('explainRoute: capability misses name the capability', () => {
+  const data = explainRoute({ prompt: 'hello', task: 'text-generation', constraints: { minContextWindow: 150000 } }, adapterMap);
+  const miss = data.filteredOut.find(f => f.reason === 'capability');
+  expect(miss.detail).toBe('contextWindow');
+});
+
+await test('explainRoute: projects the budget after the call without spending', () => {
+  const data = explainRoute({ prompt: 'hello', task: 'text-generation', agentId: agent.id }, adapterMap);
+
+  expect(data.budget.allowed).toBe(true);
+  expect(data.budget.estimatedCost).toBe(data.selected.estimatedCost);
+  expect(data.budget.projectedRemaining).toBeCloseTo(10 - data.selected.estimatedCost);
+  expect(getBudgetStatus(agent.id).spent).toBe(0);
+  expect(getOne('SELECT COUNT(*) as count FROM request_log').count).toBe(0);
+});
+
+await test('explainRoute: a budget too small for the top pick reports budget_exceeded', () => {
+  const poor = createAgent('explain-poor');
+  setBudget(poor.id, 0.0000001);
+
+  const data = explainRoute({ prompt: 'hello', task: 'text-generation', optimize: 'quality', agentId: poor.id }, adapterMap);
+  expect(data.outcome).toBe('budget_exceeded');
+  expect(data.selected).toBe(null);
+  expect(data.filteredOut.some(f => f.reason === 'budget')).toBe(true);
+});
+
+await test('POST /explain: returns the dry run and never calls a provider', async () => {
+  const response = await post({ prompt: 'hello', task: 'text-generation', optimize: 'speed', hedge: true });
+  const body = await response.json();
+
+  expect(response.status).toBe(200);
+  expect(body.data.outcome).toBe('would_route');
+  expect(typeof body.data.hedge.delayMs).toBe('number');
+  expect(providerCalls).toBe(0);
+});
+
+await test('POST /explain: validates the body like POST /', async () => {
+  const response = await post({ prompt: 'hello', task: 'text-generation', weights: { cost: 1 }, optimize: 'cost' });
+  const body = await response.json();
+
+  expect(response.status).toBe(400);
+  expect(body.error).toBe("weights only apply to optimize: 'balanced'");
+});
+
+await test("POST /explain: only reports the API key's own budget", async () => {
+  const anonymous = await (await post({ prompt: 'hello', task: 'text-generation', agentId: agent.id })).json();
+  expect(anonymous.data.budget).toBe(null);
+
+  const stranger = createAgent('explain-stranger');
+  const own = await (await post({ prompt: 'hello', task: 'text-generation', agentId: agent.id }, stranger.apiKey)).json();
+  expect(own.data.budget.limit === 10).toBe(false);
+
+  const withKey = await (await post({ prompt: 'hello', task: 'text-generation' }, agent.apiKey)).json();
+  expect(withKey.data.budget.limit).toBe(10);
+});
+
+server.close();
+
+finish();
@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+/**
+ * tests/hedge.test.js
+ * Hedged requests: delayed second call, first success wins, losers aborted and billed
+ */
+
+import { getAll } from '../src/db/database.js';
+import { createAgent } from '../src/db/agents.js';
+import {
+  validateHedgeOption,
+  resolveHedgeDelay,
+  estimateHedgedCost,
+  executeHedged
+} from '../src/router/hedge.js';
+import { selectProvider } from '../src/router/decision.js';
+import { smartRoute } from '../src/router/index.js';
+import { setBudget, getBudgetStatus } from '../src/router/budget.js';
+import { test, expect, initTestDatabase, finish } from './helpers.js';
+
+initTestDatabase();
+
+/**
+ * Fake adapter answering after `ms` (or failing), honouring options.signal
+ * Streams its text as a single token just before answering.
+ */
+const fakeAdapter = (ms, { fail = false, cost = 0.001 } = {}) => ({
+  calls: 0,
+  aborted: 0,
+  generate(prompt, options) {
+    return this.generateStream(prompt, options, () => {});
+  },
+  generateStream(prompt, options, onToken) {
+    this.calls++;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        if (fail) {
+          reject(new Error('upstream 503'));
+          return;
+        }
+        onToken(`from ${options.model}`);
+        resolve({ text: `from ${options.model}`, tokens: { input: 5, output: 2 }, cost, model: options.model });
+      }, ms);
+
+      options.signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        this.aborted++;
+        reject(new Error('aborted'));
+      });
+    });
+  }
+});
+
+const ranked = (adapter, model, inputPrice = 1) => ({
+  adapter, providerName: adapter, model, inputPrice, outputPrice: 2, estimatedCost: 0.01, latencyP95: 300
+});
+
+await test('validateHedgeOption: booleans or { delayMs } within range', () => {
+  expect(validateHedgeOption(true)).toBe(null);
+  expect(validateHedgeOption({ delayMs: 250 })).toBe(null);
+  expect(validateHedgeOption({ delayMs: -1 })).toBe('hedge.delayMs must be an integer between 0 and 60000');
+  expect(validateHedgeOption({ after: 1 })).toBe('unknown hedge option(s): after');
+  expect(validateHedgeOption('yes')).toBe('hedge must be a boolean or { delayMs }');
+});
+
+await test('resolveHedgeDelay / estimateHedgedCost: p95 default, prompt cost per extra call', () => {
+  const providers = [ranked('a', 'a-1'), ranked('b', 'b-1', 3)];
+  expect(resolveHedgeDelay(true, providers)).toBe(300);
+  expect(resolveHedgeDelay({ delayMs: 50 }, providers)).toBe(50);
+  // 0.01 for the top call + 1000 prompt tokens at $3/1M for the hedge
+  expect(estimateHedgedCost(providers, 1000)).toBeCloseTo(0.013);
+});
+
+await test('executeHedged: fast top provider answers alone', async () => {
+  const adapterMap = { a: fakeAdapter(5), b: fakeAdapter(5) };
+  const outcome = await executeHedged([ranked('a', 'a-1'), ranked('b', 'b-1')], adapterMap, 'hi', {}, null, { delayMs: 100 });
+
+  expect(outcome.provider).toBe('a');
+  expect(adapterMap.b.calls).toBe(0);
+  expect(outcome.cancelledProviders.length).toBe(0);
+});
+
+await test('executeHedged: slow top provider is hedged, first success wins, loser aborted', async () => {
+  const adapterMap = { a: fakeAdapter(500), b: fakeAdapter(10) };
+  const outcome = await executeHedged(
+    [ranked('a', 'a-1', 2), ranked('b', 'b-1')], adapterMap, 'hi', {}, null, { delayMs: 20, inputTokens: 1000 }
+  );
+
+  expect(outcome.provider).toBe('b');
+  expect(adapterMap.a.aborted).toBe(1);
+  expect(outcome.cancelledProviders[0].name).toBe('a');
+  // 1000 prompt tokens at $2/1M
+  expect(outcome.cancelledProviders[0].cost).toBeCloseTo(0.002);
+});
+
+await test('executeHedged: a failure fires the next provider without waiting for the delay', async () => {
+  const adapterMap = { a: fakeAdapter(5, { fail: true }), b: fakeAdapter(5) };
+  const started = Date.now();
+  const outcome = await executeHedged([ranked('a', 'a-1'), ranked('b', 'b-1')], adapterMap, 'hi', {}, null, { delayMs: 5000 });
+
+  expect(outcome.provider).toBe('b');
+  expect(Date.now() - started < 1000).toBe(true);
+  expect(outcome.failedProviders[0].name).toBe('a');
+});
+
+await test('executeHedged streaming: only the winner\'s tokens reach the caller', async () => {
+  const adapterMap = { a: fakeAdapter(300), b: fakeAdapter(10) };
+  const tokens = [];
+  const outcome = await executeHedged(
+    [ranked('a', 'a-1'), ranked('b', 'b-1')], adapterMap, 'hi', {},
+    (text, meta) => tokens.push(meta.provider), { delayMs: 20 }
+  );
+
+  expect(outcome.provider).toBe('b');
+  expect(tokens.join(',')).toBe('b');
+  expect(adapterMap.a.aborted).toBe(1);
+});
+
+await test('executeHedged: every provider failing rejects with failedProviders', async () => {
+  const adapterMap = { a: fakeAdapter(5, { fail: true }), b: fakeAdapter(5, { fail: true }) };
+  let error = null;
+  try {
+    await executeHedged([ranked('a', 'a-1'), ranked('b', 'b-1')], adapterMap, 'hi', {}, null, { delayMs: 100 });
+  } catch (err) {
+    error = err;
+  }
+
+  expect(error.failedProviders.length).toBe(2);
+});
+
+await test('smartRoute hedge: both calls are billed and logged', async () => {
+  const agent = createAgent('hedge-test');
+  setBudget(agent.id, 10);
+
+  // The top-ranked provider stalls; the runner-up answers fast
+  const [top, second] = selectProvider('text-generation', 'speed', {}, ['openai', 'deepseek']);
+  const adapterMap = {
+    [top.adapter]: fakeAdapter(400, { cost: 0.004 }),
+    [second.adapter]: fakeAdapter(10, { cost: 0.002 })
+  };
+  const result = await smartRoute({
+    prompt: 'x'.repeat(4000),
+    task: 'text-generation',
+    optimize: 'speed',
+    hedge: { delayMs: 20 },
+    agentId: agent.id
+  }, adapterMap);
+
+  expect(result.provider).toBe(second.adapter);
+  expect(result.hedge.calls).toBe(2);
+  expect(result.hedge.cancelled[0].provider).toBe(top.adapter);
+  expect(result.hedge.cost > 0).toBe(true);
+  expect(result.cost).toBe(0.002);
+
+  const rows = getAll('SELECT status, cost FROM request_log WHERE agent_id = ? ORDER BY id', [agent.id]);
+  expect(rows.map(r => r.status).join(',')).toBe('success,cancelled');
+
+  const logged = rows.reduce((sum, r) => sum + r.cost, 0);
+  expect(logged).toBeCloseTo(0.002 + result.hedge.cost);
+  expect(getBudgetStatus(agent.id).spent).toBeCloseTo(logged);
+});
+
+await test('smartRoute: hedge is ignored outside optimize speed', async () => {
+  const adapterMap = { openai: fakeAdapter(5) };
+  const result = await smartRoute({ prompt: 'hi', task: 'text-generation', optimize: 'cost', hedge: true }, adapterMap);
+  expect(result.hedge).toBe(undefined);
+});
+
+finish();
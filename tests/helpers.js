@@ -0,0 +1,105 @@
+/**
+ * tests/helpers.js
+ * Shared helpers for the standalone test scripts: test(), expect(), an isolated
+ * in-memory database and the summary that sets the exit code.
+ * Each script runs with node (`node tests/budget.test.js`); `npm test` runs them all
+ * through tests/scripts.jest.js.
+ */
+
+import { initDatabase } from '../src/db/database.js';
+import { seedFromManualData } from '../src/crawler/providers/manual.js';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+/**
+ * Run one test and print its result
+ * Async tests return a promise; await it so tests run in order.
+ * @param {string} name - Test name
+ * @param {Function} fn - Test body, sync or async
+ * @returns {boolean|Promise<boolean>} Whether the test passed
+ */
+export function test(name, fn) {
+  const pass = () => {
+    console.log('✅');
+    testsPassed++;
+    return true;
+  };
+
+  const fail = (error) => {
+    console.log(`❌\n  Error: ${error.message}`);
+    testsFailed++;
+    return false;
+  };
+
+  process.stdout.write(`\n${name}... `);
+
+  try {
+    const result = fn();
+    return result && typeof result.then === 'function' ? result.then(pass, fail) : pass();
+  } catch (error) {
+    return fail(error);
+  }
+}
+
+/**
+ * Assertions on a value
+ * @param {*} value - Actual value
+ * @returns {Object} { toBe, toEqual, toBeCloseTo, toContain, not: { toBe } }
+ */
+export function expect(value) {
+  return {
+    toBe(expected) {
+      if (value !== expected) {
+        throw new Error(`Expected ${expected}, got ${value}`);
+      }
+    },
+    toEqual(expected) {
+      if (JSON.stringify(value) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(value)}`);
+      }
+    },
+    toBeCloseTo(expected, digits = 9) {
+      if (Math.abs(value - expected) > Math.pow(10, -digits)) {
+        throw new Error(`Expected ${value} to be close to ${expected}`);
+      }
+    },
+    toContain(expected) {
+      if (!value.includes(expected)) {
+        throw new Error(`Expected ${JSON.stringify(value)} to contain ${expected}`);
+      }
+    },
+    not: {
+      toBe(expected) {
+        if (value === expected) {
+          throw new Error(`Expected value other than ${expected}`);
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Open an isolated in-memory database for this script
+ * @param {Object} options - { seed } seed providers and rates from data/providers.json (default true)
+ */
+export const initTestDatabase = ({ seed = true } = {}) => {
+  initDatabase(':memory:');
+
+  if (seed) {
+    seedFromManualData();
+  }
+};
+
+/**
+ * Print the summary and exit non-zero when a test failed
+ */
+export const finish = () => {
+  console.log('\n========================================');
+  console.log(`Tests passed: ${testsPassed}`);
+  console.log(`Tests failed: ${testsFailed}`);
+  console.log(`Total: ${testsPassed + testsFailed}`);
+  console.log('========================================\n');
+
+  process.exit(testsFailed === 0 ? 0 : 1);
+};
@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+/**
+ * tests/latency-stats.test.js
+ * Rolling latency percentiles, error rates and speed routing tests
+ */
+
+import { runQuery } from '../src/db/database.js';
+import { createAgent } from '../src/db/agents.js';
+import {
+  parseWindow,
+  getLatencyWindows,
+  percentile,
+  computeLatencyStats,
+  getLatencyStats,
+  getLatencyLookup
+} from '../src/router/latency-stats.js';
+import { selectProvider, DEFAULT_LATENCY_MS } from '../src/router/decision.js';
+import { smartRoute } from '../src/router/index.js';
+import { setBudget } from '../src/router/budget.js';
+import { test, expect, initTestDatabase, finish } from './helpers.js';
+
+initTestDatabase();
+
+const agent = createAgent('latency-test');
+setBudget(agent.id, 10);
+
+// Log a routed request `hoursAgo` hours in the past
+const logRequest = ({ provider, model, latency, status = 'success', failed = null, hoursAgo = 0 }) => runQuery(
+  `INSERT INTO request_log (agent_id, provider, model, category, cost, latency_ms, tokens_in, tokens_out, status, failed_providers, created_at)
+   VALUES (?, ?, ?, 'text-generation', 0.001, ?, 10, 10, ?, ?, datetime('now', ?))`,
+  [agent.id, provider, model, latency, status, failed ? JSON.stringify(failed) : null, `-${hoursAgo} hours`]
+);
+
+await test('parseWindow / getLatencyWindows: labels become seconds, invalid ones are dropped', () => {
+  expect(parseWindow('15m')).toBe(900);
+  expect(parseWindow('7d')).toBe(604800);
+  expect(parseWindow('0h')).toBe(null);
+  expect(parseWindow('week')).toBe(null);
+  expect(getLatencyWindows('1h,bogus,7d').join(',')).toBe('1h,7d,24h');
+});
+
+await test('percentile: nearest rank', () => {
+  const sorted = Array.from({ length: 100 }, (_, i) => i + 1);
+  expect(percentile(sorted, 50)).toBe(50);
+  expect(percentile(sorted, 95)).toBe(95);
+  expect(percentile(sorted, 99)).toBe(99);
+  expect(percentile([42], 99)).toBe(42);
+  expect(percentile([], 50)).toBe(null);
+});
+
+await test('computeLatencyStats: percentiles and error rate per model and provider', () => {
+  // gpt-4o-mini: 1..20 x 100ms; gpt-4o: 10 x 3000ms; one gpt-4o failure recovered by anthropic
+  for (let i = 1; i <= 20; i++) {
+    logRequest({ provider: 'openai', model: 'gpt-4o-mini', latency: i * 100 });
+  }
+  for (let i = 0; i < 10; i++) {
+    logRequest({ provider: 'openai', model: 'gpt-4o', latency: 3000 });
+  }
+  logRequest({ provider: 'anthropic', model: 'claude-haiku-4-5', latency: 900, failed: [{ provider: 'openai', model: 'gpt-4o' }] });
+
+  computeLatencyStats();
+
+  const [mini] = getLatencyStats('openai', { window: '24h', model: 'gpt-4o-mini' });
+  expect(mini.sampleCount).toBe(20);
+  expect(mini.p50Ms).toBe(1000);
+  expect(mini.p95Ms).toBe(1900);
+  expect(mini.p99Ms).toBe(2000);
+  expect(mini.errorRate).toBe(0);
+
+  const [gpt4o] = getLatencyStats('openai', { window: '24h', model: 'gpt-4o' });
+  expect(gpt4o.errorCount).toBe(1);
+  expect(gpt4o.errorRate).toBe(parseFloat((1 / 11).toFixed(4)));
+
+  const [provider] = getLatencyStats('openai', { window: '24h', model: '' });
+  expect(provider.model).toBe(null);
+  expect(provider.sampleCount).toBe(30);
+  expect(provider.errorCount).toBe(1);
+});
+
+await test('computeLatencyStats: rows outside a window are excluded', () => {
+  for (let i = 0; i < 5; i++) {
+    logRequest({ provider: 'deepseek', model: 'deepseek-chat', latency: 400, hoursAgo: 3 });
+  }
+
+  computeLatencyStats();
+
+  expect(getLatencyStats('deepseek', { window: '1h' }).length).toBe(0);
+  expect(getLatencyStats('deepseek', { window: '24h', model: '' })[0].sampleCount).toBe(5);
+});
+
+await test('getLatencyLookup: falls back to provider stats when a model has too few samples', () => {
+  const lookup = getLatencyLookup('24h');
+  expect(lookup('openai', 'gpt-4o-mini').p95Ms).toBe(1900);
+  // No gpt-4.1 traffic: provider-wide row
+  expect(lookup('openai', 'gpt-4.1').model).toBe(null);
+  // One anthropic sample is below the minimum
+  expect(lookup('anthropic', 'claude-haiku-4-5')).toBe(null);
+});
+
+await test('selectProvider speed: ranks by p95, unknown latency gets the default', () => {
+  const ranked = selectProvider('text-generation', 'speed', { models: ['gpt-4o-mini'] }, ['openai', 'deepseek', 'anthropic']);
+  const byAdapter = Object.fromEntries(ranked.map(p => [p.adapter, p]));
+
+  expect(byAdapter.deepseek.latencyP95).toBe(400);
+  expect(byAdapter.anthropic.latencyP95).toBe(DEFAULT_LATENCY_MS);
+  expect(ranked.filter(p => p.adapter !== 'openai')[0].adapter).toBe('deepseek');
+});
+
+await test('smartRoute: providers that failed before fallback are logged for error rates', async () => {
+  const adapterMap = {
+    deepseek: { generate: async () => { throw new Error('upstream 503'); } },
+    openai: { generate: async (prompt, options) => ({ text: 'ok', tokens: { input: 3, output: 1 }, cost: 0.0001, model: options.model }) }
+  };
+
+  const result = await smartRoute({ prompt: 'hi', task: 'text-generation', optimize: 'speed', agentId: agent.id }, adapterMap);
+  expect(result.provider).toBe('openai');
+
+  computeLatencyStats();
+  expect(getLatencyStats('deepseek', { window: '24h', model: '' })[0].errorCount).toBe(1);
+});
+
+finish();
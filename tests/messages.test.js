@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+/**
+ * tests/messages.test.js
+ * Chat message translation, generation options and model hint tests
+ */
+
+import { validateMessages, validateStop, toMessages, toAnthropicMessages } from '../src/router/messages.js';
+import { selectProvider } from '../src/router/decision.js';
+import OpenAIAdapter from '../src/router/adapters/openai.js';
+import AnthropicAdapter from '../src/router/adapters/anthropic.js';
+import { test, expect, initTestDatabase, finish } from './helpers.js';
+
+initTestDatabase();
+
+// Capture the request body an adapter sends instead of calling the provider
+const captureRequest = async (adapter, input, options, response) => {
+  const originalFetch = globalThis.fetch;
+  let body = null;
+
+  globalThis.fetch = async (url, init) => {
+    body = JSON.parse(init.body);
+    return new Response(JSON.stringify(response), { status: 200 });
+  };
+
+  try {
+    await adapter.generate(input, options);
+  } finally {
+    globalThis.fetch = originalFetch;
+  }
+
+  return body;
+};
+
+const conversation = [
+  { role: 'system', content: 'You are terse.' },
+  { role: 'user', content: 'Hi' },
+  { role: 'assistant', content: 'Hello.' },
+  { role: 'user', content: 'Name a color.' }
+];
+
+console.log('\n=== Chat Messages Test Suite ===\n');
+
+await test('validateMessages: accepts a system/user/assistant conversation', () => {
+  expect(validateMessages(conversation)).toBe(null);
+});
+
+await test('validateMessages: rejects unknown roles, empty arrays and missing user turns', () => {
+  expect(typeof validateMessages([{ role: 'tool', content: 'x' }])).toBe('string');
+  expect(typeof validateMessages([])).toBe('string');
+  expect(typeof validateMessages([{ role: 'system', content: 'x' }])).toBe('string');
+});
+
+await test('validateStop: caps stop sequences at 4', () => {
+  expect(validateStop('END')).toBe(null);
+  expect(typeof validateStop(['a', 'b', 'c', 'd', 'e'])).toBe('string');
+});
+
+await test('toMessages: a prompt string becomes a single user message', () => {
+  expect(toMessages('Hi')).toEqual([{ role: 'user', content: 'Hi' }]);
+});
+
+await test('toAnthropicMessages: system turns move to the top-level system field', () => {
+  const { system, messages } = toAnthropicMessages(conversation);
+  expect(system).toBe('You are terse.');
+  expect(messages.length).toBe(3);
+  expect(messages[0].role).toBe('user');
+});
+
+await test('toAnthropicMessages: consecutive same-role turns are merged', () => {
+  const { messages } = toAnthropicMessages([
+    { role: 'user', content: 'One' },
+    { role: 'user', content: 'Two' }
+  ]);
+  expect(messages).toEqual([{ role: 'user', content: 'One\n\nTwo' }]);
+});
+
+await test('OpenAIAdapter: sends messages, temperature and stop unchanged', async () => {
+  const body = await captureRequest(
+    new OpenAIAdapter({ apiKey: 'test' }),
+    conversation,
+    { temperature: 0.2, stop: 'END' },
+    { choices: [{ message: { content: 'Blue' } }], usage: { prompt_tokens: 20, completion_tokens: 1 } }
+  );
+  expect(body.messages).toEqual(conversation);
+  expect(body.temperature).toBe(0.2);
+  expect(body.stop).toEqual(['END']);
+});
+
+await test('OpenAIAdapter: unset options are left out of the request', async () => {
+  const body = await captureRequest(
+    new OpenAIAdapter({ apiKey: 'test' }),
+    'Hi',
+    {},
+    { choices: [{ message: { content: 'Hello' } }], usage: { prompt_tokens: 1, completion_tokens: 1 } }
+  );
+  expect('temperature' in body).toBe(false);
+  expect('stop' in body).toBe(false);
+});
+
+await test('AnthropicAdapter: translates system, stop_sequences and clamps temperature', async () => {
+  const body = await captureRequest(
+    new AnthropicAdapter({ apiKey: 'test' }),
+    conversation,
+    { temperature: 1.5, stop: ['END'] },
+    { content: [{ text: 'Blue' }], usage: { input_tokens: 20, output_tokens: 1 } }
+  );
+  expect(body.system).toBe('You are terse.');
+  expect(body.messages.some(m => m.role === 'system')).toBe(false);
+  expect(body.stop_sequences).toEqual(['END']);
+  expect(body.temperature).toBe(1);
+});
+
+await test('selectProvider: model hints choose the hinted model for a provider', async () => {
+  const usage = { inputTokens: 1000, outputTokens: 500 };
+  // Without a hint the cheapest OpenAI model wins
+  expect(selectProvider('text-generation', 'cost', {}, ['openai'], usage)[0].model).toBe('gpt-4o-mini');
+  const ranked = selectProvider('text-generation', 'cost', { models: ['gpt-4o'] }, ['openai'], usage);
+  expect(ranked[0].model).toBe('gpt-4o');
+});
+
+await test('selectProvider: hinted provider is ranked first without excluding others', async () => {
+  const usage = { inputTokens: 1000, outputTokens: 500 };
+  const ranked = selectProvider('text-generation', 'cost', { models: ['claude-haiku-4-5-20251001'] }, ['openai', 'anthropic'], usage);
+  expect(ranked[0].providerName).toBe('Anthropic');
+  expect(ranked.length).toBe(2);
+});
+
+finish();
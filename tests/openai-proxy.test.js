@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+/**
+ * tests/openai-proxy.test.js
+ * OpenAI-compatible /v1/openai/chat/completions endpoint tests
+ * Runs the router on an ephemeral port with stub adapters (no provider calls).
+ */
+
+import express from 'express';
+import { createAgent } from '../src/db/agents.js';
+import { createAgentKey } from '../src/db/agent-keys.js';
+import { setBudget } from '../src/router/budget.js';
+import openaiProxyRouter, { resolveRouting } from '../src/api/openai-proxy.js';
+import { test, expect, initTestDatabase, finish } from './helpers.js';
+
+initTestDatabase();
+
+// Stub adapter: records the last call and answers without network access
+const calls = [];
+const stubAdapter = (name) => ({
+  async generate(input, options) {
+    calls.push({ name, input, options });
+    return { text: 'Blue', tokens: { input: 12, output: 1 }, latency: 5, cost: 0.00001, model: options.model };
+  },
+  async generateStream(input, options, onToken) {
+    calls.push({ name, input, options });
+    onToken('Bl');
+    onToken('ue');
+    return { text: 'Blue', tokens: { input: 12, output: 1 }, latency: 5, cost: 0.00001, model: options.model };
+  }
+});
+
+const app = express();
+app.use(express.json());
+app.locals.adapterMap = { openai: stubAdapter('openai'), anthropic: stubAdapter('anthropic') };
+app.use('/v1/openai', openaiProxyRouter);
+
+const server = app.listen(0);
+const baseUrl = `http://127.0.0.1:${server.address().port}/v1/openai`;
+
+const agent = createAgent('openai-proxy-test');
+setBudget(agent.id, 10);
+
+const post = (body, headers = {}) => fetch(`${baseUrl}/chat/completions`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${agent.apiKey}`, ...headers },
+  body: JSON.stringify(body)
+});
+
+const messages = [
+  { role: 'system', content: 'You are terse.' },
+  { role: 'user', content: 'Name a color.' }
+];
+
+console.log('\n=== OpenAI Proxy Test Suite ===\n');
+
+await test('resolveRouting: agora/ aliases map to optimize strategies', () => {
+  expect(resolveRouting('agora/cheapest').optimize).toBe('cost');
+  expect(resolveRouting('agora/fastest').optimize).toBe('speed');
+  expect(resolveRouting('agora/best').optimize).toBe('quality');
+  expect(typeof resolveRouting('agora/nope').error).toBe('string');
+});
+
+await test('resolveRouting: header overrides alias, plain model ids become hints', () => {
+  expect(resolveRouting('agora/cheapest', 'quality').optimize).toBe('quality');
+  const routing = resolveRouting('gpt-4o');
+  expect(routing.optimize).toBe('cost');
+  expect(routing.modelHint).toBe('gpt-4o');
+});
+
+await test('POST /chat/completions: returns an OpenAI-shaped completion with usage', async () => {
+  const response = await post({ model: 'agora/cheapest', messages, max_tokens: 50 });
+  const body = await response.json();
+
+  expect(response.status).toBe(200);
+  expect(body.object).toBe('chat.completion');
+  expect(body.choices[0].message.role).toBe('assistant');
+  expect(body.choices[0].message.content).toBe('Blue');
+  expect(body.usage.total_tokens).toBe(13);
+  expect(body.agora.optimize).toBe('cost');
+  expect(calls[calls.length - 1].options.maxTokens).toBe(50);
+});
+
+await test('POST /chat/completions: a concrete model id is routed as a hint', async () => {
+  const response = await post({ model: 'gpt-4o', messages });
+  const body = await response.json();
+
+  expect(response.status).toBe(200);
+  expect(body.model).toBe('gpt-4o');
+});
+
+await test('POST /chat/completions: streams chat.completion.chunk events ending in [DONE]', async () => {
+  const response = await post({ model: 'agora/cheapest', messages, stream: true, stream_options: { include_usage: true } });
+  const text = await response.text();
+
+  expect(response.headers.get('content-type')).toContain('text/event-stream');
+  expect(text).toContain('"delta":{"content":"Bl"}');
+  expect(text).toContain('"total_tokens":13');
+  expect(text.trim().endsWith('data: [DONE]')).toBe(true);
+});
+
+await test('POST /chat/completions: errors use the OpenAI error shape', async () => {
+  const response = await post({ model: 'agora/nope', messages });
+  const body = await response.json();
+
+  expect(response.status).toBe(400);
+  expect(body.error.type).toBe('invalid_request_error');
+});
+
+await test('POST /chat/completions: requires an agent key', async () => {
+  const response = await post({ model: 'agora/cheapest', messages }, { Authorization: 'Bearer aro_invalid' });
+  expect(response.status).toBe(401);
+});
+
+await test('POST /chat/completions: auth errors use the OpenAI error shape', async () => {
+  let response = await post({ model: 'agora/cheapest', messages }, { Authorization: 'Bearer aro_invalid' });
+  let body = await response.json();
+  expect(body.success).toBe(undefined);
+  expect(body.error.type).toBe('invalid_request_error');
+  expect(body.error.code).toBe('invalid_api_key');
+  expect(body.error.message).toContain('Invalid API key');
+
+  const readOnly = createAgentKey(agent.id, { name: 'rates-only', scopes: ['rates:read'] });
+  response = await post({ model: 'agora/cheapest', messages }, { Authorization: `Bearer ${readOnly.apiKey}` });
+  body = await response.json();
+  expect(response.status).toBe(403);
+  expect(body.error.code).toBe('insufficient_permissions');
+  expect(body.error.message).toContain("'route' scope");
+});
+
+server.close();
+
+finish();
@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+/**
+ * tests/pricing.test.js
+ * Split token pricing and model-level cost resolution tests
+ */
+
+import { normalizeModelId, getTokenPrices, calculateTokenCost, estimateRequestTokens } from '../src/router/pricing.js';
+import { selectProvider } from '../src/router/decision.js';
+import OpenAIAdapter from '../src/router/adapters/openai.js';
+import AnthropicAdapter from '../src/router/adapters/anthropic.js';
+import { test, expect, initTestDatabase, finish } from './helpers.js';
+
+initTestDatabase();
+
+console.log('\n=== Token Pricing Test Suite ===\n');
+
+// gpt-4o as stored in the rates table (per 1M tokens)
+const gpt4o = {
+  price: 7.5,
+  input_price: 2.5,
+  output_price: 10,
+  cached_input_price: 1.25,
+  batch_input_price: 1.25,
+  batch_output_price: 5
+};
+
+test('calculateTokenCost: bills input and output at their own prices', () => {
+  // 1M in @ $2.50 + 1M out @ $10.00
+  expect(calculateTokenCost(gpt4o, 1_000_000, 1_000_000)).toBeCloseTo(12.5);
+});
+
+test('calculateTokenCost: output-heavy workload is not flattened to blended price', () => {
+  // 100 in, 4000 out
+  const cost = calculateTokenCost(gpt4o, 100, 4000);
+  expect(cost).toBeCloseTo((100 * 2.5 + 4000 * 10) / 1_000_000);
+});
+
+test('calculateTokenCost: cached tokens use cached input price', () => {
+  const cost = calculateTokenCost(gpt4o, 1_000_000, 0, { cachedTokens: 400_000 });
+  expect(cost).toBeCloseTo(0.6 * 2.5 + 0.4 * 1.25);
+});
+
+test('calculateTokenCost: cached tokens are capped at input tokens', () => {
+  const cost = calculateTokenCost(gpt4o, 1000, 0, { cachedTokens: 5000 });
+  expect(cost).toBeCloseTo(1000 * 1.25 / 1_000_000);
+});
+
+test('calculateTokenCost: batch mode uses batch prices', () => {
+  expect(calculateTokenCost(gpt4o, 1_000_000, 1_000_000, { batch: true })).toBeCloseTo(6.25);
+});
+
+test('getTokenPrices: falls back to blended price when split prices missing', () => {
+  const prices = getTokenPrices({ price: 3 });
+  expect(prices.input).toBe(3);
+  expect(prices.output).toBe(3);
+  expect(prices.cachedInput).toBe(3);
+  expect(prices.batchOutput).toBe(3);
+});
+
+test('getTokenPrices: accepts camelCase crawler objects', () => {
+  const prices = getTokenPrices({ price: 5, inputPrice: 1, outputPrice: 5 });
+  expect(prices.input).toBe(1);
+  expect(prices.output).toBe(5);
+  expect(prices.batchInput).toBe(1);
+});
+
+test('normalizeModelId: strips dated and -latest suffixes', () => {
+  expect(normalizeModelId('claude-haiku-4-5-20251001')).toBe('claude-haiku-4-5');
+  expect(normalizeModelId('gpt-4o-mini-2024-07-18')).toBe('gpt-4o-mini');
+  expect(normalizeModelId('mistral-large-latest')).toBe('mistral-large');
+  expect(normalizeModelId('gpt-4o')).toBe('gpt-4o');
+});
+
+test('calculateCost: resolves the exact model rate, not the first provider row', () => {
+  const adapter = new OpenAIAdapter({ apiKey: 'test' });
+  // gpt-4o-mini: $0.15 in / $0.60 out per 1M
+  expect(adapter.calculateCost(1_000_000, 1_000_000, 'gpt-4o-mini')).toBeCloseTo(0.75);
+  // gpt-4o: $2.50 in / $10.00 out per 1M
+  expect(adapter.calculateCost(1_000_000, 1_000_000, 'gpt-4o')).toBeCloseTo(12.5);
+});
+
+test('calculateCost: dated model ids resolve to their base model', () => {
+  const adapter = new AnthropicAdapter({ apiKey: 'test' });
+  // claude-haiku-4-5: $1 in / $5 out per 1M
+  expect(adapter.calculateCost(1_000_000, 1_000_000, 'claude-haiku-4-5-20251001')).toBeCloseTo(6);
+});
+
+test('calculateCost: unknown model returns null instead of a guess', () => {
+  const adapter = new OpenAIAdapter({ apiKey: 'test' });
+  expect(adapter.calculateCost(1000, 1000, 'gpt-unknown')).toBe(null);
+});
+
+test('estimateRequestTokens: prompt length in, maxTokens out', () => {
+  const usage = estimateRequestTokens({ prompt: 'x'.repeat(400), maxTokens: 250 });
+  expect(usage.inputTokens).toBe(100);
+  expect(usage.outputTokens).toBe(250);
+  expect(estimateRequestTokens({ prompt: '' }).outputTokens).toBe(1000);
+});
+
+test('selectProvider: estimatedCost is dollars for the expected tokens', () => {
+  const usage = { inputTokens: 1000, outputTokens: 500 };
+  const ranked = selectProvider('text-generation', 'cost', {}, ['openai'], usage);
+  // Cheapest OpenAI model is gpt-4o-mini: 1000 * 0.15/1M + 500 * 0.60/1M
+  expect(ranked[0].model).toBe('gpt-4o-mini');
+  expect(ranked[0].estimatedCost).toBeCloseTo(0.00045, 8);
+});
+
+test('selectProvider: maxCost is a per-request dollar cap', () => {
+  const usage = { inputTokens: 1000, outputTokens: 500 };
+  // $0.0004 cap excludes gpt-4o-mini ($0.00045) and everything pricier
+  expect(selectProvider('text-generation', 'cost', { maxCost: 0.0004 }, ['openai'], usage).length).toBe(0);
+  expect(selectProvider('text-generation', 'cost', { maxCost: 0.001 }, ['openai'], usage).length).toBe(1);
+});
+
+finish();
@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+/**
+ * tests/quality.test.js
+ * Model quality registry, feedback ratings and quality routing tests
+ */
+
+import express from 'express';
+import { runQuery } from '../src/db/database.js';
+import { createAgent } from '../src/db/agents.js';
+import {
+  DEFAULT_QUALITY_SCORE,
+  ratingToScore,
+  validateQualityScore,
+  importQualityScores,
+  seedQualityScores,
+  getQualityLookup,
+  listQualityScores,
+  recordFeedback
+} from '../src/router/quality.js';
+import { selectProvider } from '../src/router/decision.js';
+import { smartRoute } from '../src/router/index.js';
+import { setBudget } from '../src/router/budget.js';
+import qualityRouter from '../src/api/quality.js';
+import { test, expect, initTestDatabase, finish } from './helpers.js';
+
+initTestDatabase();
+
+const agent = createAgent('quality-test');
+const other = createAgent('quality-other');
+setBudget(agent.id, 10);
+
+// Log a routed request and return its request_log id
+const logRequest = (agentId, model, status = 'success') => runQuery(
+  `INSERT INTO request_log (agent_id, provider, model, category, cost, latency_ms, tokens_in, tokens_out, status)
+   VALUES (?, 'openai', ?, 'text-generation', 0.001, 500, 10, 10, ?)`,
+  [agentId, model, status]
+).lastInsertRowid;
+
+await test('seedQualityScores: imports data/model-quality.json', () => {
+  const imported = seedQualityScores();
+  expect(imported > 0).toBe(true);
+  expect(listQualityScores({ model: 'claude-opus-4-6' })[0].benchmark).toBe(90);
+});
+
+await test('selectProvider quality: ranks by benchmark, not price confidence', () => {
+  const ranked = selectProvider('text-generation', 'quality', {}, ['openai', 'anthropic', 'deepseek']);
+  expect(ranked[0].model).toBe('claude-opus-4-6');
+  expect(ranked[0].quality).toBe(90);
+});
+
+await test('getQualityLookup: unknown models get the default score', () => {
+  const quality = getQualityLookup('text-generation')('some-unlisted-model');
+  expect(quality.score).toBe(DEFAULT_QUALITY_SCORE);
+  expect(quality.benchmark).toBe(null);
+});
+
+await test('importQualityScores: API updates replace benchmark scores', () => {
+  importQualityScores([{ model: 'deepseek-chat', category: 'text-generation', score: 95 }], 'agent:1');
+  const [row] = listQualityScores({ model: 'deepseek-chat' });
+  expect(row.benchmark).toBe(95);
+  expect(row.source).toBe('agent:1');
+
+  const ranked = selectProvider('text-generation', 'quality', {}, ['openai', 'anthropic', 'deepseek']);
+  expect(ranked[0].model).toBe('deepseek-chat');
+});
+
+await test('recordFeedback: ratings blend into the model score', () => {
+  const before = getQualityLookup('text-generation')('gpt-4o-mini').score;
+  for (let i = 0; i < 5; i++) {
+    recordFeedback({ agentId: agent.id, requestId: logRequest(agent.id, 'gpt-4o-mini'), rating: 5 });
+  }
+
+  const after = getQualityLookup('text-generation')('gpt-4o-mini');
+  expect(after.feedbackRatings).toBe(5);
+  expect(after.score > before).toBe(true);
+  expect(Math.round(after.score)).toBe(Math.round((58 * 10 + ratingToScore(5) * 5) / 15));
+});
+
+await test('recordFeedback: re-rating replaces the earlier rating', () => {
+  const requestId = logRequest(agent.id, 'grok-4');
+  recordFeedback({ agentId: agent.id, requestId, rating: 1 });
+  recordFeedback({ agentId: agent.id, requestId, rating: 4, comment: 'better on reread' });
+  expect(getQualityLookup('text-generation')('grok-4').feedbackRatings).toBe(1);
+});
+
+await test('recordFeedback: agents can only rate their own successful requests', () => {
+  const requestId = logRequest(agent.id, 'gpt-4o');
+  let code = null;
+  try {
+    recordFeedback({ agentId: other.id, requestId, rating: 3 });
+  } catch (error) {
+    code = error.code;
+  }
+  expect(code).toBe(404);
+
+  try {
+    recordFeedback({ agentId: agent.id, requestId: logRequest(agent.id, 'gpt-4o', 'failed'), rating: 3 });
+  } catch (error) {
+    code = error.code;
+  }
+  expect(code).toBe(409);
+});
+
+await test('smartRoute: returns the request_log id for feedback', async () => {
+  const adapterMap = {
+    openai: { generate: async (prompt, options) => ({ text: 'ok', tokens: { input: 3, output: 1 }, cost: 0.0001, model: options.model }) }
+  };
+  const result = await smartRoute({ prompt: 'hi', task: 'text-generation', optimize: 'quality', agentId: agent.id }, adapterMap);
+
+  expect(Number.isInteger(result.requestId)).toBe(true);
+  // Five-star feedback lifted gpt-4o-mini (58 → 72) above gpt-4o (71)
+  expect(result.model).toBe('gpt-4o-mini');
+  expect(recordFeedback({ agentId: agent.id, requestId: result.requestId, rating: 4 }).model).toBe('gpt-4o-mini');
+});
+
+await test('validateQualityScore: rejects out-of-range scores', () => {
+  expect(validateQualityScore({ model: 'x', category: 'text-generation', score: 101 })).toBe('score must be a number between 0 and 100');
+  expect(validateQualityScore({ model: 'x', category: 'text-generation', score: 70 })).toBe(null);
+});
+
+await test('PUT /v1/quality: needs the operator key, agent keys are refused', async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/v1/quality', qualityRouter);
+  const server = app.listen(0);
+
+  const put = (headers) => fetch(`http://127.0.0.1:${server.address().port}/v1/quality`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify({ scores: [{ model: 'gpt-4o-mini', category: 'text-generation', score: 1 }] })
+  });
+
+  try {
+    delete process.env.AGORA_OPERATOR_KEY;
+    expect((await put({ 'X-Operator-Key': 'anything' })).status).toBe(403);
+
+    process.env.AGORA_OPERATOR_KEY = 'op_secret';
+    expect((await put({ Authorization: `Bearer ${agent.apiKey}` })).status).toBe(403);
+    expect((await put({ 'X-Operator-Key': 'op_wrong' })).status).toBe(403);
+    expect(listQualityScores({ model: 'gpt-4o-mini', category: 'text-generation' })[0].benchmark === 1).toBe(false);
+
+    const response = await put({ 'X-Operator-Key': 'op_secret' });
+    expect(response.status).toBe(200);
+    expect(listQualityScores({ model: 'gpt-4o-mini', category: 'text-generation' })[0].benchmark).toBe(1);
+  } finally {
+    delete process.env.AGORA_OPERATOR_KEY;
+    server.close();
+  }
+});
+
+finish();
@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+/**
+ * tests/request-tags.test.js
+ * Cost attribution tags on smart-route requests, filtered and grouped in analytics
+ */
+
+import express from 'express';
+import { getOne, runQuery } from '../src/db/database.js';
+import { createAgent } from '../src/db/agents.js';
+import { setBudget } from '../src/router/budget.js';
+import { validateTags } from '../src/router/tags.js';
+import { smartRoute } from '../src/router/index.js';
+import smartRouteRouter from '../src/api/smart-route.js';
+import analyticsRouter from '../src/api/analytics.js';
+import { test, expect, initTestDatabase, finish } from './helpers.js';
+
+initTestDatabase();
+
+const fakeAdapter = () => ({
+  async generate(prompt, options) {
+    return { text: 'ok', tokens: { input: 5, output: 2 }, cost: 0.0001, model: options.model };
+  }
+});
+
+const failingAdapter = () => ({
+  async generate() {
+    throw new Error('upstream down');
+  }
+});
+
+const agent = createAgent('request-tags');
+setBudget(agent.id, 10);
+
+await test('validateTags: flat string values with safe keys', () => {
+  expect(validateTags({ project: 'search', env: 'prod' })).toBe(null);
+  expect(validateTags(['search'])).toBe('tags must be an object of string values');
+  expect(validateTags({ "project'": 'x' })).toBe("tag key 'project'' must be 1-40 letters, digits, '_' or '-'");
+  expect(validateTags({ project: 42 })).toBe('tags.project must be a non-empty string of at most 128 characters');
+  expect(validateTags(Object.fromEntries(Array.from({ length: 11 }, (_, i) => [`k${i}`, 'v'])))).toBe('at most 10 tags per request');
+});
+
+await test('smartRoute: tags are stored on success and failure rows', async () => {
+  const tags = { project: 'search', env: 'prod' };
+
+  const result = await smartRoute({ prompt: 'hi', task: 'text-generation', agentId: agent.id, tags }, { openai: fakeAdapter() });
+  expect(getOne('SELECT tags FROM request_log WHERE id = ?', [result.requestId]).tags).toBe(JSON.stringify(tags));
+
+  try {
+    await smartRoute({ prompt: 'hi', task: 'text-generation', agentId: agent.id, tags }, { openai: failingAdapter() });
+  } catch {
+    // expected
+  }
+  const failed = getOne("SELECT tags FROM request_log WHERE agent_id = ? AND status = 'failed'", [agent.id]);
+  expect(failed.tags).toBe(JSON.stringify(tags));
+});
+
+const app = express();
+app.use(express.json());
+app.use('/v1/smart-route', smartRouteRouter);
+app.use('/v1/analytics', analyticsRouter);
+
+const server = app.listen(0);
+const baseUrl = () => `http://127.0.0.1:${server.address().port}`;
+
+await test('POST /v1/smart-route/explain: rejects invalid tags', async () => {
+  const response = await fetch(`${baseUrl()}/v1/smart-route/explain`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ prompt: 'hi', task: 'text-generation', tags: { project: ['a', 'b'] } })
+  });
+
+  expect(response.status).toBe(400);
+  expect((await response.json()).error).toBe('Invalid field: tags.project must be a non-empty string of at most 128 characters');
+});
+
+// A separate agent with hand-written rows in one week
+const team = createAgent('request-tags-analytics');
+const log = (createdAt, cost, tags) => {
+  runQuery(
+    `INSERT INTO request_log (agent_id, provider, model, category, cost, latency_ms, tokens_in, tokens_out, status, tags, created_at)
+     VALUES (?, 'openai', 'gpt-4o-mini', 'chat', ?, 100, 10, 10, 'success', ?, ?)`,
+    [team.id, cost, tags ? JSON.stringify(tags) : null, createdAt]
+  );
+};
+
+log('2026-03-02 10:00:00', 0.2, { project: 'search', env: 'prod' });
+log('2026-03-09 10:00:00', 0.1, { project: 'search', env: 'prod' });
+log('2026-03-10 10:00:00', 0.3, { project: 'search', env: 'staging' });
+log('2026-03-11 10:00:00', 0.4, { project: 'ads', env: 'prod' });
+log('2026-03-12 10:00:00', 0.5, null);
+
+const get = async (query) => {
+  const response = await fetch(`${baseUrl()}/v1/analytics/${team.id}?${new URLSearchParams(query)}`);
+  return { status: response.status, body: await response.json() };
+};
+
+await test('GET /v1/analytics/:agentId: tag filters narrow every figure', async () => {
+  const { body } = await get([['from', '2026-03-09'], ['to', '2026-03-16'], ['tag', 'project:search']]);
+  expect(body.data.totalSpent).toBeCloseTo(0.4);
+  expect(body.data.totalRequests).toBe(2);
+  expect(body.data.previous.totalSpent).toBeCloseTo(0.2);
+  expect(body.data.tags.project).toBe('search');
+
+  const both = await get([['from', '2026-03-09'], ['to', '2026-03-16'], ['tag', 'project:search'], ['tag', 'env:prod']]);
+  expect(both.body.data.totalRequests).toBe(1);
+});
+
+await test('GET /v1/analytics/:agentId: groupBy tag:<key>', async () => {
+  const { body } = await get({ from: '2026-03-09', to: '2026-03-16', groupBy: 'tag:project' });
+  const spent = Object.fromEntries(body.data.groups.map(g => [g['tag:project'], g.spent]));
+
+  expect(spent.search).toBeCloseTo(0.4);
+  expect(spent.ads).toBeCloseTo(0.4);
+  expect(spent.null).toBeCloseTo(0.5);
+  expect(body.data.groups.find(g => g['tag:project'] === 'search').previousSpent).toBeCloseTo(0.2);
+});
+
+await test('GET /v1/analytics/:agentId: rejects malformed tag filters and keys', async () => {
+  expect((await get({ tag: 'project' })).status).toBe(400);
+  expect((await get({ tag: 'project:' })).status).toBe(400);
+  expect((await get({ groupBy: "tag:x')" })).status).toBe(400);
+});
+
+server.close();
+
+finish();
@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+/**
+ * tests/response-cache.test.js
+ * Smart-route exact-match response cache tests (stub adapters, in-memory DB)
+ */
+
+import express from 'express';
+import { getAll, getOne } from '../src/db/database.js';
+import { createAgent } from '../src/db/agents.js';
+import { setBudget, getBudgetStatus } from '../src/router/budget.js';
+import { buildCacheKey, setAgentCacheSettings, resolveCachePolicy } from '../src/router/cache.js';
+import { smartRoute } from '../src/router/index.js';
+import smartRouteRouter from '../src/api/smart-route.js';
+import { test, expect, initTestDatabase, finish } from './helpers.js';
+
+initTestDatabase();
+
+let generateCalls = 0;
+const adapterMap = {
+  openai: {
+    async generate(input, options) {
+      generateCalls++;
+      return { text: 'Paris', tokens: { input: 10, output: 2 }, latency: 5, cost: 0.002, model: options.model };
+    }
+  }
+};
+
+const agent = createAgent('cache-test');
+setBudget(agent.id, 10);
+
+const request = {
+  prompt: 'What is the capital of France?',
+  task: 'text-generation',
+  agentId: agent.id
+};
+
+const baseKey = {
+  agentId: 1,
+  task: 'text-generation',
+  optimize: 'cost',
+  input: [{ role: 'user', content: 'Hi' }],
+  constraints: {}
+};
+
+console.log('\n=== Response Cache Test Suite ===\n');
+
+await test('buildCacheKey: ignores surrounding whitespace and prompt vs single message form', () => {
+  expect(buildCacheKey({ ...baseKey, input: '  Hi\r\n' })).toBe(buildCacheKey(baseKey));
+});
+
+await test('buildCacheKey: generation params, constraints and agent change the key', () => {
+  const key = buildCacheKey(baseKey);
+  expect(buildCacheKey({ ...baseKey, temperature: 0.5 })).not.toBe(key);
+  expect(buildCacheKey({ ...baseKey, constraints: { maxTokens: 50 } })).not.toBe(key);
+  expect(buildCacheKey({ ...baseKey, constraints: { models: ['gpt-4o'] } })).not.toBe(key);
+  expect(buildCacheKey({ ...baseKey, constraints: { region: 'eu' } })).not.toBe(key);
+  expect(buildCacheKey({ ...baseKey, constraints: { vision: true } })).not.toBe(key);
+  expect(buildCacheKey({ ...baseKey, agentId: 2 })).not.toBe(key);
+});
+
+await test('resolveCachePolicy: off by default, request opt-in and agent default', () => {
+  expect(resolveCachePolicy(agent.id, undefined).enabled).toBe(false);
+  expect(resolveCachePolicy(agent.id, true).enabled).toBe(true);
+  expect(resolveCachePolicy(agent.id, { ttl: 60 }).ttlSeconds).toBe(60);
+  expect(resolveCachePolicy(null, true).enabled).toBe(false);
+});
+
+await test('smartRoute: without opt-in every call reaches the provider', async () => {
+  await smartRoute(request, adapterMap);
+  const result = await smartRoute(request, adapterMap);
+  expect(generateCalls).toBe(2);
+  expect(result.cache.enabled).toBe(false);
+});
+
+await test('smartRoute: first cached call is a miss that stores the response', async () => {
+  const result = await smartRoute({ ...request, cache: true }, adapterMap);
+  expect(generateCalls).toBe(3);
+  expect(result.cache.hit).toBe(false);
+  expect(result.cache.stored).toBe(true);
+});
+
+await test('smartRoute: identical request is served from cache at zero cost', async () => {
+  const spentBefore = getBudgetStatus(agent.id).spent;
+  const result = await smartRoute({ ...request, prompt: `${request.prompt}\n`, cache: true }, adapterMap);
+
+  expect(generateCalls).toBe(3);
+  expect(result.cache.hit).toBe(true);
+  expect(result.cost).toBe(0);
+  expect(result.costStatus).toBe('cached');
+  expect(result.response).toBe('Paris');
+  expect(result.savings).toBe(0.002);
+  expect(getBudgetStatus(agent.id).spent).toBe(spentBefore);
+});
+
+await test('request_log: cache hits are zero-cost rows flagged cache_hit', () => {
+  const hits = getAll('SELECT * FROM request_log WHERE agent_id = ? AND cache_hit = 1', [agent.id]);
+  expect(hits.length).toBe(1);
+  expect(hits[0].cost).toBe(0);
+  expect(hits[0].status).toBe('success');
+});
+
+await test('smartRoute: agent default enables caching without a request flag', async () => {
+  setAgentCacheSettings(agent.id, { enabled: true, ttlSeconds: 120 });
+  const result = await smartRoute(request, adapterMap);
+  expect(result.cache.hit).toBe(true);
+
+  const entry = getOne('SELECT hit_count FROM response_cache WHERE agent_id = ?', [agent.id]);
+  expect(entry.hit_count).toBe(2);
+});
+
+await test('smartRoute: cache: false bypasses the cache', async () => {
+  await smartRoute({ ...request, cache: false }, adapterMap);
+  expect(generateCalls).toBe(4);
+});
+
+await test("POST /v1/smart-route: another agent never reads this agent's cache", async () => {
+  const app = express();
+  app.use(express.json());
+  app.locals.adapterMap = adapterMap;
+  app.use('/v1/smart-route', smartRouteRouter);
+  const server = app.listen(0);
+
+  const post = (body, apiKey) => fetch(`http://127.0.0.1:${server.address().port}/v1/smart-route`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(apiKey && { Authorization: `Bearer ${apiKey}` }) },
+    body: JSON.stringify(body)
+  });
+
+  const intruder = createAgent('cache-intruder');
+  setBudget(intruder.id, 10);
+
+  try {
+    // The cached prompt of `agent`, asked for by name
+    const named = await post({ ...request, cache: true }, intruder.apiKey);
+    expect(named.status).toBe(403);
+    expect((await post({ ...request, cache: true })).status).toBe(401);
+
+    // Under its own key the same prompt is a miss that reaches the provider
+    const calls = generateCalls;
+    const own = await post({ prompt: request.prompt, task: request.task, cache: true }, intruder.apiKey);
+    expect((await own.json()).data.cache.hit).toBe(false);
+    expect(generateCalls).toBe(calls + 1);
+  } finally {
+    server.close();
+  }
+});
+
+finish();
@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+/**
+ * tests/savings-baseline.test.js
+ * Savings measured against a declared baseline model and stored per request
+ */
+
+import express from 'express';
+import { getOne, runQuery } from '../src/db/database.js';
+import { createAgent } from '../src/db/agents.js';
+import { setBudget } from '../src/router/budget.js';
+import { setSavingsBaseline, priceBaseline } from '../src/router/savings.js';
+import { smartRoute } from '../src/router/index.js';
+import agentsRouter from '../src/api/agents.js';
+import analyticsRouter from '../src/api/analytics.js';
+import { test, expect, initTestDatabase, finish } from './helpers.js';
+
+initTestDatabase();
+
+// Fake adapter: 1000 tokens in, 500 out, fixed cost
+const fakeAdapter = (cost = 0.0001) => ({
+  async generate(prompt, options) {
+    return { text: 'ok', tokens: { input: 1000, output: 500 }, cost, model: options.model };
+  }
+});
+
+// gpt-4o at $2.50 in / $10 out per 1M tokens
+const GPT4O_COST = (1000 * 2.5 + 500 * 10) / 1_000_000;
+
+const agent = createAgent('savings-baseline');
+setBudget(agent.id, 10);
+
+await test('priceBaseline: prices the tokens at the baseline rate', () => {
+  expect(priceBaseline({ provider: 'openai', model: 'gpt-4o' }, { input: 1000, output: 500 }).cost).toBeCloseTo(GPT4O_COST);
+  expect(priceBaseline({ provider: 'openai', model: 'no-such-model' }, { input: 1000, output: 500 })).toBe(null);
+  expect(priceBaseline(null, { input: 1000, output: 500 })).toBe(null);
+});
+
+await test('smartRoute: savings are baseline cost minus actual cost, stored on the row', async () => {
+  setSavingsBaseline(agent.id, { provider: 'openai', model: 'gpt-4o' });
+
+  const result = await smartRoute({ prompt: 'hi', task: 'text-generation', agentId: agent.id }, { openai: fakeAdapter(), deepseek: fakeAdapter() });
+
+  expect(result.savings).toBeCloseTo(GPT4O_COST - 0.0001);
+  expect(result.savingsBaseline.model).toBe('gpt-4o');
+
+  const row = getOne('SELECT baseline_provider, baseline_model, baseline_cost, savings FROM request_log WHERE id = ?', [result.requestId]);
+  expect(row.baseline_model).toBe('gpt-4o');
+  expect(row.baseline_cost).toBeCloseTo(GPT4O_COST);
+  expect(row.savings).toBeCloseTo(GPT4O_COST - 0.0001);
+});
+
+await test('smartRoute: a cheaper baseline reports negative savings', async () => {
+  const cheap = createAgent('savings-cheap-baseline');
+  setBudget(cheap.id, 10);
+  setSavingsBaseline(cheap.id, { provider: 'mistral', model: 'open-mistral-nemo' });
+
+  const result = await smartRoute({ prompt: 'hi', task: 'text-generation', agentId: cheap.id }, { openai: fakeAdapter(0.01), deepseek: fakeAdapter(0.01) });
+  expect(result.savings < 0).toBe(true);
+});
+
+await test('smartRoute: without a baseline savings use the most expensive option', async () => {
+  const legacy = createAgent('savings-no-baseline');
+  setBudget(legacy.id, 10);
+
+  const result = await smartRoute({ prompt: 'hi', task: 'text-generation', agentId: legacy.id }, { openai: fakeAdapter(), deepseek: fakeAdapter() });
+  expect(result.savingsBaseline).toBe(null);
+  expect(result.savings >= 0).toBe(true);
+  expect(getOne('SELECT savings FROM request_log WHERE id = ?', [result.requestId]).savings).toBe(null);
+});
+
+// HTTP: declare the baseline, then read savings
+const app = express();
+app.use(express.json());
+app.use('/v1/agents', agentsRouter);
+app.use('/v1/analytics', analyticsRouter);
+
+const server = app.listen(0);
+const call = (method, path, body) => fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+  method,
+  headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${agent.apiKey}` },
+  body: body ? JSON.stringify(body) : undefined
+});
+
+await test('PUT/GET /v1/agents/me/savings-baseline: only priced models', async () => {
+  let response = await call('PUT', '/v1/agents/me/savings-baseline', { provider: 'openai', model: 'gpt-9' });
+  expect(response.status).toBe(400);
+
+  response = await call('PUT', '/v1/agents/me/savings-baseline', { provider: 'openai', model: 'gpt-4o' });
+  expect(response.status).toBe(200);
+
+  response = await call('GET', '/v1/agents/me/savings-baseline');
+  const baseline = (await response.json()).data;
+  expect(baseline.outputPrice).toBe(10);
+});
+
+await test('GET /savings: stored savings do not move when the baseline rate changes', async () => {
+  // Earlier rows in the window, made before the agent declared a baseline
+  runQuery(
+    `INSERT INTO request_log (agent_id, provider, model, category, cost, latency_ms, tokens_in, tokens_out, status)
+     VALUES (?, 'openai', 'gpt-4o-mini', 'text-generation', 0.001, 100, 10, 10, 'success')`,
+    [agent.id]
+  );
+
+  let response = await call('GET', `/v1/analytics/${agent.id}/savings`);
+  const before = (await response.json()).data;
+
+  expect(before.comparedTo).toBe('openai/gpt-4o');
+  expect(before.requests).toBe(1);
+  expect(before.requestsWithoutBaseline).toBe(1);
+  expect(before.totalSavings).toBeCloseTo(GPT4O_COST - 0.0001);
+
+  runQuery(`UPDATE rates SET input_price = 0.01, output_price = 0.01
+            WHERE service_id IN (SELECT id FROM services WHERE model = 'gpt-4o')`);
+
+  response = await call('GET', `/v1/analytics/${agent.id}/savings`);
+  const after = (await response.json()).data;
+  expect(after.totalSavings).toBe(before.totalSavings);
+});
+
+server.close();
+
+finish();
@@ -0,0 +1,35 @@
+/**
+ * tests/scripts.jest.js
+ * `npm test` entry point: runs every standalone tests/*.test.js script with node,
+ * one jest test per script. A script fails when it exits non-zero (see helpers.js).
+ */
+
+import { spawnSync } from 'child_process';
+import { readdirSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+const testsDir = dirname(fileURLToPath(import.meta.url));
+
+// These talk to a server on localhost:3402 (npm start) and are run by hand
+const NEEDS_SERVER = ['api.test.js', 'sdk.test.js', 'sdk-alerts.test.js'];
+
+const SCRIPT_TIMEOUT_MS = 120000;
+
+const scripts = readdirSync(testsDir)
+  .filter(file => file.endsWith('.test.js') && !NEEDS_SERVER.includes(file))
+  .sort();
+
+test.each(scripts)('%s', (script) => {
+  const { status, signal, stdout, stderr } = spawnSync(process.execPath, [join(testsDir, script)], {
+    cwd: join(testsDir, '..'),
+    encoding: 'utf8',
+    timeout: SCRIPT_TIMEOUT_MS
+  });
+
+  if (status !== 0) {
+    // Drop the JSON log lines, keep the test names, errors and summary
+    const output = `${stdout}\n${stderr}`.split('\n').filter(line => !line.startsWith('{')).join('\n');
+    throw new Error(`${script} exited with ${signal || status}\n${output}`);
+  }
+}, SCRIPT_TIMEOUT_MS);
@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+/**
+ * tests/usage-export.test.js
+ * GET /v1/analytics/:agentId/export (CSV and JSONL) and Agora#exportUsage()
+ */
+
+import express from 'express';
+import { runQuery, transaction } from '../src/db/database.js';
+import { createAgent } from '../src/db/agents.js';
+import analyticsRouter from '../src/api/analytics.js';
+import { Agora } from '../src/sdk/client.js';
+import { test, expect, initTestDatabase, finish } from './helpers.js';
+
+initTestDatabase({ seed: false });
+
+const agent = createAgent('usage-export');
+const other = createAgent('usage-export-other');
+
+const log = (agentId, createdAt, { cost = 0.001, status = 'success', tags = null } = {}) => {
+  runQuery(
+    `INSERT INTO request_log (agent_id, provider, model, category, cost, latency_ms, tokens_in, tokens_out, status, tags, created_at)
+     VALUES (?, 'openai', 'gpt-4o-mini', 'chat', ?, 120, 10, 20, ?, ?, ?)`,
+    [agentId, cost, status, tags ? JSON.stringify(tags) : null, createdAt]
+  );
+};
+
+// More than one export page (500 rows) in March, plus rows outside the window or of another agent
+transaction(() => {
+  for (let i = 0; i < 1203; i++) {
+    log(agent.id, '2026-03-10 12:00:00');
+  }
+});
+log(agent.id, '2026-03-11 09:30:00', { cost: null, status: 'failed', tags: { team: 'growth, "west"', env: 'prod' } });
+log(agent.id, '2026-04-01 00:00:00');
+log(other.id, '2026-03-10 12:00:00');
+
+// Spreadsheet formula triggers in text fields, alone in June
+runQuery(
+  `INSERT INTO request_log (agent_id, provider, model, category, cost, latency_ms, tokens_in, tokens_out, status, created_at)
+   VALUES (?, 'openai', '-2+3', '=HYPERLINK("x")', 0.001, 120, 10, 20, '@sum', '2026-06-01 00:00:00')`,
+  [agent.id]
+);
+
+const app = express();
+app.use('/v1/analytics', analyticsRouter);
+
+const server = app.listen(0);
+const baseUrl = () => `http://127.0.0.1:${server.address().port}`;
+const march = 'from=2026-03-01&to=2026-04-01';
+const auth = { headers: { Authorization: `Bearer ${agent.apiKey}` } };
+
+await test('CSV: header, every row in the window across pages, attachment headers', async () => {
+  const response = await fetch(`${baseUrl()}/v1/analytics/${agent.id}/export?format=csv&${march}`, auth);
+  const lines = (await response.text()).trim().split('\n');
+
+  expect(response.headers.get('content-type')).toBe('text/csv; charset=utf-8');
+  expect(response.headers.get('content-disposition')).toBe(`attachment; filename="usage-${agent.id}-2026-03-01-2026-04-01.csv"`);
+  expect(lines[0]).toBe('id,createdAt,provider,model,task,status,tokensIn,tokensOut,cost,latencyMs,cacheHit,tags');
+  expect(lines.length).toBe(1 + 1204);
+  expect(lines[1]).toBe('1,2026-03-10T12:00:00Z,openai,gpt-4o-mini,chat,success,10,20,0.001,120,false,');
+});
+
+await test('CSV: unknown cost is empty, tags are a quoted JSON field', async () => {
+  const response = await fetch(`${baseUrl()}/v1/analytics/${agent.id}/export?${march}`, auth);
+  const last = (await response.text()).trim().split('\n').pop();
+
+  expect(last).toBe('1204,2026-03-11T09:30:00Z,openai,gpt-4o-mini,chat,failed,10,20,,120,false,"{""team"":""growth, \\""west\\"""",""env"":""prod""}"');
+});
+
+await test('JSONL: one record per line, filtered by tag', async () => {
+  const response = await fetch(`${baseUrl()}/v1/analytics/${agent.id}/export?format=jsonl&${march}&tag=env:prod`, auth);
+  const records = (await response.text()).trim().split('\n').map(line => JSON.parse(line));
+
+  expect(response.headers.get('content-type')).toBe('application/x-ndjson; charset=utf-8');
+  expect(records.length).toBe(1);
+  expect(records[0].cost).toBe(null);
+  expect(records[0].tags.team).toBe('growth, "west"');
+});
+
+await test('rejects unknown formats and invalid windows', async () => {
+  let response = await fetch(`${baseUrl()}/v1/analytics/${agent.id}/export?format=xlsx`, auth);
+  expect(response.status).toBe(400);
+  expect((await response.json()).error).toBe('Invalid format. Must be one of: csv, jsonl');
+
+  response = await fetch(`${baseUrl()}/v1/analytics/${agent.id}/export?from=2026-04-01&to=2026-03-01`, auth);
+  expect(response.status).toBe(400);
+});
+
+await test('CSV: values that start a spreadsheet formula are prefixed with a quote', async () => {
+  const response = await fetch(`${baseUrl()}/v1/analytics/${agent.id}/export?from=2026-06-01&to=2026-07-01`, auth);
+  const row = (await response.text()).trim().split('\n')[1];
+
+  expect(row).toBe('1207,2026-06-01T00:00:00Z,openai,\'-2+3,"\'=HYPERLINK(""x"")",\'@sum,10,20,0.001,120,false,');
+});
+
+await test("needs the agent's own key with budget:manage", async () => {
+  const url = `${baseUrl()}/v1/analytics/${agent.id}/export?${march}`;
+
+  expect((await fetch(url)).status).toBe(401);
+
+  const response = await fetch(url, { headers: { Authorization: `Bearer ${other.apiKey}` } });
+  expect(response.status).toBe(403);
+  expect((await response.json()).message).toBe("An API key can only export its own agent's usage");
+});
+
+await test('Agora#exportUsage streams the export body', async () => {
+  const agora = new Agora({ baseUrl: baseUrl(), agentId: agent.id, apiKey: agent.apiKey });
+  const body = await agora.exportUsage({ format: 'jsonl', from: '2026-04-01', to: '2026-05-01' });
+
+  let text = '';
+  for await (const chunk of body) {
+    text += Buffer.from(chunk).toString();
+  }
+
+  expect(text.trim().split('\n').length).toBe(1);
+  expect(JSON.parse(text).createdAt).toBe('2026-04-01T00:00:00Z');
+});
+
+server.close();
+
+finish();